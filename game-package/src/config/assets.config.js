@@ -110,6 +110,9 @@ export const EMOJI_FALLBACKS = {
   market: '🏪',
   townhall: '🏛️',
   barn: '🏚️',
+  cottage: '🏡',
+  manor: '🏰',
+  library: '📚',
   mill: '🏭',
   bread_oven: '🍞',
   sawmill: '🪚',
@@ -1,11 +1,24 @@
 /**
  * Building Configuration
  * Defines all building types, costs, production, and upgrades
+ *
+ * Buildings occupy BUILDING_FOOTPRINT x BUILDING_FOOTPRINT tiles unless they
+ * declare footprint: { rows, cols }. row/col is always the top corner.
+ * Placement needs and yield bonuses from terrain are described in terrain.config.js.
+ * Jobs (workers: { job, slots }), housing, upkeep and minPopulation are described
+ * in population.config.js.
+ *
+ * Processors can list altRecipes: alternatives to recipe that players pick per
+ * building (ProcessorService.setRecipe). Ones named in a research's
+ * unlockRecipes need that research first.
  */
 
+import { BUILDING_FOOTPRINT } from './tiles.config.js';
+
 export const BUILDINGS = {
   wheat_farm: {
     name: 'Wheat Farm',
+    mapColor: '#E6C34A', // Minimap / save thumbnail color
     baseCost: { gold: 10 },
     production: {},
     recipe: {
@@ -13,6 +26,10 @@ export const BUILDINGS = {
       outputs: { wheat: 5 },
       cycleTime: 5000, // 5 seconds → 1 wheat/s at base
     },
+    terrain: {
+      yields: { fertile: { range: 0, bonus: 0.25 } }, // Fully on fertile soil = double speed
+    },
+    workers: { job: 'farmer', slots: 2 },
     upgrades: [
       { cost: { gold: 50 }, mult: 2 },
       { cost: { gold: 200 }, mult: 3 },
@@ -23,6 +40,7 @@ export const BUILDINGS = {
   },
   quarry: {
     name: 'Stone Quarry',
+    mapColor: '#9E9E9E',
     baseCost: { gold: 25 },
     production: {},
     recipe: {
@@ -30,6 +48,11 @@ export const BUILDINGS = {
       outputs: { stone: 5 },
       cycleTime: 5000, // 5 seconds → 1 stone/s at base
     },
+    terrain: {
+      requires: { tile: 'rock', range: 1 }, // Must touch rock
+      yields: { rock: { range: 1, bonus: 0.1 } },
+    },
+    workers: { job: 'quarryman', slots: 2 },
     upgrades: [
       { cost: { gold: 100 }, mult: 2 },
       { cost: { gold: 400 }, mult: 3 },
@@ -40,6 +63,7 @@ export const BUILDINGS = {
   },
   lumber: {
     name: 'Lumber Camp',
+    mapColor: '#6D4C41',
     baseCost: { gold: 40 },
     production: {},
     recipe: {
@@ -47,6 +71,11 @@ export const BUILDINGS = {
       outputs: { wood: 5 },
       cycleTime: 5000, // 5 seconds → 1 wood/s at base
     },
+    terrain: {
+      requires: { tile: 'forest', range: 2 }, // Forest within 2 tiles
+      yields: { forest: { range: 2, bonus: 0.05 } },
+    },
+    workers: { job: 'woodcutter', slots: 2 },
     upgrades: [
       { cost: { gold: 150 }, mult: 2 },
       { cost: { gold: 500 }, mult: 3 },
@@ -57,9 +86,11 @@ export const BUILDINGS = {
   },
   bakery: {
     name: 'Bakery',
+    mapColor: '#D8894A',
     baseCost: { gold: 100, wheat: 20 },
     production: { gold: 3 },
     consumes: { wheat: 1 },
+    workers: { job: 'baker', slots: 1 },
     upgrades: [
       { cost: { gold: 300 }, mult: 2 },
       { cost: { gold: 1000 }, mult: 3 },
@@ -69,9 +100,11 @@ export const BUILDINGS = {
   },
   blacksmith: {
     name: 'Blacksmith',
+    mapColor: '#455A64',
     baseCost: { gold: 200, stone: 30, wood: 20 },
     production: { gold: 8 },
     consumes: { stone: 1, wood: 1 },
+    workers: { job: 'smith', slots: 2 },
     upgrades: [
       { cost: { gold: 600 }, mult: 2 },
       { cost: { gold: 2000 }, mult: 3 },
@@ -81,8 +114,14 @@ export const BUILDINGS = {
   },
   market: {
     name: 'Market',
+    mapColor: '#C62828',
     baseCost: { gold: 500, wood: 50 },
     production: { gold: 15 },
+    footprint: { rows: 2, cols: 3 }, // Long row of stalls
+    terrain: {
+      yields: { road: { range: 1, bonus: 0.1 } }, // Trade comes in along roads
+    },
+    workers: { job: 'trader', slots: 2 },
     upgrades: [
       { cost: { gold: 1500 }, mult: 2 },
       { cost: { gold: 5000 }, mult: 3 },
@@ -92,8 +131,11 @@ export const BUILDINGS = {
   },
   townhall: {
     name: 'Town Hall',
+    mapColor: '#7B1FA2',
     baseCost: { gold: 2000, stone: 100, wood: 100 },
     production: { gold: 50 },
+    footprint: { rows: 3, cols: 3 },
+    housing: 4, // Villagers who can live here
     upgrades: [
       { cost: { gold: 8000 }, mult: 2 },
       { cost: { gold: 30000 }, mult: 3 },
@@ -102,6 +144,7 @@ export const BUILDINGS = {
   },
   barn: {
     name: 'Barn',
+    mapColor: '#A1663A',
     baseCost: { gold: 75, wood: 15 },
     production: {},
     storageBonus: 100,
@@ -112,9 +155,46 @@ export const BUILDINGS = {
     unlockReq: { wood: 10 },
   },
 
+  // Housing (residents eat upkeep every tick)
+  cottage: {
+    name: 'Cottage',
+    mapColor: '#BCAAA4',
+    baseCost: { gold: 60, wood: 20 },
+    production: {},
+    footprint: { rows: 1, cols: 1 },
+    housing: 3,
+    upkeep: { bread: 0.1 },
+    upgrades: [],
+    unlockReq: { bread: 5 },
+  },
+  manor: {
+    name: 'Manor',
+    mapColor: '#8E24AA',
+    baseCost: { gold: 600, planks: 30, cut_stone: 20 },
+    production: {},
+    housing: 6,
+    upkeep: { bread: 0.2, furniture: 0.05 },
+    upgrades: [],
+    unlockReq: { furniture: 5 },
+    minPopulation: 6, // Villagers needed before a manor can be built
+  },
+
+  // Learning
+  library: {
+    name: 'Library',
+    mapColor: '#5C6BC0',
+    baseCost: { gold: 150, wood: 30, stone: 20 },
+    production: {},
+    researchSpeed: 0.5, // +50% research speed while fully staffed
+    workers: { job: 'scholar', slots: 2 },
+    upgrades: [],
+    unlockReq: { stone: 10 },
+  },
+
   // Processor Buildings (cycle-based production)
   mill: {
     name: 'Mill',
+    mapColor: '#F0E0B0',
     baseCost: { gold: 80, wood: 25 },
     production: {},
     recipe: {
@@ -122,6 +202,19 @@ export const BUILDINGS = {
       outputs: { flour: 1 },
       cycleTime: 10000, // 10 seconds
     },
+    altRecipes: [
+      {
+        id: 'millstone_grinding',
+        name: 'Millstone Grinding',
+        inputs: { wheat: 3 },
+        outputs: { flour: 2 },
+        cycleTime: 12000, // Less wheat per flour
+      },
+    ],
+    terrain: {
+      yields: { water: { range: 1, bonus: 0.15 } }, // Waterwheel
+    },
+    workers: { job: 'miller', slots: 1 },
     upgrades: [
       { cost: { gold: 200, wood: 30 }, mult: 1.5 },
       { cost: { gold: 600, wood: 50 }, mult: 2 },
@@ -131,6 +224,7 @@ export const BUILDINGS = {
   },
   bread_oven: {
     name: 'Bread Oven',
+    mapColor: '#B5651D',
     baseCost: { gold: 150, wood: 15 },
     production: {},
     recipe: {
@@ -138,6 +232,16 @@ export const BUILDINGS = {
       outputs: { bread: 1 },
       cycleTime: 8000, // 8 seconds
     },
+    altRecipes: [
+      {
+        id: 'hearth_loaves',
+        name: 'Hearth Loaves',
+        inputs: { flour: 2 },
+        outputs: { bread: 3 },
+        cycleTime: 12000, // Bigger batches
+      },
+    ],
+    workers: { job: 'baker', slots: 1 },
     upgrades: [
       { cost: { gold: 400, wood: 25 }, mult: 1.5 },
       { cost: { gold: 1200, wood: 40 }, mult: 2 },
@@ -149,6 +253,7 @@ export const BUILDINGS = {
   // Wood Processing Chain
   sawmill: {
     name: 'Sawmill',
+    mapColor: '#8D6E63',
     baseCost: { gold: 120, wood: 30 },
     production: {},
     recipe: {
@@ -156,6 +261,16 @@ export const BUILDINGS = {
       outputs: { planks: 1 },
       cycleTime: 10000, // 10 seconds
     },
+    altRecipes: [
+      {
+        id: 'rough_sawing',
+        name: 'Rough Sawing',
+        inputs: { wood: 3 },
+        outputs: { planks: 1 },
+        cycleTime: 5000, // Twice as fast, wastes wood
+      },
+    ],
+    workers: { job: 'craftsman', slots: 1 },
     upgrades: [
       { cost: { gold: 300, wood: 40 }, mult: 1.5 },
       { cost: { gold: 800, wood: 60 }, mult: 2 },
@@ -165,6 +280,7 @@ export const BUILDINGS = {
   },
   carpenter: {
     name: 'Carpenter',
+    mapColor: '#BCAAA4',
     baseCost: { gold: 200, planks: 10 },
     production: {},
     recipe: {
@@ -172,6 +288,7 @@ export const BUILDINGS = {
       outputs: { furniture: 1 },
       cycleTime: 10000, // 10 seconds
     },
+    workers: { job: 'craftsman', slots: 1 },
     upgrades: [
       { cost: { gold: 500, planks: 15 }, mult: 1.5 },
       { cost: { gold: 1500, planks: 25 }, mult: 2 },
@@ -183,6 +300,7 @@ export const BUILDINGS = {
   // Stone Processing Chain
   stonecutter: {
     name: 'Stonecutter',
+    mapColor: '#78909C',
     baseCost: { gold: 130, stone: 25 },
     production: {},
     recipe: {
@@ -190,6 +308,7 @@ export const BUILDINGS = {
       outputs: { cut_stone: 1 },
       cycleTime: 11000, // 11 seconds
     },
+    workers: { job: 'craftsman', slots: 1 },
     upgrades: [
       { cost: { gold: 350, stone: 35 }, mult: 1.5 },
       { cost: { gold: 900, stone: 50 }, mult: 2 },
@@ -199,6 +318,7 @@ export const BUILDINGS = {
   },
   mason_yard: {
     name: 'Mason Yard',
+    mapColor: '#B0BEC5',
     baseCost: { gold: 220, cut_stone: 10 },
     production: {},
     recipe: {
@@ -206,6 +326,7 @@ export const BUILDINGS = {
       outputs: { mortar: 1 },
       cycleTime: 10000, // 10 seconds
     },
+    workers: { job: 'craftsman', slots: 1 },
     upgrades: [
       { cost: { gold: 550, cut_stone: 15 }, mult: 1.5 },
       { cost: { gold: 1600, cut_stone: 25 }, mult: 2 },
@@ -217,6 +338,7 @@ export const BUILDINGS = {
   // Cross-Chain Products
   toolmaker: {
     name: 'Toolmaker Workshop',
+    mapColor: '#546E7A',
     baseCost: { gold: 350, planks: 15, cut_stone: 15 },
     production: {},
     recipe: {
@@ -224,15 +346,18 @@ export const BUILDINGS = {
       outputs: { tools: 1 },
       cycleTime: 14000, // 14 seconds
     },
+    workers: { job: 'craftsman', slots: 2 },
     upgrades: [
       { cost: { gold: 800, planks: 20, cut_stone: 20 }, mult: 1.5 },
       { cost: { gold: 2000, planks: 30, cut_stone: 30 }, mult: 2 },
     ],
     unlockResearchId: 'toolmaking',
+    minPopulation: 8,
     isProcessor: true,
   },
   charcoal_kiln: {
     name: 'Charcoal Kiln',
+    mapColor: '#37474F',
     baseCost: { gold: 280, mortar: 5 },
     production: {},
     recipe: {
@@ -240,6 +365,16 @@ export const BUILDINGS = {
       outputs: { charcoal: 1 },
       cycleTime: 12000, // 12 seconds
     },
+    altRecipes: [
+      {
+        id: 'log_burning',
+        name: 'Log Burning',
+        inputs: { wood: 5 },
+        outputs: { charcoal: 1 },
+        cycleTime: 15000, // Skips the sawmill
+      },
+    ],
+    workers: { job: 'craftsman', slots: 1 },
     upgrades: [
       { cost: { gold: 600, mortar: 8 }, mult: 1.5 },
       { cost: { gold: 1500, mortar: 12 }, mult: 2 },
@@ -252,11 +387,47 @@ export const BUILDINGS = {
 // Building types that produce gold (used for stipend check)
 export const GOLD_PRODUCERS = ['bakery', 'blacksmith', 'market', 'townhall'];
 
+// Building types villagers deliver to (processors need a road to one of these)
+export const STORAGE_BUILDINGS = ['townhall', 'barn'];
+
+// Logistics mode - villagers haul processor inputs from storage
+export const LOGISTICS_CONFIG = {
+  bufferCycles: 2,    // Processors ask for enough inputs to run this many cycles
+  carryCapacity: 5    // Most a villager carries per trip
+};
+
+// Input priorities players give processors, lowest first. When processors
+// compete for the same inputs, higher priorities start their cycles first.
+export const PROCESSOR_PRIORITIES = ['low', 'normal', 'high'];
+export const DEFAULT_PROCESSOR_PRIORITY = 'normal';
+
 // Get building definition by type
 export function getBuildingDef(type) {
   return BUILDINGS[type] || null;
 }
 
+// Find an alternative recipe by id, { buildingType, recipe } or null
+export function getRecipeDef(recipeId) {
+  for (const [buildingType, def] of Object.entries(BUILDINGS)) {
+    const recipe = def.altRecipes?.find(r => r.id === recipeId);
+    if (recipe) return { buildingType, recipe };
+  }
+  return null;
+}
+
+// Get the tiles a building type covers, { rows, cols }
+export function getBuildingFootprint(type) {
+  const def = BUILDINGS[type];
+  return def?.footprint || { rows: BUILDING_FOOTPRINT, cols: BUILDING_FOOTPRINT };
+}
+
+// Check whether a placed building covers a tile
+export function buildingOccupiesTile(building, row, col) {
+  const { rows, cols } = getBuildingFootprint(building.type);
+  return row >= building.row && row < building.row + rows &&
+    col >= building.col && col < building.col + cols;
+}
+
 // Get all building types
 export function getBuildingTypes() {
   return Object.keys(BUILDINGS);
@@ -25,8 +25,15 @@ export {
 export {
   BUILDINGS,
   GOLD_PRODUCERS,
+  STORAGE_BUILDINGS,
+  LOGISTICS_CONFIG,
+  PROCESSOR_PRIORITIES,
+  DEFAULT_PROCESSOR_PRIORITY,
   getBuildingDef,
-  getBuildingTypes
+  getBuildingFootprint,
+  buildingOccupiesTile,
+  getBuildingTypes,
+  getRecipeDef
 } from './buildings.config.js';
 
 // Milestone configuration
@@ -41,20 +48,32 @@ export {
 // Merchant & Market configuration
 export {
   MERCHANT_CONFIG,
+  MERCHANT_ARCHETYPES,
+  DEFAULT_MERCHANT_ARCHETYPE,
+  CONTRACT_CONFIG,
   MARKET_CONFIG,
   getMarketPrice,
+  getMarketElasticity,
   getMerchantPrice,
+  getMerchantArchetype,
+  getMerchantContract,
   getMerchantMaxPerVisit
 } from './merchant.config.js';
 
 // Research configuration
 export {
   RESEARCH,
+  RESEARCH_CONFIG,
+  SYNERGIES,
   getResearchDef,
   getResearchIds,
   getResearchCount,
   getRootResearch,
+  getResearchDepth,
+  getResearchAncestors,
   getResearchForBuilding,
+  getResearchForRecipe,
+  getSynergyDef,
   getMaxTierForBuilding,
   getPlotExpansion,
   DEFAULT_UNLOCKED_BUILDINGS,
@@ -73,3 +92,29 @@ export {
   getStorableResourceIds,
   getDefaultResources
 } from './resources.config.js';
+
+// Terrain configuration
+export {
+  TERRAIN,
+  TERRAIN_MAX_BONUS,
+  ROAD_CONFIG,
+  DEFAULT_MAP_SEED,
+  MAP_GENERATION,
+  getTerrainDef,
+  getTerrainIds,
+  getTerrainIdForTile,
+  resizeTerrain
+} from './terrain.config.js';
+
+// Population configuration
+export {
+  JOBS,
+  DEFAULT_JOB,
+  POPULATION_CONFIG,
+  getJobDef
+} from './population.config.js';
+
+// Offline progress configuration
+export {
+  OFFLINE_CONFIG
+} from './offline.config.js';
@@ -1,12 +1,21 @@
 /**
  * Merchant & Market Configuration
- * Settings for the traveling merchant and market trading
+ * Settings for the traveling merchants and market trading
+ *
+ * One merchant visits at a time. Who comes next is a weighted pick from
+ * MERCHANT_ARCHETYPES; once a Market is built only archetypes with
+ * visitsAfterMarket keep coming. Each archetype buys a subset of goods at
+ * a multiple of MERCHANT_CONFIG.prices, up to maxPerVisit x limitMultiplier.
+ *
+ * Every visitor also offers one of their delivery contracts. Failed
+ * contracts cost reputation, and every merchant pays less and charges
+ * more while reputation is below zero (see CONTRACT_CONFIG).
  */
 
 export const MERCHANT_CONFIG = {
   firstAppearDelay: 60000,      // 60 sec before first visit
-  minInterval: 45000,           // Min time between visits
-  maxInterval: 90000,           // Max time between visits
+  minInterval: 45000,           // Default min time between visits
+  maxInterval: 90000,           // Default max time between visits
   visitDuration: 30000,         // How long merchant stays
 
   // Sell prices (what merchant pays player)
@@ -45,6 +54,126 @@ export const MERCHANT_CONFIG = {
   }
 };
 
+/**
+ * Merchant archetypes
+ * - buys: resource -> price multiplier (resources not listed aren't bought)
+ * - sells: resource -> { price, stock } rare goods offered each visit
+ * - minInterval/maxInterval: wait before this archetype arrives (ms)
+ * - weight: how often this archetype is picked as the next visitor
+ * - dialogue: greetings, one per visit in turn
+ * - contracts: deliveries offered, one per visit in turn
+ *   { resource, amount, duration (ms), gold, researchDiscountPercent }
+ */
+export const MERCHANT_ARCHETYPES = {
+  peddler: {
+    name: 'Traveling Merchant',
+    face: '🧔',
+    banner: '🧳',
+    weight: 4,
+    minInterval: 45000,
+    maxInterval: 90000,
+    visitsAfterMarket: false,
+    limitMultiplier: 1,
+    buys: {
+      wheat: 1, stone: 1, wood: 1,
+      flour: 1, planks: 1, cut_stone: 1, charcoal: 1,
+      bread: 1, furniture: 1, mortar: 1, tools: 1
+    },
+    sells: {},
+    dialogue: [
+      'What would you like to sell today?',
+      'Fair prices, friend - fair for me, anyway!',
+      'The roads were long. Got anything worth the trip?'
+    ],
+    contracts: [
+      { resource: 'planks', amount: 30, duration: 300000, gold: 260, researchDiscountPercent: 0 },
+      { resource: 'wheat', amount: 60, duration: 240000, gold: 180, researchDiscountPercent: 0 }
+    ],
+    farewell: "The merchant has left. They'll return soon..."
+  },
+  grain_buyer: {
+    name: 'Grain Buyer',
+    face: '👩‍🌾',
+    banner: '🌾',
+    weight: 2,
+    minInterval: 60000,
+    maxInterval: 120000,
+    visitsAfterMarket: false,
+    limitMultiplier: 2,
+    buys: { wheat: 1.5, flour: 1.4, bread: 1.25 },
+    sells: {},
+    dialogue: [
+      'The city granaries are empty - I\'ll take all the grain you can spare.',
+      'Wheat, flour, bread. Nothing else interests me.',
+      'A good harvest this year? Let\'s see it!'
+    ],
+    contracts: [
+      { resource: 'bread', amount: 30, duration: 600000, gold: 450, researchDiscountPercent: 0 },
+      { resource: 'flour', amount: 40, duration: 420000, gold: 300, researchDiscountPercent: 10 }
+    ],
+    farewell: 'The grain buyer rolled away with a full cart.'
+  },
+  tool_collector: {
+    name: 'Tool Collector',
+    face: '🧐',
+    banner: '🔨',
+    weight: 1,
+    minInterval: 90000,
+    maxInterval: 150000,
+    visitsAfterMarket: true,
+    limitMultiplier: 1,
+    buys: { tools: 2, furniture: 1.5, mortar: 1.5 },
+    sells: {},
+    dialogue: [
+      'Fine craftsmanship fetches a fine price. Show me your best.',
+      'I collect tools from every village in the realm. Yours next?'
+    ],
+    contracts: [
+      { resource: 'tools', amount: 20, duration: 600000, gold: 600, researchDiscountPercent: 25 },
+      { resource: 'furniture', amount: 15, duration: 480000, gold: 320, researchDiscountPercent: 10 }
+    ],
+    farewell: 'The tool collector left to polish their new finds.'
+  },
+  exotic_trader: {
+    name: 'Exotic Trader',
+    face: '🧕',
+    banner: '🐫',
+    weight: 1,
+    minInterval: 120000,
+    maxInterval: 240000,
+    visitsAfterMarket: true,
+    limitMultiplier: 1,
+    buys: { charcoal: 1.5, cut_stone: 1.3 },
+    sells: {
+      tools: { price: 30, stock: 3 },
+      furniture: { price: 22, stock: 4 },
+      mortar: { price: 20, stock: 4 }
+    },
+    dialogue: [
+      'Wonders from across the sea - if your purse is deep enough.',
+      'My caravan carries goods your workshops have never seen.'
+    ],
+    contracts: [
+      { resource: 'charcoal', amount: 25, duration: 480000, gold: 350, researchDiscountPercent: 15 }
+    ],
+    farewell: 'The exotic trader\'s caravan disappeared over the hills.'
+  }
+};
+
+/** Archetype picked when a save or state doesn't name one */
+export const DEFAULT_MERCHANT_ARCHETYPE = 'peddler';
+
+export const CONTRACT_CONFIG = {
+  maxActive: 2,                   // Contracts the player can hold at once
+  // Reputation starts at 0 (spotless) and can't rise above it
+  minReputation: -5,
+  failurePenalty: 1,              // Reputation lost per failed contract
+  completionBonus: 1,             // Reputation won back per delivered contract
+  // Each point below 0 makes merchants pay 10% less and charge 10% more
+  reputationPricePercent: 10,
+  maxResearchDiscountPercent: 50  // Discounts stack up to this on the next research
+};
+
 export const MARKET_CONFIG = {
   prices: {
     // Raw resources (better than merchant)
@@ -63,11 +192,43 @@ export const MARKET_CONFIG = {
     tools: 24    // Cross-chain product, highest value
   },
   // Market level boosts prices: +10% per upgrade level
-  levelBonusPercent: 10
-  // No quantity limits for market
+  levelBonusPercent: 10,
+  // No quantity limits for market - but every unit sold drops the price.
+  // Elasticity is the fraction of the full price each unit sold takes off,
+  // so cheap bulk goods hold their price and finished goods flood quickly.
+  elasticity: {
+    wheat: 0.004,
+    stone: 0.005,
+    wood: 0.005,
+    flour: 0.008,
+    planks: 0.01,
+    cut_stone: 0.01,
+    charcoal: 0.012,
+    bread: 0.02,
+    furniture: 0.025,
+    mortar: 0.025,
+    tools: 0.03
+  },
+  // Buying costs this much more than selling the same unit would pay,
+  // and pushes demand back up the way selling pushes it down
+  buySpreadPercent: 50,
+  minPriceFactor: 0.3,          // Prices never drop below 30% of full price
+  recoveryPerTick: 0.01,        // Demand recovers 1% of full price per tick
+  historyInterval: 5,           // Ticks between price history samples
+  historyLength: 24,            // Samples kept for the sparkline (2 minutes)
+  // Standing orders sell everything above the rule's keep amount
+  ruleTriggers: {
+    always: 'every tick',
+    atCap: 'when storage is full'
+  }
 };
 
-// Helper to calculate market price with level bonus
+// Helper to get how much one unit sold drops a resource's market price
+export function getMarketElasticity(resource) {
+  return MARKET_CONFIG.elasticity[resource] || 0;
+}
+
+// Helper to calculate full market price with level bonus (before demand)
 export function getMarketPrice(resource, marketLevel) {
   const basePrice = MARKET_CONFIG.prices[resource] || 0;
   const levelBonus = 1 + (marketLevel - 1) * (MARKET_CONFIG.levelBonusPercent / 100);
@@ -79,6 +240,18 @@ export function getMerchantPrice(resource) {
   return MERCHANT_CONFIG.prices[resource] || 0;
 }
 
+// Helper to get a merchant archetype definition
+export function getMerchantArchetype(id) {
+  return MERCHANT_ARCHETYPES[id] || null;
+}
+
+// Helper to get the contract a visitor offers on a given visit (1-based)
+export function getMerchantContract(archetypeId, visitNumber) {
+  const contracts = MERCHANT_ARCHETYPES[archetypeId]?.contracts || [];
+  if (contracts.length === 0) return null;
+  return contracts[Math.max(0, visitNumber - 1) % contracts.length];
+}
+
 // Helper to get merchant max sellable per visit
 export function getMerchantMaxPerVisit(resource) {
   return MERCHANT_CONFIG.maxPerVisit[resource] || 0;
@@ -0,0 +1,11 @@
+/**
+ * Offline Progress Configuration
+ * Limits for the catch-up simulation that runs when a save is loaded
+ */
+
+export const OFFLINE_CONFIG = {
+  minElapsed: 30000,               // Ignore gaps under 30 sec (page refreshes)
+  maxElapsed: 8 * 60 * 60 * 1000,  // Catch up at most 8 hours
+  tickInterval: 1000,              // Matches GameLoop production tick
+  stipendInterval: 2000            // Matches GameLoop stipend tick
+};
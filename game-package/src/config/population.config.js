@@ -0,0 +1,49 @@
+/**
+ * Population Configuration
+ * Jobs villagers can hold, and how the population grows
+ *
+ * Buildings offer jobs with workers: { job, slots } (buildings.config.js).
+ * Villagers without a workplace are haulers - they collect drops and, in
+ * logistics mode, carry inputs to processors.
+ *
+ * Housing buildings add housing: N room. Homes with upkeep (per tick) only
+ * house anyone while it is paid; if the population outgrows the housing
+ * that is left, a villager leaves every growth interval. Buildings with
+ * minPopulation can't be built until the village is that big.
+ */
+
+export const JOBS = {
+  hauler: { name: 'Hauler', icon: '🧺' },
+  farmer: { name: 'Farmer', icon: '🌾' },
+  quarryman: { name: 'Quarryman', icon: '⛏️' },
+  woodcutter: { name: 'Woodcutter', icon: '🪓' },
+  miller: { name: 'Miller', icon: '⚙️' },
+  baker: { name: 'Baker', icon: '🍞' },
+  smith: { name: 'Smith', icon: '🔨' },
+  trader: { name: 'Trader', icon: '💰' },
+  craftsman: { name: 'Craftsman', icon: '🪚' },
+  scholar: { name: 'Scholar', icon: '📜' }
+};
+
+/** Job of villagers without a workplace */
+export const DEFAULT_JOB = 'hauler';
+
+export const POPULATION_CONFIG = {
+  startingVillagers: 3,
+  baseHousing: 4,               // Room in the starting camp before anything is built
+  unstaffedMultiplier: 0.25,    // Speed of a workplace nobody works at
+  autoAssignKeepsHaulers: 1,    // New workplaces take free haulers, but leave this many
+  growth: {
+    intervalTicks: 30,          // A newcomer can arrive this often...
+    food: { bread: 2 }          // ...if there is room and food to welcome them
+  }
+};
+
+/**
+ * Get a job definition
+ * @param {string} jobId
+ * @returns {Object|undefined}
+ */
+export function getJobDef(jobId) {
+  return JOBS[jobId];
+}
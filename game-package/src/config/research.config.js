@@ -2,15 +2,26 @@
  * Research Configuration
  * Defines all research nodes, costs, prerequisites, and effects
  *
+ * Research is paid for when it starts and takes `time` seconds (ticks) to
+ * finish at base speed. Staffed libraries (researchSpeed in
+ * buildings.config.js) make it faster. Up to RESEARCH_CONFIG.queueLength
+ * nodes can wait in the queue; the next starts once its prerequisites are
+ * done and its cost can be paid.
+ *
  * Research Effects:
  * - unlockBuildings: [] - Enables building visibility in build list
  * - unlockUpgradeTiers: [{ buildingId, maxTier }] - Unlocks upgrade tiers for buildings
  * - unlockPlotExpansion: { rows, cols } - Enables plot expansion to new size
- * - unlockRecipes: [] - (Future) Unlocks crafting recipes
- * - unlockProcessors: [] - (Future) Unlocks processor buildings
- * - unlockSynergies: [] - (Future) Ties into soft specialization (Milestone F)
+ * - unlockProcessors: [] - Enables processor buildings (crafting chains) in build list
+ * - unlockRecipes: [] - Unlocks alternative processor recipes (altRecipes in buildings.config.js)
+ *   that players can then pick for their processors
+ * - unlockSynergies: [] - Turns on neighbour production bonuses (SYNERGIES below)
  */
 
+export const RESEARCH_CONFIG = {
+  queueLength: 5    // Nodes waiting behind the one being researched
+};
+
 export const RESEARCH = {
   // ==========================================
   // TIER 0 - Basic Research (No prereqs)
@@ -21,6 +32,7 @@ export const RESEARCH = {
     name: 'Basic Construction',
     desc: 'Learn fundamental building techniques',
     cost: { gold: 25 },
+    time: 15,
     prereqs: [],
     effects: {
       unlockBuildings: ['barn'],
@@ -35,6 +47,7 @@ export const RESEARCH = {
     name: 'Stonework',
     desc: 'Master the art of working with stone',
     cost: { gold: 50, wheat: 20 },
+    time: 20,
     prereqs: [],
     effects: {
       unlockBuildings: ['quarry'],
@@ -49,6 +62,7 @@ export const RESEARCH = {
     name: 'Forestry',
     desc: 'Efficient wood harvesting techniques',
     cost: { gold: 50, wheat: 15 },
+    time: 20,
     prereqs: [],
     effects: {
       unlockBuildings: ['lumber'],
@@ -67,11 +81,13 @@ export const RESEARCH = {
     name: 'Advanced Farming',
     desc: 'Improved agricultural methods increase yield',
     cost: { gold: 100, wheat: 50 },
+    time: 40,
     prereqs: ['basic_construction'],
     effects: {
       unlockUpgradeTiers: [
         { buildingId: 'wheat_farm', maxTier: 4 }
-      ]
+      ],
+      unlockSynergies: ['mill_wheat_fields']
     }
   },
 
@@ -80,6 +96,7 @@ export const RESEARCH = {
     name: 'Baking',
     desc: 'Convert wheat into valuable baked goods',
     cost: { gold: 150, wheat: 40 },
+    time: 30,
     prereqs: ['basic_construction'],
     effects: {
       unlockBuildings: ['bakery'],
@@ -94,12 +111,15 @@ export const RESEARCH = {
     name: 'Masonry',
     desc: 'Advanced stone construction techniques',
     cost: { gold: 150, stone: 30 },
+    time: 40,
     prereqs: ['stonework'],
     effects: {
       unlockUpgradeTiers: [
         { buildingId: 'quarry', maxTier: 4 },
         { buildingId: 'barn', maxTier: 3 }
-      ]
+      ],
+      unlockRecipes: ['millstone_grinding'],
+      unlockSynergies: ['stonecutter_quarry']
     }
   },
 
@@ -108,11 +128,13 @@ export const RESEARCH = {
     name: 'Woodworking',
     desc: 'Skilled carpentry and wood processing',
     cost: { gold: 150, wood: 30 },
+    time: 40,
     prereqs: ['forestry'],
     effects: {
       unlockUpgradeTiers: [
         { buildingId: 'lumber', maxTier: 4 }
-      ]
+      ],
+      unlockSynergies: ['sawmill_lumber']
     }
   },
 
@@ -122,9 +144,10 @@ export const RESEARCH = {
     name: 'Wood Processing',
     desc: 'Cut logs into usable planks',
     cost: { gold: 100, wood: 40 },
+    time: 40,
     prereqs: ['forestry'],
     effects: {
-      unlockBuildings: ['sawmill'],
+      unlockProcessors: ['sawmill'],
       unlockUpgradeTiers: [
         { buildingId: 'sawmill', maxTier: 2 }
       ]
@@ -136,9 +159,10 @@ export const RESEARCH = {
     name: 'Stone Processing',
     desc: 'Cut raw stone into refined blocks',
     cost: { gold: 100, stone: 40 },
+    time: 40,
     prereqs: ['stonework'],
     effects: {
-      unlockBuildings: ['stonecutter'],
+      unlockProcessors: ['stonecutter'],
       unlockUpgradeTiers: [
         { buildingId: 'stonecutter', maxTier: 2 }
       ]
@@ -154,6 +178,7 @@ export const RESEARCH = {
     name: 'Metallurgy',
     desc: 'Forge tools and equipment from metal',
     cost: { gold: 300, stone: 50, wood: 30 },
+    time: 90,
     prereqs: ['masonry', 'woodworking'],
     effects: {
       unlockBuildings: ['blacksmith'],
@@ -168,9 +193,10 @@ export const RESEARCH = {
     name: 'Carpentry',
     desc: 'Craft planks into fine furniture',
     cost: { gold: 200, planks: 20 },
+    time: 75,
     prereqs: ['wood_processing'],
     effects: {
-      unlockBuildings: ['carpenter'],
+      unlockProcessors: ['carpenter'],
       unlockUpgradeTiers: [
         { buildingId: 'carpenter', maxTier: 2 }
       ]
@@ -182,9 +208,10 @@ export const RESEARCH = {
     name: 'Block Masonry',
     desc: 'Shape cut stone into building blocks',
     cost: { gold: 200, cut_stone: 20 },
+    time: 75,
     prereqs: ['stone_processing'],
     effects: {
-      unlockBuildings: ['mason_yard'],
+      unlockProcessors: ['mason_yard'],
       unlockUpgradeTiers: [
         { buildingId: 'mason_yard', maxTier: 2 }
       ]
@@ -196,13 +223,15 @@ export const RESEARCH = {
     name: 'Commerce',
     desc: 'Establish trade networks and markets',
     cost: { gold: 400, wood: 40 },
+    time: 90,
     prereqs: ['baking'],
     effects: {
       unlockBuildings: ['market'],
       unlockUpgradeTiers: [
         { buildingId: 'market', maxTier: 2 },
         { buildingId: 'bakery', maxTier: 4 }
-      ]
+      ],
+      unlockRecipes: ['hearth_loaves']
     }
   },
 
@@ -211,6 +240,7 @@ export const RESEARCH = {
     name: 'Border Expansion I',
     desc: 'Claim more land for your fiefdom (12x12 grid)',
     cost: { gold: 500, stone: 50, wood: 50 },
+    time: 120,
     prereqs: ['masonry'],
     effects: {
       unlockPlotExpansion: { rows: 12, cols: 12 }
@@ -226,6 +256,7 @@ export const RESEARCH = {
     name: 'Advanced Metallurgy',
     desc: 'Master smithing techniques for greater output',
     cost: { gold: 600, stone: 80, wood: 50 },
+    time: 150,
     prereqs: ['metallurgy'],
     effects: {
       unlockUpgradeTiers: [
@@ -239,6 +270,7 @@ export const RESEARCH = {
     name: 'Trade Routes',
     desc: 'Establish far-reaching trade connections',
     cost: { gold: 800, wood: 60 },
+    time: 150,
     prereqs: ['commerce'],
     effects: {
       unlockUpgradeTiers: [
@@ -252,9 +284,10 @@ export const RESEARCH = {
     name: 'Toolmaking',
     desc: 'Combine wood and stone into useful tools',
     cost: { gold: 400, planks: 30, cut_stone: 30 },
+    time: 150,
     prereqs: ['carpentry', 'block_masonry'],
     effects: {
-      unlockBuildings: ['toolmaker'],
+      unlockProcessors: ['toolmaker'],
       unlockUpgradeTiers: [
         { buildingId: 'toolmaker', maxTier: 2 }
       ]
@@ -266,9 +299,10 @@ export const RESEARCH = {
     name: 'Charcoal Burning',
     desc: 'Convert planks into valuable charcoal fuel',
     cost: { gold: 350, mortar: 10, planks: 25 },
+    time: 150,
     prereqs: ['carpentry', 'block_masonry'],
     effects: {
-      unlockBuildings: ['charcoal_kiln'],
+      unlockProcessors: ['charcoal_kiln'],
       unlockUpgradeTiers: [
         { buildingId: 'charcoal_kiln', maxTier: 2 }
       ]
@@ -280,6 +314,7 @@ export const RESEARCH = {
     name: 'Governance',
     desc: 'Centralize administration with a town hall',
     cost: { gold: 1000, stone: 100, wood: 80 },
+    time: 180,
     prereqs: ['commerce', 'metallurgy'],
     effects: {
       unlockBuildings: ['townhall'],
@@ -294,6 +329,7 @@ export const RESEARCH = {
     name: 'Border Expansion II',
     desc: 'Expand your domain further (14x14 grid)',
     cost: { gold: 1500, stone: 100, wood: 100 },
+    time: 240,
     prereqs: ['expansion_1', 'governance'],
     effects: {
       unlockPlotExpansion: { rows: 14, cols: 14 }
@@ -309,6 +345,7 @@ export const RESEARCH = {
     name: 'Kingdom',
     desc: 'Your village grows into a true kingdom',
     cost: { gold: 3000, stone: 200, wood: 200 },
+    time: 300,
     prereqs: ['governance', 'trade_routes', 'advanced_metallurgy'],
     effects: {
       unlockUpgradeTiers: [
@@ -322,6 +359,7 @@ export const RESEARCH = {
     name: 'Border Expansion III',
     desc: 'Claim a vast territory (16x16 grid)',
     cost: { gold: 3000, stone: 200, wood: 200 },
+    time: 360,
     prereqs: ['expansion_2', 'kingdom'],
     effects: {
       unlockPlotExpansion: { rows: 16, cols: 16 }
@@ -329,6 +367,42 @@ export const RESEARCH = {
   }
 };
 
+// ==========================================
+// SYNERGIES
+// ==========================================
+
+/**
+ * Production bonuses between neighbouring buildings, turned on by research
+ * (unlockSynergies). A building gets the bonus while any partner building
+ * is within range tiles of its footprint; bonuses from several synergies add up.
+ */
+export const SYNERGIES = {
+  mill_wheat_fields: {
+    id: 'mill_wheat_fields',
+    name: 'Fresh Grain',
+    building: 'mill',
+    partner: 'wheat_farm',
+    range: 1,
+    bonus: 0.2
+  },
+  sawmill_lumber: {
+    id: 'sawmill_lumber',
+    name: 'Log Chute',
+    building: 'sawmill',
+    partner: 'lumber',
+    range: 1,
+    bonus: 0.15
+  },
+  stonecutter_quarry: {
+    id: 'stonecutter_quarry',
+    name: 'Quarry Face',
+    building: 'stonecutter',
+    partner: 'quarry',
+    range: 1,
+    bonus: 0.15
+  }
+};
+
 // ==========================================
 // HELPER FUNCTIONS
 // ==========================================
@@ -368,6 +442,35 @@ export function getRootResearch() {
   );
 }
 
+/**
+ * Get how deep a research sits in the tree
+ * @param {string} id - Research ID
+ * @returns {number} 0 for research without prereqs, else one more than its deepest prereq
+ */
+export function getResearchDepth(id) {
+  const research = RESEARCH[id];
+  if (!research || research.prereqs.length === 0) return 0;
+  return 1 + Math.max(...research.prereqs.map(getResearchDepth));
+}
+
+/**
+ * Get every research a node depends on, directly or through its prereqs
+ * @param {string} id - Research ID
+ * @returns {Set<string>} Research IDs (not including id itself)
+ */
+export function getResearchAncestors(id) {
+  const ancestors = new Set();
+  const visit = (researchId) => {
+    (RESEARCH[researchId]?.prereqs || []).forEach(prereq => {
+      if (ancestors.has(prereq)) return;
+      ancestors.add(prereq);
+      visit(prereq);
+    });
+  };
+  visit(id);
+  return ancestors;
+}
+
 /**
  * Get all research that unlocks a specific building
  * @param {string} buildingId - Building ID to search for
@@ -375,13 +478,37 @@ export function getRootResearch() {
  */
 export function getResearchForBuilding(buildingId) {
   for (const [researchId, research] of Object.entries(RESEARCH)) {
-    if (research.effects.unlockBuildings?.includes(buildingId)) {
+    if (research.effects.unlockBuildings?.includes(buildingId) ||
+        research.effects.unlockProcessors?.includes(buildingId)) {
+      return researchId;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the research that unlocks an alternative recipe
+ * @param {string} recipeId - Recipe ID
+ * @returns {string|null} Research ID, or null if the recipe needs no research
+ */
+export function getResearchForRecipe(recipeId) {
+  for (const [researchId, research] of Object.entries(RESEARCH)) {
+    if (research.effects.unlockRecipes?.includes(recipeId)) {
       return researchId;
     }
   }
   return null;
 }
 
+/**
+ * Get synergy definition by ID
+ * @param {string} id - Synergy ID
+ * @returns {Object|null}
+ */
+export function getSynergyDef(id) {
+  return SYNERGIES[id] || null;
+}
+
 /**
  * Get the max upgrade tier unlocked by research for a building
  * Note: Returns null if no research affects this building's tier
@@ -0,0 +1,142 @@
+/**
+ * Terrain Configuration
+ * Ground types, what can be built on them, and the starting map
+ *
+ * Terrain is saved in game state as one string per row, one character per
+ * tile - the tile's TILE id in base 36 (see tiles.config.js).
+ *
+ * Buildings opt into terrain rules with a `terrain` field in BUILDINGS:
+ *
+ *   terrain: {
+ *     requires: { tile: 'rock', range: 1 },       // rock within 1 tile of the footprint
+ *     yields: { rock: { range: 1, bonus: 0.1 } }  // +10% per rock tile within 1
+ *   }
+ *
+ * range 0 means tiles under the footprint; range N adds N rings around it.
+ */
+
+import { TILE } from './tiles.config.js';
+
+export const TERRAIN = {
+  grass: {
+    name: 'Grass',
+    tile: TILE.GRASS,
+    buildable: true,
+    mapColor: '#7CB342'
+  },
+  cobble: {
+    name: 'Cobblestone',
+    tile: TILE.COBBLE,
+    buildable: true,
+    mapColor: '#A1887F'
+  },
+  dirt: {
+    name: 'Dirt',
+    tile: TILE.DIRT,
+    buildable: true,
+    mapColor: '#8D6E63'
+  },
+  forest: {
+    name: 'Forest',
+    tile: TILE.FOREST,
+    buildable: false,
+    mapColor: '#2E7D32'
+  },
+  rock: {
+    name: 'Rock',
+    tile: TILE.ROCK,
+    buildable: false,
+    mapColor: '#757575'
+  },
+  water: {
+    name: 'Water',
+    tile: TILE.WATER,
+    buildable: false,
+    mapColor: '#1E88E5'
+  },
+  fertile: {
+    name: 'Fertile Soil',
+    tile: TILE.FERTILE,
+    buildable: true,
+    mapColor: '#5D4037'
+  },
+  road: {
+    name: 'Road',
+    tile: TILE.ROAD,
+    buildable: false,
+    mapColor: '#BCAAA4'
+  }
+};
+
+// Terrain yield bonuses stop adding up here (+100% = double speed)
+export const TERRAIN_MAX_BONUS = 1;
+
+/**
+ * Roads the player lays on buildable tiles (see RoadService)
+ * Removing a road leaves dirt behind.
+ */
+export const ROAD_CONFIG = {
+  cost: { gold: 5, stone: 1 },
+  speedMultiplier: 2,           // Villagers walk road edges twice as fast
+  disconnectedMultiplier: 0.75  // Processor speed without a road to a storage building
+};
+
+// Map seed for the default state - new games in the browser pick their own
+export const DEFAULT_MAP_SEED = 1;
+
+/**
+ * Map generator settings (see services/MapGenerator.js)
+ * The whole world is generated up front from the save's seed; the plot
+ * reveals more of it as it expands.
+ *
+ *   size      - Generated world, matching the largest plot expansion
+ *   start     - Starting plot; `inStart` clusters of each feature begin inside it,
+ *               the rest begin in land revealed by expansions
+ *   clearing  - Kept as grass so the first buildings always fit
+ *   features  - Clusters grown in order; later features don't overwrite earlier ones
+ */
+export const MAP_GENERATION = {
+  size: { rows: 16, cols: 16 },
+  start: { rows: 10, cols: 10 },
+  clearing: { row: 3, col: 3, rows: 4, cols: 4 },
+  features: [
+    { terrain: 'water', clusters: 3, inStart: 1, size: [4, 8] },    // Lakes
+    { terrain: 'forest', clusters: 6, inStart: 2, size: [3, 8] },   // Woods
+    { terrain: 'rock', clusters: 4, inStart: 1, size: [3, 5] },     // Stone deposits
+    { terrain: 'fertile', clusters: 4, inStart: 1, size: [4, 6] },  // Fertile fields
+    { terrain: 'rock', clusters: 4, inStart: 0, size: [1, 1] }      // Boulders
+  ]
+};
+
+// Get terrain definition by id
+export function getTerrainDef(id) {
+  return TERRAIN[id] || null;
+}
+
+// Get all terrain ids
+export function getTerrainIds() {
+  return Object.keys(TERRAIN);
+}
+
+// Get the terrain id for a TILE value (null if unknown)
+export function getTerrainIdForTile(tile) {
+  return getTerrainIds().find(id => TERRAIN[id].tile === tile) || null;
+}
+
+/**
+ * Grow or shrink saved terrain rows to a plot size
+ * Existing tiles keep their type; new tiles are grass.
+ * @param {string[]} terrain - One string per row
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {string[]}
+ */
+export function resizeTerrain(terrain, rows, cols) {
+  const grass = TILE.GRASS.toString(36);
+  const resized = [];
+  for (let r = 0; r < rows; r++) {
+    const row = (terrain[r] || '').slice(0, cols);
+    resized.push(row.padEnd(cols, grass));
+  }
+  return resized;
+}
@@ -31,10 +31,15 @@ export const TILE = {
   GRASS: 0,
   COBBLE: 1,
   DIRT: 2,
+  FOREST: 3,
+  ROCK: 4,
+  WATER: 5,
+  FERTILE: 6,
+  ROAD: 7,
 };
 
-// Map array: 0=grass, 1=cobble, 2=dirt
-// Layout: 10 cols x 10 rows isometric grid
+// Map array of TILE values, drawn by TileRenderer
+// Rebuilt from the saved terrain (see terrain.config.js) by updateTileMap
 export const TILE_MAP = [
   //0  1  2  3  4  5  6  7  8  9
   [ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0 ],  // Row 0
@@ -49,7 +54,7 @@ export const TILE_MAP = [
   [ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0 ],  // Row 9
 ];
 
-// Building footprint size (2x2 tiles)
+// Default building footprint size (2x2 tiles) - BUILDINGS entries may declare their own
 export const BUILDING_FOOTPRINT = 2;
 
 // ==========================================
@@ -68,18 +73,20 @@ export function setGridSize(rows, cols) {
 
 /**
  * Generate a tile map for the given size
- * Creates all grass tiles
+ * Tiles come from the saved terrain rows; anything missing is grass
  * @param {number} rows
  * @param {number} cols
+ * @param {string[]} [terrain] - Saved terrain, one base-36 character per tile
  */
-export function updateTileMap(rows, cols) {
+export function updateTileMap(rows, cols, terrain = []) {
   // Clear and rebuild TILE_MAP
   TILE_MAP.length = 0;
 
   for (let r = 0; r < rows; r++) {
     const row = [];
     for (let c = 0; c < cols; c++) {
-      row.push(TILE.GRASS);
+      const code = terrain[r]?.[c];
+      row.push(code === undefined ? TILE.GRASS : parseInt(code, 36));
     }
     TILE_MAP.push(row);
   }
@@ -19,6 +19,12 @@ export class EventBus {
     BUILDING_PLACED: 'building:placed',
     BUILDING_UPGRADED: 'building:upgraded',
     BUILDING_REMOVED: 'building:removed',
+    BUILDING_MOVED: 'building:moved',
+    HISTORY_CHANGED: 'building:historyChanged',
+
+    // Processor events
+    PROCESSOR_RECIPE_CHANGED: 'processor:recipeChanged',
+    PROCESSOR_PRIORITY_CHANGED: 'processor:priorityChanged',
 
     // Milestone events
     MILESTONE_COMPLETED: 'milestone:completed',
@@ -29,9 +35,22 @@ export class EventBus {
     MERCHANT_DEPARTED: 'merchant:departed',
     MERCHANT_DISABLED: 'merchant:disabled',
     MERCHANT_SALE: 'merchant:sale',
+    MERCHANT_PURCHASE: 'merchant:purchase',
+    MERCHANT_ROSTER_CHANGED: 'merchant:rosterChanged',
+    MERCHANT_REPUTATION_CHANGED: 'merchant:reputationChanged',
+
+    // Contract events
+    CONTRACT_OFFERED: 'contract:offered',
+    CONTRACT_ACCEPTED: 'contract:accepted',
+    CONTRACT_COMPLETED: 'contract:completed',
+    CONTRACT_FAILED: 'contract:failed',
+    CONTRACTS_CHANGED: 'contract:changed',
 
     // Market events
     MARKET_SALE: 'market:sale',
+    MARKET_PURCHASE: 'market:purchase',
+    MARKET_PRICES_CHANGED: 'market:pricesChanged',
+    MARKET_RULES_CHANGED: 'market:rulesChanged',
 
     // Stipend events
     STIPEND_TICK: 'stipend:tick',
@@ -39,17 +58,34 @@ export class EventBus {
 
     // Research events
     RESEARCH_COMPLETED: 'research:completed',
+    RESEARCH_STARTED: 'research:started',
+    RESEARCH_QUEUE_CHANGED: 'research:queueChanged',
 
     // Plot expansion events
     PLOT_EXPANSION_UNLOCKED: 'plot:expansionUnlocked',
     PLOT_EXPANDED: 'plot:expanded',
 
+    // Terrain events
+    TERRAIN_CHANGED: 'terrain:changed',
+    MAP_GENERATED: 'terrain:generated',
+
+    // Logistics events
+    LOGISTICS_TOGGLED: 'logistics:toggled',
+    INPUTS_DELIVERED: 'logistics:delivered',
+
+    // Population events
+    VILLAGER_ARRIVED: 'population:arrived',
+    VILLAGER_LEFT: 'population:left',
+    WORKERS_CHANGED: 'population:workersChanged',
+    HOUSING_CHANGED: 'population:housingChanged',
+
     // Camera events
     CAMERA_MOVED: 'camera:moved',
     CAMERA_ZOOMED: 'camera:zoomed',
 
     // Game loop events
     TICK: 'game:tick',
+    FRAME: 'game:frame',
 
     // UI events
     PLACEMENT_MODE_CHANGED: 'placement:changed',
@@ -60,7 +96,9 @@ export class EventBus {
     // State events
     GAME_RESET: 'game:reset',
     STATE_LOADED: 'state:loaded',
-    STATE_SAVED: 'state:saved'
+    STATE_SAVED: 'state:saved',
+    SAVE_SLOTS_CHANGED: 'state:saveSlotsChanged',
+    OFFLINE_PROGRESS: 'state:offlineProgress'
   };
 
   constructor() {
@@ -9,12 +9,17 @@ export class GameController {
   /**
    * @param {import('./ServiceContainer.js').ServiceContainer} container
    * @param {import('./EventBus.js').EventBus} eventBus
+   * @param {Object} [options]
+   * @param {number} [options.mapSeed] - Seed for the map of a new game (default state's map if omitted)
    */
-  constructor(container, eventBus) {
+  constructor(container, eventBus, options = {}) {
     this._container = container;
     this._eventBus = eventBus;
     this._initialized = false;
 
+    /** @type {number|undefined} Map seed for games started in this session */
+    this._mapSeed = options.mapSeed;
+
     // UI Controllers (will be set during initialization)
     this._uiControllers = {};
   }
@@ -58,7 +63,7 @@ export class GameController {
     // Start game loops (uses GameLoop for speed control support)
     this._startGameLoops();
 
-    // Schedule first merchant visit (only if not loaded from save)
+    // Resume merchant schedule (first visit is scheduled if none is pending)
     this._scheduleMerchantVisit();
 
     // Start autosave
@@ -74,13 +79,26 @@ export class GameController {
    */
   _loadSavedState() {
     const saveLoadService = this._container.get('saveLoadService');
+    let loaded = false;
     if (saveLoadService.hasSave()) {
       const result = saveLoadService.load();
       if (result.success) {
+        loaded = true;
         console.log('[GameController] Loaded saved game');
+
+        // Catch up on everything that happened while the game was closed
+        if (result.timestamp) {
+          const offlineProgressService = this._container.get('offlineProgressService');
+          offlineProgressService.simulate(Date.now() - result.timestamp);
+        }
       }
     }
 
+    // A new game gets its own map
+    if (!loaded) {
+      this._generateNewMap();
+    }
+
     // Sync plot size from state (whether loaded or default)
     const plotService = this._container.get('plotService');
     plotService.syncFromState();
@@ -118,6 +136,9 @@ export class GameController {
     const marketPanelController = this._container.get('marketPanelController');
     const buildingInfoController = this._container.get('buildingInfoController');
     const researchPanelController = this._container.get('researchPanelController');
+    const logisticsController = this._container.get('logisticsController');
+    const workersPanelController = this._container.get('workersPanelController');
+    const contractPanelController = this._container.get('contractPanelController');
     const placementController = this._container.get('placementController');
     const tabController = this._container.get('tabController');
     const merchantPanelController = this._container.get('merchantPanelController');
@@ -132,6 +153,9 @@ export class GameController {
     marketPanelController.initialize();
     buildingInfoController.initialize();
     researchPanelController.init();
+    logisticsController.initialize();
+    workersPanelController.initialize();
+    contractPanelController.initialize();
 
     // Existing controllers from Phase 8
     placementController.setupListeners();
@@ -146,6 +170,10 @@ export class GameController {
     const devPanelController = this._container.get('devPanelController');
     devPanelController.initialize();
 
+    // Offline summary ("While you were away") - shows the catch-up report from load
+    const offlineSummaryController = this._container.get('offlineSummaryController');
+    offlineSummaryController.initialize();
+
     // Store references
     this._uiControllers = {
       notification: notificationController,
@@ -156,12 +184,16 @@ export class GameController {
       marketPanel: marketPanelController,
       buildingInfo: buildingInfoController,
       researchPanel: researchPanelController,
+      logistics: logisticsController,
+      workersPanel: workersPanelController,
+      contractPanel: contractPanelController,
       placement: placementController,
       buildingHover: buildingHoverController,
       tab: tabController,
       merchantPanel: merchantPanelController,
       debug: debugController,
-      devPanel: devPanelController
+      devPanel: devPanelController,
+      offlineSummary: offlineSummaryController
     };
   }
 
@@ -182,8 +214,8 @@ export class GameController {
     const dropRenderer = this._container.get('dropRenderer');
     dropRenderer.initialize();
 
-    // Spawn an initial peasant at grid intersection (5, 5)
-    characterService.spawnCharacter(5, 5, 'peasant');
+    // A peasant for every villager in the population
+    characterService.syncVillagers();
   }
 
   /**
@@ -247,6 +279,23 @@ export class GameController {
       storageService.invalidateCache();
     });
 
+    // Handle building move - re-render tiles and buildings at their new positions
+    this._eventBus.subscribe(Events.BUILDING_MOVED, () => {
+      // Re-render tiles (the old spot needs its tiles back)
+      const tileRenderer = this._container.get('tileRenderer');
+      tileRenderer.render();
+
+      // Re-render all buildings (draw order depends on position)
+      const buildingRenderer = this._container.get('buildingRenderer');
+      buildingRenderer.render();
+    });
+
+    // Handle terrain changes - redraw the ground
+    this._eventBus.subscribe(Events.TERRAIN_CHANGED, () => {
+      const tileRenderer = this._container.get('tileRenderer');
+      tileRenderer.render();
+    });
+
     // Update build list on every tick so affordability/unlock states refresh
     this._eventBus.subscribe(Events.TICK, () => {
       this._uiControllers.placement.renderBuildList();
@@ -267,26 +316,29 @@ export class GameController {
     });
 
     // Handle merchant events
-    this._eventBus.subscribe(Events.MERCHANT_ARRIVED, () => {
+    this._eventBus.subscribe(Events.MERCHANT_ARRIVED, (data) => {
       this._uiControllers.merchantPanel.onMerchantArrived();
       this._eventBus.publish(Events.NOTIFICATION, {
-        message: '🧳 A traveling merchant has arrived!',
+        message: `${data.banner} ${data.name} has arrived!`,
         type: 'merchant'
       });
     });
 
-    this._eventBus.subscribe(Events.MERCHANT_DEPARTED, () => {
+    this._eventBus.subscribe(Events.MERCHANT_DEPARTED, (data) => {
       this._uiControllers.merchantPanel.onMerchantDeparted();
       this._eventBus.publish(Events.NOTIFICATION, {
-        message: "👋 The merchant has left. They'll return soon...",
+        message: `👋 ${data.farewell}`,
         type: 'info'
       });
     });
 
     this._eventBus.subscribe(Events.MERCHANT_DISABLED, () => {
       this._uiControllers.merchantPanel.onMerchantDisabled();
+    });
+
+    this._eventBus.subscribe(Events.MERCHANT_ROSTER_CHANGED, (data) => {
       this._eventBus.publish(Events.NOTIFICATION, {
-        message: 'Market built! You now have permanent access to trading.',
+        message: `Market built! You now have permanent access to trading. Still visiting: ${data.names.join(', ')}.`,
         type: 'success'
       });
     });
@@ -307,6 +359,9 @@ export class GameController {
    * @private
    */
   _onStateLoaded() {
+    // The loaded game may have a different plot size and terrain
+    this._container.get('plotService').syncFromState();
+
     // Re-render everything
     this._renderInitialState();
     console.log('[GameController] State loaded, re-rendered UI');
@@ -331,12 +386,12 @@ export class GameController {
   }
 
   /**
-   * Schedule first merchant visit
+   * Resume the merchant schedule (first visit is scheduled if none is pending)
    * @private
    */
   _scheduleMerchantVisit() {
     const merchantService = this._container.get('merchantService');
-    merchantService.scheduleVisit(true);
+    merchantService.resume();
   }
 
   /**
@@ -344,16 +399,20 @@ export class GameController {
    * @private
    */
   _onGameReset() {
+    // Back to the starting plot size and this session's map
+    this._generateNewMap();
+    this._container.get('plotService').syncFromState();
+
     // Re-render everything
     this._renderInitialState();
 
-    // Reset characters - clear and spawn fresh peasant
+    // Reset characters - clear and spawn the starting villagers
     const characterService = this._container.get('characterService');
     const characterRenderer = this._container.get('characterRenderer');
     characterService.destroy();
     characterRenderer.clear();
     characterService.initialize();
-    characterService.spawnCharacter(5, 5, 'peasant');
+    characterService.syncVillagers();
 
     // Reset drops (Phase G)
     const dropService = this._container.get('dropService');
@@ -370,6 +429,16 @@ export class GameController {
     });
   }
 
+  /**
+   * Generate the map for a new game, if this session was given a seed
+   * @private
+   */
+  _generateNewMap() {
+    if (this._mapSeed === undefined) return;
+    this._container.get('terrainService').generateMap(this._mapSeed);
+    console.log(`[GameController] Generated map from seed ${this._mapSeed}`);
+  }
+
   /**
    * Reset the game
    */
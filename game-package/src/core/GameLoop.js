@@ -1,36 +1,41 @@
 /**
- * GameLoop - Manages game tick intervals
+ * GameLoop - Drives the SimulationClock from real time
+ *
+ * The clock owns all game time (ticks, stipend ticks, frames, timers).
+ * GameLoop is the only place that touches setInterval: it measures real
+ * elapsed time and advances the clock by that amount.
  *
  * Usage:
- *   const gameLoop = new GameLoop(eventBus);
+ *   const gameLoop = new GameLoop(eventBus, clock);
  *   gameLoop.start();
  *   // Event listeners will receive TICK events every second
  *   gameLoop.stop();
  */
 import { Events } from './EventBus.js';
 
+/** Real-time frame rate for advancing the clock */
+const FRAME_RATE = 60;
+
+/** Largest real-time gap advanced in one frame (e.g. after the tab was throttled) */
+const MAX_FRAME_GAP = 60000;
+
 export class GameLoop {
   /**
-   * @param {import('./EventBus.js').EventBus} eventBus - EventBus instance for publishing tick events
+   * @param {import('./EventBus.js').EventBus} eventBus - EventBus instance for publishing manual ticks
+   * @param {import('./SimulationClock.js').SimulationClock} clock - Clock to advance
    */
-  constructor(eventBus) {
+  constructor(eventBus, clock) {
     this._eventBus = eventBus;
+    this._clock = clock;
 
-    /** @type {number|null} Main tick interval ID */
-    this._tickIntervalId = null;
+    /** @type {number|null} Frame interval ID */
+    this._frameIntervalId = null;
 
-    /** @type {number|null} Stipend tick interval ID */
-    this._stipendIntervalId = null;
+    /** @type {number} Real time of the previous frame */
+    this._lastFrameTime = 0;
 
     /** @type {boolean} Whether the game loop is running */
     this._isRunning = false;
-
-    /** @type {number} Tick count since start */
-    this._tickCount = 0;
-
-    // Configuration
-    this._tickInterval = 1000;      // 1 second for main tick
-    this._stipendInterval = 2000;   // 2 seconds for stipend tick
   }
 
   /**
@@ -43,23 +48,23 @@ export class GameLoop {
     }
 
     this._isRunning = true;
-    this._tickCount = 0;
-
-    // Main game tick (production, etc.)
-    this._tickIntervalId = setInterval(() => {
-      this._tickCount++;
-      this._eventBus.publish(Events.TICK, {
-        tickCount: this._tickCount,
-        timestamp: Date.now()
-      });
-    }, this._tickInterval);
-
-    // Stipend tick (every 2 seconds)
-    this._stipendIntervalId = setInterval(() => {
-      this._eventBus.publish(Events.STIPEND_TICK, {
-        timestamp: Date.now()
-      });
-    }, this._stipendInterval);
+    this._lastFrameTime = performance.now();
+
+    this._frameIntervalId = setInterval(() => this._frame(), 1000 / FRAME_RATE);
+  }
+
+  /**
+   * Advance the clock by the real time since the last frame
+   * @private
+   */
+  _frame() {
+    const now = performance.now();
+    const elapsed = Math.min(now - this._lastFrameTime, MAX_FRAME_GAP);
+    this._lastFrameTime = now;
+
+    if (elapsed > 0) {
+      this._clock.advance(elapsed);
+    }
   }
 
   /**
@@ -70,14 +75,9 @@ export class GameLoop {
       return;
     }
 
-    if (this._tickIntervalId !== null) {
-      clearInterval(this._tickIntervalId);
-      this._tickIntervalId = null;
-    }
-
-    if (this._stipendIntervalId !== null) {
-      clearInterval(this._stipendIntervalId);
-      this._stipendIntervalId = null;
+    if (this._frameIntervalId !== null) {
+      clearInterval(this._frameIntervalId);
+      this._frameIntervalId = null;
     }
 
     this._isRunning = false;
@@ -104,39 +104,40 @@ export class GameLoop {
    * @returns {number}
    */
   getTickCount() {
-    return this._tickCount;
+    return this._clock.getTickCount();
   }
 
   /**
-   * Set the main tick interval (requires restart to take effect)
+   * Get the simulation clock this loop drives
+   * @returns {import('./SimulationClock.js').SimulationClock}
+   */
+  getClock() {
+    return this._clock;
+  }
+
+  /**
+   * Set the main tick interval (takes effect from the next tick)
    * @param {number} ms - Interval in milliseconds
    */
   setTickInterval(ms) {
-    this._tickInterval = ms;
-    if (this._isRunning) {
-      this.restart();
-    }
+    this._clock.setTickInterval(ms);
   }
 
   /**
-   * Set the stipend tick interval (requires restart to take effect)
+   * Set the stipend tick interval (takes effect from the next stipend tick)
    * @param {number} ms - Interval in milliseconds
    */
   setStipendInterval(ms) {
-    this._stipendInterval = ms;
-    if (this._isRunning) {
-      this.restart();
-    }
+    this._clock.setStipendInterval(ms);
   }
 
   /**
    * Manually trigger a single tick (useful for testing)
    */
   manualTick() {
-    this._tickCount++;
     this._eventBus.publish(Events.TICK, {
-      tickCount: this._tickCount,
-      timestamp: Date.now(),
+      tickCount: this._clock.getTickCount(),
+      timestamp: this._clock.now(),
       manual: true
     });
   }
@@ -146,7 +147,7 @@ export class GameLoop {
    */
   manualStipendTick() {
     this._eventBus.publish(Events.STIPEND_TICK, {
-      timestamp: Date.now(),
+      timestamp: this._clock.now(),
       manual: true
     });
   }
@@ -0,0 +1,57 @@
+/**
+ * SeededRandom - Deterministic pseudo-random number generator (mulberry32)
+ *
+ * Usage:
+ *   const rng = new SeededRandom(42);
+ *   rng.next();          // float in [0, 1) - drop-in for Math.random()
+ *   rng.between(1, 6);   // integer in [1, 6]
+ *
+ * The same seed always yields the same sequence, so simulations can be replayed.
+ */
+export class SeededRandom {
+  /**
+   * @param {number} [seed=1] - Initial seed (coerced to an unsigned 32-bit integer)
+   */
+  constructor(seed = 1) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Reset the generator to a seed
+   * @param {number} seed
+   */
+  setSeed(seed) {
+    this._seed = seed >>> 0;
+    this._state = this._seed;
+  }
+
+  /**
+   * Get the seed the generator was started with
+   * @returns {number}
+   */
+  getSeed() {
+    return this._seed;
+  }
+
+  /**
+   * Get the next float in [0, 1)
+   * @returns {number}
+   */
+  next() {
+    this._state = (this._state + 0x6D2B79F5) >>> 0;
+    let t = this._state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Get a random integer between min and max (inclusive)
+   * @param {number} min
+   * @param {number} max
+   * @returns {number}
+   */
+  between(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+}
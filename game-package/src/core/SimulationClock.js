@@ -0,0 +1,283 @@
+/**
+ * SimulationClock - Deterministic simulated time that every service ticks from
+ *
+ * The clock never reads the wall clock. Time only moves when advance() is
+ * called, and everything that depends on time is driven from here:
+ *   - TICK events (production, processors, AI decisions)
+ *   - STIPEND_TICK events
+ *   - FRAME events (smooth character movement)
+ *   - setTimeout-style callbacks (merchant visits)
+ *   - random numbers (seeded, replayable)
+ *
+ * Usage (headless):
+ *   const clock = new SimulationClock(eventBus, { seed: 42, startTime: 0 });
+ *   clock.runTicks(100); // publishes 100 TICK and 50 STIPEND_TICK events synchronously
+ *
+ * In the browser, GameLoop advances the clock from real elapsed time.
+ */
+import { Events } from './EventBus.js';
+import { SeededRandom } from './SeededRandom.js';
+
+export class SimulationClock {
+  /**
+   * @param {import('./EventBus.js').EventBus} eventBus - EventBus for publishing clock events
+   * @param {Object} [options]
+   * @param {number} [options.startTime=0] - Simulated time at creation (ms)
+   * @param {number} [options.seed=1] - Seed for the random number generator
+   * @param {number} [options.tickInterval=1000] - Time between TICK events (ms)
+   * @param {number} [options.stipendInterval=2000] - Time between STIPEND_TICK events (ms)
+   * @param {number} [options.frameInterval=1000/60] - Largest step advance() takes at once (ms)
+   */
+  constructor(eventBus, options = {}) {
+    this._eventBus = eventBus;
+
+    /** @type {number} Current simulated time (ms) */
+    this._now = options.startTime ?? 0;
+
+    /** @type {number} Ticks published since creation */
+    this._tickCount = 0;
+
+    // Configuration
+    this._tickInterval = options.tickInterval || 1000;
+    this._stipendInterval = options.stipendInterval || 2000;
+    this._frameInterval = options.frameInterval || 1000 / 60;
+
+    /** @type {number} Time of next TICK */
+    this._nextTickAt = this._now + this._tickInterval;
+
+    /** @type {number} Time of next STIPEND_TICK */
+    this._nextStipendAt = this._now + this._stipendInterval;
+
+    /**
+     * Pending scheduled callbacks, kept sorted by due time
+     * @type {Array<{id: number, time: number, callback: Function}>}
+     */
+    this._timers = [];
+    this._nextTimerId = 1;
+
+    /** @type {SeededRandom} */
+    this._rng = new SeededRandom(options.seed ?? 1);
+  }
+
+  // ==========================================
+  // TIME
+  // ==========================================
+
+  /**
+   * Get current simulated time
+   * @returns {number} Milliseconds
+   */
+  now() {
+    return this._now;
+  }
+
+  /**
+   * Get number of ticks published so far
+   * @returns {number}
+   */
+  getTickCount() {
+    return this._tickCount;
+  }
+
+  /**
+   * Advance simulated time, firing every tick, timer and frame that falls due
+   * Large advances are split into frame-sized steps so movement stays smooth.
+   * @param {number} ms - Time to advance in milliseconds
+   */
+  advance(ms) {
+    let remaining = ms;
+    while (remaining > 0) {
+      const step = Math.min(remaining, this._frameInterval);
+      this._step(step);
+      remaining -= step;
+    }
+  }
+
+  /**
+   * Advance until the given number of ticks have been published
+   * @param {number} count - Number of ticks to run
+   */
+  runTicks(count) {
+    const target = this._tickCount + count;
+    while (this._tickCount < target) {
+      this.advance(this._nextTickAt - this._now);
+    }
+  }
+
+  /**
+   * Advance a single step: fire due events in time order, then publish a frame
+   * @param {number} dt - Step size in milliseconds
+   * @private
+   */
+  _step(dt) {
+    const end = this._now + dt;
+
+    // Fire everything due within this step, earliest first.
+    // Ties resolve as tick, then stipend, then timers.
+    for (;;) {
+      const nextTimer = this._timers.length > 0 ? this._timers[0].time : Infinity;
+      const next = Math.min(this._nextTickAt, this._nextStipendAt, nextTimer);
+      if (next > end) break;
+
+      this._now = next;
+      if (next === this._nextTickAt) {
+        this._fireTick();
+      } else if (next === this._nextStipendAt) {
+        this._fireStipendTick();
+      } else {
+        const timer = this._timers.shift();
+        timer.callback();
+      }
+    }
+
+    this._now = end;
+    this._eventBus.publish(Events.FRAME, {
+      dt: dt / 1000,
+      now: this._now
+    });
+  }
+
+  /**
+   * Publish a TICK and schedule the next one
+   * @private
+   */
+  _fireTick() {
+    this._tickCount++;
+    this._nextTickAt += this._tickInterval;
+    this._eventBus.publish(Events.TICK, {
+      tickCount: this._tickCount,
+      timestamp: this._now
+    });
+  }
+
+  /**
+   * Publish a STIPEND_TICK and schedule the next one
+   * @private
+   */
+  _fireStipendTick() {
+    this._nextStipendAt += this._stipendInterval;
+    this._eventBus.publish(Events.STIPEND_TICK, {
+      timestamp: this._now
+    });
+  }
+
+  // ==========================================
+  // INTERVALS
+  // ==========================================
+
+  /**
+   * Set the time between TICK events (next tick is rescheduled from now)
+   * @param {number} ms
+   */
+  setTickInterval(ms) {
+    this._tickInterval = ms;
+    this._nextTickAt = this._now + ms;
+  }
+
+  /**
+   * Get the time between TICK events
+   * @returns {number}
+   */
+  getTickInterval() {
+    return this._tickInterval;
+  }
+
+  /**
+   * Set the time between STIPEND_TICK events (next stipend tick is rescheduled from now)
+   * @param {number} ms
+   */
+  setStipendInterval(ms) {
+    this._stipendInterval = ms;
+    this._nextStipendAt = this._now + ms;
+  }
+
+  /**
+   * Get the time between STIPEND_TICK events
+   * @returns {number}
+   */
+  getStipendInterval() {
+    return this._stipendInterval;
+  }
+
+  // ==========================================
+  // SCHEDULED CALLBACKS
+  // ==========================================
+
+  /**
+   * Schedule a callback after a delay of simulated time
+   * @param {Function} callback
+   * @param {number} delay - Delay in milliseconds
+   * @returns {number} Timer ID (for clearTimeout)
+   */
+  setTimeout(callback, delay) {
+    const timer = {
+      id: this._nextTimerId++,
+      time: this._now + Math.max(0, delay),
+      callback
+    };
+
+    // Insert after any timers due at the same time so ties fire in schedule order
+    const index = this._timers.findIndex(t => t.time > timer.time);
+    if (index === -1) {
+      this._timers.push(timer);
+    } else {
+      this._timers.splice(index, 0, timer);
+    }
+
+    return timer.id;
+  }
+
+  /**
+   * Cancel a scheduled callback
+   * @param {number|null} id - Timer ID from setTimeout
+   */
+  clearTimeout(id) {
+    if (id === null || id === undefined) return;
+    this._timers = this._timers.filter(t => t.id !== id);
+  }
+
+  /**
+   * Cancel all scheduled callbacks
+   */
+  clearTimers() {
+    this._timers = [];
+  }
+
+  // ==========================================
+  // RANDOM NUMBERS
+  // ==========================================
+
+  /**
+   * Get a random float in [0, 1) from the seeded generator
+   * @returns {number}
+   */
+  random() {
+    return this._rng.next();
+  }
+
+  /**
+   * Get a random integer between min and max (inclusive)
+   * @param {number} min
+   * @param {number} max
+   * @returns {number}
+   */
+  randomInt(min, max) {
+    return this._rng.between(min, max);
+  }
+
+  /**
+   * Get the random seed
+   * @returns {number}
+   */
+  getSeed() {
+    return this._rng.getSeed();
+  }
+
+  /**
+   * Reseed the random number generator
+   * @param {number} seed
+   */
+  setSeed(seed) {
+    this._rng.setSeed(seed);
+  }
+}
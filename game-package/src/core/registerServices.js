@@ -0,0 +1,349 @@
+/**
+ * Service Registration
+ * Registers every game service that runs without a DOM
+ *
+ * main.js registers these and then adds UI controllers and renderers on top.
+ * createHeadlessContainer() builds the same services for Node scenarios:
+ *
+ *   const container = createHeadlessContainer({ seed: 42 });
+ *   container.get('buildingService').placeBuilding('wheat_farm', 0, 0);
+ *   container.get('clock').runTicks(100);
+ */
+
+import { EventBus } from './EventBus.js';
+import { ServiceContainer } from './ServiceContainer.js';
+import { GameLoop } from './GameLoop.js';
+import { SimulationClock } from './SimulationClock.js';
+import { coordinateService } from '../services/CoordinateService.js';
+import { GameStateService } from '../services/GameStateService.js';
+import { ResourceService } from '../services/ResourceService.js';
+import { BuildingService } from '../services/BuildingService.js';
+import { ProductionService } from '../services/ProductionService.js';
+import { ProcessorService } from '../services/ProcessorService.js';
+import { StipendService } from '../services/StipendService.js';
+import { MilestoneService } from '../services/MilestoneService.js';
+import { MerchantService } from '../services/MerchantService.js';
+import { MarketService } from '../services/MarketService.js';
+import { ContractService } from '../services/ContractService.js';
+import { StorageService } from '../services/StorageService.js';
+import { SaveLoadService } from '../services/SaveLoadService.js';
+import { OfflineProgressService } from '../services/OfflineProgressService.js';
+import { ResearchService } from '../services/ResearchService.js';
+import { PlotService } from '../services/PlotService.js';
+import { TerrainService } from '../services/TerrainService.js';
+import { RoadService } from '../services/RoadService.js';
+import { LogisticsService } from '../services/LogisticsService.js';
+import { PopulationService } from '../services/PopulationService.js';
+import { CameraService } from '../services/CameraService.js';
+import { CharacterService } from '../services/CharacterService.js';
+import { DropService } from '../services/DropService.js';
+import { CommandHistoryService } from '../services/CommandHistoryService.js';
+
+/**
+ * Services that subscribe to clock events in their constructors.
+ * They must be created before the clock runs, or they miss ticks.
+ */
+export const TICKING_SERVICES = [
+  'storageService',
+  'productionService',
+  'processorService',
+  'populationService',
+  'stipendService',
+  'milestoneService',
+  'merchantService',
+  'contractService',
+  'marketService',
+  'researchService',
+  'dropService'
+];
+
+/**
+ * Register all DOM-free services on a container
+ * @param {ServiceContainer} container
+ * @param {Object} options
+ * @param {EventBus} options.eventBus - EventBus shared by all services
+ * @param {number} [options.seed] - Random seed for the simulation clock
+ * @param {number} [options.startTime] - Simulated start time (ms)
+ * @param {Function} [options.onPlotExpanded] - Called after the plot grows (re-render hook)
+ * @param {Storage} [options.storage] - Save storage backend (defaults to localStorage)
+ * @returns {ServiceContainer} The same container
+ */
+export function registerServices(container, options) {
+  const { eventBus, seed, startTime, onPlotExpanded, storage } = options;
+
+  container.registerInstance('eventBus', eventBus);
+
+  // Simulated time - every tick, frame, timer and random number comes from here
+  container.register('clock', (c) => new SimulationClock(c.get('eventBus'), {
+    seed,
+    startTime
+  }));
+  container.register('gameLoop', (c) => new GameLoop(c.get('eventBus'), c.get('clock')));
+
+  // Phase 1 services
+  container.registerInstance('coordinateService', coordinateService);
+
+  // Phase 2 services
+  container.register('gameState', (c) => new GameStateService(c.get('eventBus')));
+  container.register('resourceService', (c) => new ResourceService(c.get('gameState'), c.get('eventBus')));
+
+  // Terrain - placement rules and yield bonuses
+  container.register('terrainService', (c) => new TerrainService(
+    c.get('gameState'),
+    c.get('eventBus')
+  ));
+
+  // Roads - villager speed and processor connectivity
+  container.register('roadService', (c) => new RoadService(
+    c.get('gameState'),
+    c.get('terrainService'),
+    c.get('resourceService'),
+    c.get('eventBus')
+  ));
+
+  // Phase 3 services
+  container.register('buildingService', (c) => {
+    const buildingService = new BuildingService(
+      c.get('gameState'),
+      c.get('resourceService'),
+      c.get('eventBus')
+    );
+    buildingService.setTerrainService(c.get('terrainService'));
+    // Bigger buildings need a bigger village
+    buildingService.setPopulationService(c.get('populationService'));
+    return buildingService;
+  });
+
+  // Undo/redo for player building actions
+  container.register('commandHistoryService', (c) => new CommandHistoryService(
+    c.get('gameState'),
+    c.get('buildingService'),
+    c.get('resourceService'),
+    c.get('processorService'),
+    c.get('eventBus')
+  ));
+
+  // Villagers, workplaces and population growth
+  container.register('populationService', (c) => new PopulationService(
+    c.get('gameState'),
+    c.get('resourceService'),
+    c.get('eventBus')
+  ));
+
+  // Phase 4 services
+  container.register('productionService', (c) => {
+    const productionService = new ProductionService(
+      c.get('gameState'),
+      c.get('resourceService'),
+      c.get('eventBus')
+    );
+    productionService.setTerrainService(c.get('terrainService'));
+    // Workplaces run slower until their worker slots are filled
+    productionService.setPopulationService(c.get('populationService'));
+    // Research synergies boost neighbouring buildings
+    productionService.setResearchService(c.get('researchService'));
+    return productionService;
+  });
+
+  // Phase F services (Crafting - Processor buildings)
+  container.register('processorService', (c) => {
+    const processorService = new ProcessorService(
+      c.get('gameState'),
+      c.get('resourceService'),
+      c.get('eventBus')
+    );
+    processorService.setTerrainService(c.get('terrainService'));
+    processorService.setRoadService(c.get('roadService'));
+    processorService.setPopulationService(c.get('populationService'));
+    // Research unlocks alternative recipes and synergy bonuses
+    processorService.setResearchService(c.get('researchService'));
+    return processorService;
+  });
+
+  // Logistics mode - villagers haul processor inputs from storage
+  container.register('logisticsService', (c) => {
+    const logisticsService = new LogisticsService(
+      c.get('gameState'),
+      c.get('processorService'),
+      c.get('resourceService'),
+      c.get('eventBus')
+    );
+    // Processors run from their hauled input buffers while it is on
+    c.get('processorService').setLogisticsService(logisticsService);
+    return logisticsService;
+  });
+
+  // Phase 5 services
+  container.register('stipendService', (c) => new StipendService(
+    c.get('gameState'),
+    c.get('eventBus')
+  ));
+  container.register('milestoneService', (c) => new MilestoneService(
+    c.get('gameState'),
+    c.get('resourceService'),
+    c.get('eventBus')
+  ));
+
+  // Phase 6 services
+  container.register('merchantService', (c) => {
+    const merchantService = new MerchantService(
+      c.get('gameState'),
+      c.get('resourceService'),
+      c.get('clock'),
+      c.get('eventBus')
+    );
+    merchantService.setStorageService(c.get('storageService'));
+    return merchantService;
+  });
+  // Delivery contracts offered by visiting merchants
+  container.register('contractService', (c) => new ContractService(
+    c.get('gameState'),
+    c.get('resourceService'),
+    c.get('merchantService'),
+    c.get('researchService'),
+    c.get('clock'),
+    c.get('eventBus')
+  ));
+  container.register('marketService', (c) => {
+    const marketService = new MarketService(
+      c.get('gameState'),
+      c.get('buildingService'),
+      c.get('resourceService'),
+      c.get('eventBus')
+    );
+    marketService.setStorageService(c.get('storageService'));
+    return marketService;
+  });
+
+  // Phase C services (Storage)
+  container.register('storageService', (c) => {
+    const storageService = new StorageService(c.get('gameState'));
+    // Wire up cross-references for clamping
+    c.get('gameState').setStorageService(storageService);
+    c.get('resourceService').setStorageService(storageService);
+    return storageService;
+  });
+
+  // Phase B services (Persistence)
+  container.register('saveLoadService', (c) => {
+    const saveLoadService = new SaveLoadService(
+      c.get('gameState'),
+      c.get('eventBus'),
+      storage
+    );
+    // Processor cycles, buffers and uncollected drops are saved alongside game state
+    saveLoadService.setProcessorService(c.get('processorService'));
+    saveLoadService.setDropService(c.get('dropService'));
+    // Play time shown in the slot browser is measured in simulated time
+    saveLoadService.setClock(c.get('clock'));
+    return saveLoadService;
+  });
+
+  // Offline progress (catch-up simulation on load)
+  container.register('offlineProgressService', (c) => {
+    const offlineProgressService = new OfflineProgressService(
+      c.get('gameState'),
+      c.get('resourceService'),
+      c.get('productionService'),
+      c.get('processorService'),
+      c.get('stipendService'),
+      c.get('merchantService'),
+      c.get('eventBus')
+    );
+    offlineProgressService.setPopulationService(c.get('populationService'));
+    offlineProgressService.setMarketService(c.get('marketService'));
+    offlineProgressService.setResearchService(c.get('researchService'));
+    offlineProgressService.setContractService(c.get('contractService'));
+    offlineProgressService.setClock(c.get('clock'));
+    return offlineProgressService;
+  });
+
+  // Phase E services (Research)
+  container.register('researchService', (c) => {
+    const researchService = new ResearchService(
+      c.get('gameState'),
+      c.get('resourceService'),
+      c.get('eventBus')
+    );
+    // Libraries speed research up once scholars work there
+    researchService.setPopulationService(c.get('populationService'));
+    return researchService;
+  });
+
+  // Phase E2 services (Plot Expansion)
+  container.register('plotService', (c) => {
+    const plotService = new PlotService(
+      c.get('gameState'),
+      c.get('researchService'),
+      c.get('eventBus')
+    );
+    plotService.setTerrainService(c.get('terrainService'));
+    // Set callback for re-rendering after expansion
+    if (onPlotExpanded) {
+      plotService.setExpandCallback(onPlotExpanded);
+    }
+    return plotService;
+  });
+
+  // Camera service (edge-panning and pan/zoom)
+  container.register('cameraService', (c) => new CameraService(
+    c.get('gameState'),
+    c.get('eventBus')
+  ));
+
+  // Character service (pathfinding and movement)
+  container.register('characterService', (c) => {
+    const characterService = new CharacterService(
+      c.get('gameState'),
+      c.get('buildingService'),
+      c.get('clock'),
+      c.get('eventBus')
+    );
+    // Roads make villagers faster and are preferred by pathfinding
+    characterService.setRoadService(c.get('roadService'));
+    // Idle villagers haul processor inputs in logistics mode
+    characterService.setLogisticsService(c.get('logisticsService'));
+    // Villagers with a workplace go to work; the rest haul
+    characterService.setPopulationService(c.get('populationService'));
+    return characterService;
+  });
+
+  // Phase G - Drop service (collection system)
+  container.register('dropService', (c) => {
+    const dropService = new DropService(
+      c.get('gameState'),
+      c.get('resourceService'),
+      c.get('processorService'),
+      c.get('coordinateService'),
+      c.get('clock'),
+      c.get('eventBus')
+    );
+    // Wire CharacterService to DropService for villager AI
+    c.get('characterService').setDropService(dropService);
+    return dropService;
+  });
+
+  return container;
+}
+
+/**
+ * Build a container with all DOM-free services for headless simulation
+ * Ticking services are created up front so the clock drives them immediately.
+ * @param {Object} [options]
+ * @param {number} [options.seed=1] - Random seed
+ * @param {number} [options.startTime=0] - Simulated start time (ms)
+ * @param {Storage} [options.storage] - Save storage backend (defaults to localStorage)
+ * @returns {ServiceContainer}
+ */
+export function createHeadlessContainer(options = {}) {
+  const container = new ServiceContainer();
+  registerServices(container, {
+    eventBus: new EventBus(),
+    seed: options.seed ?? 1,
+    startTime: options.startTime ?? 0,
+    storage: options.storage
+  });
+
+  TICKING_SERVICES.forEach(name => container.get(name));
+  return container;
+}
@@ -28,6 +28,7 @@
  * Phase 6: Merchant & Market Services
  * - MerchantService for traveling merchant
  * - MarketService for permanent market trading
+ * - ContractService for merchant delivery contracts
  *
  * Phase 7: Renderers
  * - TileRenderer for isometric ground tiles
@@ -52,6 +53,9 @@
 import { EventBus, eventBus, Events } from './core/EventBus.js';
 import { ServiceContainer, container } from './core/ServiceContainer.js';
 import { GameLoop } from './core/GameLoop.js';
+import { SimulationClock } from './core/SimulationClock.js';
+import { SeededRandom } from './core/SeededRandom.js';
+import { registerServices, createHeadlessContainer } from './core/registerServices.js';
 
 // Models (Phase 1)
 import { Building } from './models/Building.js';
@@ -81,12 +85,16 @@ import { MilestoneService } from './services/MilestoneService.js';
 // Services (Phase 6)
 import { MerchantService } from './services/MerchantService.js';
 import { MarketService } from './services/MarketService.js';
+import { ContractService } from './services/ContractService.js';
 
 // Services (Phase C - Storage)
 import { StorageService } from './services/StorageService.js';
 
 // Services (Phase B - Persistence)
 import { SaveLoadService } from './services/SaveLoadService.js';
+import { SaveValidator } from './services/SaveValidator.js';
+import { SaveMigrator } from './services/SaveMigrator.js';
+import { SAVE_MIGRATIONS } from './services/SaveMigrations.js';
 
 // Services (Phase E - Research)
 import { ResearchService } from './services/ResearchService.js';
@@ -94,6 +102,17 @@ import { ResearchService } from './services/ResearchService.js';
 // Services (Phase E2 - Plot Expansion)
 import { PlotService } from './services/PlotService.js';
 
+// Services (Terrain)
+import { TerrainService } from './services/TerrainService.js';
+import { generateTerrain } from './services/MapGenerator.js';
+import { RoadService } from './services/RoadService.js';
+
+// Services (Logistics)
+import { LogisticsService } from './services/LogisticsService.js';
+
+// Services (Population)
+import { PopulationService } from './services/PopulationService.js';
+
 // Services (Camera)
 import { CameraService } from './services/CameraService.js';
 
@@ -102,6 +121,10 @@ import { CharacterService } from './services/CharacterService.js';
 
 // Services (Phase G - Collection System)
 import { DropService } from './services/DropService.js';
+import { CommandHistoryService } from './services/CommandHistoryService.js';
+
+// Services (Offline Progress)
+import { OfflineProgressService } from './services/OfflineProgressService.js';
 
 // UI Controllers (Phase 8)
 import { PlacementController } from './ui/PlacementController.js';
@@ -122,6 +145,12 @@ import { MilestonePanelController } from './ui/MilestonePanelController.js';
 import { MarketPanelController } from './ui/MarketPanelController.js';
 import { BuildingInfoController } from './ui/BuildingInfoController.js';
 import { ResearchPanelController } from './ui/ResearchPanelController.js';
+import { LogisticsController } from './ui/LogisticsController.js';
+import { WorkersPanelController } from './ui/WorkersPanelController.js';
+import { ContractPanelController } from './ui/ContractPanelController.js';
+
+// UI Controllers (Offline Progress)
+import { OfflineSummaryController } from './ui/OfflineSummaryController.js';
 
 // UI Integration (Phase 9)
 import { UIIntegration } from './ui/UIIntegration.js';
@@ -149,6 +178,8 @@ import {
   BUILDINGS,
   GOLD_PRODUCERS,
   getBuildingDef,
+  getBuildingFootprint,
+  buildingOccupiesTile,
   getBuildingTypes,
   MILESTONES,
   countBuildings,
@@ -156,9 +187,15 @@ import {
   getMilestoneIds,
   getMilestoneCount,
   MERCHANT_CONFIG,
+  MERCHANT_ARCHETYPES,
+  DEFAULT_MERCHANT_ARCHETYPE,
+  CONTRACT_CONFIG,
   MARKET_CONFIG,
   getMarketPrice,
+  getMarketElasticity,
   getMerchantPrice,
+  getMerchantArchetype,
+  getMerchantContract,
   getMerchantMaxPerVisit
 } from './config/index.js';
 
@@ -176,6 +213,21 @@ window.cancelPlacement = () => container.get('placementController').cancel();
 window.toggleDemolishMode = () => container.get('placementController').toggleDemolishMode();
 window.cancelDemolish = () => container.get('placementController').cancelDemolish();
 
+// Move Mode - for move button onclick handlers
+window.toggleMoveMode = () => container.get('placementController').toggleMoveMode();
+window.cancelMove = () => container.get('placementController').cancelMove();
+
+// Road Mode - for road button onclick handlers
+window.toggleRoadMode = () => container.get('placementController').toggleRoadMode();
+window.cancelRoad = () => container.get('placementController').cancelRoad();
+
+// Logistics Mode - for hauling toggle onclick handler
+window.toggleLogistics = () => container.get('logisticsController').toggle();
+
+// Undo/Redo - for history button onclick handlers (Ctrl+Z / Ctrl+Shift+Z handled by PlacementController)
+window.undoAction = () => container.get('placementController').undo();
+window.redoAction = () => container.get('placementController').redo();
+
 // Tab Controller - for tab button onclick handlers
 window.switchTab = (tabName) => container.get('tabController').switchTab(tabName);
 window.switchLeftTab = (tabName) => container.get('tabController').switchLeftTab(tabName);
@@ -190,6 +242,13 @@ window.sellToMerchant = (resource, amount) => {
     container.get('merchantPanelController').onSale();
   }
 };
+window.buyFromMerchant = (resource, amount) => {
+  const merchantService = container.get('merchantService');
+  const result = merchantService.buy(resource, amount);
+  if (result.success) {
+    container.get('merchantPanelController').onSale();
+  }
+};
 
 // Debug Controller - for debug button onclick handlers
 window.toggleTiles = () => container.get('debugController').toggleTiles();
@@ -199,10 +258,16 @@ window.copyDebugValues = () => container.get('debugController').copyValues();
 
 // Dev Panel Controller - for dev panel onclick handlers
 window.devSaveNow = () => container.get('devPanelController').saveNow();
-window.devLoadSave = () => container.get('devPanelController').loadSave();
-window.devClearSave = () => container.get('devPanelController').clearSave();
+window.devCreateSlot = () => container.get('devPanelController').createSlot();
+window.devLoadSlot = (slotId) => container.get('devPanelController').loadSlot(slotId);
+window.devRenameSlot = (slotId) => container.get('devPanelController').renameSlot(slotId);
+window.devDuplicateSlot = (slotId) => container.get('devPanelController').duplicateSlot(slotId);
+window.devDeleteSlot = (slotId) => container.get('devPanelController').deleteSlot(slotId);
+window.devNewGame = () => container.get('devPanelController').newGame();
+window.devCopyMapSeed = () => container.get('devPanelController').copyMapSeed();
 window.devExportSave = () => container.get('devPanelController').exportSave();
 window.devImportSave = () => container.get('devPanelController').importSave();
+window.devPreviewImport = () => container.get('devPanelController').previewImport();
 window.devToggleAutosave = () => container.get('devPanelController').toggleAutosave();
 window.devSetSpeed = (idx) => container.get('devPanelController').setSpeed(idx);
 window.devSpawnResource = (type) => container.get('devPanelController').spawnResource(type);
@@ -228,6 +293,13 @@ window.collectDrop = (dropId) => container.get('dropService').collectDrop(dropId
 window.getDrops = () => container.get('dropService').getDrops();
 window.getReadyProcessors = () => container.get('processorService').getReadyProcessors();
 
+// Research Panel Controller - for the research tree graph
+window.openResearchTree = () => container.get('researchPanelController').openTree();
+window.closeResearchTree = () => container.get('researchPanelController').closeTree();
+
+// Offline Summary Controller - for "While you were away" panel
+window.closeOfflineSummary = () => container.get('offlineSummaryController').close();
+
 // Game Controller - initialization and reset
 window.initializeUI = () => {
   const gameController = container.get('gameController');
@@ -242,140 +314,45 @@ window.resetGame = () => {
 // ==========================================
 // SERVICE CONTAINER SETUP
 // ==========================================
-// Register core services (more will be added in later phases)
-
-container.registerInstance('eventBus', eventBus);
-container.register('gameLoop', (c) => new GameLoop(c.get('eventBus')));
-
-// Phase 1 services
-container.registerInstance('coordinateService', coordinateService);
-
-// Phase 2 services
-container.register('gameState', (c) => new GameStateService(c.get('eventBus')));
-container.register('resourceService', (c) => new ResourceService(c.get('gameState'), c.get('eventBus')));
-
-// Phase 3 services
-container.register('buildingService', (c) => new BuildingService(
-  c.get('gameState'),
-  c.get('resourceService'),
-  c.get('eventBus')
-));
-
-// Phase 4 services
-container.register('productionService', (c) => new ProductionService(
-  c.get('gameState'),
-  c.get('resourceService'),
-  c.get('eventBus')
-));
+// DOM-free services are registered by core/registerServices.js
+// (shared with headless simulation); UI controllers and renderers follow.
 
-// Phase F services (Crafting - Processor buildings)
-container.register('processorService', (c) => new ProcessorService(
-  c.get('gameState'),
-  c.get('resourceService'),
-  c.get('eventBus')
-));
+// Random seed can be pinned with ?seed=123 to replay a session
+const seedParam = new URLSearchParams(window.location.search).get('seed');
 
-// Phase 5 services
-container.register('stipendService', (c) => new StipendService(
-  c.get('gameState'),
-  c.get('eventBus')
-));
-container.register('milestoneService', (c) => new MilestoneService(
-  c.get('gameState'),
-  c.get('resourceService'),
-  c.get('eventBus')
-));
+// New games get a random map unless ?map=123 picks a shared one
+const mapParam = new URLSearchParams(window.location.search).get('map');
+const mapSeed = mapParam ? Number(mapParam) : Math.floor(Math.random() * 1000000);
 
-// Phase 6 services
-container.register('merchantService', (c) => new MerchantService(
-  c.get('gameState'),
-  c.get('resourceService'),
-  c.get('eventBus')
-));
-container.register('marketService', (c) => new MarketService(
-  c.get('gameState'),
-  c.get('buildingService'),
-  c.get('resourceService'),
-  c.get('eventBus')
-));
-
-// Phase C services (Storage)
-container.register('storageService', (c) => {
-  const storageService = new StorageService(c.get('gameState'));
-  // Wire up cross-references for clamping
-  c.get('gameState').setStorageService(storageService);
-  c.get('resourceService').setStorageService(storageService);
-  return storageService;
-});
-
-// Phase B services (Persistence)
-container.register('saveLoadService', (c) => new SaveLoadService(
-  c.get('gameState'),
-  c.get('eventBus')
-));
-
-// Phase E services (Research)
-container.register('researchService', (c) => new ResearchService(
-  c.get('gameState'),
-  c.get('resourceService'),
-  c.get('eventBus')
-));
-
-// Phase E2 services (Plot Expansion)
-container.register('plotService', (c) => {
-  const plotService = new PlotService(
-    c.get('gameState'),
-    c.get('researchService'),
-    c.get('eventBus')
-  );
-  // Set callback for re-rendering after expansion
-  plotService.setExpandCallback(() => {
-    c.get('tileRenderer').render();
-    c.get('buildingRenderer').render();
-    c.get('debugRenderer').render();
-  });
-  return plotService;
+registerServices(container, {
+  eventBus,
+  seed: seedParam !== null ? Number(seedParam) : Date.now(),
+  startTime: Date.now(),
+  onPlotExpanded: () => {
+    container.get('tileRenderer').render();
+    container.get('buildingRenderer').render();
+    container.get('debugRenderer').render();
+  }
 });
 
-// Camera service (edge-panning and pan/zoom)
-container.register('cameraService', (c) => new CameraService(
-  c.get('gameState'),
-  c.get('eventBus')
-));
-
-// Character service (pathfinding and movement)
-container.register('characterService', (c) => new CharacterService(
-  c.get('gameState'),
-  c.get('buildingService'),
-  c.get('eventBus')
-));
-
-// Phase G - Drop service (collection system)
-container.register('dropService', (c) => {
-  const dropService = new DropService(
-    c.get('gameState'),
+// Phase 8 UI Controllers
+// Note: These require DOM elements, so they're created but not initialized until DOM ready
+container.register('placementController', (c) => {
+  const placementController = new PlacementController(
+    c.get('buildingService'),
     c.get('resourceService'),
-    c.get('processorService'),
     c.get('coordinateService'),
-    c.get('eventBus')
+    c.get('eventBus'),
+    () => c.get('buildingRenderer').render(), // Direct call to BuildingRenderer
+    c.get('researchService'), // Research service for building unlock checks
+    c.get('cameraService'), // Camera service for pan offset correction
+    c.get('commandHistoryService') // Undo/redo history for place, upgrade and demolish
   );
-  // Wire CharacterService to DropService for villager AI
-  c.get('characterService').setDropService(dropService);
-  return dropService;
+  placementController.setRoadService(c.get('roadService')); // Road mode
+  placementController.setPopulationService(c.get('populationService')); // minPopulation locks
+  return placementController;
 });
 
-// Phase 8 UI Controllers
-// Note: These require DOM elements, so they're created but not initialized until DOM ready
-container.register('placementController', (c) => new PlacementController(
-  c.get('buildingService'),
-  c.get('resourceService'),
-  c.get('coordinateService'),
-  c.get('eventBus'),
-  () => c.get('buildingRenderer').render(), // Direct call to BuildingRenderer
-  c.get('researchService'), // Research service for building unlock checks
-  c.get('cameraService') // Camera service for pan offset correction
-));
-
 container.register('tabController', (c) => new TabController(
   () => c.get('placementController').renderBuildList()
 ));
@@ -441,12 +418,20 @@ container.register('marketPanelController', (c) => new MarketPanelController(
   c.get('eventBus')
 ));
 
-container.register('buildingInfoController', (c) => new BuildingInfoController(
-  c.get('gameState'),
-  c.get('productionService'),
-  c.get('eventBus'),
-  c.get('processorService')
-));
+container.register('buildingInfoController', (c) => {
+  const buildingInfoController = new BuildingInfoController(
+    c.get('gameState'),
+    c.get('productionService'),
+    c.get('eventBus'),
+    c.get('processorService')
+  );
+  buildingInfoController.setTerrainService(c.get('terrainService'));
+  buildingInfoController.setRoadService(c.get('roadService'));
+  buildingInfoController.setLogisticsService(c.get('logisticsService'));
+  buildingInfoController.setPopulationService(c.get('populationService'));
+  buildingInfoController.setResearchService(c.get('researchService'));
+  return buildingInfoController;
+});
 
 container.register('researchPanelController', (c) => new ResearchPanelController(
   c.get('researchService'),
@@ -454,10 +439,33 @@ container.register('researchPanelController', (c) => new ResearchPanelController
   c.get('eventBus')
 ));
 
+container.register('logisticsController', (c) => new LogisticsController(
+  c.get('logisticsService'),
+  c.get('eventBus')
+));
+
+container.register('workersPanelController', (c) => new WorkersPanelController(
+  c.get('populationService'),
+  c.get('eventBus')
+));
+
+container.register('contractPanelController', (c) => new ContractPanelController(
+  c.get('contractService'),
+  c.get('merchantService'),
+  c.get('eventBus')
+));
+
+container.register('offlineSummaryController', (c) => new OfflineSummaryController(
+  c.get('offlineProgressService'),
+  c.get('resourceService'),
+  c.get('eventBus')
+));
+
 // Phase 10 Game Controller
 container.register('gameController', (c) => new GameController(
   c,  // Pass container for access to all services
-  c.get('eventBus')
+  c.get('eventBus'),
+  { mapSeed }
 ));
 
 // Phase 7 Renderers
@@ -488,6 +496,15 @@ container.register('buildingHoverController', (c) => {
       return;
     }
 
+    // Move mode: first click picks the building up, the drop click is handled by PlacementController
+    if (placementController.isMoveMode()) {
+      const building = c.get('buildingService').getBuildingByIndex(index);
+      if (building && !placementController.isMovingBuilding()) {
+        placementController.pickUpBuilding(building);
+      }
+      return;
+    }
+
     // Check if demolish mode is active
     if (placementController.isDemolishMode()) {
       const building = c.get('buildingService').getBuildingByIndex(index);
@@ -511,8 +528,8 @@ container.register('buildingHoverController', (c) => {
       return;
     }
 
-    // Normal mode: Delegate to buildingService for upgrade
-    const result = c.get('buildingService').upgradeBuilding(index);
+    // Normal mode: Upgrade through the command history so it can be undone
+    const result = c.get('commandHistoryService').upgradeBuilding(index);
     if (result.success) {
       const building = c.get('buildingService').getBuildingByIndex(index);
       const def = c.get('buildingService').getBuildingDef?.(building.type) ||
@@ -588,6 +605,10 @@ export {
   EventBus,
   ServiceContainer,
   GameLoop,
+  SimulationClock,
+  SeededRandom,
+  registerServices,
+  createHeadlessContainer,
   // Models (Phase 1)
   Building,
   Position,
@@ -602,6 +623,7 @@ export {
   ResourceService,
   // Services (Phase 3)
   BuildingService,
+  CommandHistoryService,
   // Services (Phase 4)
   ProductionService,
   // Services (Phase F - Crafting)
@@ -612,20 +634,34 @@ export {
   // Services (Phase 6)
   MerchantService,
   MarketService,
+  ContractService,
   // Services (Phase C - Storage)
   StorageService,
   // Services (Phase B - Persistence)
   SaveLoadService,
+  SaveValidator,
+  SaveMigrator,
+  SAVE_MIGRATIONS,
   // Services (Phase E - Research)
   ResearchService,
   // Services (Phase E2 - Plot)
   PlotService,
+  // Services (Terrain)
+  TerrainService,
+  generateTerrain,
+  RoadService,
+  // Services (Logistics)
+  LogisticsService,
+  // Services (Population)
+  PopulationService,
   // Services (Camera)
   CameraService,
   // Services (Characters)
   CharacterService,
   // Services (Phase G - Collection System)
   DropService,
+  // Services (Offline Progress)
+  OfflineProgressService,
   // UI Controllers (Phase 8)
   PlacementController,
   TabController,
@@ -642,6 +678,11 @@ export {
   MarketPanelController,
   BuildingInfoController,
   ResearchPanelController,
+  LogisticsController,
+  WorkersPanelController,
+  ContractPanelController,
+  // UI Controllers (Offline Progress)
+  OfflineSummaryController,
   // UI Integration (Phase 9)
   UIIntegration,
   // Game Controller (Phase 10)
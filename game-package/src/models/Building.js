@@ -3,8 +3,7 @@
  * Represents a placed building in the game world
  */
 
-import { BUILDING_FOOTPRINT } from '../config/index.js';
-import { getBuildingDef } from '../config/index.js';
+import { getBuildingDef, getBuildingFootprint } from '../config/index.js';
 
 export class Building {
   /**
@@ -40,11 +39,11 @@ export class Building {
   }
 
   /**
-   * Get the footprint size (buildings occupy NxN tiles)
-   * @returns {number}
+   * Get the footprint declared by this building type
+   * @returns {{rows: number, cols: number}}
    */
   getFootprint() {
-    return BUILDING_FOOTPRINT;
+    return getBuildingFootprint(this.type);
   }
 
   /**
@@ -52,9 +51,10 @@ export class Building {
    * @returns {Array<{row: number, col: number}>}
    */
   getOccupiedTiles() {
+    const { rows, cols } = this.getFootprint();
     const tiles = [];
-    for (let dr = 0; dr < BUILDING_FOOTPRINT; dr++) {
-      for (let dc = 0; dc < BUILDING_FOOTPRINT; dc++) {
+    for (let dr = 0; dr < rows; dr++) {
+      for (let dc = 0; dc < cols; dc++) {
         tiles.push({ row: this.row + dr, col: this.col + dc });
       }
     }
@@ -68,11 +68,12 @@ export class Building {
    * @returns {boolean}
    */
   occupiesTile(row, col) {
+    const footprint = this.getFootprint();
     return (
       row >= this.row &&
-      row < this.row + BUILDING_FOOTPRINT &&
+      row < this.row + footprint.rows &&
       col >= this.col &&
-      col < this.col + BUILDING_FOOTPRINT
+      col < this.col + footprint.cols
     );
   }
 
@@ -81,10 +82,10 @@ export class Building {
    * @returns {{row: number, col: number}}
    */
   getCenter() {
-    const offset = (BUILDING_FOOTPRINT - 1) / 2;
+    const { rows, cols } = this.getFootprint();
     return {
-      row: this.row + offset,
-      col: this.col + offset
+      row: this.row + (rows - 1) / 2,
+      col: this.col + (cols - 1) / 2
     };
   }
 
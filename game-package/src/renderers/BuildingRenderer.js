@@ -3,7 +3,7 @@
  * Renders placed buildings with sprites/emojis and level badges
  */
 
-import { BUILDINGS, ASSETS, EMOJI_FALLBACKS, TILE_CONFIG, BUILDING_FOOTPRINT } from '../config/index.js';
+import { BUILDINGS, ASSETS, EMOJI_FALLBACKS, TILE_CONFIG, getBuildingFootprint } from '../config/index.js';
 
 export class BuildingRenderer {
   /**
@@ -106,8 +106,9 @@ export class BuildingRenderer {
     const level = building.level + 1; // Convert 0-indexed to display
     const assetPath = ASSETS[building.type]?.[level];
 
-    // Get position using gridToPixel
-    const pos = this._coordinateService.gridToPixel(building.row, building.col, true);
+    // Get position using gridToPixel - sized and depth-sorted by the footprint
+    const footprint = getBuildingFootprint(building.type);
+    const pos = this._coordinateService.gridToPixel(building.row, building.col, true, footprint);
 
     // Create container
     const slot = document.createElement('div');
@@ -116,6 +117,7 @@ export class BuildingRenderer {
     slot.style.left = `${pos.x}px`;
     slot.style.top = `${pos.y}px`;
     slot.style.zIndex = Math.floor(pos.z);
+    slot.style.setProperty('--building-size', `${pos.size}px`);
 
     // Try to load image asset, fallback to emoji
     if (assetPath) {
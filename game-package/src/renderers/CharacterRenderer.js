@@ -10,6 +10,7 @@
 import { AnimatedSprite } from '../models/AnimatedSprite.js';
 import { TILE_CONFIG } from '../config/index.js';
 import { RESOURCES } from '../config/resources.config.js';
+import { MOVING_STATES } from '../services/CharacterService.js';
 
 // Character sprite configuration
 const CHARACTER_SPRITES = {
@@ -250,7 +251,7 @@ export class CharacterRenderer {
     container.style.zIndex = zIndex;
 
     // Update animation state
-    if (character.state === 'walking') {
+    if (MOVING_STATES.includes(character.state) && character.path.length > 0) {
       if (animator.getState() !== 'walk') {
         animator.setState('walk');
       }
@@ -60,7 +60,12 @@ export class TileRenderer {
     const tileClasses = {
       [TILE.GRASS]: 'tile-grass',
       [TILE.COBBLE]: 'tile-cobble',
-      [TILE.DIRT]: 'tile-dirt'
+      [TILE.DIRT]: 'tile-dirt',
+      [TILE.FOREST]: 'tile-forest',
+      [TILE.ROCK]: 'tile-rock',
+      [TILE.WATER]: 'tile-water',
+      [TILE.FERTILE]: 'tile-fertile',
+      [TILE.ROAD]: 'tile-road'
     };
     return tileClasses[tileType] || 'tile-grass';
   }
@@ -4,7 +4,13 @@
  */
 
 import { Events } from '../core/EventBus.js';
-import { TILE_CONFIG, BUILDING_FOOTPRINT, getBuildingDef, GOLD_PRODUCERS } from '../config/index.js';
+import {
+  TILE_CONFIG,
+  getBuildingDef,
+  getBuildingFootprint,
+  buildingOccupiesTile,
+  GOLD_PRODUCERS
+} from '../config/index.js';
 
 export class BuildingService {
   /**
@@ -16,6 +22,24 @@ export class BuildingService {
     this._gameState = gameState;
     this._resourceService = resourceService;
     this._eventBus = eventBus;
+    this._terrainService = null;  // Set via setTerrainService()
+    this._populationService = null; // Set via setPopulationService()
+  }
+
+  /**
+   * Set the terrain service (enables terrain placement rules)
+   * @param {import('./TerrainService.js').TerrainService} terrainService
+   */
+  setTerrainService(terrainService) {
+    this._terrainService = terrainService;
+  }
+
+  /**
+   * Set the population service (enables minPopulation requirements)
+   * @param {import('./PopulationService.js').PopulationService} populationService
+   */
+  setPopulationService(populationService) {
+    this._populationService = populationService;
   }
 
   // ==========================================
@@ -54,7 +78,7 @@ export class BuildingService {
    * @returns {Object|null} Building object or null
    */
   getBuildingAt(row, col) {
-    return this._gameState.getBuildingAt(row, col, BUILDING_FOOTPRINT);
+    return this._gameState.getBuildingAt(row, col);
   }
 
   /**
@@ -65,10 +89,7 @@ export class BuildingService {
    */
   getBuildingIndexAt(row, col) {
     const buildings = this._gameState.getBuildings();
-    return buildings.findIndex(b =>
-      row >= b.row && row < b.row + BUILDING_FOOTPRINT &&
-      col >= b.col && col < b.col + BUILDING_FOOTPRINT
-    );
+    return buildings.findIndex(b => buildingOccupiesTile(b, row, col));
   }
 
   /**
@@ -101,15 +122,19 @@ export class BuildingService {
 
   /**
    * Get set of tile positions occupied by built buildings
+   * @param {number} [ignoreIndex=-1] - Building to leave out (one being moved)
    * @returns {Set<string>} Set of "row,col" strings
    */
-  getOccupiedTiles() {
+  getOccupiedTiles(ignoreIndex = -1) {
     const occupied = new Set();
     const buildings = this._gameState.getBuildings();
 
-    buildings.forEach(building => {
-      for (let dr = 0; dr < BUILDING_FOOTPRINT; dr++) {
-        for (let dc = 0; dc < BUILDING_FOOTPRINT; dc++) {
+    buildings.forEach((building, index) => {
+      if (index === ignoreIndex) return;
+
+      const { rows, cols } = getBuildingFootprint(building.type);
+      for (let dr = 0; dr < rows; dr++) {
+        for (let dc = 0; dc < cols; dc++) {
           occupied.add(`${building.row + dr},${building.col + dc}`);
         }
       }
@@ -136,31 +161,54 @@ export class BuildingService {
    * Check if a building can be placed at the specified position
    * @param {number} row - Grid row
    * @param {number} col - Grid column
+   * @param {number} [ignoreIndex=-1] - Building whose own tiles don't count (when moving it)
+   * @param {string} [type] - Building type whose footprint and terrain rules are checked
+   *   (defaults to the ignored building's type, else a plain 2x2)
    * @returns {boolean}
    */
-  canPlaceAt(row, col) {
+  canPlaceAt(row, col, ignoreIndex = -1, type = null) {
     const { rows, cols } = TILE_CONFIG;
+    const buildingType = type ?? this.getBuildingByIndex(ignoreIndex)?.type;
+    const footprint = getBuildingFootprint(buildingType);
 
     // Check bounds - building needs footprint space
     if (row < 0 || col < 0 ||
-        row + BUILDING_FOOTPRINT > rows ||
-        col + BUILDING_FOOTPRINT > cols) {
+        row + footprint.rows > rows ||
+        col + footprint.cols > cols) {
       return false;
     }
 
     // Check for collisions with existing buildings
-    const occupied = this.getOccupiedTiles();
-    for (let dr = 0; dr < BUILDING_FOOTPRINT; dr++) {
-      for (let dc = 0; dc < BUILDING_FOOTPRINT; dc++) {
+    const occupied = this.getOccupiedTiles(ignoreIndex);
+    for (let dr = 0; dr < footprint.rows; dr++) {
+      for (let dc = 0; dc < footprint.cols; dc++) {
         if (occupied.has(`${row + dr},${col + dc}`)) {
           return false;
         }
       }
     }
 
+    // Terrain must be buildable and meet the building's needs
+    if (this._terrainService && buildingType) {
+      return this._terrainService.canBuildAt(buildingType, row, col);
+    }
+
     return true;
   }
 
+  /**
+   * Explain a failed placement - the terrain rule if one applies, else the fallback
+   * @param {string} type
+   * @param {number} row
+   * @param {number} col
+   * @param {string} fallback - Message for bounds and collisions
+   * @returns {string}
+   * @private
+   */
+  _placementError(type, row, col, fallback) {
+    return this._terrainService?.getPlacementError(type, row, col) || fallback;
+  }
+
   /**
    * Check if a building type can be built (unlocked and affordable)
    * @param {string} type - Building type
@@ -176,6 +224,9 @@ export class BuildingService {
     if (!this._resourceService.isUnlocked(def.unlockReq)) {
       return { canBuild: false, reason: 'Requirements not met' };
     }
+    if (this._populationService && !this._populationService.hasPopulationFor(type)) {
+      return { canBuild: false, reason: `Needs ${def.minPopulation} villagers` };
+    }
 
     // Check affordability
     if (!this._resourceService.canAfford(def.baseCost)) {
@@ -208,8 +259,8 @@ export class BuildingService {
     }
 
     // Check if placement is valid
-    if (!this.canPlaceAt(row, col)) {
-      return { success: false, error: 'Cannot place building here!' };
+    if (!this.canPlaceAt(row, col, -1, type)) {
+      return { success: false, error: this._placementError(type, row, col, 'Cannot place building here!') };
     }
 
     // Deduct cost
@@ -240,6 +291,85 @@ export class BuildingService {
     return { success: true, error: null };
   }
 
+  /**
+   * Put back a building that was removed, without charging for it (undo/redo)
+   * The building is appended, so other buildings keep their indices.
+   * @param {{type: string, row: number, col: number, level: number}} building
+   * @returns {{success: boolean, error: string|null, index: number}}
+   */
+  restoreBuilding(building) {
+    const def = getBuildingDef(building.type);
+    if (!def) {
+      return { success: false, error: 'Unknown building type', index: -1 };
+    }
+
+    if (!this.canPlaceAt(building.row, building.col, -1, building.type)) {
+      return { success: false, error: `Cannot put ${def.name} back - the spot is taken`, index: -1 };
+    }
+
+    const restored = {
+      type: building.type,
+      row: building.row,
+      col: building.col,
+      level: building.level
+    };
+    this._gameState.addBuilding(restored);
+
+    this._eventBus.publish(Events.BUILDING_PLACED, {
+      building: { ...restored },
+      type: restored.type,
+      row: restored.row,
+      col: restored.col,
+      isGoldProducer: GOLD_PRODUCERS.includes(restored.type),
+      isMarket: restored.type === 'market',
+      restored: true
+    });
+
+    return { success: true, error: null, index: this._gameState.getBuildings().length - 1 };
+  }
+
+  // ==========================================
+  // BUILDING RELOCATION (MOVE)
+  // ==========================================
+
+  /**
+   * Move a building to a new position, keeping its level and index
+   * Processor state is keyed by index, so cycles and buffers carry over.
+   * @param {number} index - Building index
+   * @param {number} row - New grid row
+   * @param {number} col - New grid column
+   * @returns {{success: boolean, error: string|null}}
+   */
+  moveBuilding(index, row, col) {
+    const building = this._gameState.getBuildings()[index];
+    if (!building) {
+      return { success: false, error: 'Building not found' };
+    }
+
+    const fromRow = building.row;
+    const fromCol = building.col;
+    if (row === fromRow && col === fromCol) {
+      return { success: false, error: 'Building is already here' };
+    }
+
+    if (!this.canPlaceAt(row, col, index)) {
+      return { success: false, error: this._placementError(building.type, row, col, 'Cannot move building here!') };
+    }
+
+    this._gameState.updateBuilding(index, { row, col });
+
+    this._eventBus.publish(Events.BUILDING_MOVED, {
+      building: { ...building, row, col },
+      index,
+      fromRow,
+      fromCol,
+      row,
+      col
+    });
+
+    return { success: true, error: null };
+  }
+
   // ==========================================
   // BUILDING REMOVAL (DEMOLISH)
   // ==========================================
@@ -279,9 +409,11 @@ export class BuildingService {
   /**
    * Remove a building and refund resources
    * @param {number} index - Building index to remove
+   * @param {Object} [options]
+   * @param {boolean} [options.refund=true] - Grant the demolish refund (undoing a placement refunds separately)
    * @returns {{success: boolean, error: string|null, refund: Object|null}}
    */
-  removeBuilding(index) {
+  removeBuilding(index, { refund: grantRefund = true } = {}) {
     const buildings = this._gameState.getBuildings();
     const building = buildings[index];
 
@@ -295,7 +427,7 @@ export class BuildingService {
     }
 
     // Calculate refund before removal
-    const refund = this.calculateRefund(building);
+    const refund = grantRefund ? this.calculateRefund(building) : {};
 
     // Remove the building from state
     const removed = this._gameState.removeBuilding(index);
@@ -431,6 +563,35 @@ export class BuildingService {
     return { success: true, error: null };
   }
 
+  /**
+   * Return a building to a lower level without refunding anything (undo)
+   * @param {number} index - Building index
+   * @param {number} level - Level to return to (0-indexed)
+   * @returns {{success: boolean, error: string|null}}
+   */
+  downgradeBuilding(index, level) {
+    const building = this._gameState.getBuildings()[index];
+    if (!building) {
+      return { success: false, error: 'Building not found' };
+    }
+    if (!Number.isInteger(level) || level < 0 || level >= building.level) {
+      return { success: false, error: 'Invalid level' };
+    }
+
+    const oldLevel = building.level;
+    this._gameState.updateBuilding(index, { level });
+
+    this._eventBus.publish(Events.BUILDING_UPGRADED, {
+      building: { ...building, level },
+      index,
+      oldLevel,
+      newLevel: level,
+      displayLevel: level + 1
+    });
+
+    return { success: true, error: null };
+  }
+
   /**
    * Upgrade a building by reference
    * @param {Object} building - Building to upgrade
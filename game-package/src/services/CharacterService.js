@@ -3,7 +3,13 @@
  * Manages character state, pathfinding, and movement
  *
  * Characters walk along tile edges (grid lines) only - no diagonal movement.
- * They cannot walk through buildings but can walk between them.
+ * They cannot walk through buildings but can walk between them, and edges
+ * along roads are walked faster (and preferred by pathfinding).
+ *
+ * Villagers carry drops to storage and, in logistics mode, haul processor
+ * inputs from storage to the processors that need them (see LogisticsService).
+ * Only haulers run errands: villagers with a workplace (see PopulationService)
+ * walk there and stay on the job until they are reassigned.
  *
  * Grid coordinates for characters are at tile intersections (corners),
  * not tile centers. So a character at (col, row) is at the corner where
@@ -11,7 +17,7 @@
  */
 
 import { Events } from '../core/EventBus.js';
-import { TILE_CONFIG, BUILDING_FOOTPRINT } from '../config/index.js';
+import { TILE_CONFIG, ROAD_CONFIG, STORAGE_BUILDINGS, getBuildingFootprint } from '../config/index.js';
 
 // Character states
 export const CharacterState = {
@@ -22,10 +28,25 @@ export const CharacterState = {
   MOVING_TO_DROP: 'moving_to_drop',
   PICKING_UP: 'picking_up',
   DELIVERING: 'delivering',
+  FETCHING: 'fetching',  // Walking to storage to pick up processor inputs
+  COMMUTING: 'commuting',  // Walking to their workplace
+  WORKING: 'working',  // Staffing their workplace
   DEPOSITING: 'depositing',
   BLOCKED_FULL: 'blocked_full'
 };
 
+// States a character follows its path in (errand states walk too)
+export const MOVING_STATES = [
+  CharacterState.WALKING,
+  CharacterState.MOVING_TO_DROP,
+  CharacterState.FETCHING,
+  CharacterState.DELIVERING,
+  CharacterState.COMMUTING
+];
+
+// Where new villagers appear (grid intersection)
+const VILLAGER_SPAWN = { col: 5, row: 5 };
+
 // Movement directions (in isometric grid terms)
 // These are the 4 cardinal directions along tile edges
 export const Direction = {
@@ -43,16 +64,27 @@ export class CharacterService {
   /**
    * @param {import('./GameStateService.js').GameStateService} gameState
    * @param {import('./BuildingService.js').BuildingService} buildingService
+   * @param {import('../core/SimulationClock.js').SimulationClock} clock
    * @param {import('../core/EventBus.js').EventBus} eventBus
    */
-  constructor(gameState, buildingService, eventBus) {
+  constructor(gameState, buildingService, clock, eventBus) {
     this._gameState = gameState;
     this._buildingService = buildingService;
+    this._clock = clock;
     this._eventBus = eventBus;
 
     // DropService is set later to avoid circular dependency
     this._dropService = null;
 
+    // RoadService is optional - without it every edge costs the same
+    this._roadService = null;
+
+    // LogisticsService is optional - without it villagers only collect drops
+    this._logisticsService = null;
+
+    // PopulationService is optional - without it every villager is a hauler
+    this._populationService = null;
+
     /**
      * Characters array
      * @type {Array<{
@@ -70,7 +102,9 @@ export class CharacterService {
      *   isVillager: boolean,
      *   carryData: Object|null,
      *   targetDropId: string|null,
-     *   targetBuildingIndex: number|null
+     *   targetBuildingIndex: number|null,
+     *   haulJobId: string|null,
+     *   villagerId: string|null
      * }>}
      */
     this._characters = [];
@@ -79,9 +113,8 @@ export class CharacterService {
     // Movement speed (grid units per second)
     this._defaultSpeed = 1.5;
 
-    // Update interval for smooth movement (60 fps target)
-    this._updateInterval = null;
-    this._lastUpdateTime = 0;
+    // Clock subscriptions (frames for movement, ticks for AI)
+    this._unsubscribers = [];
   }
 
   /**
@@ -92,16 +125,80 @@ export class CharacterService {
     this._dropService = dropService;
   }
 
+  /**
+   * Set RoadService reference (road edges are faster to walk)
+   * @param {import('./RoadService.js').RoadService} roadService
+   */
+  setRoadService(roadService) {
+    this._roadService = roadService;
+  }
+
+  /**
+   * Set LogisticsService reference (villagers haul processor inputs in logistics mode)
+   * @param {import('./LogisticsService.js').LogisticsService} logisticsService
+   */
+  setLogisticsService(logisticsService) {
+    this._logisticsService = logisticsService;
+  }
+
+  /**
+   * Set PopulationService reference (villagers with a workplace go to work instead of hauling)
+   * @param {import('./PopulationService.js').PopulationService} populationService
+   */
+  setPopulationService(populationService) {
+    this._populationService = populationService;
+  }
+
+  /**
+   * Get how long an edge takes to walk, in plain-edge units
+   * @param {number} fromCol
+   * @param {number} fromRow
+   * @param {number} toCol
+   * @param {number} toRow
+   * @returns {number} 1 off road, less along roads
+   */
+  getEdgeCost(fromCol, fromRow, toCol, toRow) {
+    if (this._roadService && this._roadService.isRoadEdge(fromCol, fromRow, toCol, toRow)) {
+      return 1 / ROAD_CONFIG.speedMultiplier;
+    }
+    return 1;
+  }
+
   /**
    * Initialize the service and start the update loop
    */
   initialize() {
-    // Start update loop
-    this._lastUpdateTime = performance.now();
-    this._updateInterval = setInterval(() => this._update(), 1000 / 60);
+    // Smooth movement on every clock frame
+    this._unsubscribers.push(
+      this._eventBus.subscribe(Events.FRAME, (data) => this._update(data.dt))
+    );
 
     // Listen for game tick events for AI decision making
-    this._eventBus.subscribe(Events.TICK, () => this._onTick());
+    this._unsubscribers.push(
+      this._eventBus.subscribe(Events.TICK, () => this._onTick())
+    );
+
+    // Re-plan routes when a building (or the drops it spawned) moves
+    this._unsubscribers.push(
+      this._eventBus.subscribe(Events.BUILDING_MOVED, (data) => this._onBuildingMoved(data))
+    );
+    this._unsubscribers.push(
+      this._eventBus.subscribe('drops:moved', (data) => this._onDropsMoved(data))
+    );
+
+    // Keep a character for every villager - newcomers step out of their new home
+    this._unsubscribers.push(
+      this._eventBus.subscribe(Events.VILLAGER_ARRIVED, (data) => {
+        const home = this._gameState.getBuildings()[data.buildingIndex];
+        this.syncVillagers(home ? this._getBuildingFront(home) : VILLAGER_SPAWN);
+      })
+    );
+    this._unsubscribers.push(
+      this._eventBus.subscribe(Events.VILLAGER_LEFT, () => this.syncVillagers())
+    );
+    this._unsubscribers.push(
+      this._eventBus.subscribe(Events.STATE_LOADED, () => this.syncVillagers())
+    );
 
     console.log('[CharacterService] Initialized');
   }
@@ -110,10 +207,9 @@ export class CharacterService {
    * Cleanup
    */
   destroy() {
-    if (this._updateInterval) {
-      clearInterval(this._updateInterval);
-      this._updateInterval = null;
-    }
+    this._unsubscribers.forEach(unsub => unsub());
+    this._unsubscribers = [];
+    this._characters.forEach(c => this._abandonHaul(c));
     this._characters = [];
   }
 
@@ -122,9 +218,10 @@ export class CharacterService {
    * @param {number} col - Starting column (grid intersection)
    * @param {number} row - Starting row (grid intersection)
    * @param {string} [sprite='peasant'] - Sprite type
+   * @param {string|null} [villagerId=null] - Population villager this character is
    * @returns {string} Character ID
    */
-  spawnCharacter(col, row, sprite = 'peasant') {
+  spawnCharacter(col, row, sprite = 'peasant', villagerId = null) {
     const id = `char_${this._nextId++}`;
     const character = {
       id,
@@ -142,7 +239,9 @@ export class CharacterService {
       isVillager: sprite === 'peasant', // All peasants are villagers
       carryData: null,  // { resourceId, amount } when carrying
       targetDropId: null,  // Drop they're moving to collect
-      targetBuildingIndex: null  // Storage building they're delivering to
+      targetBuildingIndex: null,  // Building they're delivering to
+      haulJobId: null,  // LogisticsService delivery they're working on
+      villagerId  // PopulationService villager (null for characters outside the population)
     };
 
     this._characters.push(character);
@@ -162,10 +261,33 @@ export class CharacterService {
     const index = this._characters.findIndex(c => c.id === id);
     if (index !== -1) {
       const character = this._characters.splice(index, 1)[0];
+      this._abandonHaul(character);
+      if (character.targetDropId && this._dropService) {
+        this._dropService.releaseDrop(character.targetDropId);
+      }
       this._eventBus.publish('character:removed', { id: character.id });
     }
   }
 
+  /**
+   * Spawn a character for every villager without one and remove characters
+   * whose villager is gone
+   * @param {{col: number, row: number}} [spawnAt] - Where new characters appear
+   */
+  syncVillagers(spawnAt = VILLAGER_SPAWN) {
+    if (!this._populationService) return;
+
+    const villagerIds = this._populationService.getVillagers().map(v => v.id);
+    this._characters
+      .filter(c => c.villagerId && !villagerIds.includes(c.villagerId))
+      .forEach(c => this.removeCharacter(c.id));
+
+    const present = new Set(this._characters.map(c => c.villagerId));
+    villagerIds
+      .filter(id => !present.has(id))
+      .forEach(id => this.spawnCharacter(spawnAt.col, spawnAt.row, 'peasant', id));
+  }
+
   /**
    * Get all characters
    * @returns {Array}
@@ -240,8 +362,8 @@ export class CharacterService {
 
     // Try a few random positions
     for (let i = 0; i < 10; i++) {
-      const targetCol = Math.floor(Math.random() * (cols + 1));
-      const targetRow = Math.floor(Math.random() * (rows + 1));
+      const targetCol = this._clock.randomInt(0, cols);
+      const targetRow = this._clock.randomInt(0, rows);
 
       // Don't pick current position
       if (targetCol === character.col && targetRow === character.row) continue;
@@ -294,10 +416,10 @@ export class CharacterService {
       const minCol = Math.min(fromCol, toCol);
       // Check tiles above (row-1) and below (row) the edge
       for (const b of buildings) {
-        // Building occupies from (b.col, b.row) to (b.col+1, b.row+1)
-        // for a 2x2 footprint: (b.col to b.col+2, b.row to b.row+2)
-        const bEndCol = b.col + BUILDING_FOOTPRINT;
-        const bEndRow = b.row + BUILDING_FOOTPRINT;
+        // Building covers corners b.col to b.col+cols, b.row to b.row+rows
+        const footprint = getBuildingFootprint(b.type);
+        const bEndCol = b.col + footprint.cols;
+        const bEndRow = b.row + footprint.rows;
 
         // The edge is at column=minCol to minCol+1, at row=fromRow
         // It's blocked if a building occupies both tiles on either side
@@ -318,8 +440,9 @@ export class CharacterService {
     if (toRow !== fromRow) {
       const minRow = Math.min(fromRow, toRow);
       for (const b of buildings) {
-        const bEndCol = b.col + BUILDING_FOOTPRINT;
-        const bEndRow = b.row + BUILDING_FOOTPRINT;
+        const footprint = getBuildingFootprint(b.type);
+        const bEndCol = b.col + footprint.cols;
+        const bEndRow = b.row + footprint.rows;
 
         // Check if the edge segment is within the building's row range
         if (minRow >= b.row && minRow < bEndRow) {
@@ -420,7 +543,8 @@ export class CharacterService {
         }
 
         const currentG = gScore.get(currentKey);
-        const tentativeG = (currentG !== undefined ? currentG : Infinity) + 1;
+        const edgeCost = this.getEdgeCost(current.col, current.row, neighborCol, neighborRow);
+        const tentativeG = (currentG !== undefined ? currentG : Infinity) + edgeCost;
 
         if (!openSet.has(neighborKey)) {
           openSet.set(neighborKey, { col: neighborCol, row: neighborRow });
@@ -442,24 +566,23 @@ export class CharacterService {
   }
 
   /**
-   * Heuristic for A* (Manhattan distance)
+   * Heuristic for A* (Manhattan distance, scaled to the cheapest edge so
+   * it never overestimates when the route could be all road)
    */
   _heuristic(col1, row1, col2, row2) {
-    return Math.abs(col2 - col1) + Math.abs(row2 - row1);
+    const minEdgeCost = this._roadService ? 1 / ROAD_CONFIG.speedMultiplier : 1;
+    return (Math.abs(col2 - col1) + Math.abs(row2 - row1)) * minEdgeCost;
   }
 
   /**
    * Main update loop for smooth movement
+   * @param {number} dt - Delta time in seconds (from clock FRAME event)
    */
-  _update() {
-    const now = performance.now();
-    const dt = (now - this._lastUpdateTime) / 1000; // Delta time in seconds
-    this._lastUpdateTime = now;
-
+  _update(dt) {
     let anyMoved = false;
 
     for (const character of this._characters) {
-      if (character.state !== CharacterState.WALKING || character.path.length === 0) {
+      if (!MOVING_STATES.includes(character.state) || character.path.length === 0) {
         continue;
       }
 
@@ -476,8 +599,9 @@ export class CharacterService {
       else if (drow > 0) character.facing = 'south';
       else if (drow < 0) character.facing = 'north';
 
-      // Update progress
-      character.progress += character.speed * dt;
+      // Update progress (faster along roads)
+      const edgeCost = this.getEdgeCost(character.col, character.row, target.col, target.row);
+      character.progress += character.speed * dt / edgeCost;
 
       if (character.progress >= 1) {
         // Reached waypoint
@@ -487,8 +611,10 @@ export class CharacterService {
         character.path.shift();
 
         if (character.path.length === 0) {
-          // Reached final destination
-          character.state = CharacterState.IDLE;
+          // Reached final destination - villager AI picks up errands from here
+          if (character.state === CharacterState.WALKING) {
+            character.state = CharacterState.IDLE;
+          }
           this._eventBus.publish('character:arrived', {
             id: character.id,
             col: character.col,
@@ -521,7 +647,7 @@ export class CharacterService {
       // Non-villager: If idle, randomly decide to wander
       if (character.state === CharacterState.IDLE) {
         // 30% chance to start wandering each tick
-        if (Math.random() < 0.3) {
+        if (this._clock.random() < 0.3) {
           console.log('[CharacterService] Attempting to wander:', character.id);
           this.wander(character.id);
         }
@@ -541,8 +667,17 @@ export class CharacterService {
   _processVillagerAI(character) {
     switch (character.state) {
       case CharacterState.IDLE:
-        // Look for drops to collect
-        this._villagerSeekDrop(character);
+        if (this._getWorkplace(character)) {
+          this._villagerGoToWork(character);
+          break;
+        }
+        // Haulers: drops first, then inputs processors are waiting for
+        if (!this._villagerSeekDrop(character) && !this._villagerSeekDelivery(character)) {
+          // Nothing to do, occasional wander
+          if (this._clock.random() < 0.1) {
+            this.wander(character.id);
+          }
+        }
         break;
 
       case CharacterState.MOVING_TO_DROP:
@@ -552,17 +687,49 @@ export class CharacterService {
         }
         break;
 
+      case CharacterState.FETCHING:
+        if (!this._isHaulActive(character)) {
+          this._abandonHaul(character);
+        } else if (character.path.length === 0) {
+          // Arrived at storage
+          this._villagerFetchInputs(character);
+        }
+        break;
+
       case CharacterState.DELIVERING:
-        // Check if we've arrived at storage
-        if (character.path.length === 0) {
-          this._villagerDeposit(character);
+        if (character.haulJobId && !this._isHaulActive(character)) {
+          this._abandonHaul(character);
+        } else if (character.path.length === 0) {
+          // Arrived at storage (drops) or the processor (hauled inputs)
+          if (character.haulJobId) {
+            this._villagerDeliverInputs(character);
+          } else {
+            this._villagerDeposit(character);
+          }
+        }
+        break;
+
+      case CharacterState.COMMUTING:
+        if (!this._getWorkplace(character)) {
+          // Reassigned to hauling on the way
+          character.path = [];
+          character.progress = 0;
+          character.state = CharacterState.IDLE;
+        } else if (character.path.length === 0) {
+          character.state = CharacterState.WORKING;
+        }
+        break;
+
+      case CharacterState.WORKING:
+        // Reassigned, or the workplace moved or was demolished
+        if (!this._isAtWork(character)) {
+          character.state = CharacterState.IDLE;
         }
         break;
 
       case CharacterState.BLOCKED_FULL:
         // Check if storage has space now
         if (character.carryData) {
-          const resourceId = Object.keys(character.carryData)[0];
           // Try to find storage again
           if (this._findAndPathToStorage(character)) {
             character.state = CharacterState.DELIVERING;
@@ -580,7 +747,7 @@ export class CharacterService {
 
       default:
         // Occasional wander when nothing to do
-        if (Math.random() < 0.1) {
+        if (this._clock.random() < 0.1) {
           this.wander(character.id);
         }
     }
@@ -589,36 +756,30 @@ export class CharacterService {
   /**
    * Villager looks for nearest drop to collect
    * @param {Object} character
+   * @returns {boolean} True if the villager set off for a drop
    * @private
    */
   _villagerSeekDrop(character) {
-    if (!this._dropService) return;
+    if (!this._dropService) return false;
 
     const nearestDrop = this._dropService.findNearestDrop(character.col, character.row);
-    if (nearestDrop) {
-      // Try to reserve the drop
-      if (this._dropService.reserveDrop(nearestDrop.id, character.id)) {
-        character.targetDropId = nearestDrop.id;
-        character.state = CharacterState.MOVING_TO_DROP;
-
-        // Path to drop position
-        const targetCol = Math.round(nearestDrop.gridX);
-        const targetRow = Math.round(nearestDrop.gridY);
-        const pathFound = this.moveTo(character.id, targetCol, targetRow);
-
-        if (!pathFound) {
-          // Can't reach drop, release reservation
-          this._dropService.releaseDrop(nearestDrop.id);
-          character.targetDropId = null;
-          character.state = CharacterState.IDLE;
-        }
-      }
-    } else {
-      // No drops available, occasional wander
-      if (Math.random() < 0.1) {
-        this.wander(character.id);
-      }
+    if (!nearestDrop || !this._dropService.reserveDrop(nearestDrop.id, character.id)) {
+      return false;
     }
+
+    // Path to drop position
+    const targetCol = Math.round(nearestDrop.gridX);
+    const targetRow = Math.round(nearestDrop.gridY);
+    if (!this.moveTo(character.id, targetCol, targetRow)) {
+      // Can't reach drop, release reservation
+      this._dropService.releaseDrop(nearestDrop.id);
+      character.state = CharacterState.IDLE;
+      return false;
+    }
+
+    character.targetDropId = nearestDrop.id;
+    character.state = CharacterState.MOVING_TO_DROP;
+    return true;
   }
 
   /**
@@ -647,13 +808,12 @@ export class CharacterService {
       // Set carry data for visual display
       character.carryData = result.collected;
       character.targetDropId = null;
-      character.state = CharacterState.DELIVERING;
 
       // Find nearest storage building and path to it
-      if (!this._findAndPathToStorage(character)) {
-        // No storage available or can't reach it
-        character.state = CharacterState.BLOCKED_FULL;
-      }
+      // (BLOCKED_FULL if there is none or it can't be reached)
+      character.state = this._findAndPathToStorage(character)
+        ? CharacterState.DELIVERING
+        : CharacterState.BLOCKED_FULL;
 
       this._eventBus.publish('villager:pickedUp', {
         characterId: character.id,
@@ -685,9 +845,8 @@ export class CharacterService {
 
     for (const building of storageBuildings) {
       // Path to front-center of building
-      const targetCol = building.col + 1;
-      const targetRow = building.row + 2; // Just in front of the building
-      const dist = Math.abs(character.col - targetCol) + Math.abs(character.row - targetRow);
+      const front = this._getBuildingFront(building);
+      const dist = Math.abs(character.col - front.col) + Math.abs(character.row - front.row);
       if (dist < nearestDist) {
         nearestDist = dist;
         nearest = building;
@@ -699,23 +858,34 @@ export class CharacterService {
       character.targetBuildingIndex = buildings.indexOf(nearest);
 
       // Path to front of building
-      const targetCol = nearest.col + 1;
-      const targetRow = nearest.row + 2;
-      return this.moveTo(character.id, targetCol, targetRow);
+      const front = this._getBuildingFront(nearest);
+      return this.moveTo(character.id, front.col, front.row);
     }
 
     return false;
   }
 
+  /**
+   * Get the grid point just in front of a building's footprint
+   * @param {{type: string, row: number, col: number}} building
+   * @returns {{col: number, row: number}}
+   * @private
+   */
+  _getBuildingFront(building) {
+    const { rows, cols } = getBuildingFootprint(building.type);
+    return {
+      col: building.col + Math.floor(cols / 2),
+      row: building.row + rows
+    };
+  }
+
   /**
    * Get buildings that accept deposits (Town Hall, Barn)
    * @returns {Array} Storage buildings
    * @private
    */
   _findStorageBuildings() {
-    return this._gameState.getBuildings().filter(b =>
-      b.type === 'townhall' || b.type === 'barn'
-    );
+    return this._gameState.getBuildings().filter(b => STORAGE_BUILDINGS.includes(b.type));
   }
 
   /**
@@ -742,6 +912,273 @@ export class CharacterService {
     character.state = CharacterState.IDLE;
   }
 
+  // ==========================================
+  // HAULING (logistics mode)
+  // ==========================================
+
+  /**
+   * Villager claims a delivery and heads to storage for the goods
+   * @param {Object} character
+   * @returns {boolean} True if the villager set off for storage
+   * @private
+   */
+  _villagerSeekDelivery(character) {
+    if (!this._logisticsService || !this._logisticsService.isEnabled()) return false;
+
+    const job = this._logisticsService.claimDelivery(character.id);
+    if (!job) return false;
+
+    if (!this._findAndPathToStorage(character)) {
+      this._logisticsService.cancelDelivery(job.id);
+      character.targetBuildingIndex = null;
+      character.state = CharacterState.IDLE;
+      return false;
+    }
+
+    character.haulJobId = job.id;
+    character.state = CharacterState.FETCHING;
+    return true;
+  }
+
+  /**
+   * Villager picks up the goods at storage and heads for the processor
+   * @param {Object} character
+   * @private
+   */
+  _villagerFetchInputs(character) {
+    const result = this._logisticsService.pickUp(character.haulJobId);
+    if (!result.success) {
+      this._abandonHaul(character);
+      return;
+    }
+
+    const job = this._logisticsService.getJob(character.haulJobId);
+    const processor = this._gameState.getBuildings()[job.buildingIndex];
+    const front = this._getBuildingFront(processor);
+
+    character.carryData = result.carried;
+    character.targetBuildingIndex = job.buildingIndex;
+    if (!this.moveTo(character.id, front.col, front.row)) {
+      // Can't reach the processor - the goods go back into storage
+      this._abandonHaul(character);
+      return;
+    }
+    character.state = CharacterState.DELIVERING;
+
+    this._eventBus.publish('villager:pickedUp', {
+      characterId: character.id,
+      resources: result.carried
+    });
+  }
+
+  /**
+   * Villager hands the goods to the processor
+   * @param {Object} character
+   * @private
+   */
+  _villagerDeliverInputs(character) {
+    this._logisticsService.deliver(character.haulJobId);
+
+    character.carryData = null;
+    character.haulJobId = null;
+    character.targetBuildingIndex = null;
+    character.state = CharacterState.IDLE;
+  }
+
+  /**
+   * Check the villager's delivery still exists (it is cancelled when its
+   * processor is demolished or logistics mode is turned off)
+   * @param {Object} character
+   * @returns {boolean}
+   * @private
+   */
+  _isHaulActive(character) {
+    return this._logisticsService !== null &&
+      this._logisticsService.getJob(character.haulJobId) !== null;
+  }
+
+  /**
+   * Drop a villager's delivery - goods it carries go back to storage
+   * @param {Object} character
+   * @private
+   */
+  _abandonHaul(character) {
+    if (!character.haulJobId) return;
+
+    this._logisticsService?.cancelDelivery(character.haulJobId);
+    character.haulJobId = null;
+    character.carryData = null;
+    character.targetBuildingIndex = null;
+    character.path = [];
+    character.progress = 0;
+    character.state = CharacterState.IDLE;
+  }
+
+  // ==========================================
+  // WORK
+  // ==========================================
+
+  /**
+   * Get the building a villager works at
+   * @param {Object} character
+   * @returns {Object|null} Building, or null for haulers
+   * @private
+   */
+  _getWorkplace(character) {
+    const index = this._getWorkplaceIndex(character);
+    return index === null ? null : this._gameState.getBuildings()[index] || null;
+  }
+
+  /**
+   * Get the index of the building a villager works at
+   * @param {Object} character
+   * @returns {number|null} Building index, or null for haulers
+   * @private
+   */
+  _getWorkplaceIndex(character) {
+    if (!character.villagerId || !this._populationService) return null;
+    return this._populationService.getVillager(character.villagerId)?.workplace ?? null;
+  }
+
+  /**
+   * Check a villager is standing at the front of their workplace
+   * @param {Object} character
+   * @returns {boolean}
+   * @private
+   */
+  _isAtWork(character) {
+    const workplace = this._getWorkplace(character);
+    if (!workplace) return false;
+    const front = this._getBuildingFront(workplace);
+    return character.col === front.col && character.row === front.row;
+  }
+
+  /**
+   * Villager heads to their workplace (or starts work if already there)
+   * @param {Object} character
+   * @private
+   */
+  _villagerGoToWork(character) {
+    if (this._isAtWork(character)) {
+      character.state = CharacterState.WORKING;
+      return;
+    }
+
+    const front = this._getBuildingFront(this._getWorkplace(character));
+    if (this.moveTo(character.id, front.col, front.row)) {
+      character.state = CharacterState.COMMUTING;
+    } else {
+      // Can't reach it right now - try again next tick
+      character.state = CharacterState.IDLE;
+    }
+  }
+
+  // ==========================================
+  // REROUTING (building moved)
+  // ==========================================
+
+  /**
+   * Re-plan paths that lead to a moved building or that it now blocks
+   * @param {Object} data - BUILDING_MOVED event data
+   * @private
+   */
+  _onBuildingMoved({ building, index }) {
+    for (const character of this._characters) {
+      if (character.path.length === 0) continue;
+
+      const hasErrand = character.carryData || character.haulJobId || character.state === CharacterState.COMMUTING;
+      if (hasErrand && this._getErrandBuildingIndex(character) === index) {
+        // Heading for the moved building - head for its new front
+        const front = this._getBuildingFront(building);
+        this._reroute(character, front.col, front.row);
+      } else if (!this._isPathClear(character)) {
+        this._reroute(character, character.targetCol, character.targetRow);
+      }
+    }
+  }
+
+  /**
+   * Get the index of the building a villager is walking to
+   * Hauled inputs follow their delivery and commuters their workplace, which both track index shifts.
+   * @param {Object} character
+   * @returns {number|null}
+   * @private
+   */
+  _getErrandBuildingIndex(character) {
+    if (character.state === CharacterState.COMMUTING) {
+      return this._getWorkplaceIndex(character);
+    }
+    if (character.haulJobId && character.carryData) {
+      return this._logisticsService?.getJob(character.haulJobId)?.buildingIndex ?? null;
+    }
+    return character.targetBuildingIndex;
+  }
+
+  /**
+   * Re-plan paths to drops that moved with their building
+   * @param {{dropIds: string[]}} data - drops:moved event data
+   * @private
+   */
+  _onDropsMoved({ dropIds }) {
+    for (const character of this._characters) {
+      if (!character.targetDropId || !dropIds.includes(character.targetDropId)) continue;
+
+      const drop = this._dropService?.getDrop(character.targetDropId);
+      if (drop) {
+        this._reroute(character, Math.round(drop.gridX), Math.round(drop.gridY));
+      }
+    }
+  }
+
+  /**
+   * Check every remaining step of a character's path can still be walked
+   * @param {Object} character
+   * @returns {boolean}
+   * @private
+   */
+  _isPathClear(character) {
+    let from = { col: character.col, row: character.row };
+    return character.path.every(step => {
+      const clear = this.canTraverse(from.col, from.row, step.col, step.row);
+      from = step;
+      return clear;
+    });
+  }
+
+  /**
+   * Give a character a new path without changing what it is doing
+   * If the target can't be reached, drop the errand (release drop / wait with cargo).
+   * @param {Object} character
+   * @param {number} targetCol
+   * @param {number} targetRow
+   * @returns {boolean} True if a new path was found
+   * @private
+   */
+  _reroute(character, targetCol, targetRow) {
+    const path = this._findPath(character.col, character.row, targetCol, targetRow);
+
+    if (path.length === 0) {
+      if (character.haulJobId) {
+        this._abandonHaul(character);
+        return false;
+      }
+      if (character.targetDropId && this._dropService) {
+        this._dropService.releaseDrop(character.targetDropId);
+        character.targetDropId = null;
+      }
+      character.path = [];
+      character.progress = 0;
+      character.state = character.carryData ? CharacterState.BLOCKED_FULL : CharacterState.IDLE;
+      return false;
+    }
+
+    character.path = path;
+    character.targetCol = targetCol;
+    character.targetRow = targetRow;
+    character.progress = 0;
+    return true;
+  }
+
   /**
    * Get villagers that are carrying resources
    * @returns {Array} Villagers with carry data
@@ -759,7 +1196,7 @@ export class CharacterService {
     const character = this._characters.find(c => c.id === id);
     if (!character) return null;
 
-    if (character.state !== CharacterState.WALKING || character.path.length === 0) {
+    if (!MOVING_STATES.includes(character.state) || character.path.length === 0) {
       return { col: character.col, row: character.row };
     }
 
@@ -792,8 +1229,9 @@ export class CharacterService {
 
     for (let i = 0; i < buildings.length; i++) {
       const b = buildings[i];
+      const footprint = getBuildingFootprint(b.type);
       // Building z-index uses front corner
-      const buildingZ = (b.col + BUILDING_FOOTPRINT + b.row + BUILDING_FOOTPRINT) * 10 + 100;
+      const buildingZ = (b.col + footprint.cols + b.row + footprint.rows) * 10 + 100;
 
       // Character is behind if:
       // 1. Building has higher z-index (rendered later/in front)
@@ -801,8 +1239,8 @@ export class CharacterService {
       if (buildingZ > charZ) {
         // Check if character is visually behind this building
         // Simple check: is character within the building's grid footprint extended area
-        if (pos.col >= b.col - 0.5 && pos.col <= b.col + BUILDING_FOOTPRINT + 0.5 &&
-            pos.row >= b.row - 0.5 && pos.row <= b.row + BUILDING_FOOTPRINT + 0.5) {
+        if (pos.col >= b.col - 0.5 && pos.col <= b.col + footprint.cols + 0.5 &&
+            pos.row >= b.row - 0.5 && pos.row <= b.row + footprint.rows + 0.5) {
           return { isBehind: true, buildingIndex: i };
         }
       }
@@ -0,0 +1,494 @@
+/**
+ * CommandHistoryService
+ * Undo/redo for building placement, upgrades, moves and demolish
+ *
+ * Player building actions go through here instead of straight to
+ * BuildingService, so each one is recorded with the exact resources it
+ * moved and (for demolish) the processor state it threw away.
+ *
+ * Buildings are found by type and position rather than index - indices
+ * shift whenever something is demolished, positions never overlap.
+ *
+ * An undo is refused when something that happened since depends on the
+ * action: the refunded gold has been spent, the spot has been built on,
+ * or the building has been upgraded. The entry stays in history so it can
+ * be undone once the player puts things right.
+ */
+
+import { Events } from '../core/EventBus.js';
+import { getBuildingDef } from '../config/index.js';
+
+/** Actions kept in history - older ones can no longer be undone */
+export const HISTORY_LIMIT = 50;
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {'place'|'upgrade'|'move'|'demolish'} action
+ * @property {{type: string, row: number, col: number, level: number}} building - Building after the action
+ *   (before it, for demolish)
+ * @property {{row: number, col: number}} [from] - Where a moved building stood
+ * @property {Object} delta - Resources the action changed, signed ({gold: -50} for a placement)
+ * @property {import('./ProcessorService.js').ProcessorState|null} processorState - State removed
+ *   from the world by the last demolish or undone placement, put back by its reverse
+ */
+
+export class CommandHistoryService {
+  /**
+   * @param {import('./GameStateService.js').GameStateService} gameState
+   * @param {import('./BuildingService.js').BuildingService} buildingService
+   * @param {import('./ResourceService.js').ResourceService} resourceService
+   * @param {import('./ProcessorService.js').ProcessorService} processorService
+   * @param {import('../core/EventBus.js').EventBus} eventBus
+   * @param {Object} [options]
+   * @param {number} [options.limit=HISTORY_LIMIT] - Max actions kept
+   */
+  constructor(gameState, buildingService, resourceService, processorService, eventBus, options = {}) {
+    this._gameState = gameState;
+    this._buildingService = buildingService;
+    this._resourceService = resourceService;
+    this._processorService = processorService;
+    this._eventBus = eventBus;
+    this._limit = options.limit ?? HISTORY_LIMIT;
+
+    /** @type {HistoryEntry[]} */
+    this._undoStack = [];
+    /** @type {HistoryEntry[]} */
+    this._redoStack = [];
+
+    // A different game's buildings - old entries no longer apply
+    this._eventBus.subscribe(Events.STATE_LOADED, () => this.clear());
+    this._eventBus.subscribe(Events.GAME_RESET, () => this.clear());
+  }
+
+  // ==========================================
+  // RECORDED ACTIONS
+  // ==========================================
+
+  /**
+   * Place a building and record it
+   * @param {string} type - Building type
+   * @param {number} row - Grid row
+   * @param {number} col - Grid column
+   * @returns {{success: boolean, error: string|null}}
+   */
+  placeBuilding(type, row, col) {
+    const result = this._buildingService.placeBuilding(type, row, col);
+    if (result.success) {
+      this._record({
+        action: 'place',
+        building: { type, row, col, level: 0 },
+        delta: this._negate(getBuildingDef(type).baseCost),
+        processorState: null
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Upgrade a building and record it
+   * @param {number} index - Building index
+   * @returns {{success: boolean, error: string|null}}
+   */
+  upgradeBuilding(index) {
+    // Copy - the state object is upgraded in place
+    const building = { ...this._buildingService.getBuildingByIndex(index) };
+    const cost = this._buildingService.getUpgradeCost(building);
+
+    const result = this._buildingService.upgradeBuilding(index);
+    if (result.success) {
+      this._record({
+        action: 'upgrade',
+        building: { type: building.type, row: building.row, col: building.col, level: building.level + 1 },
+        delta: this._negate(cost),
+        processorState: null
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Move a building and record it
+   * @param {number} index - Building index
+   * @param {number} row - New grid row
+   * @param {number} col - New grid column
+   * @returns {{success: boolean, error: string|null}}
+   */
+  moveBuilding(index, row, col) {
+    const building = { ...this._buildingService.getBuildingByIndex(index) };
+
+    const result = this._buildingService.moveBuilding(index, row, col);
+    if (result.success) {
+      this._record({
+        action: 'move',
+        building: { type: building.type, row, col, level: building.level },
+        from: { row: building.row, col: building.col },
+        delta: {},
+        processorState: null
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Demolish a building and record it (refund and processor state included)
+   * @param {number} index - Building index
+   * @returns {{success: boolean, error: string|null, refund: Object|null}}
+   */
+  demolishBuilding(index) {
+    const building = this._buildingService.getBuildingByIndex(index);
+    const processorState = this._processorService.getStateSnapshot(index);
+
+    const result = this._buildingService.removeBuilding(index);
+    if (result.success) {
+      this._record({
+        action: 'demolish',
+        building: { type: building.type, row: building.row, col: building.col, level: building.level },
+        delta: { ...result.refund },
+        processorState
+      });
+    }
+    return result;
+  }
+
+  // ==========================================
+  // UNDO / REDO
+  // ==========================================
+
+  /**
+   * Check if there is an action to undo
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  /**
+   * Check if there is an undone action to redo
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  /**
+   * Describe the action undo would reverse (for tooltips)
+   * @returns {string|null}
+   */
+  getUndoLabel() {
+    return this.canUndo() ? this._describe(this._undoStack[this._undoStack.length - 1]) : null;
+  }
+
+  /**
+   * Describe the action redo would repeat (for tooltips)
+   * @returns {string|null}
+   */
+  getRedoLabel() {
+    return this.canRedo() ? this._describe(this._redoStack[this._redoStack.length - 1]) : null;
+  }
+
+  /**
+   * Reverse the most recent action
+   * @returns {{success: boolean, error: string|null, label: string|null}}
+   */
+  undo() {
+    if (!this.canUndo()) {
+      return { success: false, error: 'Nothing to undo', label: null };
+    }
+
+    const entry = this._undoStack[this._undoStack.length - 1];
+    const handlers = {
+      place: () => this._undoPlace(entry),
+      upgrade: () => this._undoUpgrade(entry),
+      move: () => this._undoMove(entry),
+      demolish: () => this._undoDemolish(entry)
+    };
+
+    const error = handlers[entry.action]();
+    if (error) {
+      return { success: false, error: `Cannot undo: ${error}`, label: this._describe(entry) };
+    }
+
+    this._undoStack.pop();
+    this._redoStack.push(entry);
+    this._publishChanged();
+    return { success: true, error: null, label: this._describe(entry) };
+  }
+
+  /**
+   * Repeat the most recently undone action
+   * @returns {{success: boolean, error: string|null, label: string|null}}
+   */
+  redo() {
+    if (!this.canRedo()) {
+      return { success: false, error: 'Nothing to redo', label: null };
+    }
+
+    const entry = this._redoStack[this._redoStack.length - 1];
+    const handlers = {
+      place: () => this._redoPlace(entry),
+      upgrade: () => this._redoUpgrade(entry),
+      move: () => this._redoMove(entry),
+      demolish: () => this._redoDemolish(entry)
+    };
+
+    const error = handlers[entry.action]();
+    if (error) {
+      return { success: false, error: `Cannot redo: ${error}`, label: this._describe(entry) };
+    }
+
+    this._redoStack.pop();
+    this._undoStack.push(entry);
+    this._publishChanged();
+    return { success: true, error: null, label: this._describe(entry) };
+  }
+
+  /**
+   * Forget all history
+   */
+  clear() {
+    if (!this.canUndo() && !this.canRedo()) return;
+    this._undoStack = [];
+    this._redoStack = [];
+    this._publishChanged();
+  }
+
+  // ==========================================
+  // REVERSING ACTIONS
+  // Each returns an error string, or null once the action is applied
+  // ==========================================
+
+  /**
+   * @private
+   */
+  _undoPlace(entry) {
+    const index = this._findBuilding(entry.building);
+    if (index === -1) {
+      return this._changedSinceReason(entry.building);
+    }
+
+    const refund = this._negate(entry.delta);
+    const noSpace = this._checkSpace(refund);
+    if (noSpace) return noSpace;
+
+    entry.processorState = this._processorService.getStateSnapshot(index);
+    this._buildingService.removeBuilding(index, { refund: false });
+    this._resourceService.grantReward(refund);
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _redoPlace(entry) {
+    const { type, row, col } = entry.building;
+    const result = this._buildingService.placeBuilding(type, row, col);
+    if (!result.success) return result.error;
+
+    this._restoreProcessorState(this._buildingService.getBuildingCount() - 1, entry);
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _undoUpgrade(entry) {
+    const index = this._findBuilding(entry.building);
+    if (index === -1) {
+      return this._changedSinceReason(entry.building);
+    }
+
+    const refund = this._negate(entry.delta);
+    const noSpace = this._checkSpace(refund);
+    if (noSpace) return noSpace;
+
+    this._buildingService.downgradeBuilding(index, entry.building.level - 1);
+    this._resourceService.grantReward(refund);
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _redoUpgrade(entry) {
+    const index = this._findBuilding({ ...entry.building, level: entry.building.level - 1 });
+    if (index === -1) {
+      return this._changedSinceReason(entry.building);
+    }
+
+    const result = this._buildingService.upgradeBuilding(index);
+    return result.success ? null : result.error;
+  }
+
+  /**
+   * @private
+   */
+  _undoMove(entry) {
+    const index = this._findBuilding(entry.building);
+    if (index === -1) {
+      return this._changedSinceReason(entry.building);
+    }
+
+    const { row, col } = entry.from;
+    if (!this._buildingService.canPlaceAt(row, col, index)) {
+      return `something has been built where the ${this._buildingName(entry.building.type)} stood`;
+    }
+
+    const result = this._buildingService.moveBuilding(index, row, col);
+    return result.success ? null : result.error;
+  }
+
+  /**
+   * @private
+   */
+  _redoMove(entry) {
+    const { building, from } = entry;
+    const index = this._findBuilding({ ...building, row: from.row, col: from.col });
+    if (index === -1) {
+      return this._changedSinceReason({ ...building, row: from.row, col: from.col });
+    }
+
+    const result = this._buildingService.moveBuilding(index, building.row, building.col);
+    return result.success ? null : result.error;
+  }
+
+  /**
+   * @private
+   */
+  _undoDemolish(entry) {
+    const { building, delta } = entry;
+    const name = this._buildingName(building.type);
+
+    // The refund must still be there to hand back
+    if (!this._resourceService.canAfford(delta)) {
+      const missing = Object.keys(this._resourceService.getMissingResources(delta));
+      return `the ${missing.join(', ')} refunded for the ${name} has been spent`;
+    }
+    if (!this._buildingService.canPlaceAt(building.row, building.col, -1, building.type)) {
+      return `something has been built where the ${name} stood`;
+    }
+
+    this._resourceService.spendResources(delta);
+    const result = this._buildingService.restoreBuilding(building);
+    this._restoreProcessorState(result.index, entry);
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _redoDemolish(entry) {
+    const index = this._findBuilding(entry.building);
+    if (index === -1) {
+      return this._changedSinceReason(entry.building);
+    }
+
+    entry.processorState = this._processorService.getStateSnapshot(index);
+    const result = this._buildingService.removeBuilding(index);
+    return result.success ? null : result.error;
+  }
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  /**
+   * Add an entry, dropping the oldest past the limit. A new action ends any redo chain.
+   * @param {HistoryEntry} entry
+   * @private
+   */
+  _record(entry) {
+    this._undoStack.push(entry);
+    if (this._undoStack.length > this._limit) {
+      this._undoStack.shift();
+    }
+    this._redoStack = [];
+    this._publishChanged();
+  }
+
+  /**
+   * Find a building by type, position and level
+   * @returns {number} Index or -1
+   * @private
+   */
+  _findBuilding({ type, row, col, level }) {
+    return this._gameState.getBuildings().findIndex(b =>
+      b.type === type && b.row === row && b.col === col && b.level === level
+    );
+  }
+
+  /**
+   * Explain why a recorded building can no longer be found
+   * @private
+   */
+  _changedSinceReason({ type, row, col }) {
+    const name = this._buildingName(type);
+    const index = this._gameState.getBuildings().findIndex(b =>
+      b.type === type && b.row === row && b.col === col
+    );
+    return index === -1
+      ? `the ${name} is no longer there`
+      : `the ${name} has been upgraded since`;
+  }
+
+  /**
+   * Check a refund fits in storage - undo must not lose resources to caps
+   * @returns {string|null} Error, or null if everything fits
+   * @private
+   */
+  _checkSpace(refund) {
+    const full = Object.entries(refund)
+      .filter(([resource, amount]) => this._resourceService.getRemainingSpace(resource) < amount)
+      .map(([resource]) => resource);
+    return full.length > 0 ? `not enough storage space to refund ${full.join(', ')}` : null;
+  }
+
+  /**
+   * Put a saved processor state back on a restored building
+   * @private
+   */
+  _restoreProcessorState(index, entry) {
+    if (entry.processorState) {
+      this._processorService.restoreStateSnapshot(index, entry.processorState);
+      entry.processorState = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _negate(resources) {
+    const negated = {};
+    Object.entries(resources || {}).forEach(([resource, amount]) => {
+      negated[resource] = -amount;
+    });
+    return negated;
+  }
+
+  /**
+   * @private
+   */
+  _buildingName(type) {
+    return getBuildingDef(type)?.name || type;
+  }
+
+  /**
+   * @private
+   */
+  _describe(entry) {
+    const name = this._buildingName(entry.building.type);
+    const verbs = { place: 'Place', upgrade: 'Upgrade', move: 'Move', demolish: 'Demolish' };
+    return `${verbs[entry.action]} ${name}`;
+  }
+
+  /**
+   * @private
+   */
+  _publishChanged() {
+    this._eventBus.publish(Events.HISTORY_CHANGED, {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      undoLabel: this.getUndoLabel(),
+      redoLabel: this.getRedoLabel()
+    });
+  }
+}
@@ -0,0 +1,295 @@
+/**
+ * ContractService
+ * Handles delivery contracts offered by visiting merchants
+ *
+ * Each visitor offers one of their archetype's contracts (in turn, one per
+ * visit) for as long as they stay. An accepted contract is saved with its
+ * deadline and is delivered automatically: whenever RESOURCES_CHANGED shows
+ * enough of the resource in storage, it is taken and the reward paid.
+ * Deadlines are checked every TICK, and before any delivery, so goods that
+ * arrive late never pay out. Offline catch-up judges contracts at the time
+ * each simulated tick stands for (setCatchUpTime), so only the ones still
+ * open when their deadline passes fail. A missed
+ * deadline costs merchant reputation, which MerchantService turns into
+ * worse prices. Delivering wins it back.
+ */
+
+import { Events } from '../core/EventBus.js';
+import { CONTRACT_CONFIG, RESOURCES, getMerchantContract, getMerchantArchetype } from '../config/index.js';
+
+/**
+ * An accepted contract
+ * @typedef {Object} Contract
+ * @property {string} id
+ * @property {string} archetype - Merchant who offered it
+ * @property {number} visit - Visit it was offered on
+ * @property {string} resource
+ * @property {number} amount - Units to deliver
+ * @property {number} gold - Gold paid on delivery
+ * @property {number} researchDiscountPercent - Taken off the next research on delivery
+ * @property {number} deadline - Simulated time it must be delivered by (ms)
+ */
+
+export class ContractService {
+  /**
+   * @param {import('./GameStateService.js').GameStateService} gameState
+   * @param {import('./ResourceService.js').ResourceService} resourceService
+   * @param {import('./MerchantService.js').MerchantService} merchantService
+   * @param {import('./ResearchService.js').ResearchService} researchService
+   * @param {import('../core/SimulationClock.js').SimulationClock} clock
+   * @param {import('../core/EventBus.js').EventBus} eventBus
+   */
+  constructor(gameState, resourceService, merchantService, researchService, clock, eventBus) {
+    this._gameState = gameState;
+    this._resourceService = resourceService;
+    this._merchantService = merchantService;
+    this._researchService = researchService;
+    this._clock = clock;
+    this._eventBus = eventBus;
+
+    // Delivering spends resources, which publishes RESOURCES_CHANGED again
+    this._delivering = false;
+
+    /** @type {number|null} Time the current offline catch-up tick stands for */
+    this._catchUpTime = null;
+
+    this._eventBus.subscribe(Events.MERCHANT_ARRIVED, (data) => this._onMerchantArrived(data));
+    this._eventBus.subscribe(Events.MERCHANT_DEPARTED, () => this._onMerchantDeparted());
+    this._eventBus.subscribe(Events.RESOURCES_CHANGED, () => this.checkDeliveries());
+    this._eventBus.subscribe(Events.TICK, () => this.checkDeadlines());
+  }
+
+  // ==========================================
+  // OFFER
+  // ==========================================
+
+  /**
+   * Get the contract the visiting merchant is offering
+   * @returns {Object|null} Null when nobody is visiting or it was already accepted
+   */
+  getOffer() {
+    const offer = this._gameState.getContractOffer();
+    if (!offer || offer.accepted || !this._merchantService.isActive()) return null;
+    return offer;
+  }
+
+  /**
+   * Accept the contract on offer
+   * It is delivered at once if storage already holds enough.
+   * @returns {{success: boolean, contract: Contract|null, error: string|null}}
+   */
+  acceptOffer() {
+    const offer = this.getOffer();
+    if (!offer) {
+      return { success: false, contract: null, error: 'No contract on offer' };
+    }
+    if (this._gameState.getActiveContracts().length >= CONTRACT_CONFIG.maxActive) {
+      return { success: false, contract: null, error: `You can only hold ${CONTRACT_CONFIG.maxActive} contracts at once` };
+    }
+
+    const { archetype, visit, resource, amount, gold, researchDiscountPercent, duration } = offer;
+    const contract = this._gameState.addContract({
+      archetype,
+      visit,
+      resource,
+      amount,
+      gold,
+      researchDiscountPercent,
+      deadline: this._clock.now() + duration
+    });
+    this._gameState.setContractOffer({ ...offer, accepted: true });
+
+    this._eventBus.publish(Events.CONTRACT_ACCEPTED, { contract });
+    this._publishChanged();
+
+    this.checkDeliveries();
+    return { success: true, contract, error: null };
+  }
+
+  // ==========================================
+  // ACCEPTED CONTRACTS
+  // ==========================================
+
+  /**
+   * Get accepted contracts that are still open
+   * @returns {Contract[]}
+   */
+  getActiveContracts() {
+    return this._gameState.getActiveContracts();
+  }
+
+  /**
+   * Get how close a contract is to being delivered
+   * @param {Contract} contract
+   * @returns {{have: number, amount: number, percent: number}}
+   */
+  getProgress(contract) {
+    const have = Math.min(contract.amount, Math.floor(this._resourceService.getResource(contract.resource)));
+    return { have, amount: contract.amount, percent: Math.floor(have / contract.amount * 100) };
+  }
+
+  /**
+   * Get remaining time on a contract in seconds
+   * @param {Contract} contract
+   * @returns {number}
+   */
+  getRemainingTime(contract) {
+    return Math.max(0, Math.ceil((contract.deadline - this._now()) / 1000));
+  }
+
+  /**
+   * Get how many contracts were delivered and failed
+   * @returns {{completed: number, failed: number}}
+   */
+  getStats() {
+    return this._gameState.getContractStats();
+  }
+
+  /**
+   * Deliver every contract storage now holds enough for
+   * Contracts past their deadline fail instead.
+   */
+  checkDeliveries() {
+    if (this._delivering) return;
+
+    this.checkDeadlines();
+    this._delivering = true;
+    try {
+      this.getActiveContracts().forEach(contract => {
+        if (this._resourceService.getResource(contract.resource) >= contract.amount) {
+          this._complete(contract);
+        }
+      });
+    } finally {
+      this._delivering = false;
+    }
+  }
+
+  /**
+   * Fail every contract whose deadline has passed
+   */
+  checkDeadlines() {
+    const now = this._now();
+    this.getActiveContracts()
+      .filter(contract => now >= contract.deadline)
+      .forEach(contract => this._fail(contract));
+  }
+
+  /**
+   * Judge contracts at a past time while offline catch-up replays it
+   * The clock is already past the whole time away by then.
+   * @param {number|null} time - Simulated time (ms), or null to follow the clock again
+   */
+  setCatchUpTime(time) {
+    this._catchUpTime = time;
+  }
+
+  // ==========================================
+  // PRIVATE HELPERS
+  // ==========================================
+
+  /**
+   * @returns {number} Time contracts are judged at (ms)
+   * @private
+   */
+  _now() {
+    return this._catchUpTime ?? this._clock.now();
+  }
+
+  /**
+   * Take the goods and pay the reward
+   * @param {Contract} contract
+   * @private
+   */
+  _complete(contract) {
+    if (!this._resourceService.spendResources({ [contract.resource]: contract.amount })) return;
+
+    this._gameState.closeContract(contract.id, 'completed');
+    this._resourceService.grantReward({ gold: contract.gold });
+    const researchDiscountPercent = contract.researchDiscountPercent > 0
+      ? this._researchService.addDiscount(contract.researchDiscountPercent)
+      : this._researchService.getDiscount();
+    const reputation = this._merchantService.changeReputation(CONTRACT_CONFIG.completionBonus);
+
+    this._eventBus.publish(Events.CONTRACT_COMPLETED, {
+      contract,
+      name: this._getResourceName(contract.resource),
+      reputation,
+      researchDiscountPercent
+    });
+    this._publishChanged();
+  }
+
+  /**
+   * Drop a contract that ran out of time and take the reputation penalty
+   * @param {Contract} contract
+   * @private
+   */
+  _fail(contract) {
+    if (!this._gameState.closeContract(contract.id, 'failed')) return;
+
+    const reputation = this._merchantService.changeReputation(-CONTRACT_CONFIG.failurePenalty);
+
+    this._eventBus.publish(Events.CONTRACT_FAILED, {
+      contract,
+      name: this._getResourceName(contract.resource),
+      reputation,
+      pricePercent: this._merchantService.getReputationPricePercent()
+    });
+    this._publishChanged();
+  }
+
+  /**
+   * Offer the visitor's contract for this visit
+   * A visit resumed after loading keeps the offer it already made.
+   * @param {{visitNumber: number, archetype: string}} data
+   * @private
+   */
+  _onMerchantArrived({ visitNumber, archetype }) {
+    const current = this._gameState.getContractOffer();
+    if (current && current.visit === visitNumber) return;
+
+    const terms = getMerchantContract(archetype, visitNumber);
+    if (!terms) {
+      this._gameState.setContractOffer(null);
+      return;
+    }
+
+    const offer = { archetype, visit: visitNumber, accepted: false, ...terms };
+    this._gameState.setContractOffer(offer);
+    this._eventBus.publish(Events.CONTRACT_OFFERED, {
+      offer,
+      merchant: getMerchantArchetype(archetype)?.name || archetype,
+      name: this._getResourceName(offer.resource)
+    });
+    this._publishChanged();
+  }
+
+  /**
+   * Withdraw the offer when its merchant leaves
+   * @private
+   */
+  _onMerchantDeparted() {
+    if (!this._gameState.getContractOffer()) return;
+    this._gameState.setContractOffer(null);
+    this._publishChanged();
+  }
+
+  /**
+   * @private
+   */
+  _publishChanged() {
+    this._eventBus.publish(Events.CONTRACTS_CHANGED, {
+      offer: this.getOffer(),
+      active: this.getActiveContracts()
+    });
+  }
+
+  /**
+   * Get display name for a resource
+   * @private
+   */
+  _getResourceName(resource) {
+    return RESOURCES[resource]?.name || resource;
+  }
+}
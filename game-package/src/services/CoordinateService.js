@@ -5,6 +5,9 @@
 
 import { TILE_CONFIG, BUILDING_FOOTPRINT } from '../config/index.js';
 
+/** Footprint used when a caller doesn't pass one */
+const DEFAULT_FOOTPRINT = { rows: BUILDING_FOOTPRINT, cols: BUILDING_FOOTPRINT };
+
 export class CoordinateService {
   constructor() {
     // Cursor detection offsets (to align cursor with visual tile positions)
@@ -184,37 +187,41 @@ export class CoordinateService {
 
   /**
    * Convert grid (row, col) to pixel position for buildings
-   * Buildings occupy a 2x2 area, so we center on the middle of the 4 tiles
+   * Buildings are centered on the middle of their footprint. Built sprites
+   * scale with the footprint's on-screen width (a 2x2 is the base size).
    * @param {number} row - Grid row
    * @param {number} col - Grid column
    * @param {boolean} [isBuilt=false] - true for constructed buildings (use debug offsets)
-   * @returns {{x: number, y: number, z: number}} Pixel position with z-index
+   * @param {{rows: number, cols: number}} [footprint] - Tiles covered (defaults to 2x2)
+   * @returns {{x: number, y: number, z: number, size: number}} Pixel position with z-index and sprite size
    */
-  gridToPixel(row, col, isBuilt = false) {
+  gridToPixel(row, col, isBuilt = false, footprint = DEFAULT_FOOTPRINT) {
     const { tileHeight, gridWidth } = TILE_CONFIG;
 
-    // For 2x2 footprint, center is at (col + 0.5, row + 0.5) in grid coords
-    const centerCol = col + (BUILDING_FOOTPRINT - 1) / 2;
-    const centerRow = row + (BUILDING_FOOTPRINT - 1) / 2;
+    // Center of the footprint in grid coords - (col + 0.5, row + 0.5) for a 2x2
+    const centerCol = col + (footprint.cols - 1) / 2;
+    const centerRow = row + (footprint.rows - 1) / 2;
 
     // Get screen position of the center point
     const pos = this.gridToScreen(centerCol, centerRow);
 
+    // Depth sorts by the footprint's front corner
+    const frontZ = (col + footprint.cols + row + footprint.rows) * 10;
+
     if (isBuilt) {
       // Built buildings use debug offsets for fine-tuning
-      const buildingSize = gridWidth * this._debugSizeMult;
+      const scale = (footprint.rows + footprint.cols) / (2 * BUILDING_FOOTPRINT);
+      const buildingSize = gridWidth * this._debugSizeMult * scale;
       const x = pos.x - buildingSize / 2 + this._debugOffsetX;
       const y = pos.y + (tileHeight / 2) - buildingSize / 2 + this._debugOffsetY;
       // Higher z-index for built buildings to appear above tiles
-      const frontZ = (col + BUILDING_FOOTPRINT + row + BUILDING_FOOTPRINT) * 10 + 100;
-      return { x, y, z: frontZ };
+      return { x, y, z: frontZ + 100, size: buildingSize };
     } else {
       // Placeholders use compact positioning (original behavior)
       const placeholderSize = 42;
       const x = pos.x - placeholderSize / 2;
       const y = pos.y + (tileHeight / 2) - placeholderSize / 2;
-      const frontZ = (col + BUILDING_FOOTPRINT + row + BUILDING_FOOTPRINT) * 10;
-      return { x, y, z: frontZ };
+      return { x, y, z: frontZ, size: placeholderSize };
     }
   }
 
@@ -233,16 +240,16 @@ export class CoordinateService {
    * Check if a building footprint fits within bounds
    * @param {number} row - Starting row
    * @param {number} col - Starting column
-   * @param {number} [footprint=BUILDING_FOOTPRINT] - Size of footprint
+   * @param {{rows: number, cols: number}} [footprint] - Tiles covered (defaults to 2x2)
    * @returns {boolean}
    */
-  footprintInBounds(row, col, footprint = BUILDING_FOOTPRINT) {
+  footprintInBounds(row, col, footprint = DEFAULT_FOOTPRINT) {
     const { rows, cols } = TILE_CONFIG;
     return (
       row >= 0 &&
       col >= 0 &&
-      row + footprint <= rows &&
-      col + footprint <= cols
+      row + footprint.rows <= rows &&
+      col + footprint.cols <= cols
     );
   }
 
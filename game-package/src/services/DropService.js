@@ -5,9 +5,7 @@
  */
 
 import { Events } from '../core/EventBus.js';
-import { BUILDING_FOOTPRINT } from '../config/tiles.config.js';
-
-let dropIdCounter = 0;
+import { getBuildingFootprint } from '../config/buildings.config.js';
 
 /**
  * Drop entity structure
@@ -17,7 +15,7 @@ let dropIdCounter = 0;
  * @property {number} amount - Resource amount
  * @property {number} gridX - Grid X position
  * @property {number} gridY - Grid Y position
- * @property {number} sourceBuildingIndex - Building that spawned this drop
+ * @property {number|null} sourceBuildingIndex - Building that spawned this drop (null once demolished)
  * @property {number} spawnedAt - Timestamp when spawned
  * @property {string|null} reservedBy - Character ID if reserved for pickup
  * @property {boolean} collected - Whether drop has been collected
@@ -29,17 +27,26 @@ export class DropService {
    * @param {import('./ResourceService.js').ResourceService} resourceService
    * @param {import('./ProcessorService.js').ProcessorService} processorService
    * @param {import('./CoordinateService.js').CoordinateService} coordinateService
+   * @param {import('../core/SimulationClock.js').SimulationClock} clock
    * @param {import('../core/EventBus.js').EventBus} eventBus
    */
-  constructor(gameState, resourceService, processorService, coordinateService, eventBus) {
+  constructor(gameState, resourceService, processorService, coordinateService, clock, eventBus) {
     this._gameState = gameState;
     this._resourceService = resourceService;
     this._processorService = processorService;
     this._coordinateService = coordinateService;
+    this._clock = clock;
     this._eventBus = eventBus;
 
     /** @type {Map<string, Drop>} Active drops keyed by ID */
     this._drops = new Map();
+
+    /** @type {number} Last drop ID issued */
+    this._dropIdCounter = 0;
+
+    // Drops follow the building that spawned them
+    this._eventBus.subscribe(Events.BUILDING_MOVED, (data) => this._onBuildingMoved(data));
+    this._eventBus.subscribe(Events.BUILDING_REMOVED, (data) => this._onBuildingRemoved(data));
   }
 
   /**
@@ -104,36 +111,72 @@ export class DropService {
     if (totalDrops > 1) {
       // Spread multiple drops in an arc
       const angle = ((spawnIndex / (totalDrops - 1)) - 0.5) * Math.PI * 0.6;
-      const radius = 0.6 + Math.random() * 0.3;
+      const radius = 0.6 + this._clock.random() * 0.3;
       offsetX = Math.sin(angle) * radius;
       offsetY = 0.6 + Math.cos(angle) * 0.4;
     }
 
     // Add slight randomness
-    offsetX += (Math.random() - 0.5) * 0.2;
-    offsetY += (Math.random() - 0.5) * 0.1;
+    offsetX += (this._clock.random() - 0.5) * 0.2;
+    offsetY += (this._clock.random() - 0.5) * 0.1;
 
     return {
-      id: `drop_${++dropIdCounter}`,
+      id: `drop_${++this._dropIdCounter}`,
       resourceId,
       amount,
       sourceBuildingIndex,
       gridX: centerX + offsetX,
       gridY: centerY + offsetY,
-      spawnedAt: Date.now(),
+      spawnedAt: this._clock.now(),
       reservedBy: null,
       collected: false
     };
   }
 
+  /**
+   * Move uncollected drops along with their building
+   * @param {Object} data - BUILDING_MOVED event data
+   * @private
+   */
+  _onBuildingMoved({ index, fromRow, fromCol, row, col }) {
+    const dropIds = [];
+    this._drops.forEach(drop => {
+      if (drop.collected || drop.sourceBuildingIndex !== index) return;
+      drop.gridX += col - fromCol;
+      drop.gridY += row - fromRow;
+      dropIds.push(drop.id);
+    });
+
+    if (dropIds.length > 0) {
+      this._eventBus.publish('drops:moved', { buildingIndex: index, dropIds });
+    }
+  }
+
+  /**
+   * Keep source indices in step with the buildings array after a demolish
+   * @param {Object} data - BUILDING_REMOVED event data
+   * @private
+   */
+  _onBuildingRemoved({ index }) {
+    this._drops.forEach(drop => {
+      if (drop.sourceBuildingIndex === index) {
+        // Left lying where it was - no building to follow any more
+        drop.sourceBuildingIndex = null;
+      } else if (drop.sourceBuildingIndex > index) {
+        drop.sourceBuildingIndex--;
+      }
+    });
+  }
+
   /**
    * Get building center in grid coordinates
    * @private
    */
   _getBuildingCenter(building) {
+    const { rows, cols } = getBuildingFootprint(building.type);
     return {
-      x: building.col + BUILDING_FOOTPRINT / 2,
-      y: building.row + BUILDING_FOOTPRINT / 2
+      x: building.col + cols / 2,
+      y: building.row + rows / 2
     };
   }
 
@@ -306,7 +349,7 @@ export class DropService {
   exportState() {
     return {
       drops: Array.from(this._drops.values()).filter(d => !d.collected),
-      nextId: dropIdCounter
+      nextId: this._dropIdCounter
     };
   }
 
@@ -322,7 +365,7 @@ export class DropService {
       });
     }
     if (typeof savedState?.nextId === 'number') {
-      dropIdCounter = savedState.nextId;
+      this._dropIdCounter = savedState.nextId;
     }
   }
 
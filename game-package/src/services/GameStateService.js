@@ -6,6 +6,11 @@
 
 import { Events } from '../core/EventBus.js';
 import { getDefaultResources, getTradeableResources } from '../config/resources.config.js';
+import { buildingOccupiesTile } from '../config/buildings.config.js';
+import { DEFAULT_MAP_SEED, resizeTerrain } from '../config/terrain.config.js';
+import { POPULATION_CONFIG } from '../config/population.config.js';
+import { DEFAULT_MERCHANT_ARCHETYPE } from '../config/merchant.config.js';
+import { generateTerrain } from './MapGenerator.js';
 
 /**
  * Get default sold tracking object for merchant
@@ -18,6 +23,17 @@ function getDefaultSoldThisVisit() {
   return sold;
 }
 
+/**
+ * Get the villagers a new game starts with (all haulers)
+ */
+function getStartingPopulation() {
+  const villagers = [];
+  for (let i = 1; i <= POPULATION_CONFIG.startingVillagers; i++) {
+    villagers.push({ id: `v${i}`, workplace: null });
+  }
+  return { villagers, nextId: villagers.length + 1, growthTicks: 0, housingAllowance: 0 };
+}
+
 /**
  * Default initial state for a new game
  */
@@ -32,14 +48,38 @@ const DEFAULT_STATE = {
   merchant: {
     active: false,
     visitStartTime: null,
+    archetype: DEFAULT_MERCHANT_ARCHETYPE,
     soldThisVisit: getDefaultSoldThisVisit(),
+    boughtThisVisit: {},
     nextVisitTime: null,
     totalVisits: 0,
-    disabled: false
+    disabled: false,
+    reputation: 0
+  },
+  contracts: {
+    offer: null,
+    active: [],
+    nextId: 1,
+    completed: 0,
+    failed: 0
   },
   completedMilestones: [],
   completedResearch: [],
+  research: {
+    active: null,
+    queue: []
+  },
+  researchDiscountPercent: 0,
   plotSize: { rows: 10, cols: 10 },
+  mapSeed: DEFAULT_MAP_SEED,
+  terrain: resizeTerrain(generateTerrain(DEFAULT_MAP_SEED), 10, 10),
+  logistics: false,
+  population: getStartingPopulation(),
+  market: {
+    demand: {},
+    rules: [],
+    nextRuleId: 1
+  },
   ui: {
     placementMode: null,
     activeTab: 'build',
@@ -245,14 +285,10 @@ export class GameStateService {
    * Find building at position
    * @param {number} row
    * @param {number} col
-   * @param {number} [footprint=2] - Building footprint size
    * @returns {Object|null}
    */
-  getBuildingAt(row, col, footprint = 2) {
-    return this._state.buildings.find(b =>
-      row >= b.row && row < b.row + footprint &&
-      col >= b.col && col < b.col + footprint
-    ) || null;
+  getBuildingAt(row, col) {
+    return this._state.buildings.find(b => buildingOccupiesTile(b, row, col)) || null;
   }
 
   /**
@@ -346,6 +382,150 @@ export class GameStateService {
     return this._state.merchant.disabled;
   }
 
+  // ==========================================
+  // CONTRACTS
+  // ==========================================
+
+  /**
+   * Get the contract the visiting merchant is offering
+   * @returns {Object|null} Copy
+   */
+  getContractOffer() {
+    const offer = this._state.contracts.offer;
+    return offer ? { ...offer } : null;
+  }
+
+  /**
+   * Set or clear the contract on offer
+   * @param {Object|null} offer
+   */
+  setContractOffer(offer) {
+    this._state.contracts.offer = offer ? { ...offer } : null;
+  }
+
+  /**
+   * Get accepted contracts that are still open
+   * @returns {Array<{id: string, archetype: string, resource: string, amount: number, gold: number, researchDiscountPercent: number, deadline: number}>} Copies
+   */
+  getActiveContracts() {
+    return this._state.contracts.active.map(contract => ({ ...contract }));
+  }
+
+  /**
+   * Add an accepted contract
+   * @param {Object} contract
+   * @returns {Object} Copy of the new contract, with its id
+   */
+  addContract(contract) {
+    const contracts = this._state.contracts;
+    const added = { id: `c${contracts.nextId++}`, ...contract };
+    contracts.active.push(added);
+    return { ...added };
+  }
+
+  /**
+   * Close an accepted contract and count how it ended
+   * @param {string} id
+   * @param {'completed'|'failed'} outcome
+   * @returns {boolean} True if the contract was open
+   */
+  closeContract(id, outcome) {
+    const contracts = this._state.contracts;
+    const index = contracts.active.findIndex(c => c.id === id);
+    if (index === -1) return false;
+    contracts.active.splice(index, 1);
+    contracts[outcome]++;
+    return true;
+  }
+
+  /**
+   * Get how many contracts were delivered and failed
+   * @returns {{completed: number, failed: number}}
+   */
+  getContractStats() {
+    const { completed, failed } = this._state.contracts;
+    return { completed, failed };
+  }
+
+  // ==========================================
+  // MARKET
+  // ==========================================
+
+  /**
+   * Get how much of its full price the market pays for a resource
+   * @param {string} resource
+   * @returns {number} 1 when nobody has sold it lately
+   */
+  getMarketDemand(resource) {
+    return this._state.market.demand[resource] ?? 1;
+  }
+
+  /**
+   * Get every resource whose price is below full
+   * @returns {Object<string, number>} Copy keyed by resource
+   */
+  getAllMarketDemand() {
+    return { ...this._state.market.demand };
+  }
+
+  /**
+   * Set how much of its full price the market pays for a resource
+   * @param {string} resource
+   * @param {number} factor - Full demand (1 or more) is not stored
+   */
+  setMarketDemand(resource, factor) {
+    if (factor >= 1) {
+      delete this._state.market.demand[resource];
+    } else {
+      this._state.market.demand[resource] = factor;
+    }
+  }
+
+  /**
+   * Get standing market orders
+   * @returns {Array<{id: string, resource: string, trigger: string, keep: number, enabled: boolean, sold: number, earned: number}>} Copies
+   */
+  getMarketRules() {
+    return this._state.market.rules.map(rule => ({ ...rule }));
+  }
+
+  /**
+   * Add a standing market order
+   * @param {{resource: string, trigger: string, keep: number}} rule
+   * @returns {Object} Copy of the new rule, with its id and zeroed totals
+   */
+  addMarketRule(rule) {
+    const market = this._state.market;
+    const added = { id: `r${market.nextRuleId++}`, ...rule, enabled: true, sold: 0, earned: 0 };
+    market.rules.push(added);
+    return { ...added };
+  }
+
+  /**
+   * Update a standing market order
+   * @param {string} id
+   * @param {Object} updates
+   */
+  updateMarketRule(id, updates) {
+    const rule = this._state.market.rules.find(r => r.id === id);
+    if (rule) {
+      Object.assign(rule, updates);
+    }
+  }
+
+  /**
+   * Remove a standing market order
+   * @param {string} id
+   * @returns {boolean} True if a rule was removed
+   */
+  removeMarketRule(id) {
+    const rules = this._state.market.rules;
+    const index = rules.findIndex(r => r.id === id);
+    if (index === -1) return false;
+    rules.splice(index, 1);
+    return true;
+  }
+
   // ==========================================
   // MILESTONES
   // ==========================================
@@ -408,6 +588,55 @@ export class GameStateService {
     }
   }
 
+  /**
+   * Get the research in progress
+   * @returns {{id: string, progress: number, paid: Object}|null} Copy
+   */
+  getActiveResearch() {
+    const active = this._state.research.active;
+    return active ? { ...active, paid: { ...active.paid } } : null;
+  }
+
+  /**
+   * Set or clear the research in progress
+   * @param {{id: string, progress: number, paid: Object}|null} active
+   */
+  setActiveResearch(active) {
+    this._state.research.active = active ? { ...active, paid: { ...active.paid } } : null;
+  }
+
+  /**
+   * Get the research waiting to start, in order
+   * @returns {string[]}
+   */
+  getResearchQueue() {
+    return [...this._state.research.queue];
+  }
+
+  /**
+   * Replace the research queue
+   * @param {string[]} queue
+   */
+  setResearchQueue(queue) {
+    this._state.research.queue = [...queue];
+  }
+
+  /**
+   * Get the discount waiting for the next research
+   * @returns {number} Percent
+   */
+  getResearchDiscount() {
+    return this._state.researchDiscountPercent;
+  }
+
+  /**
+   * Set the discount waiting for the next research
+   * @param {number} percent
+   */
+  setResearchDiscount(percent) {
+    this._state.researchDiscountPercent = percent;
+  }
+
   // ==========================================
   // PLOT SIZE
   // ==========================================
@@ -426,6 +655,158 @@ export class GameStateService {
    */
   setPlotSize(size) {
     this._state.plotSize = { ...size };
+    this._state.terrain = resizeTerrain(this._state.terrain, size.rows, size.cols);
+  }
+
+  // ==========================================
+  // TERRAIN
+  // ==========================================
+
+  /**
+   * Get terrain rows (one base-36 TILE character per tile)
+   * @returns {string[]}
+   */
+  getTerrain() {
+    return [...this._state.terrain];
+  }
+
+  /**
+   * Get the seed the map was generated from
+   * @returns {number}
+   */
+  getMapSeed() {
+    return this._state.mapSeed;
+  }
+
+  /**
+   * Set the map seed (terrain is not regenerated - see TerrainService.generateMap)
+   * @param {number} seed
+   */
+  setMapSeed(seed) {
+    this._state.mapSeed = seed;
+  }
+
+  /**
+   * Replace the whole terrain (sized to the current plot)
+   * @param {string[]} terrain
+   */
+  setTerrain(terrain) {
+    const { rows, cols } = this._state.plotSize;
+    this._state.terrain = resizeTerrain(terrain, rows, cols);
+  }
+
+  /**
+   * Get the TILE value at a position
+   * @param {number} row
+   * @param {number} col
+   * @returns {number|null} Null outside the plot
+   */
+  getTerrainTile(row, col) {
+    const code = this._state.terrain[row]?.[col];
+    return code === undefined ? null : parseInt(code, 36);
+  }
+
+  /**
+   * Set the TILE value at a position
+   * @param {number} row
+   * @param {number} col
+   * @param {number} tile
+   */
+  setTerrainTile(row, col, tile) {
+    const line = this._state.terrain[row];
+    if (line === undefined || col < 0 || col >= line.length) return;
+    this._state.terrain[row] = line.slice(0, col) + tile.toString(36) + line.slice(col + 1);
+  }
+
+  // ==========================================
+  // LOGISTICS
+  // ==========================================
+
+  /**
+   * Check if villagers haul processor inputs (instead of processors drawing on storage)
+   * @returns {boolean}
+   */
+  isLogisticsEnabled() {
+    return this._state.logistics;
+  }
+
+  /**
+   * Turn logistics mode on or off
+   * @param {boolean} enabled
+   */
+  setLogisticsEnabled(enabled) {
+    this._state.logistics = enabled;
+  }
+
+  // ==========================================
+  // POPULATION
+  // ==========================================
+
+  /**
+   * Get all villagers
+   * @returns {Array<{id: string, workplace: number|null}>} Copies - workplace is a building index
+   */
+  getVillagers() {
+    return this._state.population.villagers.map(v => ({ ...v }));
+  }
+
+  /**
+   * Add a villager with no workplace
+   * @returns {{id: string, workplace: null}} Copy of the new villager
+   */
+  addVillager() {
+    const population = this._state.population;
+    const villager = { id: `v${population.nextId++}`, workplace: null };
+    population.villagers.push(villager);
+    return { ...villager };
+  }
+
+  /**
+   * Remove a villager
+   * @param {string} id
+   * @returns {{id: string, workplace: number|null}|null} Copy of the removed villager
+   */
+  removeVillager(id) {
+    const villagers = this._state.population.villagers;
+    const index = villagers.findIndex(v => v.id === id);
+    if (index === -1) return null;
+    return { ...villagers.splice(index, 1)[0] };
+  }
+
+  /**
+   * Set where a villager works
+   * @param {string} id
+   * @param {number|null} workplace - Building index, or null for no workplace
+   */
+  setVillagerWorkplace(id, workplace) {
+    const villager = this._state.population.villagers.find(v => v.id === id);
+    if (villager) {
+      villager.workplace = workplace;
+    }
+  }
+
+  /**
+   * Get ticks counted towards the next newcomer
+   * @returns {number}
+   */
+  getGrowthTicks() {
+    return this._state.population.growthTicks;
+  }
+
+  /**
+   * Set ticks counted towards the next newcomer
+   * @param {number} ticks
+   */
+  setGrowthTicks(ticks) {
+    this._state.population.growthTicks = ticks;
+  }
+
+  /**
+   * Get the extra room given to saves from before population
+   * @returns {number}
+   */
+  getHousingAllowance() {
+    return this._state.population.housingAllowance;
   }
 
   // ==========================================
@@ -0,0 +1,348 @@
+/**
+ * LogisticsService
+ * Optional supply chain - villagers haul processor inputs from storage
+ *
+ * With logistics off, processors draw their inputs straight from the global
+ * resource pool. With it on, each processor runs from its own input buffer
+ * (ProcessorService inputBuffer) and asks for enough to run
+ * LOGISTICS_CONFIG.bufferCycles cycles. Villagers claim those requests as
+ * delivery jobs:
+ *
+ *   claimDelivery()  - reserve a request (nothing moves yet)
+ *   pickUp()         - take the goods out of storage at a Barn or Town Hall
+ *   deliver()        - put them in the processor's input buffer
+ *   cancelDelivery() - give up; goods already picked up go back to storage
+ *
+ * Requests from higher-priority processors (ProcessorService.setPriority)
+ * are served first. When storage can't cover everyone asking for a resource,
+ * the processors passed over remember whose claim went ahead of them
+ * (takeScarceClaims), so a stalled processor can name its competitor.
+ *
+ * Jobs are keyed by building index like processor state, so they shift down
+ * when an earlier building is removed and are cancelled with their processor.
+ */
+
+import { Events } from '../core/EventBus.js';
+import { LOGISTICS_CONFIG, PROCESSOR_PRIORITIES, getBuildingDef } from '../config/index.js';
+
+/**
+ * A delivery a villager has claimed
+ * @typedef {Object} DeliveryJob
+ * @property {string} id
+ * @property {string} characterId - Villager doing the hauling
+ * @property {number} buildingIndex - Processor being supplied
+ * @property {string} resource
+ * @property {number} amount
+ * @property {boolean} pickedUp - Whether the goods have left storage
+ */
+
+export class LogisticsService {
+  /**
+   * @param {import('./GameStateService.js').GameStateService} gameState
+   * @param {import('./ProcessorService.js').ProcessorService} processorService
+   * @param {import('./ResourceService.js').ResourceService} resourceService
+   * @param {import('../core/EventBus.js').EventBus} eventBus
+   */
+  constructor(gameState, processorService, resourceService, eventBus) {
+    this._gameState = gameState;
+    this._processorService = processorService;
+    this._resourceService = resourceService;
+    this._eventBus = eventBus;
+
+    /** @type {Map<string, DeliveryJob>} */
+    this._jobs = new Map();
+    this._nextJobId = 1;
+
+    /**
+     * Processors passed over for scarce goods, by building index, with the
+     * processor whose claim went ahead for each resource
+     * @type {Map<number, Object<string, number>>}
+     */
+    this._scarceClaims = new Map();
+
+    this._eventBus.subscribe(Events.BUILDING_REMOVED, (data) => this._onBuildingRemoved(data));
+
+    // Villagers start over after a load or reset, so their jobs go too
+    this._eventBus.subscribe(Events.STATE_LOADED, () => this._clearJobs());
+    this._eventBus.subscribe(Events.GAME_RESET, () => this._clearJobs());
+  }
+
+  // ==========================================
+  // MODE
+  // ==========================================
+
+  /**
+   * Check if logistics mode is on
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this._gameState.isLogisticsEnabled() === true;
+  }
+
+  /**
+   * Turn logistics mode on or off
+   * Turning it off returns every input buffer and load in transit to storage.
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    if (enabled === this.isEnabled()) return;
+
+    this._gameState.setLogisticsEnabled(enabled);
+    if (!enabled) {
+      this._returnAllInputs();
+    }
+    this._eventBus.publish(Events.LOGISTICS_TOGGLED, { enabled });
+  }
+
+  /**
+   * Flip logistics mode
+   * @returns {boolean} Whether it is now on
+   */
+  toggle() {
+    this.setEnabled(!this.isEnabled());
+    return this.isEnabled();
+  }
+
+  // ==========================================
+  // DELIVERY REQUESTS
+  // ==========================================
+
+  /**
+   * Get the inputs processors still need delivered, highest priority first
+   * Goods already in a buffer or on their way count towards the target.
+   * @returns {Array<{buildingIndex: number, resource: string, amount: number}>}
+   */
+  getDeliveryRequests() {
+    if (!this.isEnabled()) return [];
+
+    const requests = [];
+    this._gameState.getBuildings().forEach((building, index) => {
+      const def = getBuildingDef(building.type);
+      if (!def || !def.isProcessor || !def.recipe) return;
+
+      const buffer = this._processorService.getInputBuffer(index);
+      Object.entries(this._processorService.getRecipe(building).inputs).forEach(([resource, amount]) => {
+        const target = amount * LOGISTICS_CONFIG.bufferCycles;
+        const needed = target - (buffer[resource] || 0) - this._getIncoming(index, resource);
+        if (needed > 0) {
+          requests.push({ buildingIndex: index, resource, amount: needed });
+        }
+      });
+    });
+
+    const rank = (request) => PROCESSOR_PRIORITIES.indexOf(this._processorService.getPriority(request.buildingIndex));
+    return requests.sort((a, b) => rank(b) - rank(a));
+  }
+
+  /**
+   * Claim the first request storage can supply
+   * @param {string} characterId - Villager taking the job
+   * @returns {DeliveryJob|null} Copy of the job, or null if nothing needs hauling
+   */
+  claimDelivery(characterId) {
+    const requests = this.getDeliveryRequests();
+    const request = requests.find(r => this._resourceService.getResource(r.resource) >= 1);
+    if (!request) return null;
+
+    this._recordScarceClaim(request, requests);
+
+    const job = {
+      id: `haul_${this._nextJobId++}`,
+      characterId,
+      buildingIndex: request.buildingIndex,
+      resource: request.resource,
+      amount: Math.min(request.amount, LOGISTICS_CONFIG.carryCapacity),
+      pickedUp: false
+    };
+    this._jobs.set(job.id, job);
+    return { ...job };
+  }
+
+  /**
+   * Get a delivery job
+   * @param {string} jobId
+   * @returns {DeliveryJob|null} Copy of the job, or null if it was cancelled
+   */
+  getJob(jobId) {
+    const job = this._jobs.get(jobId);
+    return job ? { ...job } : null;
+  }
+
+  /**
+   * Take a job's goods out of storage
+   * Takes whatever storage has left, up to the job's amount.
+   * @param {string} jobId
+   * @returns {{success: boolean, error: string|null, carried?: Object}}
+   */
+  pickUp(jobId) {
+    const job = this._jobs.get(jobId);
+    if (!job) {
+      return { success: false, error: 'Delivery was cancelled' };
+    }
+    if (job.pickedUp) {
+      return { success: false, error: 'Delivery was already picked up' };
+    }
+
+    const amount = Math.min(job.amount, Math.floor(this._resourceService.getResource(job.resource)));
+    if (amount <= 0) {
+      this._jobs.delete(jobId);
+      return { success: false, error: 'Storage has none left' };
+    }
+
+    this._resourceService.subtractResource(job.resource, amount);
+    job.amount = amount;
+    job.pickedUp = true;
+    return { success: true, error: null, carried: { [job.resource]: amount } };
+  }
+
+  /**
+   * Put a job's goods in its processor's input buffer
+   * @param {string} jobId
+   * @returns {{success: boolean, error: string|null}}
+   */
+  deliver(jobId) {
+    const job = this._jobs.get(jobId);
+    if (!job) {
+      return { success: false, error: 'Delivery was cancelled' };
+    }
+    if (!job.pickedUp) {
+      return { success: false, error: 'Nothing was picked up' };
+    }
+
+    this._jobs.delete(jobId);
+    this._processorService.addToInputBuffer(job.buildingIndex, { [job.resource]: job.amount });
+    this._eventBus.publish(Events.INPUTS_DELIVERED, {
+      buildingIndex: job.buildingIndex,
+      resources: { [job.resource]: job.amount },
+      characterId: job.characterId
+    });
+    return { success: true, error: null };
+  }
+
+  /**
+   * Give up a job - picked up goods go back to storage
+   * @param {string} jobId
+   */
+  cancelDelivery(jobId) {
+    const job = this._jobs.get(jobId);
+    if (!job) return;
+
+    this._jobs.delete(jobId);
+    if (job.pickedUp) {
+      this._resourceService.addResource(job.resource, job.amount);
+    }
+  }
+
+  /**
+   * Give up every job supplying a processor - picked up goods go back to storage
+   * @param {number} buildingIndex
+   */
+  cancelDeliveriesTo(buildingIndex) {
+    [...this._jobs.values()]
+      .filter(job => job.buildingIndex === buildingIndex)
+      .forEach(job => this.cancelDelivery(job.id));
+  }
+
+  /**
+   * Get and forget the processors passed over for scarce goods since the last call
+   * @returns {Map<number, Object<string, number>>} Processor index → resource → index of the processor served first
+   */
+  takeScarceClaims() {
+    const claims = this._scarceClaims;
+    this._scarceClaims = new Map();
+    return claims;
+  }
+
+  /**
+   * Get the goods villagers are carrying right now
+   * @returns {Array<{buildingIndex: number, resource: string, amount: number}>}
+   */
+  getDeliveriesInTransit() {
+    return [...this._jobs.values()]
+      .filter(job => job.pickedUp)
+      .map(({ buildingIndex, resource, amount }) => ({ buildingIndex, resource, amount }));
+  }
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  /**
+   * Note who a claim went ahead of, if storage can't cover everyone asking
+   * @param {{buildingIndex: number, resource: string, amount: number}} request - Request being claimed
+   * @param {Array<{buildingIndex: number, resource: string, amount: number}>} requests - Every open request
+   * @private
+   */
+  _recordScarceClaim(request, requests) {
+    const rivals = requests.filter(r => r.resource === request.resource && r.buildingIndex !== request.buildingIndex);
+    const wanted = rivals.reduce((total, r) => total + r.amount, request.amount);
+    if (this._resourceService.getResource(request.resource) >= wanted) return;
+
+    rivals.forEach(({ buildingIndex }) => {
+      const claims = this._scarceClaims.get(buildingIndex) || {};
+      if (claims[request.resource] === undefined) {
+        claims[request.resource] = request.buildingIndex;
+      }
+      this._scarceClaims.set(buildingIndex, claims);
+    });
+  }
+
+  /**
+   * Drop every job and scarce claim
+   * @private
+   */
+  _clearJobs() {
+    this._jobs.clear();
+    this._scarceClaims.clear();
+  }
+
+  /**
+   * Get how much of a resource claimed jobs will bring a processor
+   * @private
+   */
+  _getIncoming(buildingIndex, resource) {
+    let total = 0;
+    this._jobs.forEach(job => {
+      if (job.buildingIndex === buildingIndex && job.resource === resource) {
+        total += job.amount;
+      }
+    });
+    return total;
+  }
+
+  /**
+   * Put every input buffer and load in transit back into storage
+   * @private
+   */
+  _returnAllInputs() {
+    [...this._jobs.keys()].forEach(jobId => this.cancelDelivery(jobId));
+
+    this._gameState.getBuildings().forEach((building, index) => {
+      const inputs = this._processorService.clearInputBuffer(index);
+      if (inputs) {
+        this._resourceService.applyProduction(inputs);
+      }
+    });
+  }
+
+  /**
+   * Cancel jobs for a removed building and shift later indices down
+   * @param {Object} data - BUILDING_REMOVED event data with index
+   * @private
+   */
+  _onBuildingRemoved(data) {
+    const { index } = data;
+    if (index === undefined) return;
+
+    [...this._jobs.values()].forEach(job => {
+      if (job.buildingIndex === index) {
+        this.cancelDelivery(job.id);
+      } else if (job.buildingIndex > index) {
+        job.buildingIndex--;
+      }
+    });
+
+    // Claims name processors by index - start afresh rather than shift them
+    this._scarceClaims.clear();
+  }
+}
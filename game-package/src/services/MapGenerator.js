@@ -0,0 +1,105 @@
+/**
+ * Map Generator
+ * Grows terrain features from a seed
+ *
+ * The same seed always produces the same world, so a seed is all it takes to
+ * share a map. Settings live in MAP_GENERATION (terrain.config.js).
+ *
+ *   const terrain = generateTerrain(12345);        // 16 rows of 16 tiles
+ *   const start = resizeTerrain(terrain, 10, 10);  // what a new game sees
+ */
+
+import { SeededRandom } from '../core/SeededRandom.js';
+import { TILE, TERRAIN, MAP_GENERATION } from '../config/index.js';
+
+/** Tries at picking a free starting tile before a cluster is skipped */
+const CLUSTER_START_ATTEMPTS = 20;
+
+/** Neighbour offsets clusters grow along */
+const DIRECTIONS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+/**
+ * Generate the whole world for a seed
+ * @param {number} seed
+ * @param {typeof MAP_GENERATION} [settings]
+ * @returns {string[]} Terrain rows, one base-36 TILE character per tile
+ */
+export function generateTerrain(seed, settings = MAP_GENERATION) {
+  const rng = new SeededRandom(seed);
+  const { size } = settings;
+  const grid = Array.from({ length: size.rows }, () => new Array(size.cols).fill(TILE.GRASS));
+
+  settings.features.forEach(feature => {
+    const tile = TERRAIN[feature.terrain].tile;
+    for (let i = 0; i < feature.clusters; i++) {
+      const origin = pickClusterStart(rng, grid, settings, i < feature.inStart);
+      if (!origin) continue;
+      const target = rng.between(feature.size[0], feature.size[1]);
+      growCluster(rng, grid, settings, origin, target, tile);
+    }
+  });
+
+  return grid.map(row => row.map(tile => tile.toString(36)).join(''));
+}
+
+/**
+ * Pick a free grass tile for a cluster to start from
+ * @param {SeededRandom} rng
+ * @param {number[][]} grid
+ * @param {typeof MAP_GENERATION} settings
+ * @param {boolean} inStart - Start inside the starting plot, or outside it
+ * @returns {{row: number, col: number}|null}
+ */
+function pickClusterStart(rng, grid, settings, inStart) {
+  const { size, start } = settings;
+  for (let attempt = 0; attempt < CLUSTER_START_ATTEMPTS; attempt++) {
+    const row = inStart ? rng.between(0, start.rows - 1) : rng.between(0, size.rows - 1);
+    const col = inStart ? rng.between(0, start.cols - 1) : rng.between(0, size.cols - 1);
+    const inStartPlot = row < start.rows && col < start.cols;
+    if (inStartPlot === inStart && isFree(grid, settings, row, col)) {
+      return { row, col };
+    }
+  }
+  return null;
+}
+
+/**
+ * Grow a cluster outwards from its origin by random steps
+ * Stops early if it runs out of free neighbours.
+ * @param {SeededRandom} rng
+ * @param {number[][]} grid
+ * @param {typeof MAP_GENERATION} settings
+ * @param {{row: number, col: number}} origin
+ * @param {number} target - Tiles to cover
+ * @param {number} tile - TILE value to lay
+ */
+function growCluster(rng, grid, settings, origin, target, tile) {
+  const cells = [origin];
+  grid[origin.row][origin.col] = tile;
+
+  for (let attempt = 0; cells.length < target && attempt < target * 10; attempt++) {
+    const from = cells[rng.between(0, cells.length - 1)];
+    const [dr, dc] = DIRECTIONS[rng.between(0, DIRECTIONS.length - 1)];
+    const row = from.row + dr;
+    const col = from.col + dc;
+    if (isFree(grid, settings, row, col)) {
+      grid[row][col] = tile;
+      cells.push({ row, col });
+    }
+  }
+}
+
+/**
+ * Check if a tile is in the world, still grass and outside the clearing
+ * @param {number[][]} grid
+ * @param {typeof MAP_GENERATION} settings
+ * @param {number} row
+ * @param {number} col
+ * @returns {boolean}
+ */
+function isFree(grid, settings, row, col) {
+  const { clearing } = settings;
+  if (grid[row]?.[col] !== TILE.GRASS) return false;
+  return row < clearing.row || row >= clearing.row + clearing.rows ||
+    col < clearing.col || col >= clearing.col + clearing.cols;
+}
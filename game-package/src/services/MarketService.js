@@ -1,10 +1,23 @@
 /**
  * MarketService
  * Handles the permanent market trading system
+ *
+ * Prices follow demand. Every unit sold takes the resource's elasticity
+ * off its demand (a fraction of the full price, never below
+ * MARKET_CONFIG.minPriceFactor), and demand recovers a little every tick.
+ * Demand is saved; the price history behind the sparkline is not.
+ *
+ * Buying costs buySpreadPercent over the sell price and adds the same
+ * elasticity back per unit, so selling and buying back always loses gold.
+ * Purchases only fill free storage space.
+ *
+ * Standing orders (rules) sell everything above a keep amount, either every
+ * tick or only while the resource is at its storage cap, and total up what
+ * they sold and earned.
  */
 
 import { Events } from '../core/EventBus.js';
-import { MARKET_CONFIG, getTradeableResources, RESOURCES } from '../config/index.js';
+import { MARKET_CONFIG, getTradeableResources, getMarketElasticity, RESOURCES } from '../config/index.js';
 
 export class MarketService {
   /**
@@ -18,6 +31,26 @@ export class MarketService {
     this._buildingService = buildingService;
     this._resourceService = resourceService;
     this._eventBus = eventBus;
+    this._storageService = null;  // Set via setStorageService()
+
+    /**
+     * Recent prices per resource, oldest first
+     * @type {Object<string, number[]>}
+     */
+    this._history = {};
+    this._ticksSinceSample = 0;
+
+    this._eventBus.subscribe(Events.TICK, () => this.tick());
+    this._eventBus.subscribe(Events.STATE_LOADED, () => this._resetHistory());
+    this._eventBus.subscribe(Events.GAME_RESET, () => this._resetHistory());
+  }
+
+  /**
+   * Set the storage service (purchases only fill free space)
+   * @param {import('./StorageService.js').StorageService} storageService
+   */
+  setStorageService(storageService) {
+    this._storageService = storageService;
   }
 
   // ==========================================
@@ -73,14 +106,47 @@ export class MarketService {
   }
 
   /**
-   * Get final price for a resource (with level bonus)
+   * Get full price for a resource (with level bonus, before demand)
+   * @param {string} resource - Resource type
+   * @returns {number}
+   */
+  getFullPrice(resource) {
+    return this.getBasePrice(resource) * this.getLevelBonus();
+  }
+
+  /**
+   * Get how much of its full price the market pays for a resource
+   * @param {string} resource - Resource type
+   * @returns {number} minPriceFactor to 1
+   */
+  getDemand(resource) {
+    return this._gameState.getMarketDemand(resource);
+  }
+
+  /**
+   * Get current price for a resource (with level bonus and demand)
    * @param {string} resource - Resource type
    * @returns {number}
    */
   getPrice(resource) {
-    const basePrice = this.getBasePrice(resource);
-    const levelBonus = this.getLevelBonus();
-    return Math.floor(basePrice * levelBonus);
+    return Math.floor(this.getFullPrice(resource) * this.getDemand(resource));
+  }
+
+  /**
+   * Get what the market charges for one unit of a resource
+   * @param {string} resource - Resource type
+   * @returns {number}
+   */
+  getBuyPrice(resource) {
+    return Math.ceil(this.getFullPrice(resource) * this.getDemand(resource) * this._getBuyMultiplier());
+  }
+
+  /**
+   * @returns {number}
+   * @private
+   */
+  _getBuyMultiplier() {
+    return 1 + MARKET_CONFIG.buySpreadPercent / 100;
   }
 
   /**
@@ -108,6 +174,42 @@ export class MarketService {
     return this._resourceService.getResource(resource);
   }
 
+  /**
+   * Work out what a sale would pay without making it
+   * Each unit sells at the price left by the units before it.
+   * @param {string} resource - Resource type
+   * @param {number} amount - Amount to sell (capped at what the player has)
+   * @returns {{amount: number, gold: number, priceAfter: number, demandAfter: number}}
+   */
+  quoteSale(resource, amount) {
+    const actualAmount = Math.max(0, Math.min(amount, this.getMaxSellable(resource)));
+    const fullPrice = this.getFullPrice(resource);
+    const elasticity = getMarketElasticity(resource);
+    const { minPriceFactor } = MARKET_CONFIG;
+
+    let demand = this.getDemand(resource);
+    let gold = 0;
+    let left = actualAmount;
+    while (left > 0) {
+      // Once at the floor every remaining unit sells at the floor price
+      if (demand <= minPriceFactor) {
+        gold += fullPrice * minPriceFactor * left;
+        break;
+      }
+      const part = Math.min(1, left);
+      gold += fullPrice * demand * part;
+      demand = Math.max(minPriceFactor, demand - elasticity * part);
+      left -= part;
+    }
+
+    return {
+      amount: actualAmount,
+      gold: Math.floor(gold),
+      priceAfter: Math.floor(fullPrice * demand),
+      demandAfter: demand
+    };
+  }
+
   /**
    * Sell resources at the market
    * @param {string} resource - Resource type
@@ -119,32 +221,35 @@ export class MarketService {
       return { success: false, amount: 0, gold: 0, error: 'No market available!' };
     }
 
-    const have = this._resourceService.getResource(resource);
-    const actualAmount = Math.min(amount, have);
+    const quote = this.quoteSale(resource, amount);
 
-    if (actualAmount <= 0) {
+    if (quote.amount <= 0) {
       return { success: false, amount: 0, gold: 0, error: `No ${resource} to sell!` };
     }
 
-    const finalPrice = this.getPrice(resource);
+    const pricePerUnit = this.getPrice(resource);
 
     // Use ResourceService mutation API for the trade
-    const result = this._resourceService.sellResource(resource, actualAmount, finalPrice);
+    const result = this._resourceService.sellResourceFor(resource, quote.amount, quote.gold);
 
     if (!result.success) {
       return { success: false, amount: 0, gold: 0, error: `Failed to sell ${resource}!` };
     }
 
+    this._gameState.setMarketDemand(resource, quote.demandAfter);
+
     // Publish event
     this._eventBus.publish(Events.MARKET_SALE, {
       resource,
-      amount: actualAmount,
-      pricePerUnit: finalPrice,
+      amount: quote.amount,
+      pricePerUnit,
+      priceAfter: quote.priceAfter,
       goldEarned: result.goldReceived,
       marketLevel: this.getLevel()
     });
+    this._eventBus.publish(Events.MARKET_PRICES_CHANGED, { resources: [resource] });
 
-    return { success: true, amount: actualAmount, gold: result.goldReceived, error: null };
+    return { success: true, amount: quote.amount, gold: result.goldReceived, error: null };
   }
 
   /**
@@ -157,19 +262,333 @@ export class MarketService {
     return this.sell(resource, amount);
   }
 
+  /**
+   * Get how many whole units of a resource storage has room for
+   * @param {string} resource - Resource type
+   * @returns {number}
+   */
+  getBuySpace(resource) {
+    const space = this._storageService
+      ? this._storageService.getRemainingSpace(resource)
+      : Infinity;
+    return Math.floor(space);
+  }
+
+  /**
+   * Work out what a purchase would cost without making it
+   * Each unit costs the price left by the units before it.
+   * @param {string} resource - Resource type
+   * @param {number} amount - Whole units to buy (capped at free storage space)
+   * @returns {{amount: number, gold: number, priceAfter: number, demandAfter: number}}
+   */
+  quoteBuy(resource, amount) {
+    const actualAmount = Math.max(0, Math.min(Math.floor(amount), this.getBuySpace(resource)));
+    const unitFullPrice = this.getFullPrice(resource) * this._getBuyMultiplier();
+    const elasticity = getMarketElasticity(resource);
+
+    let demand = this.getDemand(resource);
+    let gold = 0;
+    for (let bought = 0; bought < actualAmount; bought++) {
+      // Once back at full demand every remaining unit costs the full price
+      if (demand >= 1) {
+        gold += unitFullPrice * (actualAmount - bought);
+        break;
+      }
+      gold += unitFullPrice * demand;
+      demand = Math.min(1, demand + elasticity);
+    }
+
+    return {
+      amount: actualAmount,
+      gold: Math.ceil(gold),
+      priceAfter: Math.ceil(unitFullPrice * demand),
+      demandAfter: demand
+    };
+  }
+
+  /**
+   * Get the most whole units the player can afford and store
+   * @param {string} resource - Resource type
+   * @returns {number}
+   */
+  getMaxBuyable(resource) {
+    const gold = this._resourceService.getResource('gold');
+    const space = this.getBuySpace(resource);
+    const unitFullPrice = this.getFullPrice(resource) * this._getBuyMultiplier();
+    if (unitFullPrice <= 0) return 0;
+
+    // Every unit costs at least the floor price, which bounds the walk
+    const limit = Math.min(space, Math.floor(gold / (unitFullPrice * MARKET_CONFIG.minPriceFactor)));
+    const elasticity = getMarketElasticity(resource);
+
+    let demand = this.getDemand(resource);
+    let cost = 0;
+    let amount = 0;
+    while (amount < limit) {
+      if (Math.ceil(cost + unitFullPrice * demand) > gold) break;
+      cost += unitFullPrice * demand;
+      demand = Math.min(1, demand + elasticity);
+      amount++;
+    }
+    return amount;
+  }
+
+  /**
+   * Buy resources at the market
+   * @param {string} resource - Resource type
+   * @param {number} [amount=1] - Whole units to buy
+   * @returns {{success: boolean, amount: number, gold: number, error: string|null}}
+   */
+  buy(resource, amount = 1) {
+    if (!this.hasMarket()) {
+      return { success: false, amount: 0, gold: 0, error: 'No market available!' };
+    }
+
+    const name = RESOURCES[resource]?.name || resource;
+    const quote = this.quoteBuy(resource, amount);
+
+    if (quote.amount <= 0) {
+      return { success: false, amount: 0, gold: 0, error: `No room to store ${name}!` };
+    }
+
+    const pricePerUnit = this.getBuyPrice(resource);
+
+    // Use ResourceService mutation API for the trade
+    const result = this._resourceService.buyResourceFor(resource, quote.amount, quote.gold);
+
+    if (!result.success) {
+      return { success: false, amount: 0, gold: 0, error: `Not enough gold for ${quote.amount} ${name}!` };
+    }
+
+    this._gameState.setMarketDemand(resource, quote.demandAfter);
+
+    // Publish event
+    this._eventBus.publish(Events.MARKET_PURCHASE, {
+      resource,
+      amount: quote.amount,
+      pricePerUnit,
+      priceAfter: quote.priceAfter,
+      goldSpent: result.goldSpent,
+      marketLevel: this.getLevel()
+    });
+    this._eventBus.publish(Events.MARKET_PRICES_CHANGED, { resources: [resource] });
+
+    return { success: true, amount: quote.amount, gold: result.goldSpent, error: null };
+  }
+
+  // ==========================================
+  // STANDING ORDERS
+  // ==========================================
+
+  /**
+   * Get all standing orders
+   * @returns {Array<{id: string, resource: string, trigger: string, keep: number, enabled: boolean, sold: number, earned: number}>}
+   */
+  getRules() {
+    return this._gameState.getMarketRules();
+  }
+
+  /**
+   * Add a standing order that sells everything above a keep amount
+   * @param {string} resource - Resource type
+   * @param {string} trigger - Key of MARKET_CONFIG.ruleTriggers
+   * @param {number} keep - Amount never sold
+   * @returns {{success: boolean, rule: Object|null, error: string|null}}
+   */
+  addRule(resource, trigger, keep) {
+    const error = this._validateRule({ resource, trigger, keep });
+    if (error) {
+      return { success: false, rule: null, error };
+    }
+    if (this.getRules().some(r => r.resource === resource)) {
+      return { success: false, rule: null, error: `There is already a rule for ${RESOURCES[resource].name}` };
+    }
+
+    const rule = this._gameState.addMarketRule({ resource, trigger, keep: Math.floor(keep) });
+    this._eventBus.publish(Events.MARKET_RULES_CHANGED, { rule });
+    return { success: true, rule, error: null };
+  }
+
+  /**
+   * Change a standing order's trigger, keep amount or whether it runs
+   * @param {string} id - Rule id
+   * @param {{trigger?: string, keep?: number, enabled?: boolean}} updates
+   * @returns {{success: boolean, error: string|null}}
+   */
+  updateRule(id, updates) {
+    const rule = this.getRules().find(r => r.id === id);
+    if (!rule) {
+      return { success: false, error: 'Unknown rule' };
+    }
+
+    const changes = {};
+    if (updates.trigger !== undefined) changes.trigger = updates.trigger;
+    if (updates.keep !== undefined) changes.keep = updates.keep;
+    if (updates.enabled !== undefined) changes.enabled = Boolean(updates.enabled);
+
+    const error = this._validateRule({ ...rule, ...changes });
+    if (error) {
+      return { success: false, error };
+    }
+    if (changes.keep !== undefined) changes.keep = Math.floor(changes.keep);
+
+    this._gameState.updateMarketRule(id, changes);
+    this._eventBus.publish(Events.MARKET_RULES_CHANGED, { rule: { ...rule, ...changes } });
+    return { success: true, error: null };
+  }
+
+  /**
+   * Remove a standing order
+   * @param {string} id - Rule id
+   * @returns {{success: boolean, error: string|null}}
+   */
+  removeRule(id) {
+    if (!this._gameState.removeMarketRule(id)) {
+      return { success: false, error: 'Unknown rule' };
+    }
+    this._eventBus.publish(Events.MARKET_RULES_CHANGED, { removed: id });
+    return { success: true, error: null };
+  }
+
+  /**
+   * Sell the excess for every enabled rule whose trigger holds
+   * Also called by offline progress.
+   * @returns {number} Gold earned this run
+   */
+  runRules() {
+    if (!this.hasMarket()) return 0;
+
+    let earned = 0;
+    this.getRules().forEach(rule => {
+      if (!rule.enabled || !this._isRuleTriggered(rule)) return;
+
+      const excess = Math.floor(this.getMaxSellable(rule.resource) - rule.keep);
+      if (excess < 1) return;
+
+      const result = this.sell(rule.resource, excess);
+      if (!result.success) return;
+
+      this._gameState.updateMarketRule(rule.id, {
+        sold: rule.sold + result.amount,
+        earned: rule.earned + result.gold
+      });
+      earned += result.gold;
+    });
+    return earned;
+  }
+
+  /**
+   * @param {{trigger: string, resource: string}} rule
+   * @returns {boolean}
+   * @private
+   */
+  _isRuleTriggered(rule) {
+    if (rule.trigger === 'atCap') {
+      return this._storageService ? this._storageService.isAtCap(rule.resource) : false;
+    }
+    return true;
+  }
+
+  /**
+   * @param {{resource: string, trigger: string, keep: number}} rule
+   * @returns {string|null} Error message, or null if the rule is valid
+   * @private
+   */
+  _validateRule({ resource, trigger, keep }) {
+    if (!getTradeableResources().some(r => r.id === resource)) {
+      return `${resource} can't be traded`;
+    }
+    if (!Object.hasOwn(MARKET_CONFIG.ruleTriggers, trigger)) {
+      return `Unknown trigger "${trigger}"`;
+    }
+    if (!Number.isFinite(keep) || keep < 0) {
+      return 'Keep amount must be 0 or more';
+    }
+    return null;
+  }
+
+  // ==========================================
+  // DEMAND & HISTORY
+  // ==========================================
+
+  /**
+   * Recover demand, run standing orders and sample prices for the sparkline
+   */
+  tick() {
+    this.recoverDemand();
+    this.runRules();
+
+    this._ticksSinceSample++;
+    if (this._ticksSinceSample >= MARKET_CONFIG.historyInterval) {
+      this._ticksSinceSample = 0;
+      this._sampleHistory();
+    }
+  }
+
+  /**
+   * Move every depressed price one tick back towards full
+   * Also called by offline progress.
+   */
+  recoverDemand() {
+    const recovered = Object.entries(this._gameState.getAllMarketDemand()).map(([resource, demand]) => {
+      this._gameState.setMarketDemand(resource, Math.min(1, demand + MARKET_CONFIG.recoveryPerTick));
+      return resource;
+    });
+
+    if (recovered.length > 0) {
+      this._eventBus.publish(Events.MARKET_PRICES_CHANGED, { resources: recovered });
+    }
+  }
+
+  /**
+   * Get recent prices for a resource, oldest first, ending with the current price
+   * @param {string} resource - Resource type
+   * @returns {number[]}
+   */
+  getPriceHistory(resource) {
+    return [...(this._history[resource] || []), this.getPrice(resource)];
+  }
+
+  /**
+   * @private
+   */
+  _sampleHistory() {
+    getTradeableResources().forEach(r => {
+      const history = this._history[r.id] || (this._history[r.id] = []);
+      history.push(this.getPrice(r.id));
+      // getPriceHistory adds the current price as the last point
+      if (history.length >= MARKET_CONFIG.historyLength) {
+        history.shift();
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _resetHistory() {
+    this._history = {};
+    this._ticksSinceSample = 0;
+  }
+
   // ==========================================
   // UI DATA HELPERS
   // ==========================================
 
   /**
    * Get trade row data for UI rendering
-   * @returns {Array<{resource: string, have: number, price: number}>}
+   * @returns {Array<{resource: string, have: number, price: number, buyPrice: number, maxBuyable: number, fullPrice: number, demand: number, history: number[]}>}
    */
   getTradeData() {
     return getTradeableResources().map(r => ({
       resource: r.id,
       have: this._resourceService.getResource(r.id),
-      price: this.getPrice(r.id)
+      price: this.getPrice(r.id),
+      buyPrice: this.getBuyPrice(r.id),
+      maxBuyable: this.getMaxBuyable(r.id),
+      fullPrice: Math.floor(this.getFullPrice(r.id)),
+      demand: this.getDemand(r.id),
+      history: this.getPriceHistory(r.id)
     }));
   }
 
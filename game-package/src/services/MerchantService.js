@@ -1,36 +1,61 @@
 /**
  * MerchantService
  * Handles the traveling merchant system
+ *
+ * Visitors come from MERCHANT_ARCHETYPES, one at a time. The next visitor
+ * is picked (weighted) when their visit is scheduled and saved as
+ * merchant.archetype, so it survives reloads. Building a Market sends
+ * away archetypes that don't visit market towns; the rest keep coming.
+ *
+ * Reputation (merchant.reputation) drops when contracts fail. Below zero,
+ * every visitor pays less for goods and charges more for wares.
  */
 
 import { Events } from '../core/EventBus.js';
-import { MERCHANT_CONFIG, getTradeableResources
- } from '../config/index.js';
+import {
+  MERCHANT_CONFIG,
+  MERCHANT_ARCHETYPES,
+  DEFAULT_MERCHANT_ARCHETYPE,
+  CONTRACT_CONFIG,
+  RESOURCES,
+  getTradeableResources
+} from '../config/index.js';
 
 export class MerchantService {
   /**
    * @param {import('./GameStateService.js').GameStateService} gameState
    * @param {import('./ResourceService.js').ResourceService} resourceService
+   * @param {import('../core/SimulationClock.js').SimulationClock} clock
    * @param {import('../core/EventBus.js').EventBus} eventBus
    */
-  constructor(gameState, resourceService, eventBus) {
+  constructor(gameState, resourceService, clock, eventBus) {
     this._gameState = gameState;
     this._resourceService = resourceService;
+    this._clock = clock;
     this._eventBus = eventBus;
+    this._storageService = null;  // Set via setStorageService()
 
-    // Timeout references (managed internally)
+    // Clock timer references (managed internally)
     this._visitTimeout = null;
     this._nextVisitTimeout = null;
     this._countdownInterval = null;
 
     // Subscribe to building placed event to check for market
     this._eventBus.subscribe(Events.BUILDING_PLACED, (data) => {
-      if (data.isMarket) {
-        this.disable();
+      if (data.isMarket && !data.restored) {
+        this._onMarketBuilt();
       }
     });
   }
 
+  /**
+   * Set the storage service (purchases only fill free space)
+   * @param {import('./StorageService.js').StorageService} storageService
+   */
+  setStorageService(storageService) {
+    this._storageService = storageService;
+  }
+
   // ==========================================
   // MERCHANT STATE
   // ==========================================
@@ -44,7 +69,7 @@ export class MerchantService {
   }
 
   /**
-   * Check if merchant is disabled (market built)
+   * Check if merchant visits are switched off
    * @returns {boolean}
    */
   isDisabled() {
@@ -67,12 +92,103 @@ export class MerchantService {
     return { ...this._gameState.getMerchant().soldThisVisit };
   }
 
+  /**
+   * Get bought amounts for current visit
+   * @returns {Object<string, number>}
+   */
+  getBoughtThisVisit() {
+    return { ...this._gameState.getMerchant().boughtThisVisit };
+  }
+
+  // ==========================================
+  // ARCHETYPES
+  // ==========================================
+
+  /**
+   * Get the id of the merchant visiting now, or due to visit next
+   * @returns {string}
+   */
+  getArchetypeId() {
+    const id = this._gameState.getMerchant().archetype;
+    return MERCHANT_ARCHETYPES[id] ? id : DEFAULT_MERCHANT_ARCHETYPE;
+  }
+
+  /**
+   * Get the merchant visiting now, or due to visit next
+   * @returns {Object} Archetype definition with its id
+   */
+  getArchetype() {
+    const id = this.getArchetypeId();
+    return { id, ...MERCHANT_ARCHETYPES[id] };
+  }
+
+  /**
+   * Get the archetypes that still visit this town
+   * @returns {string[]}
+   */
+  getEligibleArchetypes() {
+    const hasMarket = this._hasMarket();
+    return Object.keys(MERCHANT_ARCHETYPES)
+      .filter(id => !hasMarket || MERCHANT_ARCHETYPES[id].visitsAfterMarket);
+  }
+
+  /**
+   * Get what the current visitor says on arrival
+   * Greetings take turns, one per visit.
+   * @returns {string}
+   */
+  getGreeting() {
+    const { dialogue } = this.getArchetype();
+    const visit = Math.max(0, this._gameState.getMerchant().totalVisits - 1);
+    return dialogue[visit % dialogue.length];
+  }
+
+  // ==========================================
+  // REPUTATION
+  // ==========================================
+
+  /**
+   * Get the town's standing with merchants
+   * @returns {number} 0 (spotless) down to CONTRACT_CONFIG.minReputation
+   */
+  getReputation() {
+    return this._gameState.getMerchant().reputation ?? 0;
+  }
+
+  /**
+   * Raise or lower reputation, within its limits
+   * @param {number} delta - Points to add (negative to lose)
+   * @returns {number} New reputation
+   */
+  changeReputation(delta) {
+    const previous = this.getReputation();
+    const reputation = Math.min(0, Math.max(CONTRACT_CONFIG.minReputation, previous + delta));
+    if (reputation === previous) return reputation;
+
+    this._gameState.updateMerchant({ reputation });
+    this._eventBus.publish(Events.MERCHANT_REPUTATION_CHANGED, {
+      reputation,
+      previous,
+      pricePercent: this.getReputationPricePercent()
+    });
+    return reputation;
+  }
+
+  /**
+   * Get how much worse merchants trade because of bad reputation
+   * @returns {number} Percent taken off what they pay and added to what they charge
+   */
+  getReputationPricePercent() {
+    return Math.max(0, -this.getReputation()) * CONTRACT_CONFIG.reputationPricePercent;
+  }
+
   // ==========================================
   // MERCHANT SCHEDULING
   // ==========================================
 
   /**
    * Schedule the next merchant visit
+   * Picks who comes next and waits that archetype's interval.
    * @param {boolean} [isFirst=false] - Is this the first visit after game start?
    */
   scheduleVisit(isFirst = false) {
@@ -80,24 +196,109 @@ export class MerchantService {
 
     // Clear any existing timeout
     if (this._nextVisitTimeout) {
-      clearTimeout(this._nextVisitTimeout);
+      this._clock.clearTimeout(this._nextVisitTimeout);
     }
 
+    const archetype = this._pickArchetype();
     const delay = isFirst
       ? MERCHANT_CONFIG.firstAppearDelay
-      : this._randomBetween(MERCHANT_CONFIG.minInterval, MERCHANT_CONFIG.maxInterval);
+      : this._randomInterval(archetype);
 
     this._gameState.updateMerchant({
-      nextVisitTime: Date.now() + delay
+      archetype,
+      nextVisitTime: this._clock.now() + delay
     });
 
-    this._nextVisitTimeout = setTimeout(() => {
+    this._nextVisitTimeout = this._clock.setTimeout(() => {
       if (!this.isDisabled()) {
         this.arrive();
       }
     }, delay);
   }
 
+  /**
+   * Advance the visit schedule past time spent with the game closed
+   * Settles a visit that ended while away and skips visits that came and went.
+   * Does not start any timers - call resume() once the UI is listening.
+   * @param {number} [now=clock.now()] - Current time
+   * @returns {number} Number of visits missed while away
+   */
+  fastForward(now = this._clock.now()) {
+    if (this.isDisabled()) return 0;
+
+    const state = this._gameState.getMerchant();
+    let nextVisitTime = state.nextVisitTime;
+    let archetype = this.getArchetypeId();
+    let missed = 0;
+
+    if (state.active) {
+      const visitEnd = state.visitStartTime + MERCHANT_CONFIG.visitDuration;
+      // Visit still in progress - nothing to skip
+      if (visitEnd > now) return 0;
+
+      archetype = this._pickArchetype();
+      nextVisitTime = visitEnd + this._randomInterval(archetype);
+    }
+
+    if (nextVisitTime === null) return 0;
+
+    // Skip every visit that would have finished before now
+    while (nextVisitTime + MERCHANT_CONFIG.visitDuration <= now) {
+      missed++;
+      archetype = this._pickArchetype();
+      nextVisitTime += MERCHANT_CONFIG.visitDuration + this._randomInterval(archetype);
+    }
+
+    this._gameState.updateMerchant({
+      active: false,
+      archetype,
+      nextVisitTime
+    });
+
+    return missed;
+  }
+
+  /**
+   * Resume merchant timers from saved state (after load or reset)
+   * Continues an in-progress visit, waits for a scheduled one,
+   * or schedules the first visit if none is pending.
+   * @param {number} [now=clock.now()] - Current time
+   */
+  resume(now = this._clock.now()) {
+    if (this.isDisabled()) return;
+
+    this.fastForward(now);
+    const state = this._gameState.getMerchant();
+
+    if (state.active) {
+      const remaining = state.visitStartTime + MERCHANT_CONFIG.visitDuration - now;
+
+      this._eventBus.publish(Events.MERCHANT_ARRIVED, this._getArrivalData(remaining));
+
+      if (this._visitTimeout) {
+        this._clock.clearTimeout(this._visitTimeout);
+      }
+      this._visitTimeout = this._clock.setTimeout(() => {
+        this.depart();
+      }, remaining);
+      return;
+    }
+
+    if (state.nextVisitTime === null) {
+      this.scheduleVisit(true);
+      return;
+    }
+
+    if (this._nextVisitTimeout) {
+      this._clock.clearTimeout(this._nextVisitTimeout);
+    }
+    this._nextVisitTimeout = this._clock.setTimeout(() => {
+      if (!this.isDisabled()) {
+        this.arrive();
+      }
+    }, Math.max(0, state.nextVisitTime - now));
+  }
+
   /**
    * Merchant arrives for a visit
    */
@@ -110,19 +311,18 @@ export class MerchantService {
 
     this._gameState.updateMerchant({
       active: true,
-      visitStartTime: Date.now(),
+      archetype: this.getArchetypeId(),
+      visitStartTime: this._clock.now(),
       soldThisVisit,
+      boughtThisVisit: {},
       totalVisits: this._gameState.getMerchant().totalVisits + 1
     });
 
     // Publish event
-    this._eventBus.publish(Events.MERCHANT_ARRIVED, {
-      visitNumber: this._gameState.getMerchant().totalVisits,
-      duration: MERCHANT_CONFIG.visitDuration
-    });
+    this._eventBus.publish(Events.MERCHANT_ARRIVED, this._getArrivalData(MERCHANT_CONFIG.visitDuration));
 
     // Schedule departure
-    this._visitTimeout = setTimeout(() => {
+    this._visitTimeout = this._clock.setTimeout(() => {
       this.depart();
     }, MERCHANT_CONFIG.visitDuration);
   }
@@ -134,6 +334,7 @@ export class MerchantService {
     if (!this.isActive()) return;
 
     const soldThisVisit = this.getSoldThisVisit();
+    const { id, name, farewell } = this.getArchetype();
 
     this._gameState.updateMerchant({
       active: false
@@ -141,13 +342,17 @@ export class MerchantService {
 
     // Clear visit timeout
     if (this._visitTimeout) {
-      clearTimeout(this._visitTimeout);
+      this._clock.clearTimeout(this._visitTimeout);
       this._visitTimeout = null;
     }
 
     // Publish event
     this._eventBus.publish(Events.MERCHANT_DEPARTED, {
-      soldThisVisit
+      soldThisVisit,
+      boughtThisVisit: this.getBoughtThisVisit(),
+      archetype: id,
+      name,
+      farewell
     });
 
     // Schedule next visit
@@ -155,7 +360,7 @@ export class MerchantService {
   }
 
   /**
-   * Disable the merchant permanently (when market is built)
+   * Switch merchant visits off for good
    */
   disable() {
     this._gameState.updateMerchant({
@@ -165,11 +370,11 @@ export class MerchantService {
 
     // Clear all timeouts
     if (this._visitTimeout) {
-      clearTimeout(this._visitTimeout);
+      this._clock.clearTimeout(this._visitTimeout);
       this._visitTimeout = null;
     }
     if (this._nextVisitTimeout) {
-      clearTimeout(this._nextVisitTimeout);
+      this._clock.clearTimeout(this._nextVisitTimeout);
       this._nextVisitTimeout = null;
     }
     if (this._countdownInterval) {
@@ -185,6 +390,17 @@ export class MerchantService {
   // TRADING
   // ==========================================
 
+  /**
+   * Get how many units of a resource the current visitor buys per visit
+   * @param {string} resource - Resource type
+   * @returns {number} 0 for resources they don't buy
+   */
+  getMaxPerVisit(resource) {
+    const { buys, limitMultiplier } = this.getArchetype();
+    if (!buys[resource]) return 0;
+    return Math.round((MERCHANT_CONFIG.maxPerVisit[resource] || 0) * limitMultiplier);
+  }
+
   /**
    * Get remaining purchase limit for a resource
    * @param {string} resource - Resource type
@@ -192,17 +408,18 @@ export class MerchantService {
    */
   getRemainingLimit(resource) {
     const sold = this._gameState.getMerchant().soldThisVisit[resource] || 0;
-    const max = MERCHANT_CONFIG.maxPerVisit[resource] || 0;
-    return Math.max(0, max - sold);
+    return Math.max(0, this.getMaxPerVisit(resource) - sold);
   }
 
   /**
-   * Get price for a resource
+   * Get what the current visitor pays for a resource, after reputation
    * @param {string} resource - Resource type
-   * @returns {number}
+   * @returns {number} 0 for resources they don't buy
    */
   getPrice(resource) {
-    return MERCHANT_CONFIG.prices[resource] || 0;
+    const multiplier = this.getArchetype().buys[resource] || 0;
+    const standing = 1 - this.getReputationPricePercent() / 100;
+    return Math.round((MERCHANT_CONFIG.prices[resource] || 0) * multiplier * standing);
   }
 
   /**
@@ -227,6 +444,11 @@ export class MerchantService {
       return { success: false, amount: 0, gold: 0, error: 'Merchant is not here!' };
     }
 
+    const { name, buys } = this.getArchetype();
+    if (!buys[resource]) {
+      return { success: false, amount: 0, gold: 0, error: `The ${name} doesn't buy ${resource}!` };
+    }
+
     const maxCanSell = this.getRemainingLimit(resource);
     const have = this._resourceService.getResource(resource);
     const actualAmount = Math.min(amount, maxCanSell, have);
@@ -268,6 +490,86 @@ export class MerchantService {
     return { success: true, amount: actualAmount, gold: result.goldReceived, error: null };
   }
 
+  /**
+   * Get the rare goods the current visitor has for sale, priced after reputation
+   * @returns {Array<{resource: string, price: number, stock: number, remaining: number}>}
+   */
+  getWares() {
+    const bought = this._gameState.getMerchant().boughtThisVisit;
+    const markup = 100 + this.getReputationPricePercent();
+    return Object.entries(this.getArchetype().sells).map(([resource, { price, stock }]) => ({
+      resource,
+      price: Math.ceil(price * markup / 100),
+      stock,
+      remaining: Math.max(0, stock - (bought[resource] || 0))
+    }));
+  }
+
+  /**
+   * Get the most units of a ware the player can afford and store
+   * @param {string} resource - Resource type
+   * @returns {number}
+   */
+  getMaxBuyable(resource) {
+    const ware = this.getWares().find(w => w.resource === resource);
+    if (!ware) return 0;
+
+    const affordable = Math.floor(this._resourceService.getResource('gold') / ware.price);
+    return Math.max(0, Math.min(ware.remaining, affordable, this._getFreeSpace(resource)));
+  }
+
+  /**
+   * Buy rare goods from the merchant
+   * @param {string} resource - Resource type
+   * @param {number} [amount=1] - Whole units to buy
+   * @returns {{success: boolean, amount: number, gold: number, error: string|null}}
+   */
+  buy(resource, amount = 1) {
+    if (!this.isActive()) {
+      return { success: false, amount: 0, gold: 0, error: 'Merchant is not here!' };
+    }
+
+    const resourceName = RESOURCES[resource]?.name || resource;
+    const ware = this.getWares().find(w => w.resource === resource);
+    if (!ware) {
+      return { success: false, amount: 0, gold: 0, error: `The ${this.getArchetype().name} has no ${resourceName} for sale!` };
+    }
+    if (ware.remaining <= 0) {
+      return { success: false, amount: 0, gold: 0, error: `${resourceName} is sold out this visit!` };
+    }
+
+    const actualAmount = Math.min(Math.floor(amount), ware.remaining, this._getFreeSpace(resource));
+    if (actualAmount <= 0) {
+      return { success: false, amount: 0, gold: 0, error: `No room to store ${resourceName}!` };
+    }
+
+    // Use ResourceService mutation API for the trade
+    const result = this._resourceService.buyResource(resource, actualAmount, ware.price);
+
+    if (!result.success) {
+      return { success: false, amount: 0, gold: 0, error: `Not enough gold for ${actualAmount} ${resourceName}!` };
+    }
+
+    // Update bought this visit
+    const bought = this._gameState.getMerchant().boughtThisVisit;
+    this._gameState.updateMerchant({
+      boughtThisVisit: {
+        ...bought,
+        [resource]: (bought[resource] || 0) + actualAmount
+      }
+    });
+
+    // Publish event
+    this._eventBus.publish(Events.MERCHANT_PURCHASE, {
+      resource,
+      amount: actualAmount,
+      goldSpent: result.goldSpent,
+      remainingStock: ware.remaining - actualAmount
+    });
+
+    return { success: true, amount: actualAmount, gold: result.goldSpent, error: null };
+  }
+
   // ==========================================
   // COUNTDOWN HELPERS
   // ==========================================
@@ -280,7 +582,7 @@ export class MerchantService {
     if (!this.isActive()) return 0;
 
     const state = this._gameState.getMerchant();
-    const elapsed = Date.now() - state.visitStartTime;
+    const elapsed = this._clock.now() - state.visitStartTime;
     return Math.max(0, Math.ceil((MERCHANT_CONFIG.visitDuration - elapsed) / 1000));
   }
 
@@ -297,17 +599,18 @@ export class MerchantService {
   // ==========================================
 
   /**
-   * Get trade row data for UI rendering
+   * Get trade row data for UI rendering (only what the current visitor buys)
    * @returns {Array<{resource: string, have: number, sold: number, maxPerVisit: number, remaining: number, price: number, canSell: number}>}
    */
   getTradeData() {
-    return getTradeableResources().map(r => {
+    const { buys } = this.getArchetype();
+    return getTradeableResources().filter(r => buys[r.id]).map(r => {
       const resource = r.id;
       const have = this._resourceService.getResource(resource);
       const sold = this._gameState.getMerchant().soldThisVisit[resource] || 0;
-      const maxPerVisit = MERCHANT_CONFIG.maxPerVisit[resource] || 0;
+      const maxPerVisit = this.getMaxPerVisit(resource);
       const remaining = Math.max(0, maxPerVisit - sold);
-      const price = MERCHANT_CONFIG.prices[resource] || 0;
+      const price = this.getPrice(resource);
       const canSell = Math.min(have, remaining);
 
       return {
@@ -335,11 +638,103 @@ export class MerchantService {
   // PRIVATE HELPERS
   // ==========================================
 
+  /**
+   * Build the MERCHANT_ARRIVED payload for the current visitor
+   * @param {number} duration - Time left on the visit (ms)
+   * @returns {Object}
+   * @private
+   */
+  _getArrivalData(duration) {
+    const { id, name, face, banner } = this.getArchetype();
+    return {
+      visitNumber: this._gameState.getMerchant().totalVisits,
+      duration,
+      archetype: id,
+      name,
+      face,
+      banner,
+      greeting: this.getGreeting()
+    };
+  }
+
+  /**
+   * Pick the next visitor, weighted, from the archetypes that still come
+   * @returns {string} Archetype id
+   * @private
+   */
+  _pickArchetype() {
+    const eligible = this.getEligibleArchetypes();
+    if (eligible.length === 0) return DEFAULT_MERCHANT_ARCHETYPE;
+
+    const total = eligible.reduce((sum, id) => sum + MERCHANT_ARCHETYPES[id].weight, 0);
+    let roll = this._clock.random() * total;
+    for (const id of eligible) {
+      roll -= MERCHANT_ARCHETYPES[id].weight;
+      if (roll < 0) return id;
+    }
+    return eligible[eligible.length - 1];
+  }
+
+  /**
+   * Get a random wait before an archetype's visit
+   * @param {string} archetype - Archetype id
+   * @returns {number} ms
+   * @private
+   */
+  _randomInterval(archetype) {
+    const { minInterval, maxInterval } = MERCHANT_ARCHETYPES[archetype];
+    return this._randomBetween(minInterval, maxInterval);
+  }
+
+  /**
+   * Send away a visitor who doesn't trade in market towns
+   * and re-pick a next visitor who no longer comes
+   * @private
+   */
+  _onMarketBuilt() {
+    const eligible = this.getEligibleArchetypes();
+    const state = this._gameState.getMerchant();
+
+    if (!this.isDisabled() && !eligible.includes(this.getArchetypeId())) {
+      if (state.active) {
+        // depart() schedules the next visitor
+        this.depart();
+      } else if (state.nextVisitTime !== null) {
+        this.scheduleVisit();
+      }
+    }
+
+    this._eventBus.publish(Events.MERCHANT_ROSTER_CHANGED, {
+      archetypes: eligible,
+      names: eligible.map(id => MERCHANT_ARCHETYPES[id].name)
+    });
+  }
+
+  /**
+   * @returns {boolean}
+   * @private
+   */
+  _hasMarket() {
+    return this._gameState.getBuildings().some(b => b.type === 'market');
+  }
+
+  /**
+   * Get whole units of free storage for a resource
+   * @param {string} resource
+   * @returns {number}
+   * @private
+   */
+  _getFreeSpace(resource) {
+    return this._storageService
+      ? Math.floor(this._storageService.getRemainingSpace(resource))
+      : Infinity;
+  }
+
   /**
    * Generate random number between min and max
    * @private
    */
   _randomBetween(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return this._clock.randomInt(min, max);
   }
 }
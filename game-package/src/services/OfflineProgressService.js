@@ -0,0 +1,335 @@
+/**
+ * OfflineProgressService
+ * Fast-forwards the economy for the time the game was closed
+ * and builds the "While you were away" report
+ */
+
+import { Events } from '../core/EventBus.js';
+import { OFFLINE_CONFIG, RESOURCES, getBuildingDef, getResearchDef } from '../config/index.js';
+
+/**
+ * Summary of an offline catch-up run
+ * @typedef {Object} OfflineReport
+ * @property {number} elapsed - Time away in ms (as measured from the save timestamp)
+ * @property {number} simulated - Time actually simulated in ms (capped by OFFLINE_CONFIG.maxElapsed)
+ * @property {boolean} truncated - Whether the time away exceeded the catch-up cap
+ * @property {Object} gained - Net increase in stockpiled resources
+ * @property {Object} spent - Net decrease in stockpiled resources
+ * @property {Object} buffered - Outputs added to processor buffers, waiting for collection
+ * @property {Object} wasted - Production lost because storage was full
+ * @property {Array<{buildingIndex: number, type: string, name: string, reason: string, seconds: number}>} stalls
+ * @property {number} stipendGold - Gold received from the royal stipend
+ * @property {number} merchantVisits - Merchant visits missed while away
+ * @property {Array<{id: string, name: string}>} researched - Research finished while away
+ */
+
+export class OfflineProgressService {
+  /**
+   * @param {import('./GameStateService.js').GameStateService} gameState
+   * @param {import('./ResourceService.js').ResourceService} resourceService
+   * @param {import('./ProductionService.js').ProductionService} productionService
+   * @param {import('./ProcessorService.js').ProcessorService} processorService
+   * @param {import('./StipendService.js').StipendService} stipendService
+   * @param {import('./MerchantService.js').MerchantService} merchantService
+   * @param {import('../core/EventBus.js').EventBus} eventBus
+   */
+  constructor(gameState, resourceService, productionService, processorService, stipendService, merchantService, eventBus) {
+    this._gameState = gameState;
+    this._resourceService = resourceService;
+    this._productionService = productionService;
+    this._processorService = processorService;
+    this._stipendService = stipendService;
+    this._merchantService = merchantService;
+    this._eventBus = eventBus;
+    this._populationService = null;  // Set via setPopulationService()
+    this._marketService = null;  // Set via setMarketService()
+    this._researchService = null;  // Set via setResearchService()
+    this._contractService = null;  // Set via setContractService()
+    this._clock = null;  // Set via setClock()
+
+    /** @type {OfflineReport|null} Report from the most recent catch-up */
+    this._lastReport = null;
+  }
+
+  /**
+   * Set the population service (homes eat their upkeep while away)
+   * @param {import('./PopulationService.js').PopulationService} populationService
+   */
+  setPopulationService(populationService) {
+    this._populationService = populationService;
+  }
+
+  /**
+   * Set the market service (prices recover and standing orders sell while away)
+   * @param {import('./MarketService.js').MarketService} marketService
+   */
+  setMarketService(marketService) {
+    this._marketService = marketService;
+  }
+
+  /**
+   * Set the research service (queued research progresses while away)
+   * @param {import('./ResearchService.js').ResearchService} researchService
+   */
+  setResearchService(researchService) {
+    this._researchService = researchService;
+  }
+
+  /**
+   * Set the contract service (contracts are delivered or fail while away)
+   * @param {import('./ContractService.js').ContractService} contractService
+   */
+  setContractService(contractService) {
+    this._contractService = contractService;
+  }
+
+  /**
+   * Set the simulation clock (dates each catch-up tick for contract deadlines)
+   * @param {import('../core/SimulationClock.js').SimulationClock} clock
+   */
+  setClock(clock) {
+    this._clock = clock;
+  }
+
+  // ==========================================
+  // SIMULATION
+  // ==========================================
+
+  /**
+   * Simulate the ticks that would have run during the given time away
+   * Production, processor cycles, home upkeep, market demand, standing orders, research and stipend run tick by tick so
+   * storage caps and input shortages behave exactly as they would in a live
+   * game. Contracts are judged at the time each tick stands for, so goods
+   * made before a deadline are delivered. Nobody moves in or out while away.
+   * @param {number} elapsed - Time away in milliseconds
+   * @returns {OfflineReport|null} Report, or null if the gap was too short
+   */
+  simulate(elapsed) {
+    this._lastReport = null;
+    if (!elapsed || elapsed < OFFLINE_CONFIG.minElapsed) return null;
+
+    const simulated = Math.min(elapsed, OFFLINE_CONFIG.maxElapsed);
+    const ticks = Math.floor(simulated / OFFLINE_CONFIG.tickInterval);
+    const ticksPerStipend = Math.max(1, Math.round(OFFLINE_CONFIG.stipendInterval / OFFLINE_CONFIG.tickInterval));
+
+    const startResources = this._gameState.getResources();
+    const startBuffered = this._getBufferedTotals();
+    const startStipend = this._stipendService.getTotalReceived();
+
+    /** @type {Object} Overflow discarded by storage caps */
+    const wasted = {};
+    /** @type {Map<number, Map<string, number>>} Stalled ticks per building and reason */
+    const stallTicks = new Map();
+
+    /** @type {Array<{id: string, name: string}>} Research finished while away */
+    const researched = [];
+
+    const unsubscribers = [
+      this._eventBus.subscribe(Events.RESOURCES_CHANGED, (data) => {
+        if (!data || !data.capped) return;
+        Object.entries(data.capped).forEach(([resource, amount]) => {
+          wasted[resource] = (wasted[resource] || 0) + amount;
+        });
+      }),
+      this._eventBus.subscribe(Events.RESEARCH_COMPLETED, ({ id }) => {
+        researched.push({ id, name: getResearchDef(id)?.name || id });
+      })
+    ];
+
+    // The clock is already past the time away, so contracts are judged at
+    // the time each tick stands for
+    const contracts = this._clock ? this._contractService : null;
+    const startTime = this._clock ? this._clock.now() - elapsed : 0;
+
+    try {
+      for (let tick = 1; tick <= ticks; tick++) {
+        contracts?.setCatchUpTime(startTime + tick * OFFLINE_CONFIG.tickInterval);
+        contracts?.checkDeadlines();
+        this._recordBlockedBuildings(stallTicks);
+        this._productionService.tick();
+
+        // Nobody collects drops or hauls inputs while away, so buffers count
+        // against storage and processors draw on storage directly
+        this._processorService.tick({ capBuffers: true, skipHauling: true });
+        this._recordStalledProcessors(stallTicks);
+        this._populationService?.payUpkeep();
+        this._marketService?.recoverDemand();
+        this._marketService?.runRules();
+        this._researchService?.tick();
+
+        if (tick % ticksPerStipend === 0) {
+          this._stipendService.tick();
+        }
+      }
+    } finally {
+      contracts?.setCatchUpTime(null);
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    // Time away beyond the catch-up cap made nothing, but deadlines still passed
+    contracts?.checkDeadlines();
+
+    const merchantVisits = this._merchantService.fastForward();
+
+    const report = this._buildReport({
+      elapsed,
+      simulated: ticks * OFFLINE_CONFIG.tickInterval,
+      startResources,
+      startBuffered,
+      wasted,
+      stallTicks,
+      stipendGold: this._stipendService.getTotalReceived() - startStipend,
+      merchantVisits,
+      researched
+    });
+
+    this._lastReport = report;
+    this._eventBus.publish(Events.OFFLINE_PROGRESS, report);
+
+    console.log(`[OfflineProgressService] Simulated ${ticks} ticks of offline progress`);
+    return report;
+  }
+
+  /**
+   * Get the report from the most recent catch-up
+   * @returns {OfflineReport|null}
+   */
+  getLastReport() {
+    return this._lastReport;
+  }
+
+  /**
+   * Clear the stored report (after the player has seen it)
+   */
+  clearLastReport() {
+    this._lastReport = null;
+  }
+
+  // ==========================================
+  // STALL TRACKING
+  // ==========================================
+
+  /**
+   * Record continuous buildings that can't produce this tick
+   * @param {Map<number, Map<string, number>>} stallTicks
+   * @private
+   */
+  _recordBlockedBuildings(stallTicks) {
+    this._gameState.getBuildings().forEach((building, index) => {
+      const def = getBuildingDef(building.type);
+      if (!def || def.isProcessor || !def.consumes) return;
+      if (this._productionService.canProduce(building)) return;
+
+      const missing = this._resourceService.getMissingResources(this._productionService.getConsumption(building));
+      const names = Object.keys(missing).map(r => this._getResourceName(r));
+      this._addStallTick(stallTicks, index, `Need ${names.join(', ')}`);
+    });
+  }
+
+  /**
+   * Record processors left stalled after this tick
+   * @param {Map<number, Map<string, number>>} stallTicks
+   * @private
+   */
+  _recordStalledProcessors(stallTicks) {
+    this._processorService.getStalledProcessors().forEach(({ index, state }) => {
+      this._addStallTick(stallTicks, index, state.stallReason || 'Stalled');
+    });
+  }
+
+  /**
+   * Increment the stall counter for a building and reason
+   * @private
+   */
+  _addStallTick(stallTicks, index, reason) {
+    if (!stallTicks.has(index)) {
+      stallTicks.set(index, new Map());
+    }
+    const reasons = stallTicks.get(index);
+    reasons.set(reason, (reasons.get(reason) || 0) + 1);
+  }
+
+  // ==========================================
+  // REPORT
+  // ==========================================
+
+  /**
+   * Build the offline report from collected data
+   * @returns {OfflineReport}
+   * @private
+   */
+  _buildReport({ elapsed, simulated, startResources, startBuffered, wasted, stallTicks, stipendGold, merchantVisits, researched }) {
+    const endResources = this._gameState.getResources();
+    const endBuffered = this._getBufferedTotals();
+
+    const gained = {};
+    const spent = {};
+    const resourceIds = new Set([...Object.keys(startResources), ...Object.keys(endResources)]);
+    resourceIds.forEach(resource => {
+      const delta = (endResources[resource] || 0) - (startResources[resource] || 0);
+      if (delta > 0) gained[resource] = delta;
+      if (delta < 0) spent[resource] = -delta;
+    });
+
+    const buffered = {};
+    Object.entries(endBuffered).forEach(([resource, amount]) => {
+      const delta = amount - (startBuffered[resource] || 0);
+      if (delta > 0) buffered[resource] = delta;
+    });
+
+    const buildings = this._gameState.getBuildings();
+    const stalls = [];
+    stallTicks.forEach((reasons, index) => {
+      const building = buildings[index];
+      const def = building ? getBuildingDef(building.type) : null;
+      reasons.forEach((count, reason) => {
+        stalls.push({
+          buildingIndex: index,
+          type: building ? building.type : 'unknown',
+          name: def ? def.name : 'Unknown',
+          reason,
+          seconds: Math.round(count * OFFLINE_CONFIG.tickInterval / 1000)
+        });
+      });
+    });
+    stalls.sort((a, b) => b.seconds - a.seconds);
+
+    return {
+      elapsed,
+      simulated,
+      truncated: elapsed > OFFLINE_CONFIG.maxElapsed,
+      gained,
+      spent,
+      buffered,
+      wasted,
+      stalls,
+      stipendGold,
+      merchantVisits,
+      researched
+    };
+  }
+
+  /**
+   * Sum buffered outputs across all processors
+   * @returns {Object} Resource totals
+   * @private
+   */
+  _getBufferedTotals() {
+    const totals = {};
+    this._processorService.getProcessorBuildings().forEach(({ state }) => {
+      if (!state.bufferedOutputs) return;
+      Object.entries(state.bufferedOutputs).forEach(([resource, amount]) => {
+        totals[resource] = (totals[resource] || 0) + amount;
+      });
+    });
+    return totals;
+  }
+
+  /**
+   * Get display name for a resource
+   * @private
+   */
+  _getResourceName(resource) {
+    return RESOURCES[resource]?.name || resource;
+  }
+}
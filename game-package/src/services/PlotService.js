@@ -20,6 +20,9 @@ export class PlotService {
     // Callback for re-rendering after expansion
     this._onExpandCallback = null;
 
+    // Reveals generated land on expansion (set via setTerrainService)
+    this._terrainService = null;
+
     // Subscribe to plot expansion events
     this._setupEventListeners();
   }
@@ -32,6 +35,14 @@ export class PlotService {
     this._onExpandCallback = callback;
   }
 
+  /**
+   * Set the terrain service (expanded land comes from the generated map)
+   * @param {import('./TerrainService.js').TerrainService} terrainService
+   */
+  setTerrainService(terrainService) {
+    this._terrainService = terrainService;
+  }
+
   /**
    * Setup event listeners
    * @private
@@ -137,11 +148,16 @@ export class PlotService {
     // Update game state
     this._gameState.setPlotSize({ rows, cols });
 
+    // New land comes from the map generated for this game's seed
+    if (this._terrainService) {
+      this._terrainService.revealLand(current);
+    }
+
     // Update tile config
     setGridSize(rows, cols);
 
-    // Update tile map for new size
-    updateTileMap(rows, cols);
+    // Update tile map for new size (existing terrain is kept)
+    updateTileMap(rows, cols, this._gameState.getTerrain());
 
     // Trigger re-render
     if (this._onExpandCallback) {
@@ -161,12 +177,12 @@ export class PlotService {
   }
 
   /**
-   * Initialize plot size from saved state
-   * Called on game load to sync TILE_CONFIG with saved state
+   * Initialize plot size and terrain from saved state
+   * Called on game load to sync TILE_CONFIG and TILE_MAP with saved state
    */
   syncFromState() {
     const size = this.getPlotSize();
     setGridSize(size.rows, size.cols);
-    updateTileMap(size.rows, size.cols);
+    updateTileMap(size.rows, size.cols, this._gameState.getTerrain());
   }
 }
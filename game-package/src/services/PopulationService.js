@@ -0,0 +1,473 @@
+/**
+ * PopulationService
+ * Villagers, their jobs and how the population grows
+ *
+ * Every villager either works at a building that offers jobs
+ * (workers: { job, slots }) or is a hauler. A workplace runs at
+ * POPULATION_CONFIG.unstaffedMultiplier with nobody in it, rising to full
+ * speed when every slot is filled.
+ *
+ * Workplaces are building indices, like processor state, so they shift down
+ * when an earlier building is removed. A newcomer arrives every
+ * growth.intervalTicks while there is housing to spare and food to eat.
+ *
+ * Saves from before population keep a housing allowance, so the villagers
+ * they were given to staff their workplaces have somewhere to live.
+ *
+ * Homes (housing: N) with upkeep eat it every tick. A home whose upkeep
+ * can't be paid houses nobody until it is, and while the population is
+ * bigger than the housing left, a villager leaves every growth interval.
+ */
+
+import { Events } from '../core/EventBus.js';
+import { POPULATION_CONFIG, DEFAULT_JOB, getBuildingDef, getJobDef } from '../config/index.js';
+
+export class PopulationService {
+  /**
+   * @param {import('./GameStateService.js').GameStateService} gameState
+   * @param {import('./ResourceService.js').ResourceService} resourceService
+   * @param {import('../core/EventBus.js').EventBus} eventBus
+   */
+  constructor(gameState, resourceService, eventBus) {
+    this._gameState = gameState;
+    this._resourceService = resourceService;
+    this._eventBus = eventBus;
+
+    /**
+     * Indices of homes whose upkeep went unpaid on the last tick
+     * @type {Set<number>}
+     */
+    this._unsuppliedHomes = new Set();
+
+    this._eventBus.subscribe(Events.TICK, () => this.tick());
+    this._eventBus.subscribe(Events.BUILDING_PLACED, (data) => this._onBuildingPlaced(data));
+    this._eventBus.subscribe(Events.BUILDING_REMOVED, (data) => this._onBuildingRemoved(data));
+
+    // Upkeep is checked again on the next tick
+    this._eventBus.subscribe(Events.STATE_LOADED, () => this._unsuppliedHomes.clear());
+    this._eventBus.subscribe(Events.GAME_RESET, () => this._unsuppliedHomes.clear());
+  }
+
+  // ==========================================
+  // VILLAGERS
+  // ==========================================
+
+  /**
+   * Get all villagers
+   * @returns {Array<{id: string, workplace: number|null}>}
+   */
+  getVillagers() {
+    return this._gameState.getVillagers();
+  }
+
+  /**
+   * Get a villager
+   * @param {string} id
+   * @returns {{id: string, workplace: number|null}|null}
+   */
+  getVillager(id) {
+    return this.getVillagers().find(v => v.id === id) || null;
+  }
+
+  /**
+   * Get the number of villagers
+   * @returns {number}
+   */
+  getPopulation() {
+    return this._gameState.getVillagers().length;
+  }
+
+  /**
+   * Get how many villagers there is room for
+   * Homes whose upkeep went unpaid don't count.
+   * @returns {number}
+   */
+  getHousingCapacity() {
+    return this._gameState.getBuildings().reduce((total, building, index) => {
+      if (this._unsuppliedHomes.has(index)) return total;
+      return total + (getBuildingDef(building.type)?.housing || 0);
+    }, POPULATION_CONFIG.baseHousing + this._gameState.getHousingAllowance());
+  }
+
+  /**
+   * Get a villager's job
+   * @param {string} id
+   * @returns {string} Job id (DEFAULT_JOB without a workplace)
+   */
+  getJob(id) {
+    const villager = this.getVillager(id);
+    if (!villager || villager.workplace === null) return DEFAULT_JOB;
+    const building = this._gameState.getBuildings()[villager.workplace];
+    return getBuildingDef(building?.type)?.workers?.job || DEFAULT_JOB;
+  }
+
+  /**
+   * Get villagers without a workplace
+   * @returns {Array<{id: string, workplace: null}>}
+   */
+  getHaulers() {
+    return this.getVillagers().filter(v => v.workplace === null);
+  }
+
+  // ==========================================
+  // WORKPLACES
+  // ==========================================
+
+  /**
+   * Get the number of jobs a building offers
+   * @param {number} buildingIndex
+   * @returns {number} 0 if it offers none
+   */
+  getWorkerSlots(buildingIndex) {
+    const building = this._gameState.getBuildings()[buildingIndex];
+    return getBuildingDef(building?.type)?.workers?.slots || 0;
+  }
+
+  /**
+   * Get the villagers working at a building
+   * @param {number} buildingIndex
+   * @returns {Array<{id: string, workplace: number}>}
+   */
+  getWorkers(buildingIndex) {
+    return this.getVillagers().filter(v => v.workplace === buildingIndex);
+  }
+
+  /**
+   * Get every building that offers jobs, with who works there
+   * @returns {Array<{buildingIndex: number, building: Object, job: string, slots: number, workers: string[]}>}
+   */
+  getWorkplaces() {
+    const villagers = this.getVillagers();
+    const workplaces = [];
+    this._gameState.getBuildings().forEach((building, index) => {
+      const workers = getBuildingDef(building.type)?.workers;
+      if (!workers) return;
+      workplaces.push({
+        buildingIndex: index,
+        building,
+        job: workers.job,
+        slots: workers.slots,
+        workers: villagers.filter(v => v.workplace === index).map(v => v.id)
+      });
+    });
+    return workplaces;
+  }
+
+  /**
+   * Get the production speed staffing gives a building
+   * @param {Object} building - Building object from game state
+   * @returns {number} 1 for buildings that need no workers
+   */
+  getStaffingMultiplier(building) {
+    const slots = getBuildingDef(building.type)?.workers?.slots;
+    if (!slots) return 1;
+
+    const index = this._gameState.getBuildings().indexOf(building);
+    if (index === -1) return 1;
+
+    const filled = Math.min(this.getWorkers(index).length, slots);
+    const { unstaffedMultiplier } = POPULATION_CONFIG;
+    return unstaffedMultiplier + (1 - unstaffedMultiplier) * (filled / slots);
+  }
+
+  /**
+   * Give a villager a workplace, or make them a hauler again
+   * @param {string} villagerId
+   * @param {number|null} buildingIndex - null to make them a hauler
+   * @returns {{success: boolean, error: string|null}}
+   */
+  assign(villagerId, buildingIndex) {
+    const villager = this.getVillager(villagerId);
+    if (!villager) {
+      return { success: false, error: 'Unknown villager' };
+    }
+    if (villager.workplace === buildingIndex) {
+      return { success: true, error: null };
+    }
+
+    if (buildingIndex !== null) {
+      const building = this._gameState.getBuildings()[buildingIndex];
+      const def = getBuildingDef(building?.type);
+      if (!def?.workers) {
+        return { success: false, error: 'That building has no jobs' };
+      }
+      if (this.getWorkers(buildingIndex).length >= def.workers.slots) {
+        return { success: false, error: `No free jobs at the ${def.name}` };
+      }
+    }
+
+    this._gameState.setVillagerWorkplace(villagerId, buildingIndex);
+    this._publishWorkersChanged();
+    return { success: true, error: null };
+  }
+
+  /**
+   * Give a building's next free job to a hauler
+   * @param {number} buildingIndex
+   * @returns {{success: boolean, error: string|null}}
+   */
+  addWorker(buildingIndex) {
+    const hauler = this.getHaulers()[0];
+    if (!hauler) {
+      return { success: false, error: 'No free villagers - everyone has a job' };
+    }
+    return this.assign(hauler.id, buildingIndex);
+  }
+
+  /**
+   * Send a building's newest worker back to hauling
+   * @param {number} buildingIndex
+   * @returns {{success: boolean, error: string|null}}
+   */
+  removeWorker(buildingIndex) {
+    const workers = this.getWorkers(buildingIndex);
+    if (workers.length === 0) {
+      return { success: false, error: 'Nobody works there' };
+    }
+    return this.assign(workers[workers.length - 1].id, null);
+  }
+
+  /**
+   * Fill a building's free jobs with haulers
+   * Always leaves POPULATION_CONFIG.autoAssignKeepsHaulers haulers.
+   * @param {number} buildingIndex
+   * @returns {number} Villagers assigned
+   */
+  fillJobs(buildingIndex) {
+    const free = this.getWorkerSlots(buildingIndex) - this.getWorkers(buildingIndex).length;
+    const available = this.getHaulers().slice(POPULATION_CONFIG.autoAssignKeepsHaulers);
+
+    const hired = available.slice(0, Math.max(0, free));
+    hired.forEach(v => this._gameState.setVillagerWorkplace(v.id, buildingIndex));
+    if (hired.length > 0) {
+      this._publishWorkersChanged();
+    }
+    return hired.length;
+  }
+
+  /**
+   * Send everyone at a building back to hauling
+   * @param {number} buildingIndex
+   */
+  clearJobs(buildingIndex) {
+    const workers = this.getWorkers(buildingIndex);
+    workers.forEach(v => this._gameState.setVillagerWorkplace(v.id, null));
+    if (workers.length > 0) {
+      this._publishWorkersChanged();
+    }
+  }
+
+  // ==========================================
+  // HOUSING
+  // ==========================================
+
+  /**
+   * Check a home's upkeep was paid on the last tick
+   * @param {number} buildingIndex
+   * @returns {boolean} True for buildings without upkeep
+   */
+  isHomeSupplied(buildingIndex) {
+    return !this._unsuppliedHomes.has(buildingIndex);
+  }
+
+  /**
+   * Get the upkeep every home eats per tick, in total
+   * @returns {Object} Amounts by resource
+   */
+  getUpkeep() {
+    const upkeep = {};
+    this._gameState.getBuildings().forEach(building => {
+      Object.entries(getBuildingDef(building.type)?.upkeep || {}).forEach(([resource, amount]) => {
+        upkeep[resource] = (upkeep[resource] || 0) + amount;
+      });
+    });
+    return upkeep;
+  }
+
+  /**
+   * Pay each home's upkeep, oldest home first
+   * Homes that can't be paid for house nobody until the next tick.
+   */
+  payUpkeep() {
+    const unsupplied = new Set();
+    this._gameState.getBuildings().forEach((building, index) => {
+      const upkeep = getBuildingDef(building.type)?.upkeep;
+      if (!upkeep) return;
+
+      if (this._resourceService.canAfford(upkeep)) {
+        this._resourceService.spendResources(upkeep);
+      } else {
+        unsupplied.add(index);
+      }
+    });
+
+    const changed = unsupplied.size !== this._unsuppliedHomes.size ||
+      [...unsupplied].some(index => !this._unsuppliedHomes.has(index));
+    this._unsuppliedHomes = unsupplied;
+    if (changed) {
+      this._eventBus.publish(Events.HOUSING_CHANGED, {
+        capacity: this.getHousingCapacity(),
+        unsupplied: [...unsupplied]
+      });
+    }
+  }
+
+  /**
+   * Check the village is big enough for a building (minPopulation)
+   * @param {string} type - Building type
+   * @returns {boolean}
+   */
+  hasPopulationFor(type) {
+    return this.getPopulation() >= (getBuildingDef(type)?.minPopulation || 0);
+  }
+
+  // ==========================================
+  // GROWTH
+  // ==========================================
+
+  /**
+   * Pay upkeep and count towards the next newcomer
+   * Every growth interval someone arrives if there is room and food, or
+   * leaves if the village has outgrown its housing.
+   */
+  tick() {
+    this.payUpkeep();
+
+    const ticks = this._gameState.getGrowthTicks() + 1;
+    if (ticks < POPULATION_CONFIG.growth.intervalTicks) {
+      this._gameState.setGrowthTicks(ticks);
+      return;
+    }
+
+    if (this.getPopulation() > this.getHousingCapacity()) {
+      this._gameState.setGrowthTicks(0);
+      this._villagerLeaves();
+      return;
+    }
+
+    // Keep waiting at a full count until someone can move in
+    this._gameState.setGrowthTicks(ticks);
+    if (this.getGrowthBlocker() !== null) return;
+
+    this._resourceService.spendResources(POPULATION_CONFIG.growth.food);
+    this._gameState.setGrowthTicks(0);
+    const villager = this._gameState.addVillager();
+    this._eventBus.publish(Events.VILLAGER_ARRIVED, { villager, buildingIndex: this._getNewestHome() });
+    this._publishWorkersChanged();
+  }
+
+  /**
+   * Get ticks counted towards the next newcomer
+   * @returns {number}
+   */
+  getGrowthProgress() {
+    return this._gameState.getGrowthTicks();
+  }
+
+  /**
+   * Explain why nobody new can move in
+   * @returns {string|null} Reason, or null if a newcomer is welcome
+   */
+  getGrowthBlocker() {
+    if (this.getPopulation() >= this.getHousingCapacity()) {
+      return 'No free housing';
+    }
+    if (!this._resourceService.canAfford(POPULATION_CONFIG.growth.food)) {
+      const food = Object.keys(POPULATION_CONFIG.growth.food).join(', ');
+      return `Not enough food (${food})`;
+    }
+    return null;
+  }
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  /**
+   * Get the display name of a job
+   * @param {string} jobId
+   * @returns {string}
+   */
+  getJobName(jobId) {
+    const job = getJobDef(jobId);
+    return job ? `${job.icon} ${job.name}` : jobId;
+  }
+
+  /**
+   * A villager moves out - a hauler if there is one, else the newest arrival
+   * @private
+   */
+  _villagerLeaves() {
+    const villagers = this.getVillagers();
+    const haulers = villagers.filter(v => v.workplace === null);
+    const leaving = haulers.length > 0 ? haulers[haulers.length - 1] : villagers[villagers.length - 1];
+    if (!leaving) return;
+
+    const villager = this._gameState.removeVillager(leaving.id);
+    this._eventBus.publish(Events.VILLAGER_LEFT, { villager });
+    this._publishWorkersChanged();
+  }
+
+  /**
+   * Get the newest home with its upkeep paid, where newcomers move in
+   * @returns {number|null} Building index, or null if only the camp has room
+   * @private
+   */
+  _getNewestHome() {
+    const buildings = this._gameState.getBuildings();
+    for (let index = buildings.length - 1; index >= 0; index--) {
+      if (getBuildingDef(buildings[index].type)?.housing && this.isHomeSupplied(index)) {
+        return index;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _publishWorkersChanged() {
+    this._eventBus.publish(Events.WORKERS_CHANGED, {
+      population: this.getPopulation(),
+      haulers: this.getHaulers().length
+    });
+  }
+
+  /**
+   * New workplaces take free haulers (undo/redo restores are left alone)
+   * @param {Object} data - BUILDING_PLACED event data
+   * @private
+   */
+  _onBuildingPlaced(data) {
+    if (data.restored) return;
+    this.fillJobs(this._gameState.getBuildings().length - 1);
+  }
+
+  /**
+   * Send a removed building's workers to hauling and shift later workplaces
+   * (and unpaid homes) down
+   * @param {Object} data - BUILDING_REMOVED event data with index
+   * @private
+   */
+  _onBuildingRemoved(data) {
+    const { index } = data;
+    if (index === undefined) return;
+
+    let changed = false;
+    this._gameState.getVillagers().forEach(v => {
+      if (v.workplace === index) {
+        this._gameState.setVillagerWorkplace(v.id, null);
+        changed = true;
+      } else if (v.workplace !== null && v.workplace > index) {
+        this._gameState.setVillagerWorkplace(v.id, v.workplace - 1);
+      }
+    });
+    if (changed) {
+      this._publishWorkersChanged();
+    }
+
+    this._unsuppliedHomes = new Set([...this._unsuppliedHomes]
+      .filter(home => home !== index)
+      .map(home => (home > index ? home - 1 : home)));
+  }
+}
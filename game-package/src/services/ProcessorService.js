@@ -2,10 +2,38 @@
  * ProcessorService
  * Handles cycle-based production for processor buildings (Mill, Bread Oven, etc.)
  * Unlike continuous production, processors work in discrete cycles with progress bars
+ *
+ * In logistics mode (see LogisticsService) each processor runs from its own
+ * input buffer, which villagers fill from storage, instead of the global pool.
+ *
+ * Processors with altRecipes run the recipe the player picked for them
+ * (setRecipe). Switching pauses the current recipe's cycle and delivered
+ * inputs, and picks up where the new recipe left off. Research unlocks
+ * some recipes and gives synergy bonuses (see ResearchService).
+ *
+ * Processors that draw from storage compete for the same inputs. Each tick,
+ * they take their inputs in allocation order: higher priority first
+ * (setPriority), then whoever has waited longest, so equal processors take
+ * turns instead of the first-placed one always winning. One that can't start
+ * sets aside what storage has left of its inputs, up to one cycle, in its
+ * input buffer, so scarce goods are shared out rather than left for whoever
+ * gets a full cycle first.
+ * A processor left short names the competitor that took its input while it
+ * was waiting (blockedBy) until it runs again - in logistics mode, the one
+ * whose delivery was claimed ahead of its own (LogisticsService).
  */
 
 import { Events } from '../core/EventBus.js';
-import { getBuildingDef } from '../config/index.js';
+import {
+  getBuildingDef,
+  getResearchForRecipe,
+  getResearchDef,
+  PROCESSOR_PRIORITIES,
+  DEFAULT_PROCESSOR_PRIORITY
+} from '../config/index.js';
+
+/** Key for a processor's own recipe in pausedRecipes */
+const BASE_RECIPE_KEY = 'base';
 
 /**
  * Processor state for tracking cycle progress
@@ -15,7 +43,21 @@ import { getBuildingDef } from '../config/index.js';
  * @property {string|null} stallReason - Reason for stall (if stalled)
  * @property {boolean} inputsConsumed - Whether inputs have been consumed for current cycle
  * @property {Object|null} bufferedOutputs - Resources waiting to be collected as drops
+ * @property {Object|null} inputBuffer - Inputs villagers have delivered (logistics mode), or set aside from storage
  * @property {boolean} ready - Whether outputs are ready for collection
+ * @property {string|null} recipeId - Alternative recipe picked by the player (null runs the building's own recipe)
+ * @property {Object<string, PausedRecipe>|null} pausedRecipes - Recipes switched away from mid-cycle, by recipe id
+ * @property {string} priority - Input priority picked by the player (one of PROCESSOR_PRIORITIES)
+ * @property {number} waitingTicks - Ticks spent short of inputs since the last cycle started
+ * @property {number|null} blockedBy - Index of the processor that took an input this one was waiting for
+ */
+
+/**
+ * Cycle and delivered inputs of a recipe the processor switched away from
+ * @typedef {Object} PausedRecipe
+ * @property {number} progress
+ * @property {boolean} inputsConsumed
+ * @property {Object|null} inputBuffer
  */
 
 export class ProcessorService {
@@ -28,6 +70,11 @@ export class ProcessorService {
     this._gameState = gameState;
     this._resourceService = resourceService;
     this._eventBus = eventBus;
+    this._terrainService = null;  // Set via setTerrainService()
+    this._roadService = null;     // Set via setRoadService()
+    this._logisticsService = null; // Set via setLogisticsService()
+    this._populationService = null; // Set via setPopulationService()
+    this._researchService = null; // Set via setResearchService()
 
     /**
      * Track processor state per building index
@@ -44,6 +91,46 @@ export class ProcessorService {
     });
   }
 
+  /**
+   * Set the terrain service (enables terrain yield bonuses)
+   * @param {import('./TerrainService.js').TerrainService} terrainService
+   */
+  setTerrainService(terrainService) {
+    this._terrainService = terrainService;
+  }
+
+  /**
+   * Set the road service (processors off the road network run slower)
+   * @param {import('./RoadService.js').RoadService} roadService
+   */
+  setRoadService(roadService) {
+    this._roadService = roadService;
+  }
+
+  /**
+   * Set the logistics service (processors run from hauled input buffers when enabled)
+   * @param {import('./LogisticsService.js').LogisticsService} logisticsService
+   */
+  setLogisticsService(logisticsService) {
+    this._logisticsService = logisticsService;
+  }
+
+  /**
+   * Set the population service (processors run slower without workers)
+   * @param {import('./PopulationService.js').PopulationService} populationService
+   */
+  setPopulationService(populationService) {
+    this._populationService = populationService;
+  }
+
+  /**
+   * Set the research service (unlocked recipes and synergy bonuses)
+   * @param {import('./ResearchService.js').ResearchService} researchService
+   */
+  setResearchService(researchService) {
+    this._researchService = researchService;
+  }
+
   // ==========================================
   // TICK PROCESSING
   // ==========================================
@@ -51,62 +138,155 @@ export class ProcessorService {
   /**
    * Process one tick for all processor buildings
    * @param {Object} data - Tick event data
+   * @param {number} [data.speedMult] - Speed multiplier for cycle progress
+   * @param {boolean} [data.capBuffers] - Count uncollected buffers against storage space
+   *   (used by offline catch-up, where nobody collects drops)
+   * @param {boolean} [data.skipHauling] - Draw inputs from storage even in logistics mode
+   *   (used by offline catch-up, where nobody hauls)
    */
   tick(data = {}) {
     const buildings = this._gameState.getBuildings();
     // Default to 1 second tick, but use speed multiplier if available
     const deltaTime = 1000 * (data.speedMult || 1);
+    const hauled = data.skipHauling !== true && this._isHauling();
 
+    const processors = [];
     buildings.forEach((building, index) => {
       const def = getBuildingDef(building.type);
       if (!def || !def.isProcessor || !def.recipe) return;
 
-      const state = this._getOrCreateState(index);
-      this._processBuilding(building, def, state, deltaTime, index);
+      processors.push({ building, def, index, state: this._getOrCreateState(index) });
+    });
+
+    // Allocation pass - processors take shared inputs in priority order,
+    // noting who took what so the ones left short can name them
+    /** @type {Map<string, number>} First processor to take each resource this tick */
+    const takers = new Map();
+    // Hauled inputs are taken when deliveries are claimed instead
+    const scarceClaims = hauled ? this._logisticsService.takeScarceClaims() : null;
+    this._getAllocationOrder(processors).forEach(({ building, def, index, state }) => {
+      const outcome = this._processBuilding(building, def, state, deltaTime, index, data.capBuffers === true, hauled);
+      const inputs = this._getSelectedRecipe(def, state).inputs;
+
+      if (outcome === 'started' && !hauled) {
+        Object.keys(inputs).forEach(resource => {
+          if (!takers.has(resource)) takers.set(resource, index);
+        });
+      } else if (outcome === 'short') {
+        const passedOver = hauled ? new Map(Object.entries(scarceClaims.get(index) || {})) : takers;
+        this._reportCompetitor(state, this._getShortInputs(state, inputs, hauled), passedOver);
+        if (hauled) return;
+
+        // Set aside what is left towards the next cycle
+        this._setAsideInputs(state, inputs).forEach(resource => {
+          if (!takers.has(resource)) takers.set(resource, index);
+        });
+      }
     });
   }
 
   /**
    * Process a single processor building
+   * @returns {'started'|'short'|null} Whether it started a cycle or is short of inputs
    * @private
    */
-  _processBuilding(building, def, state, deltaTime, index) {
-    const recipe = def.recipe;
+  _processBuilding(building, def, state, deltaTime, index, capBuffers = false, hauled = false) {
+    const recipe = this._getSelectedRecipe(def, state);
     const mult = this._getProductionMultiplier(building, def);
     const effectiveCycleTime = recipe.cycleTime / mult;
 
     // Check if we can start/continue production
-    const canConsume = this._resourceService.canAfford(recipe.inputs);
-    const hasOutputSpace = this._checkOutputSpace(recipe.outputs);
+    const canConsume = hauled
+      ? this._hasBufferedInputs(state, recipe.inputs)
+      : this._resourceService.canAfford(this._getShortfall(state, recipe.inputs));
+    const hasOutputSpace = this._checkOutputSpace(recipe.outputs, capBuffers);
 
     // Handle different states
     if (state.state === 'running' && state.inputsConsumed) {
       // Already running with inputs consumed - continue the cycle
       this._advanceCycle(state, deltaTime, effectiveCycleTime, recipe, index, building);
+      return null;
     } else if (!canConsume) {
       // Cannot start - missing inputs
+      state.waitingTicks = (state.waitingTicks || 0) + 1;
       state.state = 'stalled';
-      state.stallReason = this._getMissingInputReason(recipe.inputs);
+      state.stallReason = hauled
+        ? this._getUndeliveredInputReason(state, recipe.inputs)
+        : this._getMissingInputReason(this._getShortfall(state, recipe.inputs));
       state.progress = 0;
       state.inputsConsumed = false;
+      return 'short';
     } else if (!hasOutputSpace) {
       // Cannot start - output storage full
       state.state = 'stalled';
-      state.stallReason = this._getStorageFullReason(recipe.outputs);
+      state.stallReason = this._getStorageFullReason(recipe.outputs, capBuffers);
       state.progress = 0;
       state.inputsConsumed = false;
+      state.blockedBy = null;
+      return null;
     } else {
       // Can start a new cycle - consume inputs
-      this._resourceService.applyConsumption(recipe.inputs);
+      if (hauled) {
+        this._consumeBufferedInputs(state, recipe.inputs);
+      } else {
+        this._consumeInputs(state, recipe.inputs);
+      }
       state.state = 'running';
       state.stallReason = null;
       state.inputsConsumed = true;
+      state.waitingTicks = 0;
+      state.blockedBy = null;
 
       // Advance the cycle (will start from progress 0 or continue)
       this._advanceCycle(state, deltaTime, effectiveCycleTime, recipe, index, building);
+      return 'started';
     }
   }
 
+  /**
+   * Order processors for the allocation pass
+   * Higher priority first, then longest waiting; ties keep building order.
+   * @private
+   */
+  _getAllocationOrder(processors) {
+    return [...processors].sort((a, b) =>
+      this._getPriorityRank(b.state) - this._getPriorityRank(a.state) ||
+      (b.state.waitingTicks || 0) - (a.state.waitingTicks || 0)
+    );
+  }
+
+  /**
+   * Name the competitor that took the input a processor left short was waiting for
+   * Only processors that took one of its missing inputs since its last tick
+   * count: earlier in this allocation pass, or in logistics mode by claiming
+   * a delivery ahead of it. One named on an earlier tick stays named until
+   * this processor runs again.
+   * @param {ProcessorState} state
+   * @param {string[]} missing - Resources it is short of
+   * @param {Map<string, number>} takers - Processor that took each resource
+   * @private
+   */
+  _reportCompetitor(state, missing, takers) {
+    const taker = missing.map(resource => takers.get(resource)).find(index => index !== undefined);
+    if (taker !== undefined) {
+      state.blockedBy = taker;
+    }
+
+    const competitor = (state.blockedBy ?? null) !== null ? this._gameState.getBuildings()[state.blockedBy] : null;
+    if (!competitor) {
+      state.blockedBy = null;
+      return;
+    }
+    state.stallReason = `${state.stallReason} (taken by ${getBuildingDef(competitor.type).name})`;
+  }
+
+  /**
+   * @private
+   */
+  _getPriorityRank(state) {
+    return PROCESSOR_PRIORITIES.indexOf(state.priority || DEFAULT_PROCESSOR_PRIORITY);
+  }
+
   /**
    * Advance the production cycle
    * @private
@@ -139,6 +319,108 @@ export class ProcessorService {
     }
   }
 
+  /**
+   * Check if logistics mode is on
+   * @returns {boolean}
+   * @private
+   */
+  _isHauling() {
+    return this._logisticsService !== null && this._logisticsService.isEnabled();
+  }
+
+  /**
+   * Get the inputs a processor is short of for one cycle
+   * @param {ProcessorState} state
+   * @param {Object} inputs - Recipe inputs
+   * @param {boolean} hauled - Check its input buffer rather than storage
+   * @returns {string[]}
+   * @private
+   */
+  _getShortInputs(state, inputs, hauled) {
+    const shortfall = this._getShortfall(state, inputs);
+    return hauled
+      ? Object.keys(shortfall)
+      : Object.keys(this._resourceService.getMissingResources(shortfall));
+  }
+
+  /**
+   * Get the inputs a processor's buffer doesn't cover for one cycle
+   * @param {ProcessorState} state
+   * @param {Object} inputs - Recipe inputs
+   * @returns {Object} Resource amounts still needed
+   * @private
+   */
+  _getShortfall(state, inputs) {
+    const shortfall = {};
+    Object.entries(inputs).forEach(([resource, amount]) => {
+      const short = amount - (state.inputBuffer?.[resource] || 0);
+      if (short > 0) shortfall[resource] = short;
+    });
+    return shortfall;
+  }
+
+  /**
+   * Take one cycle of inputs - from the input buffer first, then storage
+   * @private
+   */
+  _consumeInputs(state, inputs) {
+    const shortfall = this._getShortfall(state, inputs);
+    const buffered = {};
+    Object.entries(inputs).forEach(([resource, amount]) => {
+      const fromBuffer = amount - (shortfall[resource] || 0);
+      if (fromBuffer > 0) buffered[resource] = fromBuffer;
+    });
+
+    if (Object.keys(buffered).length > 0) {
+      this._consumeBufferedInputs(state, buffered);
+    }
+    this._resourceService.applyConsumption(shortfall);
+  }
+
+  /**
+   * Move what storage has of a processor's shortfall into its input buffer
+   * @returns {string[]} Resources it set aside
+   * @private
+   */
+  _setAsideInputs(state, inputs) {
+    const taken = {};
+    Object.entries(this._getShortfall(state, inputs)).forEach(([resource, short]) => {
+      const amount = Math.min(short, Math.floor(this._resourceService.getResource(resource)));
+      if (amount > 0) taken[resource] = amount;
+    });
+    if (Object.keys(taken).length === 0) return [];
+
+    this._resourceService.applyConsumption(taken);
+    state.inputBuffer = this._mergeOutputs(state.inputBuffer || {}, taken);
+    return Object.keys(taken);
+  }
+
+  /**
+   * Check if a processor's input buffer holds a full cycle of inputs
+   * @private
+   */
+  _hasBufferedInputs(state, inputs) {
+    return Object.entries(inputs).every(([resource, amount]) => {
+      return (state.inputBuffer?.[resource] || 0) >= amount;
+    });
+  }
+
+  /**
+   * Take one cycle of inputs out of a processor's input buffer
+   * @private
+   */
+  _consumeBufferedInputs(state, inputs) {
+    Object.entries(inputs).forEach(([resource, amount]) => {
+      state.inputBuffer[resource] -= amount;
+      if (state.inputBuffer[resource] <= 0) {
+        delete state.inputBuffer[resource];
+      }
+    });
+    if (Object.keys(state.inputBuffer).length === 0) {
+      state.inputBuffer = null;
+    }
+  }
+
   /**
    * Merge outputs for accumulating multiple cycles
    * @param {Object} existing - Existing buffered outputs
@@ -172,7 +454,13 @@ export class ProcessorService {
         stallReason: null,
         inputsConsumed: false,
         bufferedOutputs: null,
-        ready: false
+        inputBuffer: null,
+        ready: false,
+        recipeId: null,
+        pausedRecipes: null,
+        priority: DEFAULT_PROCESSOR_PRIORITY,
+        waitingTicks: 0,
+        blockedBy: null
       });
     }
     return this._processorStates.get(index);
@@ -190,33 +478,74 @@ export class ProcessorService {
       stallReason: null,
       inputsConsumed: false,
       bufferedOutputs: null,
-      ready: false
+      inputBuffer: null,
+      ready: false,
+      recipeId: null,
+      pausedRecipes: null,
+      priority: DEFAULT_PROCESSOR_PRIORITY,
+      waitingTicks: 0,
+      blockedBy: null
     };
   }
 
   /**
-   * Handle building removal - clean up state
-   * @param {Object} data - Event data with buildingIndex
-   * @private
+   * Copy a processor's state so it can be restored later (undo/redo)
+   * @param {number} buildingIndex - Building index
+   * @returns {ProcessorState|null} Copy of the state, or null if the processor has none yet
    */
-  _onBuildingRemoved(data) {
-    const { buildingIndex } = data;
-    if (buildingIndex !== undefined) {
-      this._processorStates.delete(buildingIndex);
-      // Rebuild index map since indices shift after removal
-      this._rebuildStateIndices();
+  getStateSnapshot(buildingIndex) {
+    const state = this._processorStates.get(buildingIndex);
+    if (!state) return null;
+    return {
+      ...state,
+      bufferedOutputs: state.bufferedOutputs ? { ...state.bufferedOutputs } : null,
+      inputBuffer: state.inputBuffer ? { ...state.inputBuffer } : null,
+      pausedRecipes: this._copyPausedRecipes(state.pausedRecipes)
+    };
+  }
+
+  /**
+   * Restore a processor's state from a snapshot
+   * @param {number} buildingIndex - Building index
+   * @param {ProcessorState|null} snapshot - From getStateSnapshot (null resets to idle)
+   */
+  restoreStateSnapshot(buildingIndex, snapshot) {
+    this._processorStates.delete(buildingIndex);
+    if (snapshot) {
+      this._processorStates.set(buildingIndex, {
+        ...snapshot,
+        bufferedOutputs: snapshot.bufferedOutputs ? { ...snapshot.bufferedOutputs } : null,
+        inputBuffer: snapshot.inputBuffer ? { ...snapshot.inputBuffer } : null,
+        pausedRecipes: this._copyPausedRecipes(snapshot.pausedRecipes)
+      });
     }
   }
 
   /**
-   * Rebuild state indices after a building removal
+   * Handle building removal - drop its state and shift later indices down
+   * @param {Object} data - BUILDING_REMOVED event data with index
    * @private
    */
-  _rebuildStateIndices() {
-    // When a building is removed, all indices after it shift down
-    // For now, clear all states - they'll be recreated on next tick
-    // A more sophisticated approach would track by building ID instead of index
-    this._processorStates.clear();
+  _onBuildingRemoved(data) {
+    const { index } = data;
+    if (index === undefined) return;
+
+    const shifted = new Map();
+    this._processorStates.forEach((state, stateIndex) => {
+      if (state.blockedBy === index) {
+        state.blockedBy = null;
+      } else if (state.blockedBy !== null && state.blockedBy > index) {
+        state.blockedBy--;
+      }
+
+      if (stateIndex < index) {
+        shifted.set(stateIndex, state);
+      } else if (stateIndex > index) {
+        // Buildings after the removed one moved down a slot
+        shifted.set(stateIndex - 1, state);
+      }
+    });
+    this._processorStates = shifted;
   }
 
   // ==========================================
@@ -258,6 +587,21 @@ export class ProcessorService {
     return outputs;
   }
 
+  /**
+   * Get the total amount of a resource waiting in processor buffers
+   * @param {string} resource - Resource type
+   * @returns {number}
+   */
+  getBufferedTotal(resource) {
+    let total = 0;
+    this._processorStates.forEach(state => {
+      if (state.bufferedOutputs) {
+        total += state.bufferedOutputs[resource] || 0;
+      }
+    });
+    return total;
+  }
+
   /**
    * Get all processors that have ready outputs
    * @returns {Array<{buildingIndex: number, outputs: Object}>}
@@ -272,19 +616,232 @@ export class ProcessorService {
     return ready;
   }
 
+  // ==========================================
+  // INPUT BUFFERS (logistics mode)
+  // ==========================================
+
+  /**
+   * Get the inputs delivered to a processor
+   * @param {number} buildingIndex
+   * @returns {Object} Resource amounts (empty if nothing was delivered)
+   */
+  getInputBuffer(buildingIndex) {
+    return { ...(this._processorStates.get(buildingIndex)?.inputBuffer || {}) };
+  }
+
+  /**
+   * Add delivered inputs to a processor's buffer
+   * @param {number} buildingIndex
+   * @param {Object} resources - Resource amounts
+   */
+  addToInputBuffer(buildingIndex, resources) {
+    const state = this._getOrCreateState(buildingIndex);
+    state.inputBuffer = state.inputBuffer
+      ? this._mergeOutputs(state.inputBuffer, resources)
+      : { ...resources };
+  }
+
+  /**
+   * Empty a processor's input buffer, and those of its paused recipes
+   * @param {number} buildingIndex
+   * @returns {Object|null} The inputs that were in them
+   */
+  clearInputBuffer(buildingIndex) {
+    const state = this._processorStates.get(buildingIndex);
+    if (!state) return null;
+
+    let inputs = state.inputBuffer;
+    state.inputBuffer = null;
+    Object.values(state.pausedRecipes || {}).forEach(paused => {
+      if (!paused.inputBuffer) return;
+      inputs = inputs ? this._mergeOutputs(inputs, paused.inputBuffer) : paused.inputBuffer;
+      paused.inputBuffer = null;
+    });
+    return inputs;
+  }
+
+  // ==========================================
+  // RECIPES
+  // ==========================================
+
+  /**
+   * Get the recipes a processor can run - its own first, then unlocked alternatives
+   * @param {Object} building
+   * @returns {Object[]} Empty if the building has no recipe
+   */
+  getRecipes(building) {
+    if (this._researchService) {
+      return this._researchService.getAvailableRecipes(building.type);
+    }
+    const def = getBuildingDef(building.type);
+    if (!def?.recipe) return [];
+    return [def.recipe, ...(def.altRecipes || []).filter(recipe => getResearchForRecipe(recipe.id) === null)];
+  }
+
+  /**
+   * Get the recipe a processor runs
+   * @param {Object} building
+   * @returns {Object|null} Recipe, or null if the building has none
+   */
+  getRecipe(building) {
+    const def = getBuildingDef(building.type);
+    if (!def?.recipe) return null;
+
+    const index = this._gameState.getBuildings().indexOf(building);
+    return this._getSelectedRecipe(def, this.getProcessorState(index));
+  }
+
+  /**
+   * Pick the recipe a processor runs
+   * The current recipe's cycle and delivered inputs are kept for when it is picked again.
+   * Deliveries still on their way were for the old recipe, so they are called off.
+   * @param {number} buildingIndex
+   * @param {string|null} recipeId - An altRecipes id, or null for the building's own recipe
+   * @returns {{success: boolean, error: string|null}}
+   */
+  setRecipe(buildingIndex, recipeId) {
+    const building = this._gameState.getBuildings()[buildingIndex];
+    const def = building ? getBuildingDef(building.type) : null;
+    if (!def?.isProcessor || !def.recipe) {
+      return { success: false, error: 'Not a processor' };
+    }
+
+    const recipe = recipeId === null ? def.recipe : def.altRecipes?.find(r => r.id === recipeId);
+    if (!recipe) {
+      return { success: false, error: 'Unknown recipe' };
+    }
+    if (!this.getRecipes(building).includes(recipe)) {
+      const research = getResearchDef(getResearchForRecipe(recipeId));
+      return { success: false, error: `Requires research: ${research?.name || recipeId}` };
+    }
+
+    const state = this._getOrCreateState(buildingIndex);
+    if (state.recipeId === recipeId) {
+      return { success: true, error: null };
+    }
+
+    // Pause the current recipe and resume the new one where it left off
+    const paused = { ...(state.pausedRecipes || {}) };
+    paused[state.recipeId || BASE_RECIPE_KEY] = {
+      progress: state.progress,
+      inputsConsumed: state.inputsConsumed,
+      inputBuffer: state.inputBuffer
+    };
+    const resumed = paused[recipeId || BASE_RECIPE_KEY];
+    delete paused[recipeId || BASE_RECIPE_KEY];
+
+    state.recipeId = recipeId;
+    state.progress = resumed?.progress || 0;
+    state.inputsConsumed = resumed?.inputsConsumed || false;
+    state.inputBuffer = resumed?.inputBuffer || null;
+    state.state = state.inputsConsumed ? 'running' : 'idle';
+    state.stallReason = null;
+    state.pausedRecipes = paused;
+
+    // Goods already picked up go back to storage
+    this._logisticsService?.cancelDeliveriesTo(buildingIndex);
+
+    this._eventBus.publish(Events.PROCESSOR_RECIPE_CHANGED, {
+      buildingIndex,
+      buildingType: building.type,
+      recipeId,
+      recipe
+    });
+    return { success: true, error: null };
+  }
+
+  // ==========================================
+  // PRIORITIES
+  // ==========================================
+
+  /**
+   * Get a processor's input priority
+   * @param {number} buildingIndex
+   * @returns {string} One of PROCESSOR_PRIORITIES
+   */
+  getPriority(buildingIndex) {
+    return this.getProcessorState(buildingIndex).priority || DEFAULT_PROCESSOR_PRIORITY;
+  }
+
+  /**
+   * Set a processor's input priority
+   * @param {number} buildingIndex
+   * @param {string} priority - One of PROCESSOR_PRIORITIES
+   * @returns {{success: boolean, error: string|null}}
+   */
+  setPriority(buildingIndex, priority) {
+    const building = this._gameState.getBuildings()[buildingIndex];
+    if (!building || !this.isProcessor(building)) {
+      return { success: false, error: 'Not a processor' };
+    }
+    if (!PROCESSOR_PRIORITIES.includes(priority)) {
+      return { success: false, error: `Unknown priority: ${priority}` };
+    }
+
+    const state = this._getOrCreateState(buildingIndex);
+    if (state.priority === priority) {
+      return { success: true, error: null };
+    }
+
+    state.priority = priority;
+    this._eventBus.publish(Events.PROCESSOR_PRIORITY_CHANGED, {
+      buildingIndex,
+      buildingType: building.type,
+      priority
+    });
+    return { success: true, error: null };
+  }
+
   // ==========================================
   // HELPER METHODS
   // ==========================================
 
   /**
-   * Get production multiplier from building upgrades
+   * Get the recipe a processor state has selected
+   * Falls back to the building's own recipe if the selection doesn't exist.
+   * @private
+   */
+  _getSelectedRecipe(def, state) {
+    if (!state.recipeId) return def.recipe;
+    return def.altRecipes?.find(r => r.id === state.recipeId) || def.recipe;
+  }
+
+  /**
+   * @private
+   */
+  _copyPausedRecipes(pausedRecipes) {
+    if (!pausedRecipes) return null;
+    const copy = {};
+    Object.entries(pausedRecipes).forEach(([key, paused]) => {
+      copy[key] = { ...paused, inputBuffer: paused.inputBuffer ? { ...paused.inputBuffer } : null };
+    });
+    return copy;
+  }
+
+  /**
+   * Get the cycle speed multiplier for a processor (upgrades, terrain, roads, staffing and synergies)
+   * @param {Object} building
+   * @returns {number}
+   */
+  getProductionMultiplier(building) {
+    const def = getBuildingDef(building.type);
+    return def ? this._getProductionMultiplier(building, def) : 1;
+  }
+
+  /**
+   * Get production multiplier from building upgrades, terrain, road access, staffing and synergies
    * @private
    */
   _getProductionMultiplier(building, def) {
+    const terrainMult = this._terrainService ? this._terrainService.getYieldMultiplier(building) : 1;
+    const roadMult = this._roadService ? this._roadService.getAccessMultiplier(building) : 1;
+    const staffMult = this._populationService ? this._populationService.getStaffingMultiplier(building) : 1;
+    const synergyMult = this._researchService ? this._researchService.getSynergyMultiplier(building) : 1;
+    const mult = terrainMult * roadMult * staffMult * synergyMult;
     if (building.level > 0 && def.upgrades && def.upgrades[building.level - 1]) {
-      return def.upgrades[building.level - 1].mult;
+      return def.upgrades[building.level - 1].mult * mult;
     }
-    return 1;
+    return mult;
   }
 
   /**
@@ -299,17 +856,34 @@ export class ProcessorService {
     return `Need ${resourceNames.join(', ')}`;
   }
 
+  /**
+   * Get reason string for inputs that have not been delivered yet
+   * Inputs storage can't supply either are reported as missing.
+   * @private
+   */
+  _getUndeliveredInputReason(state, inputs) {
+    const shortfall = this._getShortfall(state, inputs);
+
+    if (!this._resourceService.canAfford(shortfall)) {
+      return this._getMissingInputReason(shortfall);
+    }
+    const resourceNames = Object.keys(shortfall).map(r =>
+      r.charAt(0).toUpperCase() + r.slice(1).replace('_', ' ')
+    );
+    return `Waiting for delivery: ${resourceNames.join(', ')}`;
+  }
+
   /**
    * Generate stall reason for storage full
    * @param {Object} outputs - Required outputs
+   * @param {boolean} [includeBuffered=false] - Count buffered outputs as used space
    * @returns {string}
    * @private
    */
-  _getStorageFullReason(outputs) {
+  _getStorageFullReason(outputs, includeBuffered = false) {
     const fullResources = Object.entries(outputs)
       .filter(([resource, amount]) => {
-        const remaining = this._resourceService.getRemainingSpace(resource);
-        return remaining < amount;
+        return this._getAvailableSpace(resource, includeBuffered) < amount;
       })
       .map(([resource]) => resource.charAt(0).toUpperCase() + resource.slice(1).replace('_', ' '));
 
@@ -321,15 +895,28 @@ export class ProcessorService {
 
   /**
    * Check if there's enough storage space for outputs
+   * @param {Object} outputs - Recipe outputs
+   * @param {boolean} [includeBuffered=false] - Count buffered outputs as used space
    * @private
    */
-  _checkOutputSpace(outputs) {
+  _checkOutputSpace(outputs, includeBuffered = false) {
     return Object.entries(outputs).every(([resource, amount]) => {
-      const remaining = this._resourceService.getRemainingSpace(resource);
-      return remaining >= amount;
+      return this._getAvailableSpace(resource, includeBuffered) >= amount;
     });
   }
 
+  /**
+   * Get storage space left for a resource
+   * @param {string} resource - Resource type
+   * @param {boolean} includeBuffered - Subtract outputs still waiting in buffers
+   * @returns {number}
+   * @private
+   */
+  _getAvailableSpace(resource, includeBuffered) {
+    const remaining = this._resourceService.getRemainingSpace(resource);
+    return includeBuffered ? remaining - this.getBufferedTotal(resource) : remaining;
+  }
+
   // ==========================================
   // PRODUCTION QUERIES (for UI)
   // ==========================================
@@ -398,16 +985,17 @@ export class ProcessorService {
       // Only count running processors
       if (state.state !== 'running' && state.state !== 'idle') return;
 
+      const recipe = this._getSelectedRecipe(def, state);
       const mult = this._getProductionMultiplier(building, def);
-      const cycleTimeSeconds = def.recipe.cycleTime / 1000 / mult;
+      const cycleTimeSeconds = recipe.cycleTime / 1000 / mult;
 
       // Add output rates
-      Object.entries(def.recipe.outputs).forEach(([resource, amount]) => {
+      Object.entries(recipe.outputs).forEach(([resource, amount]) => {
         rates[resource] = (rates[resource] || 0) + (amount / cycleTimeSeconds);
       });
 
       // Subtract input rates (consumption)
-      Object.entries(def.recipe.inputs).forEach(([resource, amount]) => {
+      Object.entries(recipe.inputs).forEach(([resource, amount]) => {
         rates[resource] = (rates[resource] || 0) - (amount / cycleTimeSeconds);
       });
     });
@@ -422,8 +1010,17 @@ export class ProcessorService {
   exportState() {
     const states = {};
     this._processorStates.forEach((state, index) => {
-      states[index] = { ...state };
+      states[index] = { ...state, pausedRecipes: this._copyPausedRecipes(state.pausedRecipes) };
     });
+
+    // Villagers aren't saved, so goods they are carrying count as delivered
+    if (this._logisticsService) {
+      this._logisticsService.getDeliveriesInTransit().forEach(({ buildingIndex, resource, amount }) => {
+        const state = states[buildingIndex];
+        if (!state) return;
+        state.inputBuffer = this._mergeOutputs(state.inputBuffer || {}, { [resource]: amount });
+      });
+    }
     return states;
   }
 
@@ -442,7 +1039,13 @@ export class ProcessorService {
           stallReason: state.stallReason || null,
           inputsConsumed: state.inputsConsumed || false,
           bufferedOutputs: state.bufferedOutputs || null,
-          ready: state.ready || false
+          inputBuffer: state.inputBuffer || null,
+          ready: state.ready || false,
+          recipeId: state.recipeId || null,
+          pausedRecipes: state.pausedRecipes || null,
+          priority: state.priority || DEFAULT_PROCESSOR_PRIORITY,
+          waitingTicks: state.waitingTicks || 0,
+          blockedBy: state.blockedBy ?? null
         });
       });
     }
@@ -1,6 +1,10 @@
 /**
  * ProductionService
  * Handles tick-based resource production from buildings
+ *
+ * Staffing scales a workplace's consumption along with its output, the way
+ * it scales a processor's cycle time - a half-staffed bakery eats half the wheat.
+ * Upgrades, terrain and synergies only raise output.
  */
 
 import { Events } from '../core/EventBus.js';
@@ -16,17 +20,44 @@ export class ProductionService {
     this._gameState = gameState;
     this._resourceService = resourceService;
     this._eventBus = eventBus;
+    this._terrainService = null;  // Set via setTerrainService()
+    this._populationService = null; // Set via setPopulationService()
+    this._researchService = null; // Set via setResearchService()
 
     // Subscribe to game tick events
     this._eventBus.subscribe(Events.TICK, () => this.tick());
   }
 
+  /**
+   * Set the terrain service (enables terrain yield bonuses)
+   * @param {import('./TerrainService.js').TerrainService} terrainService
+   */
+  setTerrainService(terrainService) {
+    this._terrainService = terrainService;
+  }
+
+  /**
+   * Set the population service (workplaces run slower without workers)
+   * @param {import('./PopulationService.js').PopulationService} populationService
+   */
+  setPopulationService(populationService) {
+    this._populationService = populationService;
+  }
+
+  /**
+   * Set the research service (enables synergy bonuses)
+   * @param {import('./ResearchService.js').ResearchService} researchService
+   */
+  setResearchService(researchService) {
+    this._researchService = researchService;
+  }
+
   // ==========================================
   // PRODUCTION CALCULATION
   // ==========================================
 
   /**
-   * Get production multiplier for a building based on its level
+   * Get production multiplier for a building based on its level, terrain, staffing and synergies
    * @param {Object} building - Building object
    * @returns {number}
    */
@@ -34,12 +65,32 @@ export class ProductionService {
     const def = getBuildingDef(building.type);
     if (!def) return 1;
 
+    const terrainMult = this._terrainService ? this._terrainService.getYieldMultiplier(building) : 1;
+    const staffMult = this._populationService ? this._populationService.getStaffingMultiplier(building) : 1;
+    const synergyMult = this._researchService ? this._researchService.getSynergyMultiplier(building) : 1;
+    const mult = terrainMult * staffMult * synergyMult;
+
     // level 0 = base production (mult 1)
     // level 1+ = use upgrade multiplier
     if (building.level > 0 && def.upgrades && def.upgrades[building.level - 1]) {
-      return def.upgrades[building.level - 1].mult;
+      return def.upgrades[building.level - 1].mult * mult;
     }
-    return 1;
+    return mult;
+  }
+
+  /**
+   * Get what a building consumes per tick, scaled by its staffing
+   * @param {Object} building - Building object
+   * @returns {Object|null} Resource amounts, or null if it consumes nothing
+   */
+  getConsumption(building) {
+    const def = getBuildingDef(building.type);
+    if (!def?.consumes) return null;
+
+    const staffMult = this._populationService ? this._populationService.getStaffingMultiplier(building) : 1;
+    return Object.fromEntries(
+      Object.entries(def.consumes).map(([res, amt]) => [res, amt * staffMult])
+    );
   }
 
   /**
@@ -52,11 +103,12 @@ export class ProductionService {
     if (!def) return false;
 
     // If no consumption required, can always produce
-    if (!def.consumes) return true;
+    const consumes = this.getConsumption(building);
+    if (!consumes) return true;
 
     // Check if we have enough resources to consume
     const resources = this._gameState.getResources();
-    return Object.entries(def.consumes).every(
+    return Object.entries(consumes).every(
       ([res, amt]) => (resources[res] || 0) >= amt
     );
   }
@@ -79,11 +131,12 @@ export class ProductionService {
       if (def.isProcessor) return;
 
       const mult = this.getProductionMultiplier(building);
+      const consumes = this.getConsumption(building);
 
       // Check if we can produce (have resources to consume)
       let canProduce = true;
-      if (def.consumes) {
-        canProduce = Object.entries(def.consumes).every(
+      if (consumes) {
+        canProduce = Object.entries(consumes).every(
           ([res, amt]) => (resources[res] || 0) >= amt
         );
       }
@@ -95,8 +148,8 @@ export class ProductionService {
         });
 
         // Subtract consumption
-        if (def.consumes) {
-          Object.entries(def.consumes).forEach(([res, amt]) => {
+        if (consumes) {
+          Object.entries(consumes).forEach(([res, amt]) => {
             production[res] = (production[res] || 0) - amt;
           });
         }
@@ -131,8 +184,9 @@ export class ProductionService {
     });
 
     // Calculate consumption
-    if (def.consumes) {
-      Object.entries(def.consumes).forEach(([res, amt]) => {
+    const consumes = this.getConsumption(building);
+    if (consumes) {
+      Object.entries(consumes).forEach(([res, amt]) => {
         consumption[res] = amt;
         net[res] = (net[res] || 0) - amt;
       });
@@ -165,16 +219,17 @@ export class ProductionService {
       if (def.isProcessor) return;
 
       const mult = this.getProductionMultiplier(building);
+      const consumes = this.getConsumption(building);
 
       // Check if we can produce (have resources to consume)
       // Use resourceService for current state check
       let canProduce = true;
-      if (def.consumes) {
-        canProduce = this._resourceService.canAfford(def.consumes);
+      if (consumes) {
+        canProduce = this._resourceService.canAfford(consumes);
 
         // Accumulate consumption if we can produce
         if (canProduce) {
-          Object.entries(def.consumes).forEach(([res, amt]) => {
+          Object.entries(consumes).forEach(([res, amt]) => {
             totalConsumption[res] = (totalConsumption[res] || 0) + amt;
           });
         }
@@ -1,19 +1,38 @@
 /**
  * ResearchService
- * Manages research state, unlock checks, and research completion
+ * Manages research state, the research queue, unlock checks, and research completion
+ *
+ * Research is queued, not bought outright. The head of the queue starts as
+ * soon as its prerequisites are done and its cost can be paid; it then
+ * progresses by getSpeed() every TICK until it reaches the node's time.
+ * Staffed libraries add to the speed. The node in progress and the queue
+ * are saved in game state (research.active / research.queue).
+ *
+ * Besides unlocking buildings and upgrade tiers, research can unlock
+ * alternative processor recipes, which players pick per building, and
+ * synergies - production bonuses for buildings next to a partner building.
+ * ProductionService and ProcessorService ask for both here.
+ *
+ * Merchant contracts can reward a discount (researchDiscountPercent) that
+ * is taken off the cost of the next research started, then used up.
  */
 
 import { Events } from '../core/EventBus.js';
 import {
   RESEARCH,
+  RESEARCH_CONFIG,
+  SYNERGIES,
   getResearchDef,
   getResearchIds,
   getResearchForBuilding,
+  getResearchForRecipe,
   getMaxTierForBuilding,
   getPlotExpansion,
   DEFAULT_UNLOCKED_BUILDINGS,
   DEFAULT_MAX_TIER
 } from '../config/research.config.js';
+import { CONTRACT_CONFIG } from '../config/merchant.config.js';
+import { getBuildingDef, getBuildingFootprint } from '../config/buildings.config.js';
 
 export class ResearchService {
   /**
@@ -25,6 +44,17 @@ export class ResearchService {
     this._gameState = gameState;
     this._resourceService = resourceService;
     this._eventBus = eventBus;
+    this._populationService = null;  // Set via setPopulationService()
+
+    this._eventBus.subscribe(Events.TICK, () => this.tick());
+  }
+
+  /**
+   * Set the population service (libraries work faster with scholars)
+   * @param {import('./PopulationService.js').PopulationService} populationService
+   */
+  setPopulationService(populationService) {
+    this._populationService = populationService;
   }
 
   // ==========================================
@@ -103,13 +133,17 @@ export class ResearchService {
       return { canResearch: false, reason: 'Already researched' };
     }
 
+    if (this._gameState.getActiveResearch()?.id === id) {
+      return { canResearch: false, reason: 'Already being researched' };
+    }
+
     if (!this.arePrereqsMet(id)) {
       const missing = research.prereqs.filter(p => !this.isCompleted(p));
       const missingNames = missing.map(p => getResearchDef(p)?.name || p).join(', ');
       return { canResearch: false, reason: `Requires: ${missingNames}` };
     }
 
-    if (!this._resourceService.canAfford(research.cost)) {
+    if (!this._resourceService.canAfford(this.getCost(id))) {
       return { canResearch: false, reason: 'Not enough resources' };
     }
 
@@ -130,20 +164,214 @@ export class ResearchService {
   /**
    * Get research status for UI display
    * @param {string} id - Research ID
-   * @returns {'completed'|'available'|'locked'}
+   * @returns {'completed'|'researching'|'queued'|'available'|'locked'}
    */
   getResearchStatus(id) {
     if (this.isCompleted(id)) return 'completed';
+    if (this._gameState.getActiveResearch()?.id === id) return 'researching';
+    if (this._gameState.getResearchQueue().includes(id)) return 'queued';
     if (this.arePrereqsMet(id)) return 'available';
     return 'locked';
   }
 
+  // ==========================================
+  // COST & DISCOUNT
+  // ==========================================
+
+  /**
+   * Get what a research costs now, after any contract discount
+   * @param {string} id - Research ID
+   * @returns {Object} Resource amounts (empty for unknown research)
+   */
+  getCost(id) {
+    const research = getResearchDef(id);
+    if (!research) return {};
+
+    const keep = 100 - this.getDiscount();
+    const cost = {};
+    Object.entries(research.cost).forEach(([resource, amount]) => {
+      cost[resource] = Math.ceil(amount * keep / 100);
+    });
+    return cost;
+  }
+
+  /**
+   * Get the discount waiting for the next research
+   * @returns {number} Percent
+   */
+  getDiscount() {
+    return this._gameState.getResearchDiscount();
+  }
+
+  /**
+   * Add to the discount on the next research, up to the cap
+   * @param {number} percent
+   * @returns {number} Discount now waiting, in percent
+   */
+  addDiscount(percent) {
+    const discount = Math.min(CONTRACT_CONFIG.maxResearchDiscountPercent, this.getDiscount() + percent);
+    this._gameState.setResearchDiscount(discount);
+    return discount;
+  }
+
+  // ==========================================
+  // RESEARCH QUEUE
+  // ==========================================
+
+  /**
+   * Get the research in progress
+   * @returns {{id: string, name: string, progress: number, time: number, percent: number, remaining: number}|null}
+   *   remaining is in seconds at the current speed
+   */
+  getActiveResearch() {
+    const active = this._gameState.getActiveResearch();
+    if (!active) return null;
+
+    const research = getResearchDef(active.id);
+    const left = Math.max(0, research.time - active.progress);
+    return {
+      id: active.id,
+      name: research.name,
+      progress: active.progress,
+      time: research.time,
+      percent: Math.min(100, Math.floor(active.progress / research.time * 100)),
+      remaining: Math.ceil(left / this.getSpeed())
+    };
+  }
+
+  /**
+   * Get the research waiting to start, in order
+   * @returns {string[]}
+   */
+  getQueue() {
+    return this._gameState.getResearchQueue();
+  }
+
+  /**
+   * Get how much research progresses per tick
+   * Each library adds its researchSpeed, scaled by how well it is staffed.
+   * @returns {number} 1 without libraries
+   */
+  getSpeed() {
+    return this._gameState.getBuildings().reduce((speed, building) => {
+      const bonus = getBuildingDef(building.type)?.researchSpeed || 0;
+      if (!bonus) return speed;
+      const staffing = this._populationService ? this._populationService.getStaffingMultiplier(building) : 1;
+      return speed + bonus * staffing;
+    }, 1);
+  }
+
+  /**
+   * Check if a research can join the queue
+   * Prerequisites may still be in progress or queued ahead of it.
+   * @param {string} id - Research ID
+   * @returns {{canQueue: boolean, reason: string|null}}
+   */
+  canQueue(id) {
+    const research = getResearchDef(id);
+    if (!research) {
+      return { canQueue: false, reason: 'Unknown research' };
+    }
+    if (this.isCompleted(id)) {
+      return { canQueue: false, reason: 'Already researched' };
+    }
+
+    const planned = this._getPlannedResearch();
+    if (planned.includes(id)) {
+      return { canQueue: false, reason: 'Already in the research queue' };
+    }
+    if (this.getQueue().length >= RESEARCH_CONFIG.queueLength) {
+      return { canQueue: false, reason: `The research queue is full (${RESEARCH_CONFIG.queueLength})` };
+    }
+
+    const missing = research.prereqs.filter(p => !this.isCompleted(p) && !planned.includes(p));
+    if (missing.length > 0) {
+      const missingNames = missing.map(p => getResearchDef(p)?.name || p).join(', ');
+      return { canQueue: false, reason: `Requires: ${missingNames}` };
+    }
+
+    return { canQueue: true, reason: null };
+  }
+
+  /**
+   * Add a research to the end of the queue
+   * It starts at once if nothing else is being researched and it can be paid for.
+   * @param {string} id - Research ID
+   * @returns {{success: boolean, error: string|null}}
+   */
+  queueResearch(id) {
+    const check = this.canQueue(id);
+    if (!check.canQueue) {
+      return { success: false, error: check.reason };
+    }
+
+    this._gameState.setResearchQueue([...this.getQueue(), id]);
+    this._publishQueueChanged();
+    this._startNext();
+    return { success: true, error: null };
+  }
+
+  /**
+   * Take a research out of the queue, or stop it if it is in progress
+   * Stopped research refunds what was paid for it (a contract discount used
+   * on it is not given back). Queued research that needed it goes too.
+   * @param {string} id - Research ID
+   * @returns {{success: boolean, removed: string[], error: string|null}}
+   */
+  removeFromQueue(id) {
+    const active = this._gameState.getActiveResearch();
+    const queue = this.getQueue();
+    if (active?.id !== id && !queue.includes(id)) {
+      return { success: false, removed: [], error: 'Not in the research queue' };
+    }
+
+    const removed = [id];
+    if (active?.id === id) {
+      this._gameState.setActiveResearch(null);
+      this._resourceService.grantReward(active.paid);
+    }
+
+    const kept = [];
+    queue.filter(q => q !== id).forEach(queued => {
+      if (getResearchDef(queued).prereqs.some(p => removed.includes(p))) {
+        removed.push(queued);
+      } else {
+        kept.push(queued);
+      }
+    });
+    this._gameState.setResearchQueue(kept);
+
+    this._publishQueueChanged();
+    this._startNext();
+    return { success: true, removed, error: null };
+  }
+
+  /**
+   * Advance the research in progress and start the next one when free
+   */
+  tick() {
+    const active = this._gameState.getActiveResearch();
+    if (active) {
+      const progress = active.progress + this.getSpeed();
+      if (progress >= getResearchDef(active.id).time) {
+        this._gameState.setActiveResearch(null);
+        this._finishResearch(active.id);
+      } else {
+        this._gameState.setActiveResearch({ ...active, progress });
+      }
+    }
+
+    this._startNext();
+  }
+
   // ==========================================
   // RESEARCH COMPLETION
   // ==========================================
 
   /**
-   * Complete a research (deduct cost and unlock effects)
+   * Pay for a research and finish it at once, skipping research time
+   * For setting up games and tests - players queue research instead.
+   * Uses up any waiting discount.
    * @param {string} id - Research ID
    * @returns {{success: boolean, error: string|null}}
    */
@@ -153,29 +381,16 @@ export class ResearchService {
       return { success: false, error: check.reason };
     }
 
-    const research = getResearchDef(id);
-
     // Deduct cost
-    this._resourceService.spendResources(research.cost);
-
-    // Mark as completed
-    this._gameState.completeResearch(id);
-
-    // Publish event for UI updates
-    this._eventBus.publish(Events.RESEARCH_COMPLETED, {
-      id,
-      research,
-      effects: research.effects
-    });
+    this._resourceService.spendResources(this.getCost(id));
+    this._gameState.setResearchDiscount(0);
 
-    // Check if this unlocks plot expansion
-    if (research.effects.unlockPlotExpansion) {
-      this._eventBus.publish(Events.PLOT_EXPANSION_UNLOCKED, {
-        researchId: id,
-        expansion: research.effects.unlockPlotExpansion
-      });
+    if (this.getQueue().includes(id)) {
+      this._gameState.setResearchQueue(this.getQueue().filter(q => q !== id));
+      this._publishQueueChanged();
     }
 
+    this._finishResearch(id);
     return { success: true, error: null };
   }
 
@@ -270,6 +485,76 @@ export class ResearchService {
     return null;
   }
 
+  // ==========================================
+  // RECIPES
+  // ==========================================
+
+  /**
+   * Check if an alternative recipe can be used
+   * @param {string} recipeId - Recipe ID (from a building's altRecipes)
+   * @returns {boolean} True once its research is done, or if it needs none
+   */
+  isRecipeUnlocked(recipeId) {
+    const researchId = getResearchForRecipe(recipeId);
+    return researchId === null || this.isCompleted(researchId);
+  }
+
+  /**
+   * Get the recipes a processor type can run - its own recipe first,
+   * then the altRecipes that are unlocked
+   * @param {string} buildingId - Building type ID
+   * @returns {Object[]} Empty for buildings without a recipe
+   */
+  getAvailableRecipes(buildingId) {
+    const def = getBuildingDef(buildingId);
+    if (!def?.recipe) return [];
+
+    return [def.recipe, ...(def.altRecipes || []).filter(recipe => this.isRecipeUnlocked(recipe.id))];
+  }
+
+  // ==========================================
+  // SYNERGIES
+  // ==========================================
+
+  /**
+   * Get the synergies completed research has turned on
+   * @returns {Object[]} Synergy definitions
+   */
+  getUnlockedSynergies() {
+    return this._getCompletedEffects('unlockSynergies')
+      .map(id => SYNERGIES[id])
+      .filter(Boolean);
+  }
+
+  /**
+   * Get the synergies a placed building benefits from
+   * @param {{type: string, row: number, col: number}} building
+   * @returns {Object[]} Synergy definitions with a partner in range
+   */
+  getSynergies(building) {
+    return this.getUnlockedSynergies().filter(synergy =>
+      synergy.building === building.type && this._hasPartnerNear(building, synergy)
+    );
+  }
+
+  /**
+   * Get the production bonus synergies give a placed building
+   * @param {{type: string, row: number, col: number}} building
+   * @returns {number} Fraction to add, e.g. 0.2 for +20%
+   */
+  getSynergyBonus(building) {
+    return this.getSynergies(building).reduce((bonus, synergy) => bonus + synergy.bonus, 0);
+  }
+
+  /**
+   * Get the production multiplier synergies give a placed building
+   * @param {{type: string, row: number, col: number}} building
+   * @returns {number} 1 without synergies
+   */
+  getSynergyMultiplier(building) {
+    return 1 + this.getSynergyBonus(building);
+  }
+
   // ==========================================
   // PLOT EXPANSION
   // ==========================================
@@ -321,4 +606,118 @@ export class ResearchService {
       progress: total > 0 ? Math.round((completed / total) * 100) : 0
     };
   }
+
+  // ==========================================
+  // PRIVATE HELPERS
+  // ==========================================
+
+  /**
+   * Start the head of the queue if nothing is in progress
+   * and its prerequisites and cost are met
+   * @returns {boolean} True if research started
+   * @private
+   */
+  _startNext() {
+    if (this._gameState.getActiveResearch()) return false;
+
+    const [id, ...rest] = this.getQueue();
+    if (!id || !this.canResearch(id).canResearch) return false;
+
+    const paid = this.getCost(id);
+    this._resourceService.spendResources(paid);
+    this._gameState.setResearchDiscount(0);
+    this._gameState.setResearchQueue(rest);
+    this._gameState.setActiveResearch({ id, progress: 0, paid });
+
+    this._eventBus.publish(Events.RESEARCH_STARTED, {
+      id,
+      research: getResearchDef(id),
+      paid
+    });
+    this._publishQueueChanged();
+    return true;
+  }
+
+  /**
+   * Mark a research completed and announce its effects
+   * @param {string} id - Research ID
+   * @private
+   */
+  _finishResearch(id) {
+    const research = getResearchDef(id);
+
+    // Mark as completed
+    this._gameState.completeResearch(id);
+
+    // Publish event for UI updates
+    this._eventBus.publish(Events.RESEARCH_COMPLETED, {
+      id,
+      research,
+      effects: research.effects
+    });
+
+    // Check if this unlocks plot expansion
+    if (research.effects.unlockPlotExpansion) {
+      this._eventBus.publish(Events.PLOT_EXPANSION_UNLOCKED, {
+        researchId: id,
+        expansion: research.effects.unlockPlotExpansion
+      });
+    }
+  }
+
+  /**
+   * Collect one effect list across all completed research
+   * @param {string} effect - e.g. 'unlockRecipes'
+   * @returns {string[]}
+   * @private
+   */
+  _getCompletedEffects(effect) {
+    const ids = [];
+    this.getCompletedResearchSet().forEach(researchId => {
+      ids.push(...(RESEARCH[researchId]?.effects[effect] || []));
+    });
+    return ids;
+  }
+
+  /**
+   * Check if a synergy partner stands within range of a building's footprint
+   * @param {{type: string, row: number, col: number}} building
+   * @param {Object} synergy - Synergy definition
+   * @returns {boolean}
+   * @private
+   */
+  _hasPartnerNear(building, synergy) {
+    const { rows, cols } = getBuildingFootprint(building.type);
+    const top = building.row - synergy.range;
+    const left = building.col - synergy.range;
+    const bottom = building.row + rows + synergy.range;
+    const right = building.col + cols + synergy.range;
+
+    return this._gameState.getBuildings().some(other => {
+      if (other.type !== synergy.partner) return false;
+      const footprint = getBuildingFootprint(other.type);
+      return other.row < bottom && other.row + footprint.rows > top &&
+        other.col < right && other.col + footprint.cols > left;
+    });
+  }
+
+  /**
+   * Research in progress followed by the queue
+   * @returns {string[]}
+   * @private
+   */
+  _getPlannedResearch() {
+    const active = this._gameState.getActiveResearch();
+    return active ? [active.id, ...this.getQueue()] : this.getQueue();
+  }
+
+  /**
+   * @private
+   */
+  _publishQueueChanged() {
+    this._eventBus.publish(Events.RESEARCH_QUEUE_CHANGED, {
+      active: this.getActiveResearch(),
+      queue: this.getQueue()
+    });
+  }
 }
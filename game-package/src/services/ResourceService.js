@@ -121,10 +121,11 @@ export class ResourceService {
   /**
    * Grant a reward (add resources)
    * @param {Object} reward - Reward object {gold: n, wheat: n, etc.}
+   * @returns {{added: Object, capped: Object}} Amounts actually added and any lost to storage caps
    */
   grantReward(reward) {
-    if (!reward) return;
-    this._gameState.addResources(reward);
+    if (!reward) return { added: {}, capped: {} };
+    return this._gameState.addResources(reward);
   }
 
   /**
@@ -211,14 +212,24 @@ export class ResourceService {
    * @returns {{success: boolean, goldReceived: number}} Result
    */
   sellResource(resourceType, quantity, pricePerUnit) {
+    return this.sellResourceFor(resourceType, quantity, quantity * pricePerUnit);
+  }
+
+  /**
+   * Sell resources for a total amount of gold
+   * For trades whose price changes unit by unit
+   * @param {string} resourceType - Type of resource to sell
+   * @param {number} quantity - Amount to sell
+   * @param {number} goldReceived - Gold received for the whole amount
+   * @returns {{success: boolean, goldReceived: number}} Result
+   */
+  sellResourceFor(resourceType, quantity, goldReceived) {
     const currentAmount = this.getResource(resourceType);
 
     if (currentAmount < quantity) {
       return { success: false, goldReceived: 0 };
     }
 
-    const goldReceived = quantity * pricePerUnit;
-
     // Deduct resource and add gold
     this._gameState.subtractResources({ [resourceType]: quantity });
     this._gameState.addResources({ gold: goldReceived });
@@ -234,8 +245,18 @@ export class ResourceService {
    * @returns {{success: boolean, goldSpent: number}} Result
    */
   buyResource(resourceType, quantity, pricePerUnit) {
-    const totalCost = quantity * pricePerUnit;
+    return this.buyResourceFor(resourceType, quantity, quantity * pricePerUnit);
+  }
 
+  /**
+   * Buy resources for a total amount of gold
+   * For trades whose price changes unit by unit
+   * @param {string} resourceType - Type of resource to buy
+   * @param {number} quantity - Amount to buy
+   * @param {number} totalCost - Gold cost of the whole amount
+   * @returns {{success: boolean, goldSpent: number}} Result
+   */
+  buyResourceFor(resourceType, quantity, totalCost) {
     if (!this.canAfford({ gold: totalCost })) {
       return { success: false, goldSpent: 0 };
     }
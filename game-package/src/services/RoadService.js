@@ -0,0 +1,231 @@
+/**
+ * RoadService
+ * Lays and removes road tiles and works out which buildings they connect
+ *
+ * Roads are terrain (TERRAIN.road), so they block buildings like any other
+ * unbuildable tile. A building's access point is any road tile touching one
+ * of its sides; it is connected when its roads lead, road tile by road tile,
+ * to a road touching a storage building (STORAGE_BUILDINGS).
+ *
+ * Processors that are not connected run at ROAD_CONFIG.disconnectedMultiplier,
+ * and villagers walk road edges at ROAD_CONFIG.speedMultiplier.
+ */
+
+import { Events } from '../core/EventBus.js';
+import {
+  TILE,
+  ROAD_CONFIG,
+  STORAGE_BUILDINGS,
+  getBuildingDef,
+  getBuildingFootprint,
+  getTerrainDef
+} from '../config/index.js';
+
+export class RoadService {
+  /**
+   * @param {import('./GameStateService.js').GameStateService} gameState
+   * @param {import('./TerrainService.js').TerrainService} terrainService
+   * @param {import('./ResourceService.js').ResourceService} resourceService
+   * @param {import('../core/EventBus.js').EventBus} eventBus
+   */
+  constructor(gameState, terrainService, resourceService, eventBus) {
+    this._gameState = gameState;
+    this._terrainService = terrainService;
+    this._resourceService = resourceService;
+    this._eventBus = eventBus;
+
+    /** @type {Set<string>|null} Road tiles ('row,col') joined to storage - rebuilt lazily */
+    this._connectedRoads = null;
+
+    // Anything that moves roads or buildings can change connectivity
+    const invalidate = () => { this._connectedRoads = null; };
+    [
+      Events.TERRAIN_CHANGED,
+      Events.MAP_GENERATED,
+      Events.BUILDING_PLACED,
+      Events.BUILDING_REMOVED,
+      Events.BUILDING_MOVED,
+      Events.PLOT_EXPANDED,
+      Events.STATE_LOADED,
+      Events.GAME_RESET
+    ].forEach(event => this._eventBus.subscribe(event, invalidate));
+  }
+
+  // ==========================================
+  // ROAD TILES
+  // ==========================================
+
+  /**
+   * Check if a tile is road
+   * @param {number} row
+   * @param {number} col
+   * @returns {boolean}
+   */
+  isRoad(row, col) {
+    return this._gameState.getTerrainTile(row, col) === TILE.ROAD;
+  }
+
+  /**
+   * Check if a villager edge runs along a road
+   * Edges join grid intersections; an edge is on road when a tile on
+   * either side of it is road.
+   * @param {number} fromCol
+   * @param {number} fromRow
+   * @param {number} toCol
+   * @param {number} toRow
+   * @returns {boolean}
+   */
+  isRoadEdge(fromCol, fromRow, toCol, toRow) {
+    if (fromRow === toRow) {
+      const col = Math.min(fromCol, toCol);
+      return this.isRoad(fromRow - 1, col) || this.isRoad(fromRow, col);
+    }
+    const row = Math.min(fromRow, toRow);
+    return this.isRoad(row, fromCol - 1) || this.isRoad(row, fromCol);
+  }
+
+  /**
+   * Explain why a road can't be laid on a tile
+   * @param {number} row
+   * @param {number} col
+   * @returns {string|null} Reason, or null if the road can go here
+   */
+  getRoadPlacementError(row, col) {
+    const terrainId = this._terrainService.getTerrainAt(row, col);
+    if (terrainId === null) {
+      return 'Tile is outside the plot';
+    }
+    if (terrainId === 'road') {
+      return 'There is already a road here';
+    }
+    if (this._gameState.getBuildingAt(row, col)) {
+      return 'Cannot build a road under a building!';
+    }
+    const terrain = getTerrainDef(terrainId);
+    if (!terrain.buildable) {
+      return `Cannot build a road on ${terrain.name.toLowerCase()}!`;
+    }
+    return null;
+  }
+
+  /**
+   * Lay a road on a tile
+   * @param {number} row
+   * @param {number} col
+   * @returns {{success: boolean, error: string|null}}
+   */
+  buildRoad(row, col) {
+    const error = this.getRoadPlacementError(row, col);
+    if (error) {
+      return { success: false, error };
+    }
+    if (!this._resourceService.canAfford(ROAD_CONFIG.cost)) {
+      return { success: false, error: 'Not enough resources to build a road!' };
+    }
+
+    this._resourceService.spendResources(ROAD_CONFIG.cost);
+    return this._terrainService.setTerrainAt(row, col, 'road');
+  }
+
+  /**
+   * Dig up a road, leaving dirt (no refund)
+   * @param {number} row
+   * @param {number} col
+   * @returns {{success: boolean, error: string|null}}
+   */
+  removeRoad(row, col) {
+    if (!this.isRoad(row, col)) {
+      return { success: false, error: 'There is no road here' };
+    }
+    return this._terrainService.setTerrainAt(row, col, 'dirt');
+  }
+
+  // ==========================================
+  // CONNECTIVITY
+  // ==========================================
+
+  /**
+   * Check if a building reaches a storage building by road
+   * Storage buildings are always connected.
+   * @param {{type: string, row: number, col: number}} building
+   * @returns {boolean}
+   */
+  isConnected(building) {
+    if (STORAGE_BUILDINGS.includes(building.type)) return true;
+
+    const connected = this._getConnectedRoads();
+    return this._getAccessTiles(building).some(({ row, col }) => connected.has(`${row},${col}`));
+  }
+
+  /**
+   * Check if a building has a road touching it at all
+   * @param {{type: string, row: number, col: number}} building
+   * @returns {boolean}
+   */
+  hasRoadAccess(building) {
+    return this._getAccessTiles(building).some(({ row, col }) => this.isRoad(row, col));
+  }
+
+  /**
+   * Get the speed multiplier road access gives a processor
+   * @param {{type: string, row: number, col: number}} building
+   * @returns {number} 1 when connected (or not a processor)
+   */
+  getAccessMultiplier(building) {
+    if (!getBuildingDef(building.type)?.isProcessor) return 1;
+    return this.isConnected(building) ? 1 : ROAD_CONFIG.disconnectedMultiplier;
+  }
+
+  /**
+   * Get the tiles touching the sides of a building's footprint (no corners)
+   * @param {{type: string, row: number, col: number}} building
+   * @returns {Array<{row: number, col: number}>}
+   * @private
+   */
+  _getAccessTiles(building) {
+    const { rows, cols } = getBuildingFootprint(building.type);
+    const tiles = [];
+    for (let dc = 0; dc < cols; dc++) {
+      tiles.push({ row: building.row - 1, col: building.col + dc });
+      tiles.push({ row: building.row + rows, col: building.col + dc });
+    }
+    for (let dr = 0; dr < rows; dr++) {
+      tiles.push({ row: building.row + dr, col: building.col - 1 });
+      tiles.push({ row: building.row + dr, col: building.col + cols });
+    }
+    return tiles;
+  }
+
+  /**
+   * Flood-fill the road network out from every storage building
+   * @returns {Set<string>} 'row,col' keys of connected road tiles
+   * @private
+   */
+  _getConnectedRoads() {
+    if (this._connectedRoads) return this._connectedRoads;
+
+    const connected = new Set();
+    const queue = [];
+    const visit = (row, col) => {
+      const key = `${row},${col}`;
+      if (connected.has(key) || !this.isRoad(row, col)) return;
+      connected.add(key);
+      queue.push({ row, col });
+    };
+
+    this._gameState.getBuildings()
+      .filter(b => STORAGE_BUILDINGS.includes(b.type))
+      .forEach(b => this._getAccessTiles(b).forEach(({ row, col }) => visit(row, col)));
+
+    while (queue.length > 0) {
+      const { row, col } = queue.shift();
+      visit(row - 1, col);
+      visit(row + 1, col);
+      visit(row, col - 1);
+      visit(row, col + 1);
+    }
+
+    this._connectedRoads = connected;
+    return connected;
+  }
+}
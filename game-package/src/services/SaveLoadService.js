@@ -1,15 +1,71 @@
 /**
  * SaveLoadService
- * Handles game persistence with autosave, manual save/load, and schema versioning
+ * Handles game persistence with autosave, manual save/load, save slots, and schema versioning
+ *
+ * Saves live in named slots. A slot index holds every slot's metadata
+ * (shown in the slot browser without parsing each save); each slot's
+ * save envelope is stored under its own key. Saving and autosave write
+ * to the active slot, rotating older saves into backups.
+ *
+ * Every envelope carries a checksum. Loads verify it, migrate, then run
+ * SaveValidator before anything reaches GameStateService; a slot whose
+ * latest save fails falls back to its newest good backup.
  */
 
 import { Events } from '../core/EventBus.js';
+import { getBuildingFootprint } from '../config/index.js';
+import { SaveValidator } from './SaveValidator.js';
+import { SaveMigrator } from './SaveMigrator.js';
+import { SCHEMA_VERSION } from './SaveMigrations.js';
 
-/** Current save schema version - increment when save format changes */
-const SCHEMA_VERSION = 4;
+export { SCHEMA_VERSION };
 
-/** LocalStorage key for save data */
-const STORAGE_KEY = 'medieval_tycoon_save';
+/** LocalStorage key for the single save used before slots existed */
+const LEGACY_STORAGE_KEY = 'medieval_tycoon_save';
+
+/** LocalStorage key for the slot index (metadata for every slot) */
+const SLOT_INDEX_KEY = 'medieval_tycoon_slots';
+
+/** LocalStorage key prefix for each slot's save envelope */
+const SLOT_KEY_PREFIX = 'medieval_tycoon_slot_';
+
+/** Backups kept per slot (key suffix _backup_1 is the newest) */
+const BACKUP_COUNT = 3;
+
+/** Minimum time between backup rotations - keeps backups from all being seconds apart */
+const BACKUP_INTERVAL = 60000;
+
+/** Prefix marking a compressed clipboard export */
+const COMPRESSED_PREFIX = 'MTZ1:';
+
+/** Longest allowed slot name */
+const MAX_SLOT_NAME_LENGTH = 32;
+
+/** Thumbnail character for an empty tile */
+const EMPTY_TILE = '.';
+
+/**
+ * @typedef {Object} SaveThumbnail
+ * @property {number} rows - Plot rows
+ * @property {number} cols - Plot columns
+ * @property {string} tiles - One character per tile, row by row: '.' for empty,
+ *   otherwise a base-36 index into types
+ * @property {string[]} types - Building types referenced by tiles
+ */
+
+/**
+ * @typedef {Object} SaveSlotMeta
+ * @property {string} id - Slot ID (storage key suffix)
+ * @property {string} name - Player-facing name
+ * @property {number} createdAt - Creation timestamp
+ * @property {number} updatedAt - Last save timestamp
+ * @property {number} playTime - Total play time in milliseconds
+ * @property {number} gold - Gold at last save
+ * @property {number} buildingCount - Buildings at last save
+ * @property {number} researchCompleted - Research nodes completed at last save
+ * @property {SaveThumbnail} thumbnail - Minimap of the building grid
+ * @property {number} [backupAt] - When the latest save was last rotated into backups
+ */
 
 /** Autosave interval in milliseconds (10 seconds - captures resource production) */
 const AUTOSAVE_INTERVAL = 10000;
@@ -21,10 +77,12 @@ export class SaveLoadService {
   /**
    * @param {import('./GameStateService.js').GameStateService} gameState
    * @param {import('../core/EventBus.js').EventBus} eventBus
+   * @param {Storage} [storage=localStorage] - Web Storage backend (swapped out in tests)
    */
-  constructor(gameState, eventBus) {
+  constructor(gameState, eventBus, storage = globalThis.localStorage) {
     this._gameState = gameState;
     this._eventBus = eventBus;
+    this._storage = storage;
 
     /** @type {number|null} Autosave interval ID */
     this._autosaveIntervalId = null;
@@ -38,10 +96,57 @@ export class SaveLoadService {
     /** @type {number} Last save timestamp */
     this._lastSaveTime = 0;
 
+    /** @type {import('./ProcessorService.js').ProcessorService|null} Set via setProcessorService() */
+    this._processorService = null;
+
+    /** @type {import('../core/SimulationClock.js').SimulationClock|null} Set via setClock() */
+    this._clock = null;
+
+    /** @type {number} Play time carried over from the loaded save (ms) */
+    this._playTimeBase = 0;
+
+    /** @type {number} Clock time when the current session's play time started counting */
+    this._sessionStart = 0;
+
+    /** @type {import('./DropService.js').DropService|null} Set via setDropService() */
+    this._dropService = null;
+
+    /** @type {SaveValidator} */
+    this._validator = new SaveValidator();
+
+    /** @type {SaveMigrator} */
+    this._migrator = new SaveMigrator();
+
     // Subscribe to key events that should trigger autosave
     this._setupEventListeners();
   }
 
+  /**
+   * Set the processor service reference so cycle progress and
+   * uncollected buffers are saved alongside the game state
+   * @param {import('./ProcessorService.js').ProcessorService} processorService
+   */
+  setProcessorService(processorService) {
+    this._processorService = processorService;
+  }
+
+  /**
+   * Set the drop service reference so uncollected drops are saved
+   * @param {import('./DropService.js').DropService} dropService
+   */
+  setDropService(dropService) {
+    this._dropService = dropService;
+  }
+
+  /**
+   * Set the simulation clock used to measure play time
+   * @param {import('../core/SimulationClock.js').SimulationClock} clock
+   */
+  setClock(clock) {
+    this._clock = clock;
+    this._sessionStart = clock.now();
+  }
+
   /**
    * Setup event listeners for autosave triggers
    * @private
@@ -51,18 +156,32 @@ export class SaveLoadService {
     this._eventBus.subscribe(Events.BUILDING_PLACED, () => this._debouncedSave());
     this._eventBus.subscribe(Events.BUILDING_UPGRADED, () => this._debouncedSave());
     this._eventBus.subscribe(Events.BUILDING_REMOVED, () => this._debouncedSave());
+    this._eventBus.subscribe(Events.BUILDING_MOVED, () => this._debouncedSave());
+
+    // Processor recipe or priority picked - save the choice (and the paused cycle)
+    this._eventBus.subscribe(Events.PROCESSOR_RECIPE_CHANGED, () => this._debouncedSave());
+    this._eventBus.subscribe(Events.PROCESSOR_PRIORITY_CHANGED, () => this._debouncedSave());
 
     // Milestone completed - save achievement progress
     this._eventBus.subscribe(Events.MILESTONE_COMPLETED, () => this._debouncedSave());
 
-    // Research completed - save research progress
+    // Research queued, started or completed - save research progress
     this._eventBus.subscribe(Events.RESEARCH_COMPLETED, () => this._debouncedSave());
+    this._eventBus.subscribe(Events.RESEARCH_QUEUE_CHANGED, () => this._debouncedSave());
 
-    // Merchant sale - save after trading
+    // Merchant and market trades - save after trading
     this._eventBus.subscribe(Events.MERCHANT_SALE, () => this._debouncedSave());
     this._eventBus.subscribe(Events.MARKET_SALE, () => this._debouncedSave());
+    this._eventBus.subscribe(Events.MARKET_PURCHASE, () => this._debouncedSave());
+    this._eventBus.subscribe(Events.MARKET_RULES_CHANGED, () => this._debouncedSave());
+
+    // Contracts accepted, delivered or failed - save deadlines and reputation
+    this._eventBus.subscribe(Events.CONTRACT_ACCEPTED, () => this._debouncedSave());
+    this._eventBus.subscribe(Events.CONTRACT_COMPLETED, () => this._debouncedSave());
+    this._eventBus.subscribe(Events.CONTRACT_FAILED, () => this._debouncedSave());
 
-    // Save immediately when user leaves/refreshes the page
+    // Save immediately when user leaves/refreshes the page (browser only)
+    if (typeof window === 'undefined') return;
     window.addEventListener('beforeunload', () => {
       // Clear any pending debounced save
       if (this._debounceTimeoutId !== null) {
@@ -147,25 +266,24 @@ export class SaveLoadService {
   // ==========================================
 
   /**
-   * Save game state to localStorage
-   * @returns {{success: boolean, error?: string}}
+   * Save game state to the active slot (creates a slot if none is active)
+   * @returns {{success: boolean, slotId?: string, error?: string}}
    */
   save() {
     try {
-      const saveData = {
-        schemaVersion: SCHEMA_VERSION,
-        timestamp: Date.now(),
-        state: this._gameState.exportState()
-      };
+      const index = this._readIndex();
+      if (!index.activeSlotId || !this._findSlot(index, index.activeSlotId)) {
+        index.activeSlotId = this._addSlot(index, `Slot ${index.nextId}`).id;
+      }
 
-      const json = JSON.stringify(saveData);
-      localStorage.setItem(STORAGE_KEY, json);
+      const saveData = this._buildSaveData();
+      this._writeSlot(index, index.activeSlotId, saveData);
 
       this._lastSaveTime = saveData.timestamp;
-      this._eventBus.publish(Events.STATE_SAVED, { timestamp: saveData.timestamp });
+      this._eventBus.publish(Events.STATE_SAVED, { timestamp: saveData.timestamp, slotId: index.activeSlotId });
 
       console.log('[SaveLoadService] Game saved at', new Date(saveData.timestamp).toLocaleTimeString());
-      return { success: true };
+      return { success: true, slotId: index.activeSlotId };
     } catch (error) {
       console.error('[SaveLoadService] Save failed:', error);
       return { success: false, error: error.message };
@@ -177,12 +295,34 @@ export class SaveLoadService {
    * @returns {string}
    */
   exportSaveJSON() {
+    return JSON.stringify(this._buildSaveData(), null, 2);
+  }
+
+  /**
+   * Export save data as a compressed string (for clipboard)
+   * @returns {Promise<string>} COMPRESSED_PREFIX followed by base64 gzip of the save JSON
+   */
+  async exportSaveCompressed() {
+    const json = JSON.stringify(this._buildSaveData());
+    return COMPRESSED_PREFIX + await this._compress(json);
+  }
+
+  /**
+   * Build the save data envelope from current state
+   * @returns {{schemaVersion: number, timestamp: number, playTime: number, state: Object, processors: Object, drops: Object, checksum: string}}
+   * @private
+   */
+  _buildSaveData() {
     const saveData = {
       schemaVersion: SCHEMA_VERSION,
       timestamp: Date.now(),
-      state: this._gameState.exportState()
+      playTime: this.getPlayTime(),
+      state: this._gameState.exportState(),
+      processors: this._processorService ? this._processorService.exportState() : {},
+      drops: this._dropService ? this._dropService.exportState() : { drops: [], nextId: 0 }
     };
-    return JSON.stringify(saveData, null, 2);
+    saveData.checksum = this._validator.computeChecksum(saveData);
+    return saveData;
   }
 
   // ==========================================
@@ -190,48 +330,129 @@ export class SaveLoadService {
   // ==========================================
 
   /**
-   * Load game state from localStorage
-   * @returns {{success: boolean, error?: string}}
+   * Load the active slot
+   * @returns {{success: boolean, timestamp?: number|null, error?: string}}
    */
   load() {
-    try {
-      const json = localStorage.getItem(STORAGE_KEY);
+    const index = this._readIndex();
+    if (!index.activeSlotId) {
+      console.log('[SaveLoadService] No save data found');
+      return { success: false, error: 'No save data found' };
+    }
+    return this.loadSlot(index.activeSlotId);
+  }
 
-      if (!json) {
-        console.log('[SaveLoadService] No save data found');
-        return { success: false, error: 'No save data found' };
+  /**
+   * Load a slot and make it the active slot
+   * Falls back to the newest backup that passes validation if the latest save is corrupt.
+   * @param {string} slotId
+   * @returns {{success: boolean, timestamp?: number|null, recoveredFrom?: number, error?: string}}
+   */
+  loadSlot(slotId) {
+    const keys = [SLOT_KEY_PREFIX + slotId];
+    for (let n = 1; n <= BACKUP_COUNT; n++) {
+      keys.push(this._backupKey(slotId, n));
+    }
+
+    let firstError = null;
+    for (let n = 0; n < keys.length; n++) {
+      const json = this._storage.getItem(keys[n]);
+      if (!json) continue;
+
+      const result = this._parseSaveJSON(json);
+      if (!result.success) {
+        console.error(`[SaveLoadService] Slot ${slotId}${n > 0 ? ` backup ${n}` : ''} is unusable:`, result.error);
+        firstError = firstError || result.error;
+        continue;
       }
 
-      const saveData = JSON.parse(json);
-      return this._importSaveData(saveData);
-    } catch (error) {
-      console.error('[SaveLoadService] Load failed:', error);
-      return { success: false, error: error.message };
+      this._applySaveData(result.saveData);
+      this._setActiveSlotId(slotId);
+
+      if (n > 0) {
+        const time = new Date(result.saveData.timestamp).toLocaleTimeString();
+        this._eventBus.publish(Events.NOTIFICATION, {
+          message: `Latest save was corrupt - restored the backup from ${time}.`,
+          type: 'warning'
+        });
+        return { success: true, timestamp: result.saveData.timestamp || null, recoveredFrom: n };
+      }
+      return { success: true, timestamp: result.saveData.timestamp || null };
     }
+
+    if (firstError) {
+      return { success: false, error: firstError };
+    }
+    console.log('[SaveLoadService] No save data found in slot', slotId);
+    return { success: false, error: 'No save data found' };
   }
 
   /**
    * Import save data from JSON string (from clipboard)
    * @param {string} json
-   * @returns {{success: boolean, error?: string}}
+   * @returns {{success: boolean, timestamp?: number|null, error?: string, errors?: string[]}}
    */
   importSaveJSON(json) {
+    const result = this._parseSaveJSON(json);
+    if (!result.success) {
+      console.error('[SaveLoadService] Import failed:', result.error);
+      return { success: false, error: result.error, errors: result.errors };
+    }
+    return this._applySaveData(result.saveData);
+  }
+
+  /**
+   * Import a clipboard string - compressed export or plain JSON
+   * @param {string} text
+   * @returns {Promise<{success: boolean, timestamp?: number|null, error?: string, errors?: string[]}>}
+   */
+  async importSaveString(text) {
+    let json;
     try {
-      const saveData = JSON.parse(json);
-      return this._importSaveData(saveData);
+      json = await this.decodeSaveString(text);
     } catch (error) {
-      console.error('[SaveLoadService] Import failed:', error);
-      return { success: false, error: error.message };
+      console.error('[SaveLoadService] Decompress failed:', error);
+      return { success: false, error: 'Compressed save is damaged or incomplete' };
     }
+    return this.importSaveJSON(json);
   }
 
   /**
-   * Import save data object
+   * Turn a clipboard string into save JSON, decompressing if needed
+   * @param {string} text - Compressed export or plain JSON
+   * @returns {Promise<string>} Save JSON (rejects if compressed data is damaged)
+   */
+  async decodeSaveString(text) {
+    const trimmed = text.trim();
+    if (!trimmed.startsWith(COMPRESSED_PREFIX)) {
+      return trimmed;
+    }
+    return this._decompress(trimmed.slice(COMPRESSED_PREFIX.length));
+  }
+
+  /**
+   * Parse, verify, migrate and validate a save without touching game state
+   * @param {string} json
+   * @returns {{success: boolean, saveData?: Object, error?: string, errors?: string[]}}
+   * @private
+   */
+  _parseSaveJSON(json) {
+    let saveData;
+    try {
+      saveData = JSON.parse(json);
+    } catch (error) {
+      return { success: false, error: `Save is not valid JSON (${error.message})` };
+    }
+    return this._prepareSaveData(saveData);
+  }
+
+  /**
+   * Verify a parsed save's checksum, migrate it and validate the result
    * @param {Object} saveData
-   * @returns {{success: boolean, error?: string}}
+   * @returns {{success: boolean, saveData?: Object, error?: string, errors?: string[]}}
    * @private
    */
-  _importSaveData(saveData) {
+  _prepareSaveData(saveData) {
     // Validate save data structure
     if (!saveData || typeof saveData !== 'object') {
       return { success: false, error: 'Invalid save data format' };
@@ -241,67 +462,545 @@ export class SaveLoadService {
       return { success: false, error: 'Save data missing state' };
     }
 
+    // Checksum covers the save as written - check it before migration changes anything
+    if (!this._validator.verifyChecksum(saveData)) {
+      return { success: false, error: 'Save checksum mismatch - the save was edited or damaged' };
+    }
+
     // Check schema version and migrate if needed
     const migratedState = this._migrateSchema(saveData);
     if (migratedState.error) {
       return { success: false, error: migratedState.error };
     }
 
+    const migrated = migratedState.saveData;
+    const validation = this._validator.validate(migrated);
+    if (!validation.valid) {
+      const more = validation.errors.length > 1 ? ` (+${validation.errors.length - 1} more)` : '';
+      return {
+        success: false,
+        error: `Invalid save: ${validation.errors[0]}${more}`,
+        errors: validation.errors
+      };
+    }
+
+    return { success: true, saveData: migrated };
+  }
+
+  /**
+   * Apply a prepared (migrated and validated) save to the game
+   * @param {Object} saveData
+   * @returns {{success: boolean, timestamp: number|null}}
+   * @private
+   */
+  _applySaveData(saveData) {
     // Import the state
-    this._gameState.importState(migratedState.state);
+    this._gameState.importState(saveData.state);
+
+    // Restore processor cycles and uncollected buffers
+    if (this._processorService) {
+      this._processorService.importState(saveData.processors);
+    }
+
+    // Restore uncollected drops - villagers pick their targets again
+    if (this._dropService) {
+      this._dropService.importState({
+        ...saveData.drops,
+        drops: saveData.drops.drops.map(drop => ({ ...drop, reservedBy: null }))
+      });
+    }
+
+    // Play time continues from the save (absent before slots)
+    this._playTimeBase = saveData.playTime || 0;
+    this._sessionStart = this._clock ? this._clock.now() : 0;
 
     console.log('[SaveLoadService] Game loaded from',
       saveData.timestamp ? new Date(saveData.timestamp).toLocaleTimeString() : 'unknown time');
 
-    return { success: true };
+    return { success: true, timestamp: saveData.timestamp || null };
   }
 
   /**
    * Migrate save data from older schema versions
    * @param {Object} saveData
-   * @returns {{state: Object, error?: string}}
+   * @returns {{state: Object|null, saveData?: Object, error?: string}} Migrated state and full envelope
    * @private
    */
   _migrateSchema(saveData) {
-    const version = saveData.schemaVersion || 0;
-    let state = saveData.state;
+    const result = this._migrator.migrate(saveData);
+    if (result.error) {
+      return { state: null, error: result.error };
+    }
+
+    if (!result.report.upToDate) {
+      console.log(`[SaveLoadService] Migrated save v${result.report.fromVersion} → v${result.report.toVersion}`);
+    }
+    return { state: result.saveData.state, saveData: result.saveData };
+  }
+
+  /**
+   * Describe what loading a save would migrate, without loading it
+   * @param {string} json - Save JSON
+   * @returns {{report: import('./SaveMigrator.js').MigrationReport|null, text: string}}
+   */
+  previewMigration(json) {
+    let saveData;
+    try {
+      saveData = JSON.parse(json);
+    } catch (error) {
+      return { report: null, text: `Save is not valid JSON (${error.message})` };
+    }
+
+    const report = this._migrator.dryRun(saveData);
+    return { report, text: this._migrator.formatReport(report) };
+  }
+
+  // ==========================================
+  // SAVE SLOTS
+  // ==========================================
+
+  /**
+   * Get metadata for every slot, in creation order
+   * @returns {SaveSlotMeta[]}
+   */
+  getSlots() {
+    return this._readIndex().slots.map(slot => ({ ...slot }));
+  }
+
+  /**
+   * Get metadata for one slot
+   * @param {string} slotId
+   * @returns {SaveSlotMeta|null}
+   */
+  getSlot(slotId) {
+    const slot = this._findSlot(this._readIndex(), slotId);
+    return slot ? { ...slot } : null;
+  }
+
+  /**
+   * Get the slot that saves and autosaves write to
+   * @returns {string|null}
+   */
+  getActiveSlotId() {
+    return this._readIndex().activeSlotId;
+  }
 
-    // Handle missing schema version (pre-versioning saves)
-    if (version === 0) {
-      console.log('[SaveLoadService] Migrating from pre-versioned save');
-      // No migration needed for v0 -> v1, structure is compatible
+  /**
+   * Detach from the active slot so the next save starts a new one
+   * (used when starting a new game without overwriting the current slot)
+   */
+  clearActiveSlot() {
+    this._setActiveSlotId(null);
+  }
+
+  /**
+   * Create a slot holding the current game and make it active
+   * @param {string} [name] - Slot name (defaults to "Slot N")
+   * @returns {{success: boolean, slotId?: string, error?: string}}
+   */
+  createSlot(name) {
+    const index = this._readIndex();
+    const slotName = name === undefined ? `Slot ${index.nextId}` : this._cleanSlotName(name);
+    if (!slotName) {
+      return { success: false, error: 'Slot name cannot be empty' };
+    }
+
+    const slot = this._addSlot(index, slotName);
+    index.activeSlotId = slot.id;
+
+    try {
+      const saveData = this._buildSaveData();
+      this._writeSlot(index, slot.id, saveData);
+      this._lastSaveTime = saveData.timestamp;
+    } catch (error) {
+      console.error('[SaveLoadService] Create slot failed:', error);
+      return { success: false, error: error.message };
     }
 
-    // Migration from v2 to v3: Add research system and plot size
-    if (version < 3) {
-      console.log('[SaveLoadService] Migrating to v3: Adding research system');
-      // Add completedResearch array if missing
-      if (!state.completedResearch) {
-        state.completedResearch = [];
+    console.log('[SaveLoadService] Created slot', slot.id, `"${slotName}"`);
+    return { success: true, slotId: slot.id };
+  }
+
+  /**
+   * Rename a slot
+   * @param {string} slotId
+   * @param {string} name
+   * @returns {{success: boolean, error?: string}}
+   */
+  renameSlot(slotId, name) {
+    const index = this._readIndex();
+    const slot = this._findSlot(index, slotId);
+    if (!slot) {
+      return { success: false, error: 'Save slot not found' };
+    }
+
+    const slotName = this._cleanSlotName(name);
+    if (!slotName) {
+      return { success: false, error: 'Slot name cannot be empty' };
+    }
+
+    slot.name = slotName;
+    this._writeIndex(index);
+    return { success: true };
+  }
+
+  /**
+   * Copy a slot's save into a new slot (the active slot is unchanged)
+   * @param {string} slotId
+   * @returns {{success: boolean, slotId?: string, error?: string}}
+   */
+  duplicateSlot(slotId) {
+    const index = this._readIndex();
+    const source = this._findSlot(index, slotId);
+    const json = this._storage.getItem(SLOT_KEY_PREFIX + slotId);
+    if (!source || !json) {
+      return { success: false, error: 'Save slot not found' };
+    }
+
+    const copyName = `${source.name} (copy)`.slice(0, MAX_SLOT_NAME_LENGTH);
+    const copy = this._addSlot(index, copyName);
+    Object.assign(copy, {
+      ...source,
+      id: copy.id,
+      name: copy.name,
+      createdAt: copy.createdAt
+    });
+    // The copy starts without backups of its own
+    delete copy.backupAt;
+
+    try {
+      this._storage.setItem(SLOT_KEY_PREFIX + copy.id, json);
+      this._writeIndex(index);
+    } catch (error) {
+      console.error('[SaveLoadService] Duplicate slot failed:', error);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, slotId: copy.id };
+  }
+
+  /**
+   * Delete a slot and its save. Deleting the active slot leaves no slot
+   * active; the next save creates a new one.
+   * @param {string} slotId
+   * @returns {{success: boolean, error?: string}}
+   */
+  deleteSlot(slotId) {
+    const index = this._readIndex();
+    if (!this._findSlot(index, slotId)) {
+      return { success: false, error: 'Save slot not found' };
+    }
+
+    index.slots = index.slots.filter(slot => slot.id !== slotId);
+    if (index.activeSlotId === slotId) {
+      index.activeSlotId = null;
+      this._lastSaveTime = 0;
+    }
+
+    this._storage.removeItem(SLOT_KEY_PREFIX + slotId);
+    for (let n = 1; n <= BACKUP_COUNT; n++) {
+      this._storage.removeItem(this._backupKey(slotId, n));
+    }
+    this._writeIndex(index);
+    console.log('[SaveLoadService] Deleted slot', slotId);
+    return { success: true };
+  }
+
+  /**
+   * Get play time of the current game (loaded save plus this session)
+   * @returns {number} Milliseconds
+   */
+  getPlayTime() {
+    const session = this._clock ? this._clock.now() - this._sessionStart : 0;
+    return Math.round(this._playTimeBase + session);
+  }
+
+  /**
+   * Read the slot index, moving a pre-slot save into a slot the first time
+   * @returns {{activeSlotId: string|null, nextId: number, slots: SaveSlotMeta[]}}
+   * @private
+   */
+  _readIndex() {
+    const json = this._storage.getItem(SLOT_INDEX_KEY);
+    if (json) {
+      try {
+        return JSON.parse(json);
+      } catch (e) {
+        console.error('[SaveLoadService] Slot index corrupt, rebuilding from saved slots:', e);
+        return this._rebuildIndex();
       }
-      // Add plotSize if missing
-      if (!state.plotSize) {
-        state.plotSize = { rows: 10, cols: 10 };
+    }
+
+    const index = { activeSlotId: null, nextId: 1, slots: [] };
+    this._migrateLegacySave(index);
+    return index;
+  }
+
+  /**
+   * Recreate the slot index from the slot saves still in storage
+   * Slot names are lost; metadata comes from each slot's latest save.
+   * @returns {{activeSlotId: string|null, nextId: number, slots: SaveSlotMeta[]}}
+   * @private
+   */
+  _rebuildIndex() {
+    const index = { activeSlotId: null, nextId: 1, slots: [] };
+
+    for (let i = 0; i < this._storage.length; i++) {
+      const key = this._storage.key(i);
+      if (!key || !key.startsWith(SLOT_KEY_PREFIX) || key.includes('_backup_')) continue;
+
+      const id = key.slice(SLOT_KEY_PREFIX.length);
+      const slot = { id, name: `Recovered ${id}`, createdAt: 0 };
+      try {
+        Object.assign(slot, this._buildSlotMeta(JSON.parse(this._storage.getItem(key))));
+      } catch (e) {
+        // Latest save unreadable - keep the slot so its backups can still be loaded
+        Object.assign(slot, { updatedAt: 0, playTime: 0, gold: 0, buildingCount: 0, researchCompleted: 0, thumbnail: null });
       }
+      slot.createdAt = slot.updatedAt;
+      index.slots.push(slot);
+      index.nextId = Math.max(index.nextId, (parseInt(id, 10) || 0) + 1);
     }
 
-    // Migration from v3 to v4: Add camera state
-    if (version < 4) {
-      console.log('[SaveLoadService] Migrating to v4: Adding camera state');
-      // Add camera state if missing
-      if (!state.camera) {
-        state.camera = { offsetX: 0, offsetY: 0, zoom: 1.0 };
+    index.slots.sort((a, b) => a.createdAt - b.createdAt);
+    this._writeIndex(index);
+    return index;
+  }
+
+  /**
+   * Persist the slot index and notify listeners
+   * @param {Object} index
+   * @private
+   */
+  _writeIndex(index) {
+    this._storage.setItem(SLOT_INDEX_KEY, JSON.stringify(index));
+    this._eventBus.publish(Events.SAVE_SLOTS_CHANGED, {
+      activeSlotId: index.activeSlotId,
+      slotCount: index.slots.length
+    });
+  }
+
+  /**
+   * Write a save envelope to a slot and refresh its metadata
+   * @param {Object} index - Slot index (written back)
+   * @param {string} slotId
+   * @param {Object} saveData - Save envelope
+   * @private
+   */
+  _writeSlot(index, slotId, saveData) {
+    const slot = this._findSlot(index, slotId);
+    if (!slot.backupAt || saveData.timestamp - slot.backupAt >= BACKUP_INTERVAL) {
+      if (this._rotateBackups(slotId)) {
+        slot.backupAt = saveData.timestamp;
       }
     }
 
-    if (version > SCHEMA_VERSION) {
-      return {
-        state: null,
-        error: `Save from newer version (v${version}). Please update the game.`
-      };
+    this._storage.setItem(SLOT_KEY_PREFIX + slotId, JSON.stringify(saveData));
+    Object.assign(slot, this._buildSlotMeta(saveData));
+    this._writeIndex(index);
+  }
+
+  /**
+   * Shift a slot's backups down one place and copy its latest save into backup 1
+   * A latest save that fails its checksum is not rotated, so corruption never
+   * pushes good backups out.
+   * @param {string} slotId
+   * @returns {boolean} Whether a rotation happened
+   * @private
+   */
+  _rotateBackups(slotId) {
+    const latest = this._storage.getItem(SLOT_KEY_PREFIX + slotId);
+    if (!latest) return false;
+
+    try {
+      if (!this._validator.verifyChecksum(JSON.parse(latest))) return false;
+    } catch (e) {
+      return false;
+    }
+
+    for (let n = BACKUP_COUNT; n > 1; n--) {
+      const older = this._storage.getItem(this._backupKey(slotId, n - 1));
+      if (older !== null) {
+        this._storage.setItem(this._backupKey(slotId, n), older);
+      }
+    }
+    this._storage.setItem(this._backupKey(slotId, 1), latest);
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _backupKey(slotId, n) {
+    return `${SLOT_KEY_PREFIX}${slotId}_backup_${n}`;
+  }
+
+  /**
+   * Add an empty slot entry to the index (not written until the caller writes)
+   * @param {Object} index
+   * @param {string} name
+   * @returns {SaveSlotMeta}
+   * @private
+   */
+  _addSlot(index, name) {
+    // Never reuse the key of a save the index lost track of
+    while (this._storage.getItem(SLOT_KEY_PREFIX + index.nextId) !== null) {
+      index.nextId++;
+    }
+
+    const now = Date.now();
+    const slot = {
+      id: `${index.nextId}`,
+      name,
+      createdAt: now,
+      updatedAt: now,
+      playTime: 0,
+      gold: 0,
+      buildingCount: 0,
+      researchCompleted: 0,
+      thumbnail: null
+    };
+    index.nextId++;
+    index.slots.push(slot);
+    return slot;
+  }
+
+  /**
+   * @private
+   */
+  _findSlot(index, slotId) {
+    return index.slots.find(slot => slot.id === slotId) || null;
+  }
+
+  /**
+   * @private
+   */
+  _setActiveSlotId(slotId) {
+    const index = this._readIndex();
+    if (index.activeSlotId === slotId) return;
+    index.activeSlotId = slotId;
+    this._writeIndex(index);
+  }
+
+  /**
+   * Trim a slot name to the allowed length
+   * @param {string} name
+   * @returns {string} Empty if nothing usable remains
+   * @private
+   */
+  _cleanSlotName(name) {
+    return String(name ?? '').trim().slice(0, MAX_SLOT_NAME_LENGTH);
+  }
+
+  /**
+   * Summarize a save envelope for the slot browser
+   * @param {Object} saveData
+   * @returns {Object} Metadata fields (everything but id, name and createdAt)
+   * @private
+   */
+  _buildSlotMeta(saveData) {
+    const state = saveData.state;
+    return {
+      updatedAt: saveData.timestamp,
+      playTime: saveData.playTime || 0,
+      gold: Math.floor(state.resources?.gold || 0),
+      buildingCount: (state.buildings || []).length,
+      researchCompleted: (state.completedResearch || []).length,
+      thumbnail: this._buildThumbnail(state)
+    };
+  }
+
+  /**
+   * Encode the building grid as a compact minimap
+   * @param {Object} state - Exported game state
+   * @returns {SaveThumbnail}
+   * @private
+   */
+  _buildThumbnail(state) {
+    const { rows, cols } = state.plotSize || { rows: 10, cols: 10 };
+    const tiles = new Array(rows * cols).fill(EMPTY_TILE);
+    const types = [];
+
+    (state.buildings || []).forEach(building => {
+      let typeIndex = types.indexOf(building.type);
+      if (typeIndex === -1) {
+        typeIndex = types.length;
+        types.push(building.type);
+      }
+
+      const footprint = getBuildingFootprint(building.type);
+      for (let dr = 0; dr < footprint.rows; dr++) {
+        for (let dc = 0; dc < footprint.cols; dc++) {
+          const row = building.row + dr;
+          const col = building.col + dc;
+          if (row < rows && col < cols) {
+            tiles[row * cols + col] = typeIndex.toString(36);
+          }
+        }
+      }
+    });
+
+    return { rows, cols, tiles: tiles.join(''), types };
+  }
+
+  /**
+   * Move the single save from before slots existed into slot 1
+   * @param {Object} index - Fresh slot index (written if a save was moved)
+   * @private
+   */
+  _migrateLegacySave(index) {
+    const json = this._storage.getItem(LEGACY_STORAGE_KEY);
+    if (!json) return;
+
+    try {
+      const saveData = JSON.parse(json);
+      const slot = this._addSlot(index, 'Slot 1');
+      Object.assign(slot, this._buildSlotMeta(saveData));
+      slot.createdAt = slot.updatedAt;
+      index.activeSlotId = slot.id;
+
+      this._storage.setItem(SLOT_KEY_PREFIX + slot.id, json);
+      this._writeIndex(index);
+      this._storage.removeItem(LEGACY_STORAGE_KEY);
+      console.log('[SaveLoadService] Moved existing save into slot 1');
+    } catch (e) {
+      console.error('[SaveLoadService] Could not move existing save into a slot:', e);
     }
+  }
 
-    return { state };
+  // ==========================================
+  // COMPRESSION
+  // ==========================================
+
+  /**
+   * Gzip a string and encode it as base64
+   * @param {string} text
+   * @returns {Promise<string>}
+   * @private
+   */
+  async _compress(text) {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+
+    // Build the binary string in chunks - spreading a large array overflows the call stack
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Decode base64 and gunzip back to a string
+   * @param {string} base64
+   * @returns {Promise<string>}
+   * @private
+   */
+  async _decompress(base64) {
+    const binary = atob(base64.replace(/\s/g, ''));
+    const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).text();
   }
 
   // ==========================================
@@ -309,12 +1008,15 @@ export class SaveLoadService {
   // ==========================================
 
   /**
-   * Clear saved game from localStorage
-   * @returns {{success: boolean}}
+   * Delete the active slot
+   * @returns {{success: boolean, error?: string}}
    */
   clearSave() {
     try {
-      localStorage.removeItem(STORAGE_KEY);
+      const activeSlotId = this.getActiveSlotId();
+      if (activeSlotId) {
+        this.deleteSlot(activeSlotId);
+      }
       console.log('[SaveLoadService] Save data cleared');
       return { success: true };
     } catch (error) {
@@ -328,11 +1030,12 @@ export class SaveLoadService {
   // ==========================================
 
   /**
-   * Check if a save exists
+   * Check if the active slot has a save
    * @returns {boolean}
    */
   hasSave() {
-    return localStorage.getItem(STORAGE_KEY) !== null;
+    const activeSlotId = this.getActiveSlotId();
+    return activeSlotId !== null && this._storage.getItem(SLOT_KEY_PREFIX + activeSlotId) !== null;
   }
 
   /**
@@ -342,32 +1045,27 @@ export class SaveLoadService {
   getLastSaveTime() {
     if (this._lastSaveTime) return this._lastSaveTime;
 
-    try {
-      const json = localStorage.getItem(STORAGE_KEY);
-      if (json) {
-        const saveData = JSON.parse(json);
-        return saveData.timestamp || null;
-      }
-    } catch (e) {
-      // Ignore parse errors
-    }
-    return null;
+    const activeSlotId = this.getActiveSlotId();
+    return activeSlotId ? this.getSlot(activeSlotId)?.updatedAt || null : null;
   }
 
   /**
-   * Get save data info without fully loading
-   * @returns {{exists: boolean, timestamp?: number, schemaVersion?: number}}
+   * Get active save info without fully loading
+   * @returns {{exists: boolean, timestamp?: number, schemaVersion?: number, slotId?: string, name?: string}}
    */
   getSaveInfo() {
     try {
-      const json = localStorage.getItem(STORAGE_KEY);
+      const activeSlotId = this.getActiveSlotId();
+      const json = activeSlotId ? this._storage.getItem(SLOT_KEY_PREFIX + activeSlotId) : null;
       if (!json) return { exists: false };
 
       const saveData = JSON.parse(json);
       return {
         exists: true,
         timestamp: saveData.timestamp,
-        schemaVersion: saveData.schemaVersion
+        schemaVersion: saveData.schemaVersion,
+        slotId: activeSlotId,
+        name: this.getSlot(activeSlotId)?.name
       };
     } catch (e) {
       return { exists: false };
@@ -0,0 +1,373 @@
+/**
+ * Save Migrations
+ * Registry of save schema migrators, oldest first
+ *
+ * Each migrator declares the version it produces and upgrades an envelope
+ * from the version directly before it. Migrators receive a private copy of
+ * the save, may change it freely and return it; SaveMigrator stamps the new
+ * schemaVersion and diffs each step for dry-run reports.
+ *
+ * To change the save format: append a migrator here. SCHEMA_VERSION follows
+ * the last entry, and tests/fixtures/saves needs a matching golden save.
+ */
+
+/**
+ * @typedef {Object} SaveMigration
+ * @property {number} version - Schema version this migrator produces
+ * @property {string} description - What changes, for dry-run reports
+ * @property {function(Object): Object} migrate - Upgrades an envelope from version - 1
+ */
+
+/** @type {SaveMigration[]} */
+export const SAVE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Version pre-versioned saves (structure is compatible)',
+    migrate: (saveData) => saveData
+  },
+  {
+    version: 2,
+    description: 'Version bump only (no state changes)',
+    migrate: (saveData) => saveData
+  },
+  {
+    version: 3,
+    description: 'Add research system and plot size',
+    migrate: (saveData) => {
+      const state = saveData.state;
+      if (!state.completedResearch) {
+        state.completedResearch = [];
+      }
+      if (!state.plotSize) {
+        state.plotSize = { rows: 10, cols: 10 };
+      }
+      return saveData;
+    }
+  },
+  {
+    version: 4,
+    description: 'Add camera state',
+    migrate: (saveData) => {
+      if (!saveData.state.camera) {
+        saveData.state.camera = { offsetX: 0, offsetY: 0, zoom: 1.0 };
+      }
+      return saveData;
+    }
+  },
+  {
+    version: 5,
+    description: 'Save processor states alongside game state (older saves load with idle processors)',
+    migrate: (saveData) => {
+      if (!saveData.processors) {
+        saveData.processors = {};
+      }
+      return saveData;
+    }
+  },
+  {
+    version: 6,
+    description: 'Save uncollected drops alongside game state (older saves load with none)',
+    migrate: (saveData) => {
+      if (!saveData.drops) {
+        saveData.drops = { drops: [], nextId: 0 };
+      }
+      return saveData;
+    }
+  },
+  {
+    version: 7,
+    description: 'Buildings get their own footprints - move Town Halls and Markets that no longer fit',
+    migrate: (saveData) => {
+      const state = saveData.state;
+      if (Array.isArray(state.buildings) && state.plotSize) {
+        state.buildings = relocateOversizedBuildings(state.buildings, state.plotSize);
+      }
+      return saveData;
+    }
+  },
+  {
+    version: 8,
+    description: 'Add terrain - older saves get the starting map, cleared to grass under their buildings',
+    migrate: (saveData) => {
+      const state = saveData.state;
+      if (!state.terrain) {
+        state.terrain = terrainAroundBuildings(state.buildings || [], state.plotSize);
+      }
+      return saveData;
+    }
+  },
+  {
+    version: 9,
+    description: 'Add map seed - land older saves have not expanded into yet is generated from seed 1',
+    migrate: (saveData) => {
+      const state = saveData.state;
+      if (state.mapSeed === undefined) {
+        state.mapSeed = V9_LEGACY_MAP_SEED;
+      }
+      return saveData;
+    }
+  },
+  {
+    version: 10,
+    description: 'Add logistics mode (off) - processors keep drawing inputs straight from storage',
+    migrate: (saveData) => {
+      const state = saveData.state;
+      if (state.logistics === undefined) {
+        state.logistics = false;
+      }
+      return saveData;
+    }
+  },
+  {
+    version: 11,
+    description: 'Add population - three haulers plus a villager for every job, with room to house them all, so existing workplaces stay fully staffed',
+    migrate: (saveData) => {
+      const state = saveData.state;
+      if (state.population === undefined) {
+        const workplaces = [];
+        (state.buildings || []).forEach((building, index) => {
+          for (let i = 0; i < (V11_WORKER_SLOTS[building.type] || 0); i++) {
+            workplaces.push(index);
+          }
+        });
+
+        const villagers = [];
+        for (let i = 1; i <= V11_STARTING_VILLAGERS; i++) {
+          villagers.push({ id: `v${i}`, workplace: null });
+        }
+        workplaces.forEach(workplace => {
+          villagers.push({ id: `v${villagers.length + 1}`, workplace });
+        });
+        state.population = {
+          villagers,
+          nextId: villagers.length + 1,
+          growthTicks: 0,
+          // Older saves have no homes - without this the extra villagers would move out
+          housingAllowance: Math.max(0, villagers.length - V11_BASE_HOUSING)
+        };
+      }
+      return saveData;
+    }
+  },
+  {
+    version: 12,
+    description: 'Add market demand - every resource starts at its full price',
+    migrate: (saveData) => {
+      const state = saveData.state;
+      if (state.market === undefined) {
+        state.market = { demand: {} };
+      }
+      return saveData;
+    }
+  },
+  {
+    version: 13,
+    description: 'Add standing market orders - no rules yet',
+    migrate: (saveData) => {
+      const market = saveData.state.market;
+      if (market.rules === undefined) {
+        market.rules = [];
+        market.nextRuleId = 1;
+      }
+      return saveData;
+    }
+  },
+  {
+    version: 14,
+    description: 'Add merchant archetypes - the next visitor is the Traveling Merchant, and merchants visit market towns again',
+    migrate: (saveData) => {
+      const merchant = saveData.state.merchant;
+      // Saves without merchant state are left for the validator
+      if (merchant && merchant.archetype === undefined) {
+        merchant.archetype = V14_MERCHANT_ARCHETYPE;
+        merchant.boughtThisVisit = {};
+        // Only a Market ever disabled the merchant - schedule a fresh first visit
+        if (merchant.disabled) {
+          merchant.disabled = false;
+          merchant.active = false;
+          merchant.nextVisitTime = null;
+        }
+      }
+      return saveData;
+    }
+  },
+  {
+    version: 15,
+    description: 'Add merchant contracts - none on offer or accepted, spotless reputation, no research discount',
+    migrate: (saveData) => {
+      const state = saveData.state;
+      if (state.contracts === undefined) {
+        state.contracts = { offer: null, active: [], nextId: 1, completed: 0, failed: 0 };
+        state.researchDiscountPercent = 0;
+      }
+      // Saves without merchant state are left for the validator
+      if (state.merchant && state.merchant.reputation === undefined) {
+        state.merchant.reputation = 0;
+      }
+      return saveData;
+    }
+  },
+  {
+    version: 16,
+    description: 'Add timed research - nothing being researched or queued',
+    migrate: (saveData) => {
+      if (saveData.state.research === undefined) {
+        saveData.state.research = { active: null, queue: [] };
+      }
+      return saveData;
+    }
+  }
+];
+
+/** Visitor given to saves from before merchant archetypes (v14) */
+const V14_MERCHANT_ARCHETYPE = 'peddler';
+
+/** Haulers given to saves from before population (v11) */
+const V11_STARTING_VILLAGERS = 3;
+
+/** Room in the starting camp in v11 */
+const V11_BASE_HOUSING = 4;
+
+/**
+ * Job slots per building type in v11. Frozen here rather than read from
+ * buildings.config.js so later config changes can't alter old migrations.
+ */
+const V11_WORKER_SLOTS = {
+  wheat_farm: 2,
+  quarry: 2,
+  lumber: 2,
+  bakery: 1,
+  blacksmith: 2,
+  market: 2,
+  mill: 1,
+  bread_oven: 1,
+  sawmill: 1,
+  carpenter: 1,
+  stonecutter: 1,
+  mason_yard: 1,
+  toolmaker: 2,
+  charcoal_kiln: 1
+};
+
+/** Seed given to saves from before map generation (v9) */
+const V9_LEGACY_MAP_SEED = 1;
+
+/**
+ * Starting map when terrain was introduced in v8 (0=grass 3=forest 4=rock
+ * 5=water 6=fertile). Frozen here so new default maps don't alter old saves.
+ */
+const V8_TERRAIN = [
+  '0000000333',
+  '0000000033',
+  '0066000003',
+  '0066000000',
+  '0000000000',
+  '0000000000',
+  '4000000000',
+  '4400000055',
+  '4440000055',
+  '4440000000'
+];
+
+/** Tile codes from V8_TERRAIN that buildings can stand on */
+const V8_BUILDABLE = ['0', '6'];
+
+/**
+ * Lay the v8 starting map over a plot, making room for existing buildings
+ * Tiles beyond the 10x10 map are grass.
+ * @param {Object[]} buildings
+ * @param {{rows: number, cols: number}} plotSize
+ * @returns {string[]}
+ */
+function terrainAroundBuildings(buildings, plotSize) {
+  const tiles = [];
+  for (let r = 0; r < plotSize.rows; r++) {
+    const row = [];
+    for (let c = 0; c < plotSize.cols; c++) {
+      row.push(V8_TERRAIN[r]?.[c] ?? '0');
+    }
+    tiles.push(row);
+  }
+
+  buildings.forEach(b => {
+    const { rows, cols } = V7_FOOTPRINTS[b.type] || { rows: 2, cols: 2 };
+    for (let dr = 0; dr < rows; dr++) {
+      for (let dc = 0; dc < cols; dc++) {
+        const row = tiles[b.row + dr];
+        if (row && row[b.col + dc] !== undefined && !V8_BUILDABLE.includes(row[b.col + dc])) {
+          row[b.col + dc] = '0';
+        }
+      }
+    }
+  });
+
+  return tiles.map(row => row.join(''));
+}
+
+/**
+ * Footprints introduced in v7. Frozen here rather than read from
+ * buildings.config.js so later config changes can't alter old migrations.
+ */
+const V7_FOOTPRINTS = {
+  market: { rows: 2, cols: 3 },
+  townhall: { rows: 3, cols: 3 }
+};
+
+/**
+ * Give each building with a v7 footprint the nearest spot it fits in
+ * Every other building was 2x2 before and after, so it keeps its tiles.
+ * Buildings with no free spot left stay put for the validator to report.
+ * @param {Object[]} buildings
+ * @param {{rows: number, cols: number}} plotSize
+ * @returns {Object[]}
+ */
+function relocateOversizedBuildings(buildings, plotSize) {
+  const footprintOf = (b) => V7_FOOTPRINTS[b.type] || { rows: 2, cols: 2 };
+  const occupied = new Set();
+  const claim = (b, row, col) => {
+    const { rows, cols } = footprintOf(b);
+    for (let dr = 0; dr < rows; dr++) {
+      for (let dc = 0; dc < cols; dc++) {
+        occupied.add(`${row + dr},${col + dc}`);
+      }
+    }
+  };
+  const fits = (b, row, col) => {
+    const { rows, cols } = footprintOf(b);
+    if (row < 0 || col < 0 || row + rows > plotSize.rows || col + cols > plotSize.cols) {
+      return false;
+    }
+    for (let dr = 0; dr < rows; dr++) {
+      for (let dc = 0; dc < cols; dc++) {
+        if (occupied.has(`${row + dr},${col + dc}`)) return false;
+      }
+    }
+    return true;
+  };
+
+  // 2x2 buildings keep their spots, so claim them first
+  buildings.filter(b => !V7_FOOTPRINTS[b.type]).forEach(b => claim(b, b.row, b.col));
+
+  return buildings.map(b => {
+    if (!V7_FOOTPRINTS[b.type]) return b;
+
+    let best = fits(b, b.row, b.col) ? { row: b.row, col: b.col } : null;
+    let bestDist = best ? 0 : Infinity;
+    for (let row = 0; row < plotSize.rows && bestDist > 0; row++) {
+      for (let col = 0; col < plotSize.cols; col++) {
+        const dist = Math.abs(row - b.row) + Math.abs(col - b.col);
+        if (dist < bestDist && fits(b, row, col)) {
+          best = { row, col };
+          bestDist = dist;
+        }
+      }
+    }
+
+    if (!best) return b;
+    claim(b, best.row, best.col);
+    return { ...b, row: best.row, col: best.col };
+  });
+}
+
+/** Current save schema version - the version the last migrator produces */
+export const SCHEMA_VERSION = SAVE_MIGRATIONS[SAVE_MIGRATIONS.length - 1].version;
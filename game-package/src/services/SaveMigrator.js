@@ -0,0 +1,204 @@
+/**
+ * SaveMigrator
+ * Forward-only pipeline that runs registered migrators on a save envelope
+ *
+ * Usage:
+ *   const migrator = new SaveMigrator();
+ *   const report = migrator.dryRun(saveData);   // what would change, nothing applied
+ *   const result = migrator.migrate(saveData);  // { saveData, report } or { error }
+ *
+ * The input save is never modified - migrators work on a copy.
+ */
+
+import { SAVE_MIGRATIONS } from './SaveMigrations.js';
+
+/** Envelope fields the pipeline manages itself (left out of change lists) */
+const PIPELINE_FIELDS = ['schemaVersion', 'checksum'];
+
+/**
+ * @typedef {Object} MigrationChange
+ * @property {string} path - Dotted path of the changed field, e.g. "state.camera"
+ * @property {'added'|'removed'|'changed'} type
+ * @property {*} [from] - Old value (changed/removed)
+ * @property {*} [to] - New value (added/changed)
+ */
+
+/**
+ * @typedef {Object} MigrationReport
+ * @property {number} fromVersion - Schema version of the save
+ * @property {number} toVersion - Version after migration
+ * @property {boolean} upToDate - True when no migrator needs to run
+ * @property {Array<{version: number, description: string, changes: MigrationChange[]}>} steps
+ * @property {string|null} error - Why the save cannot be migrated
+ */
+
+export class SaveMigrator {
+  /**
+   * @param {import('./SaveMigrations.js').SaveMigration[]} [migrations=SAVE_MIGRATIONS]
+   */
+  constructor(migrations = SAVE_MIGRATIONS) {
+    migrations.forEach((migration, i) => {
+      if (migration.version !== i + 1) {
+        throw new Error(`SaveMigrator: migration ${i} targets v${migration.version}, expected v${i + 1}`);
+      }
+    });
+
+    this._migrations = migrations;
+  }
+
+  /**
+   * Get the version saves are migrated to
+   * @returns {number}
+   */
+  getCurrentVersion() {
+    return this._migrations.length;
+  }
+
+  /**
+   * Get the migrators a save at this version still needs, in order
+   * @param {number} version
+   * @returns {import('./SaveMigrations.js').SaveMigration[]}
+   */
+  getPendingMigrations(version) {
+    return this._migrations.filter(m => m.version > version);
+  }
+
+  /**
+   * Migrate a save envelope to the current version
+   * @param {Object} saveData
+   * @returns {{saveData: Object|null, report: MigrationReport, error?: string}}
+   */
+  migrate(saveData) {
+    const report = this._run(saveData);
+    if (report.error) {
+      return { saveData: null, report, error: report.error };
+    }
+    return { saveData: report.result, report: this._stripResult(report) };
+  }
+
+  /**
+   * Describe what migrating a save would change without applying anything
+   * @param {Object} saveData
+   * @returns {MigrationReport}
+   */
+  dryRun(saveData) {
+    return this._stripResult(this._run(saveData));
+  }
+
+  /**
+   * Format a report as readable lines (for logs and the dev panel)
+   * @param {MigrationReport} report
+   * @returns {string}
+   */
+  formatReport(report) {
+    if (report.error) return `Cannot migrate: ${report.error}`;
+    if (report.upToDate) return `Save is up to date (v${report.toVersion})`;
+
+    const lines = [`Migrate v${report.fromVersion} → v${report.toVersion}`];
+    report.steps.forEach(step => {
+      lines.push(`v${step.version}: ${step.description}`);
+      if (step.changes.length === 0) {
+        lines.push('  (no changes)');
+      }
+      step.changes.forEach(change => {
+        const symbol = { added: '+', removed: '-', changed: '~' }[change.type];
+        const value = change.type === 'removed' ? change.from : change.to;
+        lines.push(`  ${symbol} ${change.path} = ${JSON.stringify(value)}`);
+      });
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * Run the pipeline on a copy of the save, recording each step's changes
+   * @param {Object} saveData
+   * @returns {MigrationReport & {result: Object|null}}
+   * @private
+   */
+  _run(saveData) {
+    const fromVersion = saveData?.schemaVersion || 0;
+    const toVersion = this.getCurrentVersion();
+    const report = { fromVersion, toVersion, upToDate: false, steps: [], error: null, result: null };
+
+    if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+      report.error = `Invalid schema version: ${saveData.schemaVersion}`;
+      return report;
+    }
+    if (fromVersion > toVersion) {
+      report.error = `Save from newer version (v${fromVersion}). Please update the game.`;
+      return report;
+    }
+
+    let current = JSON.parse(JSON.stringify(saveData));
+    const pending = this.getPendingMigrations(fromVersion);
+
+    for (const migration of pending) {
+      const before = JSON.parse(JSON.stringify(current));
+      try {
+        current = migration.migrate(current);
+      } catch (error) {
+        report.error = `Migration to v${migration.version} failed: ${error.message}`;
+        return report;
+      }
+      current.schemaVersion = migration.version;
+
+      report.steps.push({
+        version: migration.version,
+        description: migration.description,
+        changes: this._diff(before, current)
+      });
+    }
+
+    // The checksum covered the save as written - it no longer matches
+    if (pending.length > 0) {
+      delete current.checksum;
+    }
+
+    report.upToDate = pending.length === 0;
+    report.result = current;
+    return report;
+  }
+
+  /**
+   * @private
+   */
+  _stripResult(report) {
+    const { result, ...rest } = report;
+    return rest;
+  }
+
+  /**
+   * List field-level differences between two JSON values
+   * @param {*} before
+   * @param {*} after
+   * @param {string} [path='']
+   * @param {MigrationChange[]} [changes=[]]
+   * @returns {MigrationChange[]}
+   * @private
+   */
+  _diff(before, after, path = '', changes = []) {
+    const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+    if (isObject(before) && isObject(after)) {
+      const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+      keys.forEach(key => {
+        if (path === '' && PIPELINE_FIELDS.includes(key)) return;
+
+        const childPath = path ? `${path}.${key}` : key;
+        if (!(key in before)) {
+          changes.push({ path: childPath, type: 'added', to: after[key] });
+        } else if (!(key in after)) {
+          changes.push({ path: childPath, type: 'removed', from: before[key] });
+        } else {
+          this._diff(before[key], after[key], childPath, changes);
+        }
+      });
+      return changes;
+    }
+
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ path, type: 'changed', from: before, to: after });
+    }
+    return changes;
+  }
+}
@@ -0,0 +1,658 @@
+/**
+ * SaveValidator
+ * Checks save envelopes before they reach GameStateService.importState
+ *
+ * Everything a hand-edited or truncated save could get wrong is checked:
+ * every id and amount against the game config, and every building index
+ * against the buildings list - plus positions inside plotSize, overlaps and
+ * levels within upgrades.length. Also computes the checksum stored in every
+ * save.
+ *
+ * Validation runs on migrated state, so it only needs to understand the
+ * current schema.
+ */
+
+import {
+  getBuildingDef,
+  getBuildingFootprint,
+  getResourceIds,
+  getResearchIds,
+  getMilestoneIds,
+  getTerrainIdForTile,
+  MARKET_CONFIG,
+  MERCHANT_ARCHETYPES,
+  CONTRACT_CONFIG,
+  PROCESSOR_PRIORITIES
+} from '../config/index.js';
+
+/** Processor state names ProcessorService can produce */
+const PROCESSOR_STATES = ['idle', 'running', 'stalled'];
+
+/**
+ * @typedef {Object} ValidationResult
+ * @property {boolean} valid - True when no errors were found
+ * @property {string[]} errors - One readable line per problem
+ */
+
+export class SaveValidator {
+  constructor() {
+    this._resourceIds = new Set(getResourceIds());
+    this._researchIds = new Set(getResearchIds());
+    this._milestoneIds = new Set(getMilestoneIds());
+  }
+
+  // ==========================================
+  // CHECKSUM
+  // ==========================================
+
+  /**
+   * Compute the checksum of a save envelope (the checksum field itself is ignored)
+   * FNV-1a over the envelope's JSON - catches truncation and hand edits, not tampering.
+   * @param {Object} saveData
+   * @returns {string} 8-digit hex
+   */
+  computeChecksum(saveData) {
+    const payload = { ...saveData };
+    delete payload.checksum;
+    const json = JSON.stringify(payload);
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < json.length; i++) {
+      hash ^= json.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Check a save's checksum. Saves from before checksums existed pass.
+   * @param {Object} saveData
+   * @returns {boolean}
+   */
+  verifyChecksum(saveData) {
+    if (saveData.checksum === undefined) return true;
+    return saveData.checksum === this.computeChecksum(saveData);
+  }
+
+  // ==========================================
+  // VALIDATION
+  // ==========================================
+
+  /**
+   * Validate a migrated save envelope
+   * @param {Object} saveData - Envelope whose state is already at the current schema
+   * @returns {ValidationResult}
+   */
+  validate(saveData) {
+    const errors = [];
+
+    if (!this._isObject(saveData)) {
+      return { valid: false, errors: ['Save data is not an object'] };
+    }
+    if (saveData.timestamp !== undefined && saveData.timestamp !== null && !this._isNonNegative(saveData.timestamp)) {
+      errors.push('timestamp must be a non-negative number');
+    }
+    if (saveData.playTime !== undefined && !this._isNonNegative(saveData.playTime)) {
+      errors.push('playTime must be a non-negative number');
+    }
+
+    const state = saveData.state;
+    if (!this._isObject(state)) {
+      errors.push('state must be an object');
+      return { valid: false, errors };
+    }
+
+    this._validateResources(state.resources, 'resources', errors);
+    const plotSize = this._validatePlotSize(state.plotSize, errors);
+    this._validateTerrain(state.terrain, plotSize, errors);
+    if (!Number.isInteger(state.mapSeed) || state.mapSeed < 0 || state.mapSeed > 0xFFFFFFFF) {
+      errors.push('mapSeed must be an unsigned 32-bit integer');
+    }
+    if (typeof state.logistics !== 'boolean') {
+      errors.push('logistics must be a boolean');
+    }
+    this._validateBuildings(state.buildings, plotSize, errors);
+    this._validatePopulation(state.population, state.buildings, errors);
+    this._validateIdList(state.completedResearch, this._researchIds, 'completedResearch', errors);
+    this._validateResearch(state.research, state.completedResearch, errors);
+    this._validateIdList(state.completedMilestones, this._milestoneIds, 'completedMilestones', errors);
+    this._validateStipend(state.stipend, errors);
+    this._validateMerchant(state.merchant, errors);
+    this._validateMarket(state.market, errors);
+    this._validateContracts(state.contracts, errors);
+    if (!Number.isFinite(state.researchDiscountPercent) || state.researchDiscountPercent < 0 ||
+        state.researchDiscountPercent > CONTRACT_CONFIG.maxResearchDiscountPercent) {
+      errors.push(`researchDiscountPercent must be a number from 0 to ${CONTRACT_CONFIG.maxResearchDiscountPercent}`);
+    }
+    this._validateCamera(state.camera, errors);
+
+    if (saveData.processors !== undefined && saveData.processors !== null) {
+      this._validateProcessors(saveData.processors, state.buildings, errors);
+    }
+    if (saveData.drops !== undefined && saveData.drops !== null) {
+      this._validateDrops(saveData.drops, errors);
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * @private
+   */
+  _validateResources(resources, path, errors) {
+    if (!this._isObject(resources)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    Object.entries(resources).forEach(([id, amount]) => {
+      if (!this._resourceIds.has(id)) {
+        errors.push(`${path}: unknown resource "${id}"`);
+      } else if (!this._isNonNegative(amount)) {
+        errors.push(`${path}.${id} must be a non-negative number (got ${amount})`);
+      }
+    });
+  }
+
+  /**
+   * @returns {{rows: number, cols: number}|null} Plot size if valid
+   * @private
+   */
+  _validatePlotSize(plotSize, errors) {
+    if (!this._isObject(plotSize) ||
+        !this._isPositiveInteger(plotSize.rows) ||
+        !this._isPositiveInteger(plotSize.cols)) {
+      errors.push('plotSize must have positive integer rows and cols');
+      return null;
+    }
+    return plotSize;
+  }
+
+  /**
+   * @private
+   */
+  _validateTerrain(terrain, plotSize, errors) {
+    if (!Array.isArray(terrain) || terrain.some(row => typeof row !== 'string')) {
+      errors.push('terrain must be an array of strings');
+      return;
+    }
+    if (!plotSize) return;
+
+    if (terrain.length !== plotSize.rows || terrain.some(row => row.length !== plotSize.cols)) {
+      errors.push(`terrain must be ${plotSize.rows} rows of ${plotSize.cols} tiles`);
+      return;
+    }
+
+    terrain.forEach((row, index) => {
+      const unknown = [...row].find(code => getTerrainIdForTile(parseInt(code, 36)) === null);
+      if (unknown !== undefined) {
+        errors.push(`terrain[${index}]: unknown tile "${unknown}"`);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _validateBuildings(buildings, plotSize, errors) {
+    if (!Array.isArray(buildings)) {
+      errors.push('buildings must be an array');
+      return;
+    }
+
+    const occupied = new Map();
+
+    buildings.forEach((building, index) => {
+      const path = `buildings[${index}]`;
+      if (!this._isObject(building)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+
+      const def = getBuildingDef(building.type);
+      if (!def) {
+        errors.push(`${path}: unknown building type "${building.type}"`);
+        return;
+      }
+
+      const maxLevel = def.upgrades ? def.upgrades.length : 0;
+      if (!Number.isInteger(building.level) || building.level < 0 || building.level > maxLevel) {
+        errors.push(`${path} (${building.type}): level must be an integer from 0 to ${maxLevel} (got ${building.level})`);
+      }
+
+      if (!Number.isInteger(building.row) || !Number.isInteger(building.col)) {
+        errors.push(`${path} (${building.type}): row and col must be integers`);
+        return;
+      }
+
+      const footprint = getBuildingFootprint(building.type);
+      if (plotSize && (building.row < 0 || building.col < 0 ||
+          building.row + footprint.rows > plotSize.rows ||
+          building.col + footprint.cols > plotSize.cols)) {
+        errors.push(`${path} (${building.type}): position ${building.row},${building.col} is outside the ${plotSize.rows}x${plotSize.cols} plot`);
+        return;
+      }
+
+      for (let dr = 0; dr < footprint.rows; dr++) {
+        for (let dc = 0; dc < footprint.cols; dc++) {
+          const key = `${building.row + dr},${building.col + dc}`;
+          if (occupied.has(key)) {
+            errors.push(`${path} (${building.type}): overlaps buildings[${occupied.get(key)}] at ${key}`);
+            return;
+          }
+          occupied.set(key, index);
+        }
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _validateIdList(list, knownIds, path, errors) {
+    if (!Array.isArray(list)) {
+      errors.push(`${path} must be an array`);
+      return;
+    }
+
+    list.forEach(id => {
+      if (!knownIds.has(id)) {
+        errors.push(`${path}: unknown id "${id}"`);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _validateResearch(research, completedResearch, errors) {
+    if (!this._isObject(research) || !Array.isArray(research.queue)) {
+      errors.push('research must be an object with a queue array');
+      return;
+    }
+    const completed = new Set(Array.isArray(completedResearch) ? completedResearch : []);
+    const seen = new Set();
+    const check = (id, path) => {
+      if (!this._researchIds.has(id)) {
+        errors.push(`${path}: unknown research "${id}"`);
+      } else if (completed.has(id)) {
+        errors.push(`${path}: "${id}" is already researched`);
+      } else if (seen.has(id)) {
+        errors.push(`${path}: "${id}" appears twice`);
+      }
+      seen.add(id);
+    };
+
+    const active = research.active;
+    if (active !== null) {
+      if (!this._isObject(active)) {
+        errors.push('research.active must be an object or null');
+      } else {
+        check(active.id, 'research.active');
+        if (!this._isNonNegative(active.progress)) {
+          errors.push('research.active.progress must be a non-negative number');
+        }
+        this._validateResources(active.paid, 'research.active.paid', errors);
+      }
+    }
+    research.queue.forEach((id, index) => check(id, `research.queue[${index}]`));
+  }
+
+  /**
+   * @private
+   */
+  _validateStipend(stipend, errors) {
+    if (!this._isObject(stipend)) {
+      errors.push('stipend must be an object');
+      return;
+    }
+    if (typeof stipend.active !== 'boolean') {
+      errors.push('stipend.active must be a boolean');
+    }
+    if (!this._isNonNegative(stipend.totalReceived)) {
+      errors.push('stipend.totalReceived must be a non-negative number');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validateMerchant(merchant, errors) {
+    if (!this._isObject(merchant)) {
+      errors.push('merchant must be an object');
+      return;
+    }
+    if (typeof merchant.active !== 'boolean' || typeof merchant.disabled !== 'boolean') {
+      errors.push('merchant.active and merchant.disabled must be booleans');
+    }
+    if (!Number.isInteger(merchant.totalVisits) || merchant.totalVisits < 0) {
+      errors.push('merchant.totalVisits must be a non-negative integer');
+    }
+    ['visitStartTime', 'nextVisitTime'].forEach(field => {
+      if (merchant[field] !== null && merchant[field] !== undefined && !Number.isFinite(merchant[field])) {
+        errors.push(`merchant.${field} must be a number or null`);
+      }
+    });
+    if (merchant.soldThisVisit !== undefined) {
+      this._validateResources(merchant.soldThisVisit, 'merchant.soldThisVisit', errors);
+    }
+    if (!Object.hasOwn(MERCHANT_ARCHETYPES, merchant.archetype)) {
+      errors.push(`merchant.archetype: unknown archetype "${merchant.archetype}"`);
+    }
+    this._validateResources(merchant.boughtThisVisit, 'merchant.boughtThisVisit', errors);
+    if (!Number.isInteger(merchant.reputation) || merchant.reputation > 0 ||
+        merchant.reputation < CONTRACT_CONFIG.minReputation) {
+      errors.push(`merchant.reputation must be an integer from ${CONTRACT_CONFIG.minReputation} to 0`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validateContracts(contracts, errors) {
+    if (!this._isObject(contracts) || !Array.isArray(contracts.active)) {
+      errors.push('contracts must be an object with an active array');
+      return;
+    }
+    ['nextId', 'completed', 'failed'].forEach(field => {
+      const min = field === 'nextId' ? 1 : 0;
+      if (!Number.isInteger(contracts[field]) || contracts[field] < min) {
+        errors.push(`contracts.${field} must be an integer of at least ${min}`);
+      }
+    });
+    if (contracts.offer !== null) {
+      this._validateContract(contracts.offer, 'contracts.offer', errors);
+    }
+    if (this._isObject(contracts.offer)) {
+      if (typeof contracts.offer.accepted !== 'boolean') {
+        errors.push('contracts.offer.accepted must be a boolean');
+      }
+      if (!Number.isFinite(contracts.offer.duration) || contracts.offer.duration <= 0) {
+        errors.push('contracts.offer.duration must be a positive number');
+      }
+    }
+
+    const seen = new Set();
+    contracts.active.forEach((contract, index) => {
+      const path = `contracts.active[${index}]`;
+      if (!this._isObject(contract) || typeof contract.id !== 'string') {
+        errors.push(`${path} must be an object with a string id`);
+        return;
+      }
+      if (seen.has(contract.id)) {
+        errors.push(`${path}: duplicate id "${contract.id}"`);
+      }
+      seen.add(contract.id);
+      this._validateContract(contract, path, errors);
+      if (!Number.isFinite(contract.deadline)) {
+        errors.push(`${path}.deadline must be a number`);
+      }
+    });
+  }
+
+  /**
+   * Check the terms shared by offers and accepted contracts
+   * @private
+   */
+  _validateContract(contract, path, errors) {
+    if (!this._isObject(contract)) {
+      errors.push(`${path} must be an object or null`);
+      return;
+    }
+    if (!Object.hasOwn(MERCHANT_ARCHETYPES, contract.archetype)) {
+      errors.push(`${path}: unknown archetype "${contract.archetype}"`);
+    }
+    if (!this._resourceIds.has(contract.resource)) {
+      errors.push(`${path}: unknown resource "${contract.resource}"`);
+    }
+    ['visit', 'amount'].forEach(field => {
+      if (!Number.isInteger(contract[field]) || contract[field] < 1) {
+        errors.push(`${path}.${field} must be a positive integer`);
+      }
+    });
+    ['gold', 'researchDiscountPercent'].forEach(field => {
+      if (!this._isNonNegative(contract[field])) {
+        errors.push(`${path}.${field} must be a non-negative number`);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _validateMarket(market, errors) {
+    if (!this._isObject(market) || !this._isObject(market.demand)) {
+      errors.push('market must be an object with a demand object');
+      return;
+    }
+    Object.entries(market.demand).forEach(([resource, factor]) => {
+      if (!this._resourceIds.has(resource)) {
+        errors.push(`market.demand: unknown resource "${resource}"`);
+      } else if (!Number.isFinite(factor) || factor <= 0 || factor > 1) {
+        errors.push(`market.demand.${resource} must be a number above 0 and at most 1`);
+      }
+    });
+    this._validateMarketRules(market, errors);
+  }
+
+  /**
+   * @private
+   */
+  _validateMarketRules(market, errors) {
+    if (!Array.isArray(market.rules)) {
+      errors.push('market.rules must be an array');
+      return;
+    }
+    if (!Number.isInteger(market.nextRuleId) || market.nextRuleId < 1) {
+      errors.push('market.nextRuleId must be a positive integer');
+    }
+
+    const seen = new Set();
+    market.rules.forEach((rule, index) => {
+      const path = `market.rules[${index}]`;
+      if (!this._isObject(rule) || typeof rule.id !== 'string') {
+        errors.push(`${path} must be an object with a string id`);
+        return;
+      }
+      if (seen.has(rule.id)) {
+        errors.push(`${path}: duplicate id "${rule.id}"`);
+      }
+      seen.add(rule.id);
+
+      if (!this._resourceIds.has(rule.resource)) {
+        errors.push(`${path}: unknown resource "${rule.resource}"`);
+      }
+      if (!Object.hasOwn(MARKET_CONFIG.ruleTriggers, rule.trigger)) {
+        errors.push(`${path}: unknown trigger "${rule.trigger}"`);
+      }
+      if (typeof rule.enabled !== 'boolean') {
+        errors.push(`${path}.enabled must be a boolean`);
+      }
+      ['keep', 'sold', 'earned'].forEach(field => {
+        if (!Number.isFinite(rule[field]) || rule[field] < 0) {
+          errors.push(`${path}.${field} must be a non-negative number`);
+        }
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  _validateCamera(camera, errors) {
+    if (!this._isObject(camera)) {
+      errors.push('camera must be an object');
+      return;
+    }
+    if (!Number.isFinite(camera.offsetX) || !Number.isFinite(camera.offsetY)) {
+      errors.push('camera offsets must be numbers');
+    }
+    if (!Number.isFinite(camera.zoom) || camera.zoom <= 0) {
+      errors.push('camera.zoom must be a positive number');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validatePopulation(population, buildings, errors) {
+    if (!this._isObject(population) || !Array.isArray(population.villagers)) {
+      errors.push('population must be an object with a villagers array');
+      return;
+    }
+    if (!Number.isInteger(population.nextId) || population.nextId < 1) {
+      errors.push('population.nextId must be a positive integer');
+    }
+    if (!Number.isInteger(population.growthTicks) || population.growthTicks < 0) {
+      errors.push('population.growthTicks must be a non-negative integer');
+    }
+    if (!Number.isInteger(population.housingAllowance) || population.housingAllowance < 0) {
+      errors.push('population.housingAllowance must be a non-negative integer');
+    }
+
+    const seen = new Set();
+    population.villagers.forEach((villager, index) => {
+      const path = `population.villagers[${index}]`;
+      if (!this._isObject(villager) || typeof villager.id !== 'string') {
+        errors.push(`${path} must be an object with a string id`);
+        return;
+      }
+      if (seen.has(villager.id)) {
+        errors.push(`${path}: duplicate id "${villager.id}"`);
+      }
+      seen.add(villager.id);
+
+      if (villager.workplace === null) return;
+      const building = Array.isArray(buildings) ? buildings[villager.workplace] : null;
+      const def = this._isObject(building) ? getBuildingDef(building.type) : null;
+      if (!def || !def.workers) {
+        errors.push(`${path}.workplace: no workplace building at index ${villager.workplace}`);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _validateProcessors(processors, buildings, errors) {
+    if (!this._isObject(processors)) {
+      errors.push('processors must be an object');
+      return;
+    }
+
+    Object.entries(processors).forEach(([key, state]) => {
+      const path = `processors[${key}]`;
+      const building = Array.isArray(buildings) ? buildings[Number(key)] : null;
+      const def = building ? getBuildingDef(building.type) : null;
+
+      if (!def || !def.isProcessor) {
+        errors.push(`${path}: no processor building at index ${key}`);
+        return;
+      }
+      if (!this._isObject(state)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      if (!Number.isFinite(state.progress) || state.progress < 0 || state.progress > 1) {
+        errors.push(`${path}.progress must be between 0 and 1`);
+      }
+      if (state.state !== undefined && !PROCESSOR_STATES.includes(state.state)) {
+        errors.push(`${path}.state must be one of ${PROCESSOR_STATES.join(', ')}`);
+      }
+      if (state.bufferedOutputs) {
+        this._validateResources(state.bufferedOutputs, `${path}.bufferedOutputs`, errors);
+      }
+      if (state.inputBuffer) {
+        this._validateResources(state.inputBuffer, `${path}.inputBuffer`, errors);
+      }
+      if (state.recipeId !== undefined && state.recipeId !== null &&
+          !(def.altRecipes || []).some(recipe => recipe.id === state.recipeId)) {
+        errors.push(`${path}: unknown recipe "${state.recipeId}" for ${building.type}`);
+      }
+      if (state.pausedRecipes !== undefined && state.pausedRecipes !== null) {
+        this._validatePausedRecipes(state.pausedRecipes, `${path}.pausedRecipes`, errors);
+      }
+      if (state.priority !== undefined && !PROCESSOR_PRIORITIES.includes(state.priority)) {
+        errors.push(`${path}.priority must be one of ${PROCESSOR_PRIORITIES.join(', ')}`);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _validatePausedRecipes(pausedRecipes, path, errors) {
+    if (!this._isObject(pausedRecipes)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    Object.entries(pausedRecipes).forEach(([recipeId, paused]) => {
+      if (!this._isObject(paused)) {
+        errors.push(`${path}.${recipeId} must be an object`);
+        return;
+      }
+      if (!Number.isFinite(paused.progress) || paused.progress < 0 || paused.progress > 1) {
+        errors.push(`${path}.${recipeId}.progress must be between 0 and 1`);
+      }
+      if (paused.inputBuffer) {
+        this._validateResources(paused.inputBuffer, `${path}.${recipeId}.inputBuffer`, errors);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _validateDrops(dropState, errors) {
+    if (!this._isObject(dropState) || !Array.isArray(dropState.drops)) {
+      errors.push('drops must be an object with a drops array');
+      return;
+    }
+    if (!Number.isInteger(dropState.nextId) || dropState.nextId < 0) {
+      errors.push('drops.nextId must be a non-negative integer');
+    }
+
+    dropState.drops.forEach((drop, index) => {
+      const path = `drops[${index}]`;
+      if (!this._isObject(drop) || typeof drop.id !== 'string') {
+        errors.push(`${path} must be an object with a string id`);
+        return;
+      }
+      if (!this._resourceIds.has(drop.resourceId)) {
+        errors.push(`${path}: unknown resource "${drop.resourceId}"`);
+      }
+      if (!Number.isFinite(drop.amount) || drop.amount <= 0) {
+        errors.push(`${path}.amount must be a positive number`);
+      }
+      if (!Number.isFinite(drop.gridX) || !Number.isFinite(drop.gridY)) {
+        errors.push(`${path} position must be numbers`);
+      }
+    });
+  }
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  /**
+   * @private
+   */
+  _isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * @private
+   */
+  _isNonNegative(value) {
+    return Number.isFinite(value) && value >= 0;
+  }
+
+  /**
+   * @private
+   */
+  _isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+  }
+}
@@ -0,0 +1,221 @@
+/**
+ * TerrainService
+ * Answers terrain questions for placement and production
+ *
+ * Terrain lives in game state (see GameStateService TERRAIN). This service
+ * reads it as terrain ids ('grass', 'rock', ...), checks the placement rules
+ * and computes the yield bonuses buildings declare in their `terrain` config.
+ *
+ * Maps are generated from a seed saved with the game (see MapGenerator.js).
+ * The plot shows the corner of the generated world it covers, and expanding
+ * the plot reveals more of that world.
+ */
+
+import { Events } from '../core/EventBus.js';
+import { generateTerrain } from './MapGenerator.js';
+import {
+  TILE_MAP,
+  TERRAIN_MAX_BONUS,
+  updateTileMap,
+  getBuildingDef,
+  getBuildingFootprint,
+  getTerrainDef,
+  getTerrainIdForTile
+} from '../config/index.js';
+
+export class TerrainService {
+  /**
+   * @param {import('./GameStateService.js').GameStateService} gameState
+   * @param {import('../core/EventBus.js').EventBus} eventBus
+   */
+  constructor(gameState, eventBus) {
+    this._gameState = gameState;
+    this._eventBus = eventBus;
+  }
+
+  // ==========================================
+  // MAP GENERATION
+  // ==========================================
+
+  /**
+   * Get the seed the current map was generated from
+   * @returns {number}
+   */
+  getMapSeed() {
+    return this._gameState.getMapSeed();
+  }
+
+  /**
+   * Replace the plot's terrain with a freshly generated map
+   * Meant for new games - buildings already placed are not checked.
+   * @param {number} seed - Any number; stored as an unsigned 32-bit integer
+   */
+  generateMap(seed) {
+    const mapSeed = seed >>> 0;
+    this._gameState.setMapSeed(mapSeed);
+    this._gameState.setTerrain(generateTerrain(mapSeed));
+
+    const { rows, cols } = this._gameState.getPlotSize();
+    updateTileMap(rows, cols, this._gameState.getTerrain());
+
+    this._eventBus.publish(Events.MAP_GENERATED, { seed: mapSeed });
+  }
+
+  /**
+   * Fill land the plot just grew into from the generated map
+   * Tiles inside the previous plot keep whatever terrain they have now.
+   * @param {{rows: number, cols: number}} previousSize - Plot size before expanding
+   */
+  revealLand(previousSize) {
+    const world = generateTerrain(this.getMapSeed());
+    const { rows, cols } = this._gameState.getPlotSize();
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const code = world[row]?.[col];
+        if ((row < previousSize.rows && col < previousSize.cols) || code === undefined) continue;
+        this._gameState.setTerrainTile(row, col, parseInt(code, 36));
+      }
+    }
+  }
+
+  // ==========================================
+  // TILE ACCESS
+  // ==========================================
+
+  /**
+   * Get the terrain at a tile
+   * @param {number} row
+   * @param {number} col
+   * @returns {string|null} Terrain id, or null outside the plot
+   */
+  getTerrainAt(row, col) {
+    const tile = this._gameState.getTerrainTile(row, col);
+    return tile === null ? null : getTerrainIdForTile(tile);
+  }
+
+  /**
+   * Change the terrain of a tile
+   * @param {number} row
+   * @param {number} col
+   * @param {string} terrainId
+   * @returns {{success: boolean, error: string|null}}
+   */
+  setTerrainAt(row, col, terrainId) {
+    const def = getTerrainDef(terrainId);
+    if (!def) {
+      return { success: false, error: `Unknown terrain "${terrainId}"` };
+    }
+    const from = this.getTerrainAt(row, col);
+    if (from === null) {
+      return { success: false, error: 'Tile is outside the plot' };
+    }
+
+    this._gameState.setTerrainTile(row, col, def.tile);
+    if (TILE_MAP[row]) {
+      TILE_MAP[row][col] = def.tile;
+    }
+
+    this._eventBus.publish(Events.TERRAIN_CHANGED, { row, col, from, terrain: terrainId });
+    return { success: true, error: null };
+  }
+
+  /**
+   * Count tiles of a terrain around a footprint
+   * @param {string} terrainId
+   * @param {number} row - Footprint top row
+   * @param {number} col - Footprint left column
+   * @param {{rows: number, cols: number}} footprint
+   * @param {number} range - 0 counts only tiles under the footprint
+   * @returns {number}
+   */
+  countTerrainNear(terrainId, row, col, footprint, range) {
+    let count = 0;
+    for (let r = row - range; r < row + footprint.rows + range; r++) {
+      for (let c = col - range; c < col + footprint.cols + range; c++) {
+        if (this.getTerrainAt(r, c) === terrainId) count++;
+      }
+    }
+    return count;
+  }
+
+  // ==========================================
+  // PLACEMENT RULES
+  // ==========================================
+
+  /**
+   * Explain why terrain rules out a building at a position
+   * Bounds and other buildings are BuildingService's concern; tiles
+   * outside the plot are skipped here.
+   * @param {string} type - Building type
+   * @param {number} row
+   * @param {number} col
+   * @returns {string|null} Reason, or null if the terrain allows it
+   */
+  getPlacementError(type, row, col) {
+    const def = getBuildingDef(type);
+    if (!def) return null;
+    const footprint = getBuildingFootprint(type);
+
+    for (let dr = 0; dr < footprint.rows; dr++) {
+      for (let dc = 0; dc < footprint.cols; dc++) {
+        const terrain = getTerrainDef(this.getTerrainAt(row + dr, col + dc));
+        if (terrain && !terrain.buildable) {
+          return `Cannot build on ${terrain.name.toLowerCase()}!`;
+        }
+      }
+    }
+
+    const requires = def.terrain?.requires;
+    if (requires && this.countTerrainNear(requires.tile, row, col, footprint, requires.range) === 0) {
+      const terrainName = getTerrainDef(requires.tile).name.toLowerCase();
+      const where = requires.range === 1 ? 'next to' : `within ${requires.range} tiles of`;
+      return `${def.name} must be built ${where} ${terrainName}!`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if terrain allows a building at a position
+   * @param {string} type
+   * @param {number} row
+   * @param {number} col
+   * @returns {boolean}
+   */
+  canBuildAt(type, row, col) {
+    return this.getPlacementError(type, row, col) === null;
+  }
+
+  // ==========================================
+  // YIELD MODIFIERS
+  // ==========================================
+
+  /**
+   * Get the terrain bonus for a placed building
+   * Each matching tile within range adds its bonus, up to TERRAIN_MAX_BONUS.
+   * @param {{type: string, row: number, col: number}} building
+   * @returns {number} Fraction to add, e.g. 0.3 for +30%
+   */
+  getYieldBonus(building) {
+    const yields = getBuildingDef(building.type)?.terrain?.yields;
+    if (!yields) return 0;
+
+    const footprint = getBuildingFootprint(building.type);
+    let bonus = 0;
+    Object.entries(yields).forEach(([terrainId, { range, bonus: perTile }]) => {
+      bonus += perTile * this.countTerrainNear(terrainId, building.row, building.col, footprint, range);
+    });
+
+    return Math.min(bonus, TERRAIN_MAX_BONUS);
+  }
+
+  /**
+   * Get the production multiplier terrain gives a placed building
+   * @param {{type: string, row: number, col: number}} building
+   * @returns {number} 1 when terrain makes no difference
+   */
+  getYieldMultiplier(building) {
+    return 1 + this.getYieldBonus(building);
+  }
+}
@@ -2,6 +2,7 @@
  * BuildingHoverController
  * Handles tile-based building hover detection for inspect/upgrade
  * Uses grid position rather than DOM events to determine hovered building
+ * Right-click pins a building in the inspect panel (right-click empty ground to unpin)
  */
 
 import { Events } from '../core/EventBus.js';
@@ -32,6 +33,7 @@ export class BuildingHoverController {
     this._boundMouseMove = this._handleMouseMove.bind(this);
     this._boundClick = this._handleClick.bind(this);
     this._boundMouseLeave = this._handleMouseLeave.bind(this);
+    this._boundContextMenu = this._handleContextMenu.bind(this);
 
     // Subscribe to building events to refresh highlight after DOM updates
     this._unsubscribers = [];
@@ -161,6 +163,40 @@ export class BuildingHoverController {
     }
   }
 
+  /**
+   * Handle right-click - pin the building in the inspect panel
+   * @param {MouseEvent} e
+   * @private
+   */
+  _handleContextMenu(e) {
+    if (e.target.closest('.resource-overlay')) return;
+    e.preventDefault();
+
+    const world = document.getElementById('game-world');
+    if (!world) return;
+
+    const rect = world.getBoundingClientRect();
+    let mouseX = e.clientX - rect.left;
+    let mouseY = e.clientY - rect.top;
+
+    // Account for camera pan offset
+    if (this._cameraService) {
+      const camOffset = this._cameraService.getOffset();
+      mouseX -= camOffset.x;
+      mouseY -= camOffset.y;
+    }
+
+    const gridPos = this._coordinateService.screenToGrid(mouseX, mouseY);
+    const buildingIndex = this._buildingService.getBuildingIndexAt(Math.floor(gridPos.row), Math.floor(gridPos.col));
+
+    if (buildingIndex >= 0) {
+      this._buildingInfoController.pin(buildingIndex);
+    } else {
+      this._buildingInfoController.unpin();
+      this._buildingInfoController.hide();
+    }
+  }
+
   /**
    * Handle mouse leaving game world
    * @private
@@ -212,6 +248,7 @@ export class BuildingHoverController {
     world.addEventListener('mousemove', this._boundMouseMove);
     world.addEventListener('click', this._boundClick);
     world.addEventListener('mouseleave', this._boundMouseLeave);
+    world.addEventListener('contextmenu', this._boundContextMenu);
   }
 
   /**
@@ -224,6 +261,7 @@ export class BuildingHoverController {
     world.removeEventListener('mousemove', this._boundMouseMove);
     world.removeEventListener('click', this._boundClick);
     world.removeEventListener('mouseleave', this._boundMouseLeave);
+    world.removeEventListener('contextmenu', this._boundContextMenu);
   }
 
   /**
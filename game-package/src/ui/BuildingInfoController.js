@@ -2,10 +2,22 @@
  * BuildingInfoController
  * Updates the building info panel when hovering over buildings
  * Supports both continuous production buildings and processor buildings with cycles
+ *
+ * A pinned building (right-click) stays in the panel when the pointer leaves
+ * the map, so its controls - a processor's recipe and input priority - can be used.
  */
 
 import { Events } from '../core/EventBus.js';
-import { getBuildingDef, EMOJI_FALLBACKS, RESOURCES, ASSETS } from '../config/index.js';
+import {
+  getBuildingDef,
+  getResearchDef,
+  getResearchForRecipe,
+  PROCESSOR_PRIORITIES,
+  EMOJI_FALLBACKS,
+  RESOURCES,
+  ASSETS,
+  ROAD_CONFIG
+} from '../config/index.js';
 
 export class BuildingInfoController {
   /**
@@ -19,10 +31,16 @@ export class BuildingInfoController {
     this._productionService = productionService;
     this._eventBus = eventBus;
     this._processorService = processorService;
+    this._terrainService = null;
+    this._roadService = null;
+    this._logisticsService = null;
+    this._populationService = null;
+    this._researchService = null;
 
     this._emptyId = 'building-info-empty';
     this._contentId = 'building-info-content';
     this._hoveredIndex = null;
+    this._pinnedIndex = null;
     this._unsubscribers = [];
   }
 
@@ -34,6 +52,46 @@ export class BuildingInfoController {
     this._processorService = processorService;
   }
 
+  /**
+   * Set terrain service (shows terrain yield bonuses)
+   * @param {import('../services/TerrainService.js').TerrainService} terrainService
+   */
+  setTerrainService(terrainService) {
+    this._terrainService = terrainService;
+  }
+
+  /**
+   * Set road service (shows whether processors reach storage by road)
+   * @param {import('../services/RoadService.js').RoadService} roadService
+   */
+  setRoadService(roadService) {
+    this._roadService = roadService;
+  }
+
+  /**
+   * Set logistics service (shows processor input buffers in logistics mode)
+   * @param {import('../services/LogisticsService.js').LogisticsService} logisticsService
+   */
+  setLogisticsService(logisticsService) {
+    this._logisticsService = logisticsService;
+  }
+
+  /**
+   * Set population service (shows who staffs a workplace)
+   * @param {import('../services/PopulationService.js').PopulationService} populationService
+   */
+  setPopulationService(populationService) {
+    this._populationService = populationService;
+  }
+
+  /**
+   * Set research service (shows synergy bonuses and which recipes are unlocked)
+   * @param {import('../services/ResearchService.js').ResearchService} researchService
+   */
+  setResearchService(researchService) {
+    this._researchService = researchService;
+  }
+
   /**
    * Initialize the controller
    */
@@ -47,11 +105,42 @@ export class BuildingInfoController {
       })
     );
 
-    // Reset on game reset
+    // Delivered inputs (logistics mode), staffing, upkeep and recipes are shown too
+    [
+      Events.INPUTS_DELIVERED,
+      Events.LOGISTICS_TOGGLED,
+      Events.WORKERS_CHANGED,
+      Events.HOUSING_CHANGED,
+      Events.PROCESSOR_RECIPE_CHANGED,
+      Events.PROCESSOR_PRIORITY_CHANGED,
+      Events.RESEARCH_COMPLETED
+    ].forEach(event => {
+      this._unsubscribers.push(
+        this._eventBus.subscribe(event, () => {
+          if (this._hoveredIndex !== null) {
+            this.show(this._hoveredIndex);
+          }
+        })
+      );
+    });
+
+    // Reset on game reset or load
+    [Events.GAME_RESET, Events.STATE_LOADED].forEach(event => {
+      this._unsubscribers.push(
+        this._eventBus.subscribe(event, () => {
+          this.unpin();
+          this.hide();
+        })
+      );
+    });
+
+    // Keep the pin on the same building as indices shift
     this._unsubscribers.push(
-      this._eventBus.subscribe(Events.GAME_RESET, () => this.hide())
+      this._eventBus.subscribe(Events.BUILDING_REMOVED, (data) => this._onBuildingRemoved(data))
     );
 
+    this._setupProcessorListeners();
+
     // Update progress bar in real-time for processor buildings
     this._unsubscribers.push(
       this._eventBus.subscribe(Events.TICK, () => {
@@ -69,6 +158,32 @@ export class BuildingInfoController {
     );
   }
 
+  /**
+   * Keep a building in the panel after the pointer leaves it
+   * @param {number} index - Building index in the buildings array
+   */
+  pin(index) {
+    this._pinnedIndex = index;
+    document.getElementById(this._contentId)?.classList.add('pinned');
+    this.show(index);
+  }
+
+  /**
+   * Stop keeping a building in the panel
+   */
+  unpin() {
+    this._pinnedIndex = null;
+    document.getElementById(this._contentId)?.classList.remove('pinned');
+  }
+
+  /**
+   * Get the pinned building index
+   * @returns {number|null}
+   */
+  getPinnedIndex() {
+    return this._pinnedIndex;
+  }
+
   /**
    * Clean up event subscriptions
    */
@@ -123,7 +238,7 @@ export class BuildingInfoController {
     if (def.isProcessor && def.recipe && this._processorService) {
       this._renderProcessorInfo(building, def, index);
     } else {
-      this._renderContinuousProductionInfo(building, def);
+      this._renderContinuousProductionInfo(building, def, index);
     }
   }
 
@@ -131,13 +246,14 @@ export class BuildingInfoController {
    * Render info for continuous production buildings
    * @private
    */
-  _renderContinuousProductionInfo(building, def) {
+  _renderContinuousProductionInfo(building, def, index) {
     const mult = this._productionService.getProductionMultiplier(building);
     let prodHTML = '';
 
-    // Status
-    this._updateElement('info-status', 'Active');
-    this._setElementClass('info-status', 'info-stat-value positive');
+    // Status (homes go quiet when their upkeep runs out)
+    const supplied = !this._populationService || this._populationService.isHomeSupplied(index);
+    this._updateElement('info-status', supplied ? 'Active' : 'Unhappy - upkeep not paid');
+    this._setElementClass('info-status', `info-stat-value ${supplied ? 'positive' : 'negative'}`);
 
     // Production outputs
     if (def.production && Object.keys(def.production).length > 0) {
@@ -151,9 +267,10 @@ export class BuildingInfoController {
       });
     }
 
-    // Consumption
-    if (def.consumes) {
-      Object.entries(def.consumes).forEach(([res, amt]) => {
+    // Consumption (scaled by staffing)
+    const consumes = this._productionService.getConsumption(building);
+    if (consumes) {
+      Object.entries(consumes).forEach(([res, amt]) => {
         const icon = this._getResourceIcon(res, 16);
         const displayName = res.charAt(0).toUpperCase() + res.slice(1);
         prodHTML += `<div class="info-stat-row">
@@ -163,6 +280,11 @@ export class BuildingInfoController {
       });
     }
 
+    prodHTML += this._renderHousing(def, supplied);
+    prodHTML += this._renderStaffing(def, index);
+    prodHTML += this._renderTerrainBonus(building);
+    prodHTML += this._renderSynergies(building);
+
     // Storage bonus
     if (def.storageBonus) {
       const bonus = def.storageBonus * mult;
@@ -184,8 +306,8 @@ export class BuildingInfoController {
    */
   _renderProcessorInfo(building, def, index) {
     const state = this._processorService.getProcessorState(index);
-    const recipe = def.recipe;
-    const mult = this._getProcessorMultiplier(building, def);
+    const recipe = this._processorService.getRecipe(building);
+    const mult = this._processorService.getProductionMultiplier(building);
     const cycleTimeSeconds = recipe.cycleTime / 1000 / mult;
 
     let prodHTML = '';
@@ -198,6 +320,12 @@ export class BuildingInfoController {
     this._updateElement('info-status', statusText);
     this._setElementClass('info-status', statusClass);
 
+    prodHTML += this._renderRecipePicker(building, def, recipe);
+    prodHTML += this._renderPriorityPicker(index);
+    if (this._pinnedIndex === null) {
+      prodHTML += '<div class="processor-controls-hint">Right-click the building to pin it here</div>';
+    }
+
     // Recipe inputs
     prodHTML += '<div class="info-section-title">Inputs (per cycle)</div>';
     Object.entries(recipe.inputs).forEach(([res, amt]) => {
@@ -226,6 +354,12 @@ export class BuildingInfoController {
       <span class="info-stat-value">${cycleTimeSeconds.toFixed(1)}s</span>
     </div>`;
 
+    prodHTML += this._renderInputBuffer(index, recipe);
+    prodHTML += this._renderStaffing(def, index);
+    prodHTML += this._renderTerrainBonus(building);
+    prodHTML += this._renderSynergies(building);
+    prodHTML += this._renderConnectivity(building);
+
     // Progress bar
     const progress = Math.floor(state.progress * 100);
     prodHTML += `<div class="processor-progress">
@@ -273,20 +407,164 @@ export class BuildingInfoController {
   }
 
   /**
-   * Get processor multiplier from building upgrades
+   * Render a button per recipe for processors that have more than one
+   * Recipes still waiting on research are shown locked.
+   * @private
+   */
+  _renderRecipePicker(building, def, selected) {
+    if (!def.altRecipes?.length) return '';
+
+    const available = this._processorService.getRecipes(building);
+    const buttons = [def.recipe, ...def.altRecipes].map(recipe => {
+      const unlocked = available.includes(recipe);
+      const classes = ['recipe-option'];
+      if (recipe === selected) classes.push('selected');
+      if (!unlocked) classes.push('locked');
+
+      return `<button class="${classes.join(' ')}" data-action="select-recipe" data-recipe-id="${recipe.id || ''}"
+        title="${unlocked ? '' : `Requires research: ${this._getRecipeResearchName(recipe)}`}"${unlocked ? '' : ' disabled'}>
+        <span class="recipe-option-name">${unlocked ? '' : '🔒 '}${recipe.name || 'Standard'}</span>
+        <span class="recipe-option-io">${this._formatCost(recipe.inputs)} → ${this._formatCost(recipe.outputs)}</span>
+      </button>`;
+    }).join('');
+
+    return `<div class="info-section-title">📜 Recipe</div>
+      <div class="recipe-picker">${buttons}</div>`;
+  }
+
+  /**
+   * Render the input priority buttons of a processor
+   * @private
+   */
+  _renderPriorityPicker(index) {
+    const current = this._processorService.getPriority(index);
+    const buttons = PROCESSOR_PRIORITIES.map(priority => `<button
+      class="priority-option${priority === current ? ' selected' : ''}"
+      data-action="set-priority" data-priority="${priority}">${priority.charAt(0).toUpperCase() + priority.slice(1)}</button>`
+    ).join('');
+
+    return `<div class="info-section-title" title="Higher priority processors get scarce inputs first">⚖️ Input Priority</div>
+      <div class="priority-picker">${buttons}</div>`;
+  }
+
+  /**
+   * Render the delivered inputs of a processor, or those it set aside from storage
+   * Empty unless logistics mode is on or some are set aside.
+   * @private
+   */
+  _renderInputBuffer(index, recipe) {
+    const hauled = this._logisticsService?.isEnabled() === true;
+    const buffer = this._processorService.getInputBuffer(index);
+    if (!hauled && Object.keys(buffer).length === 0) return '';
+
+    let html = `<div class="info-section-title">${hauled ? 'Delivered' : 'Set aside'}</div>`;
+    Object.entries(recipe.inputs).forEach(([res, amt]) => {
+      const icon = this._getResourceIcon(res, 16);
+      const displayName = res.charAt(0).toUpperCase() + res.slice(1);
+      const have = buffer[res] || 0;
+      html += `<div class="info-stat-row">
+        <span class="info-stat-label">${icon} ${displayName}</span>
+        <span class="info-stat-value ${have >= amt ? 'positive' : 'negative'}">${have}</span>
+      </div>`;
+    });
+    return html;
+  }
+
+  /**
+   * Render the room and upkeep of a home (empty for buildings nobody lives in)
+   * @private
+   */
+  _renderHousing(def, supplied) {
+    if (!def.housing) return '';
+
+    let html = `<div class="info-stat-row">
+      <span class="info-stat-label">👥 Houses</span>
+      <span class="info-stat-value ${supplied ? 'positive' : 'negative'}">${supplied ? def.housing : 0} / ${def.housing}</span>
+    </div>`;
+    Object.entries(def.upkeep || {}).forEach(([res, amt]) => {
+      const icon = this._getResourceIcon(res, 16);
+      const displayName = res.charAt(0).toUpperCase() + res.slice(1);
+      html += `<div class="info-stat-row">
+        <span class="info-stat-label">${icon} ${displayName}</span>
+        <span class="info-stat-value negative">-${amt}/s</span>
+      </div>`;
+    });
+    return html;
+  }
+
+  /**
+   * Render the workers row for a workplace (empty for buildings without jobs)
+   * @private
+   */
+  _renderStaffing(def, index) {
+    if (!this._populationService || !def.workers) return '';
+
+    const filled = this._populationService.getWorkers(index).length;
+    const { job, slots } = def.workers;
+    return `<div class="info-stat-row">
+      <span class="info-stat-label">${this._populationService.getJobName(job)}</span>
+      <span class="info-stat-value ${filled >= slots ? 'positive' : 'negative'}">${filled}/${slots}</span>
+    </div>`;
+  }
+
+  /**
+   * Render the terrain yield bonus row (empty when terrain gives none)
+   * @private
+   */
+  _renderTerrainBonus(building) {
+    const bonus = this._terrainService ? this._terrainService.getYieldBonus(building) : 0;
+    if (bonus <= 0) return '';
+
+    return `<div class="info-stat-row">
+      <span class="info-stat-label">🌱 Terrain</span>
+      <span class="info-stat-value positive">+${Math.round(bonus * 100)}%</span>
+    </div>`;
+  }
+
+  /**
+   * Render a row per synergy bonus the building gets from its neighbours
+   * @private
+   */
+  _renderSynergies(building) {
+    if (!this._researchService) return '';
+
+    return this._researchService.getSynergies(building).map(synergy => `<div class="info-stat-row">
+      <span class="info-stat-label">🤝 ${synergy.name}</span>
+      <span class="info-stat-value positive">+${Math.round(synergy.bonus * 100)}%</span>
+    </div>`).join('');
+  }
+
+  /**
+   * Render the road connectivity row for a processor
    * @private
    */
-  _getProcessorMultiplier(building, def) {
-    if (building.level > 0 && def.upgrades && def.upgrades[building.level - 1]) {
-      return def.upgrades[building.level - 1].mult;
+  _renderConnectivity(building) {
+    if (!this._roadService) return '';
+
+    if (this._roadService.isConnected(building)) {
+      return `<div class="info-stat-row">
+      <span class="info-stat-label">🛣️ Road</span>
+      <span class="info-stat-value positive">Connected to storage</span>
+    </div>`;
     }
-    return 1;
+
+    const penalty = Math.round((1 - ROAD_CONFIG.disconnectedMultiplier) * 100);
+    const reason = this._roadService.hasRoadAccess(building) ? 'Road doesn\'t reach storage' : 'No road access';
+    return `<div class="info-stat-row">
+      <span class="info-stat-label">🛣️ ${reason}</span>
+      <span class="info-stat-value negative">-${penalty}%</span>
+    </div>`;
   }
 
   /**
-   * Hide building info (show empty message)
+   * Hide building info (show empty message, or the pinned building)
    */
   hide() {
+    if (this._pinnedIndex !== null) {
+      this.show(this._pinnedIndex);
+      return;
+    }
+
     this._hoveredIndex = null;
 
     const emptyEl = document.getElementById(this._emptyId);
@@ -304,6 +582,61 @@ export class BuildingInfoController {
     return this._hoveredIndex;
   }
 
+  /**
+   * Pick a processor's recipe or priority from the panel's buttons (event delegation)
+   * @private
+   */
+  _setupProcessorListeners() {
+    const list = document.getElementById('info-production-list');
+    if (!list) return;
+
+    list.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button || this._hoveredIndex === null) return;
+
+      let result;
+      switch (button.dataset.action) {
+        case 'select-recipe':
+          result = this._processorService.setRecipe(this._hoveredIndex, button.dataset.recipeId || null);
+          break;
+        case 'set-priority':
+          result = this._processorService.setPriority(this._hoveredIndex, button.dataset.priority);
+          break;
+        default:
+          return;
+      }
+      if (!result.success) {
+        this._eventBus.publish(Events.NOTIFICATION, { message: result.error, type: 'error' });
+      }
+    });
+  }
+
+  /**
+   * Drop the pin with its building, or follow it down an index
+   * @param {Object} data - BUILDING_REMOVED event data with index
+   * @private
+   */
+  _onBuildingRemoved(data) {
+    const { index } = data;
+    if (index === undefined || this._pinnedIndex === null) return;
+
+    if (this._pinnedIndex === index) {
+      this.unpin();
+      this.hide();
+    } else if (this._pinnedIndex > index) {
+      this._pinnedIndex--;
+    }
+  }
+
+  /**
+   * Get the name of the research that unlocks a recipe
+   * @private
+   */
+  _getRecipeResearchName(recipe) {
+    const researchId = getResearchForRecipe(recipe.id);
+    return getResearchDef(researchId)?.name || researchId;
+  }
+
   /**
    * Update element text content
    * @param {string} id - Element ID
@@ -0,0 +1,237 @@
+/**
+ * ContractPanelController
+ * Shows the visiting merchant's contract offer and the Contracts tab -
+ * reputation, delivery progress and time left on accepted contracts
+ * Subscribes to contract and merchant events
+ */
+
+import { Events } from '../core/EventBus.js';
+import { CONTRACT_CONFIG, RESOURCES } from '../config/index.js';
+
+export class ContractPanelController {
+  /**
+   * @param {import('../services/ContractService.js').ContractService} contractService
+   * @param {import('../services/MerchantService.js').MerchantService} merchantService
+   * @param {import('../core/EventBus.js').EventBus} eventBus
+   */
+  constructor(contractService, merchantService, eventBus) {
+    this._contractService = contractService;
+    this._merchantService = merchantService;
+    this._eventBus = eventBus;
+
+    this._offerId = 'merchant-contract';
+    this._summaryId = 'contracts-summary';
+    this._listId = 'contracts-list';
+    this._unsubscribers = [];
+  }
+
+  /**
+   * Initialize the controller and subscribe to events
+   */
+  initialize() {
+    [
+      Events.CONTRACTS_CHANGED,
+      Events.MERCHANT_REPUTATION_CHANGED,
+      Events.MERCHANT_ARRIVED,
+      Events.STATE_LOADED,
+      Events.GAME_RESET
+    ].forEach(event => {
+      this._unsubscribers.push(this._eventBus.subscribe(event, () => this.update()));
+    });
+
+    // Progress and countdowns
+    this._unsubscribers.push(
+      this._eventBus.subscribe(Events.TICK, () => this._updateList())
+    );
+
+    this._subscribeNotifications();
+
+    // Initial render
+    this.update();
+
+    // Wire up the accept button
+    this._setupListeners();
+  }
+
+  /**
+   * Clean up event subscriptions
+   */
+  destroy() {
+    this._unsubscribers.forEach(unsub => unsub());
+    this._unsubscribers = [];
+  }
+
+  /**
+   * Update the offer and the Contracts tab
+   */
+  update() {
+    this._updateOffer();
+    this._updateSummary();
+    this._updateList();
+  }
+
+  /**
+   * Accept the contract on offer
+   */
+  accept() {
+    const result = this._contractService.acceptOffer();
+    if (!result.success) {
+      this._eventBus.publish(Events.NOTIFICATION, { message: result.error, type: 'error' });
+    }
+  }
+
+  /**
+   * Render the offer card in the merchant panel
+   * @private
+   */
+  _updateOffer() {
+    const container = document.getElementById(this._offerId);
+    if (!container) return;
+
+    const offer = this._contractService.getOffer();
+    if (!offer) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const full = this._contractService.getActiveContracts().length >= CONTRACT_CONFIG.maxActive;
+    container.innerHTML = `
+      <div class="merchant-contract-title">📜 Contract offer</div>
+      <div class="merchant-contract-terms">
+        <span>Deliver ${offer.amount} ${this._formatResource(offer.resource)} within ${this._formatDuration(offer.duration / 1000)}</span>
+        <span class="merchant-contract-reward">${this._formatReward(offer)}</span>
+      </div>
+      <button data-action="accept" ${full ? 'disabled' : ''} title="${full ? `You can only hold ${CONTRACT_CONFIG.maxActive} contracts at once` : 'Goods are delivered as soon as you have them'}">Accept</button>
+    `;
+  }
+
+  /**
+   * Render reputation and the contract record
+   * @private
+   */
+  _updateSummary() {
+    const summary = document.getElementById(this._summaryId);
+    if (!summary) return;
+
+    const reputation = this._merchantService.getReputation();
+    const pricePercent = this._merchantService.getReputationPricePercent();
+    const { completed, failed } = this._contractService.getStats();
+    const standing = pricePercent > 0
+      ? `${reputation} · merchants pay ${pricePercent}% less`
+      : 'Spotless';
+
+    summary.innerHTML = `
+      <div class="contracts-stat"><span>⭐ Reputation</span><span class="${pricePercent > 0 ? 'bad' : ''}">${standing}</span></div>
+      <div class="contracts-stat"><span>📦 Delivered / failed</span><span>${completed} / ${failed}</span></div>
+    `;
+  }
+
+  /**
+   * Render accepted contracts with their progress and time left
+   * @private
+   */
+  _updateList() {
+    const list = document.getElementById(this._listId);
+    if (!list) return;
+
+    const contracts = this._contractService.getActiveContracts();
+    if (contracts.length === 0) {
+      list.innerHTML = '<div class="contracts-empty">No contracts yet - visiting merchants offer them</div>';
+      return;
+    }
+
+    list.innerHTML = contracts.map(contract => {
+      const { have, amount, percent } = this._contractService.getProgress(contract);
+      const remaining = this._contractService.getRemainingTime(contract);
+      return `
+        <div class="contract-row">
+          <div class="contract-header">
+            <span>${this._formatResource(contract.resource)}</span>
+            <span class="contract-time ${remaining <= 60 ? 'urgent' : ''}">⏳ ${this._formatDuration(remaining)}</span>
+          </div>
+          <div class="contract-progress"><div class="contract-progress-fill" style="width: ${percent}%"></div></div>
+          <div class="contract-footer">
+            <span>${have}/${amount}</span>
+            <span>${this._formatReward(contract)}</span>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Notify when contracts are offered, delivered or missed
+   * @private
+   */
+  _subscribeNotifications() {
+    this._unsubscribers.push(
+      this._eventBus.subscribe(Events.CONTRACT_OFFERED, ({ offer, merchant, name }) => {
+        this._eventBus.publish(Events.NOTIFICATION, {
+          message: `📜 The ${merchant} offers a contract: ${offer.amount} ${name} for ${offer.gold} gold`,
+          type: 'merchant'
+        });
+      })
+    );
+    this._unsubscribers.push(
+      this._eventBus.subscribe(Events.CONTRACT_COMPLETED, ({ contract, name }) => {
+        this._eventBus.publish(Events.NOTIFICATION, {
+          message: `📦 Contract delivered: ${contract.amount} ${name} - ${this._formatReward(contract)}`,
+          type: 'success'
+        });
+      })
+    );
+    this._unsubscribers.push(
+      this._eventBus.subscribe(Events.CONTRACT_FAILED, ({ contract, name, pricePercent }) => {
+        this._eventBus.publish(Events.NOTIFICATION, {
+          message: `Contract missed: ${contract.amount} ${name}. Merchants now pay ${pricePercent}% less`,
+          type: 'error'
+        });
+      })
+    );
+  }
+
+  /**
+   * Set up click listener for the accept button
+   * @private
+   */
+  _setupListeners() {
+    const container = document.getElementById(this._offerId);
+    if (!container) return;
+
+    // Use event delegation
+    container.onclick = (e) => {
+      const button = e.target.closest('button[data-action="accept"]');
+      if (!button || button.disabled) return;
+      this.accept();
+    };
+  }
+
+  /**
+   * @param {{gold: number, researchDiscountPercent: number}} terms
+   * @returns {string}
+   * @private
+   */
+  _formatReward({ gold, researchDiscountPercent }) {
+    const discount = researchDiscountPercent > 0 ? ` + ${researchDiscountPercent}% off next research` : '';
+    return `${gold} ${RESOURCES.gold.emoji}${discount}`;
+  }
+
+  /**
+   * @private
+   */
+  _formatResource(resource) {
+    const def = RESOURCES[resource];
+    return def ? `${def.emoji} ${def.name}` : resource;
+  }
+
+  /**
+   * @param {number} seconds
+   * @returns {string} e.g. "9m 05s"
+   * @private
+   */
+  _formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const secs = String(Math.floor(seconds % 60)).padStart(2, '0');
+    return minutes > 0 ? `${minutes}m ${secs}s` : `${secs}s`;
+  }
+}
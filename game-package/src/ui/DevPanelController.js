@@ -1,10 +1,11 @@
 /**
  * DevPanelController
- * Handles the developer/playtest panel with save/load controls,
+ * Handles the developer/playtest panel with the save slot browser,
  * speed controls, and resource spawning
  */
 
 import { Events } from '../core/EventBus.js';
+import { getBuildingDef } from '../config/index.js';
 
 /** Speed presets with labels */
 const SPEED_PRESETS = [
@@ -15,6 +16,10 @@ const SPEED_PRESETS = [
   { label: '10x', tickMs: 100, stipendMs: 200 }
 ];
 
+/** Thumbnail colors for tiles without a building / unknown building types */
+const THUMBNAIL_EMPTY_COLOR = '#4E6B34';
+const THUMBNAIL_FALLBACK_COLOR = '#999';
+
 /** Resource spawn amounts */
 const SPAWN_AMOUNTS = {
   gold: 100,
@@ -84,11 +89,19 @@ export class DevPanelController {
     // Setup speed buttons
     this._renderSpeedButtons();
 
-    // Update save status
+    // Update save status, slot list and map seed
     this._updateSaveStatus();
+    this._renderSlots();
+    this._updateMapSeed();
 
-    // Subscribe to save events to update status
+    // Subscribe to save events to update status and slot metadata
     this._eventBus.subscribe(Events.STATE_SAVED, () => this._updateSaveStatus());
+    this._eventBus.subscribe(Events.SAVE_SLOTS_CHANGED, () => {
+      this._updateSaveStatus();
+      this._renderSlots();
+    });
+    this._eventBus.subscribe(Events.MAP_GENERATED, () => this._updateMapSeed());
+    this._eventBus.subscribe(Events.STATE_LOADED, () => this._updateMapSeed());
 
     console.log('[DevPanel] Initialized in dev mode');
   }
@@ -111,12 +124,32 @@ export class DevPanelController {
   }
 
   /**
-   * Load saved game
+   * Save the current game into a new slot (prompts for a name)
+   */
+  createSlot() {
+    const name = prompt('Name for the new save slot:', '');
+    if (name === null) return;
+
+    const result = this._saveLoadService.createSlot(name.trim() || undefined);
+    if (result.success) {
+      this._notify('Saved to new slot!', 'success');
+    } else {
+      this._notify('Create slot failed: ' + result.error, 'error');
+    }
+  }
+
+  /**
+   * Load a slot, replacing the current game
+   * @param {string} slotId
    */
-  loadSave() {
-    const result = this._saveLoadService.load();
+  loadSlot(slotId) {
+    const slot = this._saveLoadService.getSlot(slotId);
+    if (!slot) return;
+    if (!confirm(`Load "${slot.name}"? Unsaved progress in the current game will be lost.`)) return;
+
+    const result = this._saveLoadService.loadSlot(slotId);
     if (result.success) {
-      this._notify('Game loaded!', 'success');
+      this._notify(`Loaded "${slot.name}"!`, 'success');
       // Trigger UI refresh
       this._eventBus.publish(Events.UI_UPDATE_REQUESTED);
     } else {
@@ -125,31 +158,111 @@ export class DevPanelController {
   }
 
   /**
-   * Clear saved game and reload for fresh start
+   * Rename a slot (prompts for the new name)
+   * @param {string} slotId
+   */
+  renameSlot(slotId) {
+    const slot = this._saveLoadService.getSlot(slotId);
+    if (!slot) return;
+
+    const name = prompt('Rename save slot:', slot.name);
+    if (name === null) return;
+
+    const result = this._saveLoadService.renameSlot(slotId, name);
+    if (!result.success) {
+      this._notify('Rename failed: ' + result.error, 'error');
+    }
+  }
+
+  /**
+   * Copy a slot into a new slot
+   * @param {string} slotId
+   */
+  duplicateSlot(slotId) {
+    const result = this._saveLoadService.duplicateSlot(slotId);
+    if (result.success) {
+      this._notify('Slot duplicated!', 'success');
+    } else {
+      this._notify('Duplicate failed: ' + result.error, 'error');
+    }
+  }
+
+  /**
+   * Delete a slot
+   * @param {string} slotId
    */
-  clearSave() {
-    if (confirm('Are you sure you want to clear your saved game? The page will reload.')) {
-      // Disable autosave to prevent beforeunload from re-saving current state
-      this._saveLoadService.setAutosaveEnabled(false);
-      this._saveLoadService.clearSave();
-      // Reload page to start fresh with default state
-      window.location.reload();
+  deleteSlot(slotId) {
+    const slot = this._saveLoadService.getSlot(slotId);
+    if (!slot) return;
+    if (!confirm(`Delete "${slot.name}"? This cannot be undone.`)) return;
+
+    const result = this._saveLoadService.deleteSlot(slotId);
+    if (result.success) {
+      this._notify(`Deleted "${slot.name}"`, 'info');
+    } else {
+      this._notify('Delete failed: ' + result.error, 'error');
     }
   }
 
   /**
-   * Export save to clipboard
+   * Save the current game to its slot and reload into a fresh game
+   * (the fresh game saves into a new slot). Asks for a map seed so
+   * shared maps can be replayed; a blank seed gives a random map.
+   */
+  newGame() {
+    const seed = prompt('Start a new game? The current game stays in its save slot. The page will reload.\n\nMap seed (leave blank for a random map):', '');
+    if (seed === null) return;
+
+    const mapSeed = seed.trim();
+    if (mapSeed !== '' && !/^\d+$/.test(mapSeed)) {
+      this._notify('Map seed must be a whole number', 'error');
+      return;
+    }
+
+    this._saveLoadService.save();
+    this._saveLoadService.clearActiveSlot();
+    // Disable autosave to prevent beforeunload from re-saving current state
+    this._saveLoadService.setAutosaveEnabled(false);
+
+    // Reload page to start fresh - main.js reads the seed from ?map=
+    const url = new URL(window.location.href);
+    if (mapSeed) {
+      url.searchParams.set('map', mapSeed);
+    } else {
+      url.searchParams.delete('map');
+    }
+    window.location.assign(url.toString());
+  }
+
+  /**
+   * Copy the current map seed to the clipboard
+   */
+  async copyMapSeed() {
+    const seed = String(this._gameState.getMapSeed());
+    try {
+      await navigator.clipboard.writeText(seed);
+      this._notify(`Map seed ${seed} copied!`, 'success');
+    } catch (e) {
+      this._notify(`Map seed: ${seed}`, 'info');
+    }
+  }
+
+  /**
+   * Export save to clipboard (compressed unless the Compress box is unchecked)
    */
   async exportSave() {
-    const json = this._saveLoadService.exportSaveJSON();
+    const compressBox = document.getElementById('dev-compress-export');
+    const text = compressBox && !compressBox.checked
+      ? this._saveLoadService.exportSaveJSON()
+      : await this._saveLoadService.exportSaveCompressed();
     try {
-      await navigator.clipboard.writeText(json);
+      await navigator.clipboard.writeText(text);
       this._notify('Save copied to clipboard!', 'success');
     } catch (e) {
       // Fallback: show in textarea
       const textarea = document.getElementById('dev-import-textarea');
       if (textarea) {
-        textarea.value = json;
+        textarea.value = text;
         textarea.select();
         this._notify('Save shown in textarea - copy manually', 'info');
       }
@@ -157,16 +270,16 @@ export class DevPanelController {
   }
 
   /**
-   * Import save from textarea
+   * Import save from textarea (compressed or plain JSON)
    */
-  importSave() {
+  async importSave() {
     const textarea = document.getElementById('dev-import-textarea');
     if (!textarea || !textarea.value.trim()) {
-      this._notify('Paste save JSON into textarea first', 'error');
+      this._notify('Paste save into textarea first', 'error');
       return;
     }
 
-    const result = this._saveLoadService.importSaveJSON(textarea.value.trim());
+    const result = await this._saveLoadService.importSaveString(textarea.value);
     if (result.success) {
       this._notify('Save imported!', 'success');
       textarea.value = '';
@@ -174,9 +287,37 @@ export class DevPanelController {
       this._eventBus.publish(Events.UI_UPDATE_REQUESTED);
     } else {
       this._notify('Import failed: ' + result.error, 'error');
+      if (result.errors) {
+        console.warn('[DevPanel] Save validation errors:\n' + result.errors.join('\n'));
+      }
     }
   }
 
+  /**
+   * Show what importing the textarea's save would migrate, without importing it
+   */
+  async previewImport() {
+    const textarea = document.getElementById('dev-import-textarea');
+    const reportEl = document.getElementById('dev-migration-report');
+    if (!textarea || !reportEl) return;
+    if (!textarea.value.trim()) {
+      this._notify('Paste save into textarea first', 'error');
+      return;
+    }
+
+    let json;
+    try {
+      json = await this._saveLoadService.decodeSaveString(textarea.value);
+    } catch (e) {
+      reportEl.textContent = 'Compressed save is damaged or incomplete';
+      reportEl.style.display = 'block';
+      return;
+    }
+
+    reportEl.textContent = this._saveLoadService.previewMigration(json).text;
+    reportEl.style.display = 'block';
+  }
+
   /**
    * Update save status display
    * @private
@@ -188,7 +329,7 @@ export class DevPanelController {
     const info = this._saveLoadService.getSaveInfo();
     if (info.exists) {
       const time = new Date(info.timestamp).toLocaleTimeString();
-      statusEl.textContent = `Last save: ${time}`;
+      statusEl.textContent = `${info.name}: ${time}`;
       statusEl.className = 'dev-status has-save';
     } else {
       statusEl.textContent = 'No save data';
@@ -196,6 +337,110 @@ export class DevPanelController {
     }
   }
 
+  /**
+   * Update map seed display
+   * @private
+   */
+  _updateMapSeed() {
+    const seedEl = document.getElementById('dev-map-seed');
+    if (seedEl) {
+      seedEl.textContent = this._gameState.getMapSeed();
+    }
+  }
+
+  /**
+   * Render the slot browser
+   * @private
+   */
+  _renderSlots() {
+    const listEl = document.getElementById('dev-slot-list');
+    if (!listEl) return;
+
+    const slots = this._saveLoadService.getSlots();
+    const activeSlotId = this._saveLoadService.getActiveSlotId();
+
+    if (slots.length === 0) {
+      listEl.innerHTML = '<div class="dev-slot-empty">No save slots yet</div>';
+      return;
+    }
+
+    listEl.innerHTML = slots.map(slot => `
+      <div class="dev-slot ${slot.id === activeSlotId ? 'active' : ''}">
+        <canvas class="dev-slot-thumb" width="40" height="40" data-slot-id="${slot.id}"></canvas>
+        <div class="dev-slot-info">
+          <div class="dev-slot-name">${this._escapeHtml(slot.name)}</div>
+          <div class="dev-slot-meta">⏱ ${this._formatDuration(slot.playTime)} · 💰 ${this._resourceService.formatNumber(slot.gold)}</div>
+          <div class="dev-slot-meta">🏠 ${slot.buildingCount} · 🔬 ${slot.researchCompleted}</div>
+          <div class="dev-slot-actions">
+            <button class="dev-slot-btn" title="Load" onclick="window.devLoadSlot('${slot.id}')">📂</button>
+            <button class="dev-slot-btn" title="Rename" onclick="window.devRenameSlot('${slot.id}')">✏️</button>
+            <button class="dev-slot-btn" title="Duplicate" onclick="window.devDuplicateSlot('${slot.id}')">📄</button>
+            <button class="dev-slot-btn danger" title="Delete" onclick="window.devDeleteSlot('${slot.id}')">🗑️</button>
+          </div>
+        </div>
+      </div>
+    `).join('');
+
+    listEl.querySelectorAll('.dev-slot-thumb').forEach(canvas => {
+      const slot = slots.find(s => s.id === canvas.dataset.slotId);
+      this._drawThumbnail(canvas, slot.thumbnail);
+    });
+  }
+
+  /**
+   * Draw a save thumbnail (building grid minimap) onto a canvas
+   * @param {HTMLCanvasElement} canvas
+   * @param {import('../services/SaveLoadService.js').SaveThumbnail|null} thumbnail
+   * @private
+   */
+  _drawThumbnail(canvas, thumbnail) {
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = THUMBNAIL_EMPTY_COLOR;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!thumbnail) return;
+
+    const { rows, cols, tiles, types } = thumbnail;
+    const tileW = canvas.width / cols;
+    const tileH = canvas.height / rows;
+
+    for (let i = 0; i < tiles.length; i++) {
+      if (tiles[i] === '.') continue;
+
+      const type = types[parseInt(tiles[i], 36)];
+      ctx.fillStyle = getBuildingDef(type)?.mapColor || THUMBNAIL_FALLBACK_COLOR;
+      ctx.fillRect((i % cols) * tileW, Math.floor(i / cols) * tileH, Math.ceil(tileW), Math.ceil(tileH));
+    }
+  }
+
+  /**
+   * Format a play time for display
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} e.g. "2h 15m", "4m 30s"
+   * @private
+   */
+  _formatDuration(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${seconds}s`;
+    return `${seconds}s`;
+  }
+
+  /**
+   * Escape player-entered text for innerHTML
+   * @private
+   */
+  _escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   // ==========================================
   // SPEED CONTROLS
   // ==========================================
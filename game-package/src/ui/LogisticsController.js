@@ -0,0 +1,65 @@
+/**
+ * LogisticsController
+ * Toggle button for logistics mode (villagers haul processor inputs)
+ */
+
+import { Events } from '../core/EventBus.js';
+
+export class LogisticsController {
+  /**
+   * @param {import('../services/LogisticsService.js').LogisticsService} logisticsService
+   * @param {import('../core/EventBus.js').EventBus} eventBus
+   */
+  constructor(logisticsService, eventBus) {
+    this._logisticsService = logisticsService;
+    this._eventBus = eventBus;
+
+    this._buttonId = 'logistics-btn';
+    this._unsubscribers = [];
+  }
+
+  /**
+   * Initialize the controller and subscribe to events
+   */
+  initialize() {
+    [Events.LOGISTICS_TOGGLED, Events.STATE_LOADED, Events.GAME_RESET].forEach(event => {
+      this._unsubscribers.push(this._eventBus.subscribe(event, () => this.update()));
+    });
+
+    // Initial render
+    this.update();
+  }
+
+  /**
+   * Clean up event subscriptions
+   */
+  destroy() {
+    this._unsubscribers.forEach(unsub => unsub());
+    this._unsubscribers = [];
+  }
+
+  /**
+   * Turn logistics mode on or off
+   */
+  toggle() {
+    const enabled = this._logisticsService.toggle();
+    this._eventBus.publish(Events.NOTIFICATION, {
+      message: enabled
+        ? 'Villagers now haul inputs from storage to processors'
+        : 'Processors draw inputs straight from storage',
+      type: 'info'
+    });
+  }
+
+  /**
+   * Update the toggle button
+   */
+  update() {
+    const button = document.getElementById(this._buttonId);
+    if (!button) return;
+
+    const enabled = this._logisticsService.isEnabled();
+    button.textContent = enabled ? '📦 Hauling: On' : '📦 Hauling: Off';
+    button.classList.toggle('selected', enabled);
+  }
+}
@@ -5,7 +5,7 @@
  */
 
 import { Events } from '../core/EventBus.js';
-import { RESOURCES } from '../config/index.js';
+import { RESOURCES, MARKET_CONFIG, getTradeableResources } from '../config/index.js';
 
 export class MarketPanelController {
   /**
@@ -22,7 +22,20 @@ export class MarketPanelController {
     this._contentId = 'market-trading-content';
     this._levelId = 'market-level';
     this._tradesId = 'market-trades';
+    this._modeId = 'market-mode';
+    this._rulesId = 'market-rules';
+    this._ruleFormId = 'market-rule-form';
     this._unsubscribers = [];
+
+    /** @type {'sell'|'buy'} Which side of the market the rows show */
+    this._mode = 'sell';
+
+    /**
+     * Trade waiting for confirmation - amount 'max' sells everything stocked
+     * (or buys as much as fits) at the moment it is confirmed
+     * @type {{action: 'sell'|'buy', resource: string, amount: number|'max'}|null}
+     */
+    this._pendingTrade = null;
   }
 
   /**
@@ -39,10 +52,23 @@ export class MarketPanelController {
       this._eventBus.subscribe(Events.BUILDING_UPGRADED, () => this.update())
     );
 
-    // Update when market sale occurs
+    // Update when market sale or purchase occurs
     this._unsubscribers.push(
       this._eventBus.subscribe(Events.MARKET_SALE, () => this.update())
     );
+    this._unsubscribers.push(
+      this._eventBus.subscribe(Events.MARKET_PURCHASE, () => this.update())
+    );
+
+    // Update when standing orders are added, edited or removed
+    this._unsubscribers.push(
+      this._eventBus.subscribe(Events.MARKET_RULES_CHANGED, () => this.update())
+    );
+
+    // Update when prices fall or recover
+    this._unsubscribers.push(
+      this._eventBus.subscribe(Events.MARKET_PRICES_CHANGED, () => this.update())
+    );
 
     // Update when resources change (affects available amounts)
     this._unsubscribers.push(
@@ -51,14 +77,20 @@ export class MarketPanelController {
 
     // Update on game reset
     this._unsubscribers.push(
-      this._eventBus.subscribe(Events.GAME_RESET, () => this.update())
+      this._eventBus.subscribe(Events.GAME_RESET, () => {
+        this._pendingTrade = null;
+        this.update();
+      })
     );
 
     // Initial render
     this.update();
 
-    // Wire up trade button clicks
+    // Wire up trade, mode and standing order controls
     this._setupTradeListeners();
+    this._setupModeListeners();
+    this._setupRuleForm();
+    this._setupRuleListeners();
   }
 
   /**
@@ -93,12 +125,26 @@ export class MarketPanelController {
       levelEl.textContent = this._marketService.getLevel();
     }
 
+    // Update buy/sell toggle
+    const modeEl = document.getElementById(this._modeId);
+    if (modeEl) {
+      modeEl.querySelectorAll('button[data-mode]').forEach(button => {
+        button.classList.toggle('active', button.dataset.mode === this._mode);
+      });
+    }
+
     // Update trade rows
     const tradesEl = document.getElementById(this._tradesId);
     if (tradesEl) {
       tradesEl.innerHTML = this._generateTradesHTML();
       this._setupTradeListeners();
     }
+
+    // Update standing orders - but not under the player's cursor while they type
+    const rulesEl = document.getElementById(this._rulesId);
+    if (rulesEl && !rulesEl.contains(document.activeElement)) {
+      rulesEl.innerHTML = this._generateRulesHTML();
+    }
   }
 
   /**
@@ -137,25 +183,118 @@ export class MarketPanelController {
    */
   _generateTradesHTML() {
     const tradeData = this._marketService.getTradeData();
+    const goldIcon = this._getResourceIcon('gold', 16);
 
-    return tradeData.map(({ resource, have, price }) => {
+    return tradeData.map((row) => {
+      const { resource, have, fullPrice, demand, history } = row;
       const icon = this._getResourceIcon(resource, 16);
-      const goldIcon = this._getResourceIcon('gold', 16);
       const name = this._getResourceName(resource);
+      const percent = Math.round(demand * 100);
+      const priceTitle = demand < 1 ? `${percent}% of full price (${fullPrice}) - recovering` : 'Full price';
+      const price = this._mode === 'buy' ? row.buyPrice : row.price;
       return `
         <div class="market-row">
-          <span class="market-res" title="${name}">${icon} ${have}</span>
-          <span class="market-price">${price}${goldIcon}</span>
+          <span class="market-res" title="${name}">${icon} ${Math.floor(have)}</span>
+          ${this._getSparklineHTML(history, fullPrice)}
+          <span class="market-price ${demand < 1 ? 'depressed' : ''}" title="${priceTitle}">${price}${goldIcon}</span>
           <div class="market-btns">
-            <button data-action="sell" data-resource="${resource}" data-amount="1" ${have < 1 ? 'disabled' : ''}>1</button>
-            <button data-action="sell" data-resource="${resource}" data-amount="10" ${have < 10 ? 'disabled' : ''}>10</button>
-            <button data-action="sell" data-resource="${resource}" data-amount="${have}" ${have === 0 ? 'disabled' : ''}>All</button>
+            ${this._mode === 'buy' ? this._getBuyButtonsHTML(row) : this._getSellButtonsHTML(row)}
           </div>
         </div>
+        ${this._pendingTrade?.resource === resource ? this._getConfirmHTML(goldIcon) : ''}
       `;
     }).join('');
   }
 
+  /**
+   * @param {{resource: string, have: number}} row
+   * @returns {string}
+   * @private
+   */
+  _getSellButtonsHTML({ resource, have }) {
+    return `
+      <button data-action="sell" data-resource="${resource}" data-amount="1" ${have < 1 ? 'disabled' : ''}>1</button>
+      <button data-action="sell" data-resource="${resource}" data-amount="10" ${have < 10 ? 'disabled' : ''}>10</button>
+      <button data-action="sell" data-resource="${resource}" data-amount="max" ${have <= 0 ? 'disabled' : ''}>All</button>
+    `;
+  }
+
+  /**
+   * @param {{resource: string, maxBuyable: number}} row
+   * @returns {string}
+   * @private
+   */
+  _getBuyButtonsHTML({ resource, maxBuyable }) {
+    return `
+      <button data-action="buy" data-resource="${resource}" data-amount="1" ${maxBuyable < 1 ? 'disabled' : ''}>1</button>
+      <button data-action="buy" data-resource="${resource}" data-amount="10" ${maxBuyable < 10 ? 'disabled' : ''}>10</button>
+      <button data-action="buy" data-resource="${resource}" data-amount="max" ${maxBuyable < 1 ? 'disabled' : ''}>Max</button>
+    `;
+  }
+
+  /**
+   * Draw a resource's recent prices as a small SVG line
+   * Scaled from the price floor (bottom) to the full price (top).
+   * @param {number[]} history - Prices, oldest first
+   * @param {number} fullPrice
+   * @returns {string}
+   * @private
+   */
+  _getSparklineHTML(history, fullPrice) {
+    const width = 48;
+    const height = 14;
+    const floor = fullPrice * MARKET_CONFIG.minPriceFactor;
+    const range = Math.max(1, fullPrice - floor);
+    const step = history.length > 1 ? width / (history.length - 1) : 0;
+
+    const points = history.map((price, i) => {
+      const y = height - ((Math.min(price, fullPrice) - floor) / range) * height;
+      return `${Math.round(i * step * 10) / 10},${Math.round(Math.max(0, Math.min(height, y)) * 10) / 10}`;
+    }).join(' ');
+
+    return `
+      <svg class="market-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">
+        <polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1.5" />
+      </svg>
+    `;
+  }
+
+  /**
+   * Generate the confirmation strip for the pending trade
+   * @param {string} goldIcon
+   * @returns {string}
+   * @private
+   */
+  _getConfirmHTML(goldIcon) {
+    const { action, resource } = this._pendingTrade;
+    const amount = this._resolveAmount(this._pendingTrade);
+    const quote = action === 'buy'
+      ? this._marketService.quoteBuy(resource, amount)
+      : this._marketService.quoteSale(resource, amount);
+    const icon = this._getResourceIcon(resource, 16);
+
+    if (quote.amount <= 0) {
+      return `
+        <div class="market-confirm">
+          <span>${action === 'buy' ? 'Nothing you can afford or store' : 'Nothing left to sell'}</span>
+          <button data-action="cancel">Cancel</button>
+        </div>
+      `;
+    }
+
+    const verb = action === 'buy' ? 'Buy' : 'Sell';
+    return `
+      <div class="market-confirm">
+        <span>${verb} ${Math.floor(quote.amount * 100) / 100} ${icon} for <strong>${quote.gold}${goldIcon}</strong>
+          <span class="market-confirm-after">then ${quote.priceAfter}${goldIcon} each</span></span>
+        <div class="market-btns">
+          <button data-action="confirm">${verb}</button>
+          <button data-action="cancel">Cancel</button>
+        </div>
+      </div>
+    `;
+  }
+
   /**
    * Set up click listeners for trade buttons
    * @private
@@ -166,16 +305,218 @@ export class MarketPanelController {
 
     // Use event delegation
     tradesEl.onclick = (e) => {
-      const button = e.target.closest('button[data-action="sell"]');
+      const button = e.target.closest('button[data-action]');
       if (!button || button.disabled) return;
 
-      const resource = button.dataset.resource;
-      const amount = parseInt(button.dataset.amount, 10);
+      const { action, resource } = button.dataset;
+      switch (action) {
+        case 'sell':
+        case 'buy': {
+          const amount = button.dataset.amount === 'max' ? 'max' : parseInt(button.dataset.amount, 10);
+          this.requestTrade(action, resource, amount);
+          break;
+        }
+        case 'confirm':
+          this.confirmTrade();
+          break;
+        case 'cancel':
+          this.cancelTrade();
+          break;
+      }
+    };
+  }
+
+  /**
+   * Set up click listeners for the buy/sell toggle
+   * @private
+   */
+  _setupModeListeners() {
+    const modeEl = document.getElementById(this._modeId);
+    if (!modeEl) return;
+
+    modeEl.onclick = (e) => {
+      const button = e.target.closest('button[data-mode]');
+      if (button) this.setMode(button.dataset.mode);
+    };
+  }
+
+  /**
+   * Switch the rows between selling and buying
+   * @param {'sell'|'buy'} mode
+   */
+  setMode(mode) {
+    if (mode === this._mode) return;
+    this._mode = mode;
+    this._pendingTrade = null;
+    this.update();
+  }
+
+  /**
+   * Show what a trade would pay or cost and wait for confirmation
+   * @param {'sell'|'buy'} action
+   * @param {string} resource - Resource type
+   * @param {number|'max'} amount - Amount to trade
+   */
+  requestTrade(action, resource, amount) {
+    this._pendingTrade = { action, resource, amount };
+    this.update();
+  }
+
+  /**
+   * Make the pending trade at the current prices
+   */
+  confirmTrade() {
+    if (!this._pendingTrade) return;
+
+    const trade = this._pendingTrade;
+    this._pendingTrade = null;
+    const amount = this._resolveAmount(trade);
+    if (trade.action === 'buy') {
+      this.buy(trade.resource, amount);
+    } else {
+      this.sell(trade.resource, amount);
+    }
+    this.update();
+  }
+
+  /**
+   * Drop the pending trade
+   */
+  cancelTrade() {
+    this._pendingTrade = null;
+    this.update();
+  }
 
-      this.sell(resource, amount);
+  /**
+   * @param {{action: 'sell'|'buy', resource: string, amount: number|'max'}} trade
+   * @returns {number}
+   * @private
+   */
+  _resolveAmount({ action, resource, amount }) {
+    if (amount !== 'max') return amount;
+    return action === 'buy'
+      ? this._marketService.getMaxBuyable(resource)
+      : this._marketService.getMaxSellable(resource);
+  }
+
+  // ==========================================
+  // STANDING ORDERS
+  // ==========================================
+
+  /**
+   * Generate HTML for the standing order rows
+   * @returns {string}
+   * @private
+   */
+  _generateRulesHTML() {
+    const rules = this._marketService.getRules();
+    if (rules.length === 0) {
+      return '<div class="market-rules-empty">No standing orders - add one to sell surplus automatically</div>';
+    }
+
+    const goldIcon = this._getResourceIcon('gold', 16);
+    return rules.map(rule => `
+      <div class="market-rule ${rule.enabled ? '' : 'paused'}" data-rule="${rule.id}">
+        <span class="market-rule-text" title="${this._getResourceName(rule.resource)}">
+          ${this._getResourceIcon(rule.resource, 16)} keep
+          <input type="number" min="0" step="1" value="${rule.keep}" data-action="keep" title="Amount never sold">
+          sell the rest ${MARKET_CONFIG.ruleTriggers[rule.trigger]}
+        </span>
+        <span class="market-rule-earned" title="Sold ${Math.floor(rule.sold)} in total">${Math.floor(rule.earned)}${goldIcon}</span>
+        <div class="market-btns">
+          <button data-action="toggle" title="${rule.enabled ? 'Pause' : 'Resume'}">${rule.enabled ? '⏸' : '▶'}</button>
+          <button data-action="remove" title="Remove">✕</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Fill the new-rule form's resource and trigger choices
+   * @private
+   */
+  _setupRuleForm() {
+    const form = document.getElementById(this._ruleFormId);
+    if (!form) return;
+
+    const resourceSelect = form.querySelector('#market-rule-resource');
+    const triggerSelect = form.querySelector('#market-rule-trigger');
+    if (resourceSelect) {
+      resourceSelect.innerHTML = getTradeableResources()
+        .map(r => `<option value="${r.id}">${r.emoji} ${r.name}</option>`)
+        .join('');
+    }
+    if (triggerSelect) {
+      triggerSelect.innerHTML = Object.entries(MARKET_CONFIG.ruleTriggers)
+        .map(([id, text]) => `<option value="${id}">${text}</option>`)
+        .join('');
+    }
+
+    form.onclick = (e) => {
+      if (!e.target.closest('button[data-action="add-rule"]')) return;
+      const keep = parseInt(form.querySelector('#market-rule-keep')?.value, 10);
+      this.addRule(resourceSelect?.value, triggerSelect?.value, Number.isNaN(keep) ? 0 : keep);
     };
   }
 
+  /**
+   * Set up listeners for the standing order rows
+   * @private
+   */
+  _setupRuleListeners() {
+    const rulesEl = document.getElementById(this._rulesId);
+    if (!rulesEl) return;
+
+    // Use event delegation
+    rulesEl.onclick = (e) => {
+      const button = e.target.closest('button[data-action]');
+      const row = e.target.closest('[data-rule]');
+      if (!button || !row) return;
+
+      const id = row.dataset.rule;
+      if (button.dataset.action === 'remove') {
+        this._notifyError(this._marketService.removeRule(id));
+      } else if (button.dataset.action === 'toggle') {
+        this._notifyError(this._marketService.updateRule(id, { enabled: row.classList.contains('paused') }));
+      }
+    };
+
+    rulesEl.onchange = (e) => {
+      const input = e.target.closest('input[data-action="keep"]');
+      const row = e.target.closest('[data-rule]');
+      if (!input || !row) return;
+
+      const result = this._marketService.updateRule(row.dataset.rule, { keep: parseInt(input.value, 10) });
+      input.blur();
+      this._notifyError(result);
+      if (!result.success) this.update();
+    };
+  }
+
+  /**
+   * Add a standing order
+   * @param {string} resource - Resource type
+   * @param {string} trigger - Key of MARKET_CONFIG.ruleTriggers
+   * @param {number} keep - Amount never sold
+   */
+  addRule(resource, trigger, keep) {
+    this._notifyError(this._marketService.addRule(resource, trigger, keep));
+  }
+
+  /**
+   * Show a failed rule change as an error notification
+   * @param {{success: boolean, error: string|null}} result
+   * @private
+   */
+  _notifyError(result) {
+    if (!result.success && result.error) {
+      this._eventBus.publish(Events.NOTIFICATION, {
+        message: result.error,
+        type: 'error'
+      });
+    }
+  }
+
   /**
    * Sell resources at the market
    * @param {string} resource - Resource type
@@ -197,6 +538,27 @@ export class MarketPanelController {
     }
   }
 
+  /**
+   * Buy resources at the market
+   * @param {string} resource - Resource type
+   * @param {number} amount - Amount to buy
+   */
+  buy(resource, amount) {
+    const result = this._marketService.buy(resource, amount);
+
+    if (result.success) {
+      this._eventBus.publish(Events.NOTIFICATION, {
+        message: `Bought ${result.amount} ${resource} for ${result.gold} gold!`,
+        type: 'success'
+      });
+    } else if (result.error) {
+      this._eventBus.publish(Events.NOTIFICATION, {
+        message: result.error,
+        type: 'error'
+      });
+    }
+  }
+
   /**
    * Check if market is available
    * @returns {boolean}
@@ -37,7 +37,9 @@ export class MerchantPanelController {
   open() {
     if (!this._merchantService.isActive()) return;
 
+    this.renderVisitor();
     this.renderTradeRows();
+    this.renderWares();
     const overlay = document.getElementById('merchant-overlay');
     if (overlay) {
       overlay.classList.add('visible');
@@ -133,6 +135,29 @@ export class MerchantPanelController {
     }
   }
 
+  // ==========================================
+  // VISITOR
+  // ==========================================
+
+  /**
+   * Show who is visiting in the banner and panel header
+   */
+  renderVisitor() {
+    const { name, face, banner } = this._merchantService.getArchetype();
+    const texts = {
+      'merchant-banner-avatar': banner,
+      'merchant-banner-title': name,
+      'merchant-panel-face': face,
+      'merchant-panel-title': name,
+      'merchant-dialogue': `"${this._merchantService.getGreeting()}"`
+    };
+
+    Object.entries(texts).forEach(([id, text]) => {
+      const el = document.getElementById(id);
+      if (el) el.textContent = text;
+    });
+  }
+
   // ==========================================
   // TRADE ROW RENDERING
   // ==========================================
@@ -218,14 +243,63 @@ export class MerchantPanelController {
     }).join('');
   }
 
+  /**
+   * Render the rare goods the visitor has for sale
+   */
+  renderWares() {
+    const container = document.getElementById('merchant-wares');
+    if (!container) return;
+
+    const wares = this._merchantService.getWares();
+    if (wares.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const goldIcon = this._getResourceIcon('gold', 16);
+    container.innerHTML = '<div class="merchant-wares-title">✨ Rare goods for sale</div>' +
+      wares.map(({ resource, price, stock, remaining }) => {
+        const icon = this._getResourceIcon(resource, 32);
+        const displayName = this._formatResourceName(resource);
+        const canBuy = this._merchantService.getMaxBuyable(resource);
+        return `
+          <div class="trade-row ${canBuy === 0 ? 'disabled' : ''}">
+            <div class="trade-resource">
+              <span class="trade-icon">${icon}</span>
+              <div class="trade-info">
+                <span class="trade-name">${displayName}</span>
+                <span class="trade-have">You have: ${this._gameState.getResource(resource)}</span>
+              </div>
+            </div>
+
+            <div class="trade-price">
+              <span class="price-value">${price}</span>
+              <span class="price-label">${goldIcon} each</span>
+            </div>
+
+            <div class="trade-limit">
+              <span class="limit-value">${remaining}/${stock}</span>
+              <span class="limit-label">in stock</span>
+            </div>
+
+            <div class="trade-buttons">
+              <button onclick="buyFromMerchant('${resource}', 1)" ${canBuy < 1 ? 'disabled' : ''}>Buy 1</button>
+              <button onclick="buyFromMerchant('${resource}', ${canBuy})" ${canBuy === 0 ? 'disabled' : ''}>Buy All</button>
+            </div>
+          </div>
+        `;
+      }).join('');
+  }
+
   // ==========================================
   // MERCHANT LIFECYCLE HANDLERS
   // ==========================================
 
   /**
-   * Handle merchant arrival - show banner, start countdown
+   * Handle merchant arrival - show who came, show banner, start countdown
    */
   onMerchantArrived() {
+    this.renderVisitor();
     this.showBanner();
     this.startCountdown();
   }
@@ -240,14 +314,15 @@ export class MerchantPanelController {
   }
 
   /**
-   * Handle merchant sale - re-render trade rows
+   * Handle merchant sale or purchase - re-render trade rows and wares
    */
   onSale() {
     this.renderTradeRows();
+    this.renderWares();
   }
 
   /**
-   * Handle merchant disabled (market built) - cleanup
+   * Handle merchant visits switched off - cleanup
    */
   onMerchantDisabled() {
     this.hideBanner();
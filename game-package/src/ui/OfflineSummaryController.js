@@ -0,0 +1,212 @@
+/**
+ * OfflineSummaryController
+ * Shows the "While you were away" panel after offline catch-up
+ * Renders the report produced by OfflineProgressService
+ */
+
+import { Events } from '../core/EventBus.js';
+import { RESOURCES } from '../config/resources.config.js';
+
+export class OfflineSummaryController {
+  /**
+   * @param {import('../services/OfflineProgressService.js').OfflineProgressService} offlineProgressService
+   * @param {import('../services/ResourceService.js').ResourceService} resourceService
+   * @param {import('../core/EventBus.js').EventBus} eventBus
+   */
+  constructor(offlineProgressService, resourceService, eventBus) {
+    this._offlineProgressService = offlineProgressService;
+    this._resourceService = resourceService;
+    this._eventBus = eventBus;
+
+    this._overlayId = 'offline-overlay';
+    this._unsubscribers = [];
+  }
+
+  /**
+   * Initialize the controller and show any pending report
+   * Catch-up runs during load, before UI controllers exist,
+   * so the stored report is picked up here.
+   */
+  initialize() {
+    this._unsubscribers.push(
+      this._eventBus.subscribe(Events.OFFLINE_PROGRESS, (report) => this.show(report))
+    );
+
+    const pending = this._offlineProgressService.getLastReport();
+    if (pending) {
+      this.show(pending);
+    }
+  }
+
+  /**
+   * Clean up event subscriptions
+   */
+  destroy() {
+    this._unsubscribers.forEach(unsub => unsub());
+    this._unsubscribers = [];
+  }
+
+  // ==========================================
+  // PANEL
+  // ==========================================
+
+  /**
+   * Show the summary panel for a report
+   * @param {import('../services/OfflineProgressService.js').OfflineReport} report
+   */
+  show(report) {
+    const overlay = document.getElementById(this._overlayId);
+    if (!overlay || !report) return;
+
+    const durationEl = document.getElementById('offline-duration');
+    if (durationEl) {
+      durationEl.textContent = report.truncated
+        ? `Away for ${this._formatDuration(report.elapsed)} (caught up ${this._formatDuration(report.simulated)})`
+        : `Away for ${this._formatDuration(report.elapsed)}`;
+    }
+
+    const body = document.getElementById('offline-summary-body');
+    if (body) {
+      body.innerHTML = this._renderReport(report);
+    }
+
+    overlay.classList.add('visible');
+  }
+
+  /**
+   * Close the summary panel
+   */
+  close() {
+    const overlay = document.getElementById(this._overlayId);
+    if (overlay) {
+      overlay.classList.remove('visible');
+    }
+    this._offlineProgressService.clearLastReport();
+  }
+
+  // ==========================================
+  // RENDERING
+  // ==========================================
+
+  /**
+   * Render the report body
+   * @param {import('../services/OfflineProgressService.js').OfflineReport} report
+   * @returns {string} HTML string
+   * @private
+   */
+  _renderReport(report) {
+    const sections = [
+      this._renderResourceSection('Produced', report.gained, 'gain'),
+      this._renderResourceSection('Waiting for collection', report.buffered, 'buffered'),
+      this._renderResourceSection('Used up', report.spent, 'spent'),
+      this._renderResourceSection('Lost to full storage', report.wasted, 'wasted'),
+      this._renderStalls(report.stalls),
+      this._renderExtras(report)
+    ].filter(Boolean);
+
+    if (sections.length === 0) {
+      return '<div class="offline-empty">Nothing happened while you were away. Build some production!</div>';
+    }
+
+    return sections.join('');
+  }
+
+  /**
+   * Render a section listing resource amounts
+   * @param {string} title - Section title
+   * @param {Object} amounts - Resource amounts
+   * @param {string} variant - CSS modifier for the amounts
+   * @returns {string} HTML string (empty if nothing to show)
+   * @private
+   */
+  _renderResourceSection(title, amounts, variant) {
+    const entries = Object.entries(amounts || {})
+      .filter(([, amount]) => amount >= 1)
+      .sort(([a], [b]) => (RESOURCES[a]?.order || 0) - (RESOURCES[b]?.order || 0));
+
+    if (entries.length === 0) return '';
+
+    const items = entries.map(([resource, amount]) => {
+      const def = RESOURCES[resource];
+      return `
+        <span class="offline-resource ${variant}" title="${def ? def.name : resource}">
+          ${def ? def.emoji : ''} ${this._resourceService.formatNumber(amount)}
+        </span>
+      `;
+    }).join('');
+
+    return `
+      <div class="offline-section">
+        <div class="offline-section-title">${title}</div>
+        <div class="offline-resources">${items}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the stalled buildings section
+   * @param {Array} stalls - Stall entries from the report
+   * @returns {string} HTML string (empty if nothing stalled)
+   * @private
+   */
+  _renderStalls(stalls) {
+    if (!stalls || stalls.length === 0) return '';
+
+    const rows = stalls.map(stall => `
+      <div class="offline-stall">
+        <span class="offline-stall-name">${stall.name}</span>
+        <span class="offline-stall-reason">${stall.reason}</span>
+        <span class="offline-stall-time">${this._formatDuration(stall.seconds * 1000)}</span>
+      </div>
+    `).join('');
+
+    return `
+      <div class="offline-section">
+        <div class="offline-section-title">Stalled</div>
+        ${rows}
+      </div>
+    `;
+  }
+
+  /**
+   * Render stipend and merchant notes
+   * @returns {string} HTML string (empty if nothing to note)
+   * @private
+   */
+  _renderExtras(report) {
+    const notes = [];
+    if (report.stipendGold > 0) {
+      notes.push(`👑 The King's stipend paid ${report.stipendGold} gold.`);
+    }
+    if (report.researched?.length > 0) {
+      notes.push(`📚 Your scholars finished ${report.researched.map(r => r.name).join(', ')}.`);
+    }
+    if (report.merchantVisits > 0) {
+      notes.push(`🧳 The merchant passed through ${report.merchantVisits} time${report.merchantVisits === 1 ? '' : 's'} without you.`);
+    }
+    if (notes.length === 0) return '';
+
+    return `
+      <div class="offline-section">
+        ${notes.map(note => `<div class="offline-note">${note}</div>`).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Format a duration for display
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} e.g. "2h 15m", "4m 30s"
+   * @private
+   */
+  _formatDuration(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${seconds}s`;
+    return `${seconds}s`;
+  }
+}
@@ -3,7 +3,7 @@
  * Handles building placement mode UI interactions
  */
 
-import { BUILDINGS, ASSETS, TILE_CONFIG, BUILDING_FOOTPRINT, getResearchForBuilding } from '../config/index.js';
+import { BUILDINGS, ASSETS, TILE_CONFIG, ROAD_CONFIG, getBuildingFootprint, getResearchForBuilding } from '../config/index.js';
 import { Events } from '../core/EventBus.js';
 import { RESOURCES } from '../config/resources.config.js';
 
@@ -43,8 +43,10 @@ export class PlacementController {
    * @param {Function} renderBuildingsFn - Function to re-render buildings after placement
    * @param {import('../services/ResearchService.js').ResearchService} [researchService] - Research service for unlock checks
    * @param {import('../services/CameraService.js').CameraService} [cameraService] - Camera service for pan offset
+   * @param {import('../services/CommandHistoryService.js').CommandHistoryService} [commandHistoryService] - Records
+   *   placements, moves and demolitions for undo/redo (falls back to BuildingService without history)
    */
-  constructor(buildingService, resourceService, coordinateService, eventBus, renderBuildingsFn, researchService, cameraService) {
+  constructor(buildingService, resourceService, coordinateService, eventBus, renderBuildingsFn, researchService, cameraService, commandHistoryService) {
     this._buildingService = buildingService;
     this._resourceService = resourceService;
     this._coordinateService = coordinateService;
@@ -52,6 +54,7 @@ export class PlacementController {
     this._renderBuildings = renderBuildingsFn || (() => {});
     this._researchService = researchService;
     this._cameraService = cameraService;
+    this._commandHistory = commandHistoryService || null;
 
     // Placement mode state
     this._active = false;
@@ -62,10 +65,39 @@ export class PlacementController {
     // Demolish mode state
     this._demolishMode = false;
 
+    // Move mode state - _movingIndex is the building picked up (null until one is clicked)
+    this._moveMode = false;
+    this._movingIndex = null;
+
+    // Road mode state - clicks lay or dig up roads until cancelled
+    this._roadMode = false;
+    this._roadService = null;  // Set via setRoadService()
+
+    // Population gates buildings with minPopulation
+    this._populationService = null;  // Set via setPopulationService()
+
     // Bound event handlers (for removal)
     this._boundMouseMove = this._handleMouseMove.bind(this);
     this._boundClick = this._handleClick.bind(this);
     this._boundMouseLeave = this._handleMouseLeave.bind(this);
+    this._boundKeyDown = this._handleKeyDown.bind(this);
+    this._unsubscribeHistory = null;
+  }
+
+  /**
+   * Set the road service (enables road mode)
+   * @param {import('../services/RoadService.js').RoadService} roadService
+   */
+  setRoadService(roadService) {
+    this._roadService = roadService;
+  }
+
+  /**
+   * Set the population service (locks buildings the village is too small for)
+   * @param {import('../services/PopulationService.js').PopulationService} populationService
+   */
+  setPopulationService(populationService) {
+    this._populationService = populationService;
   }
 
   /**
@@ -114,6 +146,67 @@ export class PlacementController {
     return this._demolishMode;
   }
 
+  /**
+   * Check if move mode is active
+   * @returns {boolean}
+   */
+  isMoveMode() {
+    return this._moveMode;
+  }
+
+  /**
+   * Check if road mode is active
+   * @returns {boolean}
+   */
+  isRoadMode() {
+    return this._roadMode;
+  }
+
+  /**
+   * Check if a building has been picked up and is waiting for a new spot
+   * @returns {boolean}
+   */
+  isMovingBuilding() {
+    return this._movingIndex !== null;
+  }
+
+  /**
+   * Check if the footprint preview follows the cursor (placing or moving)
+   * @returns {boolean}
+   * @private
+   */
+  _isPreviewing() {
+    return this._active || this._movingIndex !== null;
+  }
+
+  /**
+   * Get the footprint of the building being placed or moved
+   * @returns {{rows: number, cols: number}}
+   * @private
+   */
+  _getPreviewFootprint() {
+    const type = this._movingIndex !== null
+      ? this._buildingService.getBuildingByIndex(this._movingIndex)?.type
+      : this._buildingType;
+    return getBuildingFootprint(type);
+  }
+
+  /**
+   * Convert the tile under the cursor to the preview's top corner
+   * The cursor sits on the footprint's front (bottom) tile.
+   * @param {{row: number, col: number}} gridPos - Fractional grid position under the cursor
+   * @returns {{row: number, col: number}}
+   * @private
+   */
+  _cursorToOrigin(gridPos) {
+    // Roads are laid one tile at a time, right under the cursor
+    const { rows, cols } = this._roadMode ? { rows: 1, cols: 1 } : this._getPreviewFootprint();
+    return {
+      row: Math.floor(gridPos.row) - (rows - 1),
+      col: Math.floor(gridPos.col) - (cols - 1)
+    };
+  }
+
   // ==========================================
   // PLACEMENT MODE CONTROL
   // ==========================================
@@ -123,10 +216,16 @@ export class PlacementController {
    * @param {string} type - Building type to place
    */
   selectBuilding(type) {
-    // Cancel demolish mode if active
+    // Cancel demolish/move mode if active
     if (this._demolishMode) {
       this.cancelDemolish();
     }
+    if (this._moveMode) {
+      this.cancelMove();
+    }
+    if (this._roadMode) {
+      this.cancelRoad();
+    }
 
     // Clicking same building again cancels
     if (this._active && this._buildingType === type) {
@@ -177,10 +276,16 @@ export class PlacementController {
    * Enter demolish mode
    */
   enterDemolishMode() {
-    // Cancel placement mode if active
+    // Cancel placement/move mode if active
     if (this._active) {
       this.cancel();
     }
+    if (this._moveMode) {
+      this.cancelMove();
+    }
+    if (this._roadMode) {
+      this.cancelRoad();
+    }
 
     this._demolishMode = true;
     this._enableDemolishHighlights();
@@ -233,10 +338,20 @@ export class PlacementController {
       .map(([r, a]) => `${a} ${r}`)
       .join(', ');
 
-    const result = this._buildingService.removeBuildingByRef(building);
+    const index = this._buildingService.getBuildingIndex(building);
+    if (index === -1) {
+      this._notify('Building not found', 'error');
+      return;
+    }
+
+    // Demolish through the command history so an accidental demolish can be undone
+    const result = this._commandHistory
+      ? this._commandHistory.demolishBuilding(index)
+      : this._buildingService.removeBuilding(index);
 
     if (result.success) {
-      this._notify(`${buildingName} demolished! Refund: ${refundText}`, 'success');
+      const undoHint = this._commandHistory ? ' (Ctrl+Z to undo)' : '';
+      this._notify(`${buildingName} demolished! Refund: ${refundText}${undoHint}`, 'success');
       // Note: BUILDING_REMOVED event will trigger UI updates
       this.cancelDemolish();
     } else if (result.error) {
@@ -244,6 +359,252 @@ export class PlacementController {
     }
   }
 
+  // ==========================================
+  // MOVE MODE CONTROL
+  // ==========================================
+
+  /**
+   * Toggle move mode on/off
+   */
+  toggleMoveMode() {
+    if (this._moveMode) {
+      this.cancelMove();
+    } else {
+      this.enterMoveMode();
+    }
+  }
+
+  /**
+   * Enter move mode - the next building clicked is picked up
+   */
+  enterMoveMode() {
+    // Cancel placement/demolish mode if active
+    if (this._active) {
+      this.cancel();
+    }
+    if (this._demolishMode) {
+      this.cancelDemolish();
+    }
+    if (this._roadMode) {
+      this.cancelRoad();
+    }
+
+    this._moveMode = true;
+    this._movingIndex = null;
+    this.renderBuildList();
+    this._notify('Click on a building to move it', 'info');
+  }
+
+  /**
+   * Cancel move mode (the picked-up building stays where it was)
+   */
+  cancelMove() {
+    this._moveMode = false;
+    this._movingIndex = null;
+    this._hoverRow = null;
+    this._hoverCol = null;
+
+    this._clearHighlights();
+    this._clearMoveSource();
+    this._enableBuildingInteraction();
+    this.renderBuildList();
+  }
+
+  /**
+   * Pick up a building so the footprint preview follows the cursor
+   * @param {Object} building - Building to move
+   */
+  pickUpBuilding(building) {
+    if (!this._moveMode) return;
+
+    const index = this._buildingService.getBuildingIndex(building);
+    if (index === -1) {
+      this._notify('Building not found', 'error');
+      return;
+    }
+
+    this._movingIndex = index;
+    this._hoverRow = null;
+    this._hoverCol = null;
+
+    // Let clicks through to the map, as in placement mode
+    this._disableBuildingInteraction();
+    document.querySelector(`.building-slot[data-building-index="${index}"]`)?.classList.add('move-source');
+
+    const buildingName = BUILDINGS[building.type]?.name || building.type;
+    this._notify(`Click a new spot for the ${buildingName}`, 'info');
+  }
+
+  /**
+   * Drop the picked-up building at a grid position
+   * @param {number} row - Grid row
+   * @param {number} col - Grid column
+   * @returns {{success: boolean, error: string|null}}
+   */
+  dropBuildingAt(row, col) {
+    if (this._movingIndex === null) {
+      return { success: false, error: 'No building picked up' };
+    }
+
+    const building = this._buildingService.getBuildingByIndex(this._movingIndex);
+    const buildingName = BUILDINGS[building?.type]?.name || building?.type;
+
+    const result = this._commandHistory
+      ? this._commandHistory.moveBuilding(this._movingIndex, row, col)
+      : this._buildingService.moveBuilding(this._movingIndex, row, col);
+
+    if (result.success) {
+      const undoHint = this._commandHistory ? ' (Ctrl+Z to undo)' : '';
+      this._notify(`${buildingName} moved!${undoHint}`, 'success');
+      this.cancelMove();
+    } else if (result.error) {
+      this._notify(result.error, 'error');
+    }
+    return result;
+  }
+
+  /**
+   * Remove the picked-up marker from the building being moved
+   * @private
+   */
+  _clearMoveSource() {
+    document.querySelectorAll('.building-slot.move-source').forEach(slot => {
+      slot.classList.remove('move-source');
+    });
+  }
+
+  // ==========================================
+  // ROAD MODE CONTROL
+  // ==========================================
+
+  /**
+   * Toggle road mode on/off
+   */
+  toggleRoadMode() {
+    if (this._roadMode) {
+      this.cancelRoad();
+    } else {
+      this.enterRoadMode();
+    }
+  }
+
+  /**
+   * Enter road mode - each click lays a road, or digs one up
+   */
+  enterRoadMode() {
+    if (!this._roadService) return;
+
+    // Cancel placement/demolish/move mode if active
+    if (this._active) {
+      this.cancel();
+    }
+    if (this._demolishMode) {
+      this.cancelDemolish();
+    }
+    if (this._moveMode) {
+      this.cancelMove();
+    }
+
+    this._roadMode = true;
+    this._hoverRow = null;
+    this._hoverCol = null;
+
+    // Let clicks through buildings to the tiles around them
+    this._disableBuildingInteraction();
+    this.renderBuildList();
+
+    const costText = Object.entries(ROAD_CONFIG.cost)
+      .map(([r, a]) => `${a} ${r}`)
+      .join(', ');
+    this._notify(`Click tiles to lay roads (${costText} each) - click a road to dig it up`, 'info');
+  }
+
+  /**
+   * Cancel road mode
+   */
+  cancelRoad() {
+    this._roadMode = false;
+    this._hoverRow = null;
+    this._hoverCol = null;
+
+    this._clearHighlights();
+    this._enableBuildingInteraction();
+    this.renderBuildList();
+  }
+
+  /**
+   * Lay a road on a tile, or dig up the road already there
+   * @param {number} row - Grid row
+   * @param {number} col - Grid column
+   * @returns {{success: boolean, error: string|null}}
+   */
+  toggleRoadAt(row, col) {
+    if (!this._roadMode) {
+      return { success: false, error: 'Road mode is not active' };
+    }
+
+    const result = this._roadService.isRoad(row, col)
+      ? this._roadService.removeRoad(row, col)
+      : this._roadService.buildRoad(row, col);
+
+    if (result.success) {
+      this.showRoadHighlightAt(row, col);
+      this.renderBuildList();
+    } else if (result.error) {
+      this._notify(result.error, 'error');
+    }
+    return result;
+  }
+
+  // ==========================================
+  // UNDO / REDO
+  // ==========================================
+
+  /**
+   * Undo the last placement, upgrade or demolish
+   */
+  undo() {
+    if (!this._commandHistory) return;
+    const result = this._commandHistory.undo();
+    if (result.success) {
+      this._notify(`Undone: ${result.label}`, 'info');
+    } else {
+      this._notify(result.error, 'error');
+    }
+  }
+
+  /**
+   * Redo the last undone action
+   */
+  redo() {
+    if (!this._commandHistory) return;
+    const result = this._commandHistory.redo();
+    if (result.success) {
+      this._notify(`Redone: ${result.label}`, 'info');
+    } else {
+      this._notify(result.error, 'error');
+    }
+  }
+
+  /**
+   * Enable/disable the undo and redo buttons and label them with the action
+   * @private
+   */
+  _renderHistoryButtons() {
+    if (!this._commandHistory) return;
+
+    const buttons = [
+      ['undo-btn', this._commandHistory.getUndoLabel(), 'Undo', 'Ctrl+Z'],
+      ['redo-btn', this._commandHistory.getRedoLabel(), 'Redo', 'Ctrl+Shift+Z']
+    ];
+    buttons.forEach(([id, label, verb, shortcut]) => {
+      const btn = document.getElementById(id);
+      if (!btn) return;
+      btn.disabled = label === null;
+      btn.title = label ? `${verb}: ${label} (${shortcut})` : `Nothing to ${verb.toLowerCase()}`;
+    });
+  }
+
   // ==========================================
   // HIGHLIGHTING
   // ==========================================
@@ -259,22 +620,25 @@ export class PlacementController {
   }
 
   /**
-   * Show 2x2 placement highlight at the specified grid position
+   * Show the footprint placement highlight at the specified grid position
    * @param {number} row - Grid row
    * @param {number} col - Grid column
    */
   showHighlightAt(row, col) {
     this._clearHighlights();
 
-    if (!this._active) return;
+    if (!this._isPreviewing()) return;
 
     const { rows, cols } = TILE_CONFIG;
-    const isValid = this._buildingService.canPlaceAt(row, col);
+    // A building being moved doesn't block its own new spot
+    const ignoreIndex = this._movingIndex ?? -1;
+    const isValid = this._buildingService.canPlaceAt(row, col, ignoreIndex, this._buildingType);
     const highlightClass = isValid ? 'highlighted-valid' : 'highlighted-invalid';
 
-    // Highlight the 2x2 footprint by adding class to actual tile elements
-    for (let dr = 0; dr < BUILDING_FOOTPRINT; dr++) {
-      for (let dc = 0; dc < BUILDING_FOOTPRINT; dc++) {
+    // Highlight the footprint by adding class to actual tile elements
+    const footprint = this._getPreviewFootprint();
+    for (let dr = 0; dr < footprint.rows; dr++) {
+      for (let dc = 0; dc < footprint.cols; dc++) {
         const tileRow = row + dr;
         const tileCol = col + dc;
 
@@ -292,6 +656,25 @@ export class PlacementController {
     }
   }
 
+  /**
+   * Show the road mode highlight on a single tile
+   * Valid when a road can be laid there or an existing road can be dug up.
+   * @param {number} row - Grid row
+   * @param {number} col - Grid column
+   */
+  showRoadHighlightAt(row, col) {
+    this._clearHighlights();
+    if (!this._roadMode) return;
+
+    const tile = document.querySelector(`.tile[data-row="${row}"][data-col="${col}"]`);
+    if (!tile) return;
+
+    const isValid = this._roadService.isRoad(row, col) ||
+      (this._roadService.getRoadPlacementError(row, col) === null &&
+        this._resourceService.canAfford(ROAD_CONFIG.cost));
+    tile.classList.add(isValid ? 'highlighted-valid' : 'highlighted-invalid');
+  }
+
   // ==========================================
   // BUILDING INTERACTION CONTROL
   // ==========================================
@@ -327,7 +710,7 @@ export class PlacementController {
    * @private
    */
   _handleMouseMove(e) {
-    if (!this._active) return;
+    if (!this._isPreviewing() && !this._roadMode) return;
 
     const world = document.getElementById('game-world');
     const rect = world.getBoundingClientRect();
@@ -345,15 +728,18 @@ export class PlacementController {
 
     // Convert to grid coordinates
     const gridPos = this._coordinateService.screenToGrid(mouseX, mouseY);
-    // Offset so cursor is at bottom-left tile of 2x2 diamond
-    const col = Math.floor(gridPos.col) - 1;
-    const row = Math.floor(gridPos.row) - 1;
+    // Offset so cursor is at the front tile of the footprint diamond
+    const { row, col } = this._cursorToOrigin(gridPos);
 
     // Only update if position changed
     if (row !== this._hoverRow || col !== this._hoverCol) {
       this._hoverRow = row;
       this._hoverCol = col;
-      this.showHighlightAt(row, col);
+      if (this._roadMode) {
+        this.showRoadHighlightAt(row, col);
+      } else {
+        this.showHighlightAt(row, col);
+      }
     }
   }
 
@@ -363,7 +749,7 @@ export class PlacementController {
    * @private
    */
   _handleClick(e) {
-    if (!this._active) return;
+    if (!this._isPreviewing() && !this._roadMode) return;
 
     const world = document.getElementById('game-world');
     const rect = world.getBoundingClientRect();
@@ -381,13 +767,29 @@ export class PlacementController {
 
     // Convert to grid coordinates
     const gridPos = this._coordinateService.screenToGrid(mouseX, mouseY);
-    // Same offset as mouse move - cursor at bottom-left tile of 2x2
-    const col = Math.floor(gridPos.col) - 1;
-    const row = Math.floor(gridPos.row) - 1;
+    // Same offset as mouse move - cursor at the front tile of the footprint
+    const { row, col } = this._cursorToOrigin(gridPos);
 
-    // Place building through BuildingService (handles resources, state, and events)
-    // BuildingService publishes BUILDING_PLACED event which triggers UI updates via EventBus
-    const result = this._buildingService.placeBuilding(this._buildingType, row, col);
+    // Road mode - lay or dig up a road on this tile (never a building click)
+    if (this._roadMode) {
+      e.stopImmediatePropagation();
+      this.toggleRoadAt(row, col);
+      return;
+    }
+
+    // Moving a picked-up building - drop it here. Always stop propagation so
+    // BuildingHoverController doesn't treat this click as a building click.
+    if (this._movingIndex !== null) {
+      e.stopImmediatePropagation();
+      this.dropBuildingAt(row, col);
+      return;
+    }
+
+    // Place building through the command history (so it can be undone) - BuildingService
+    // handles resources and state, and publishes BUILDING_PLACED which triggers UI updates
+    const result = this._commandHistory
+      ? this._commandHistory.placeBuilding(this._buildingType, row, col)
+      : this._buildingService.placeBuilding(this._buildingType, row, col);
 
     if (result.success) {
       const buildingName = BUILDINGS[this._buildingType]?.name || this._buildingType;
@@ -403,6 +805,28 @@ export class PlacementController {
     }
   }
 
+  /**
+   * Handle Ctrl+Z (undo) and Ctrl+Shift+Z / Ctrl+Y (redo)
+   * @param {KeyboardEvent} e
+   * @private
+   */
+  _handleKeyDown(e) {
+    if (!(e.ctrlKey || e.metaKey)) return;
+
+    // Leave text fields (save names, import box) their own undo
+    const tag = e.target?.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA' || e.target?.isContentEditable) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      this.undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      this.redo();
+    }
+  }
+
   /**
    * Handle mouse leaving game world
    * @private
@@ -429,6 +853,12 @@ export class PlacementController {
     world.addEventListener('mousemove', this._boundMouseMove);
     world.addEventListener('click', this._boundClick);
     world.addEventListener('mouseleave', this._boundMouseLeave);
+
+    document.addEventListener('keydown', this._boundKeyDown);
+    this._unsubscribeHistory = this._eventBus.subscribe(Events.HISTORY_CHANGED, () => {
+      this._renderHistoryButtons();
+    });
+    this._renderHistoryButtons();
   }
 
   /**
@@ -441,6 +871,12 @@ export class PlacementController {
     world.removeEventListener('mousemove', this._boundMouseMove);
     world.removeEventListener('click', this._boundClick);
     world.removeEventListener('mouseleave', this._boundMouseLeave);
+
+    document.removeEventListener('keydown', this._boundKeyDown);
+    if (this._unsubscribeHistory) {
+      this._unsubscribeHistory();
+      this._unsubscribeHistory = null;
+    }
   }
 
   // ==========================================
@@ -530,7 +966,10 @@ export class PlacementController {
         ? this._researchService.isBuildingUnlocked(type)
         : true; // If no research service, default to unlocked
       const resourceUnlocked = this._resourceService.isUnlocked(def.unlockReq);
-      const unlocked = researchUnlocked && resourceUnlocked;
+      const populationUnlocked = this._populationService
+        ? this._populationService.hasPopulationFor(type)
+        : true;
+      const unlocked = researchUnlocked && resourceUnlocked && populationUnlocked;
       const affordable = this._resourceService.canAfford(def.baseCost);
       const isSelected = this._active && this._buildingType === type;
       const isLocked = !unlocked;
@@ -562,6 +1001,9 @@ export class PlacementController {
           const reqText = this._formatUnlockReq(def.unlockReq);
           unlockEl.innerHTML = `🔒 Need: ${reqText}`;
           unlockEl.style.display = '';
+        } else if (!populationUnlocked) {
+          unlockEl.innerHTML = `🔒 Need: ${def.minPopulation} 👥`;
+          unlockEl.style.display = '';
         } else {
           unlockEl.style.display = 'none';
         }
@@ -589,5 +1031,30 @@ export class PlacementController {
     if (demolishCancelBtn) {
       demolishCancelBtn.style.display = this._demolishMode ? 'block' : 'none';
     }
+
+    // Update move button state (same rules as demolish)
+    const moveBtn = document.getElementById('move-btn');
+    if (moveBtn) {
+      moveBtn.classList.toggle('selected', this._moveMode);
+      const hasBuildings = this._buildingService.getBuildingCount() > 0;
+      moveBtn.classList.toggle('disabled', !hasBuildings);
+      moveBtn.disabled = !hasBuildings;
+    }
+
+    const moveCancelBtn = document.getElementById('move-cancel');
+    if (moveCancelBtn) {
+      moveCancelBtn.style.display = this._moveMode ? 'block' : 'none';
+    }
+
+    // Update road button state
+    const roadBtn = document.getElementById('road-btn');
+    if (roadBtn) {
+      roadBtn.classList.toggle('selected', this._roadMode);
+    }
+
+    const roadCancelBtn = document.getElementById('road-cancel');
+    if (roadCancelBtn) {
+      roadCancelBtn.style.display = this._roadMode ? 'block' : 'none';
+    }
   }
 }
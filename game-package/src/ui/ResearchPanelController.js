@@ -1,11 +1,32 @@
 /**
  * ResearchPanelController
- * Handles the research panel UI for player-triggered research
+ * Handles the research panel UI - the research list, the research in
+ * progress with its progress bar, the queue behind it, and the zoomable
+ * research tree graph (tiers left to right, prerequisite edges)
  */
 
 import { Events } from '../core/EventBus.js';
-import { RESEARCH, getResearchDef, getResearchIds } from '../config/research.config.js';
+import {
+  RESEARCH,
+  getResearchDef,
+  getResearchIds,
+  getResearchDepth,
+  getResearchAncestors,
+  getSynergyDef
+} from '../config/research.config.js';
 import { getResourceDef } from '../config/resources.config.js';
+import { getBuildingDef, getRecipeDef } from '../config/buildings.config.js';
+
+/** Research tree graph layout (px at 100% zoom) and zoom limits */
+const TREE_LAYOUT = {
+  nodeWidth: 170,
+  nodeHeight: 54,
+  columnGap: 70,
+  rowGap: 18,
+  padding: 24
+};
+const TREE_ZOOM = { min: 0.5, max: 1.5, step: 0.1 };
+const TREE_STATUSES = ['completed', 'researching', 'queued', 'affordable', 'available', 'locked'];
 
 export class ResearchPanelController {
   /**
@@ -19,6 +40,14 @@ export class ResearchPanelController {
     this._eventBus = eventBus;
 
     this._initialized = false;
+    this._queueId = 'research-queue';
+    this._treeOverlayId = 'research-tree-overlay';
+    this._treeOpen = false;
+    this._treeZoom = 1;
+    /** @type {Map<string, {x: number, y: number}>|null} Node positions, laid out on first open */
+    this._treeLayout = null;
+    /** @type {{width: number, height: number}|null} Graph size at 100% zoom */
+    this._treeSize = null;
 
     // Subscribe to relevant events
     this._setupEventListeners();
@@ -30,18 +59,33 @@ export class ResearchPanelController {
    */
   _setupEventListeners() {
     // Refresh on research completed
-    this._eventBus.subscribe(Events.RESEARCH_COMPLETED, () => {
+    this._eventBus.subscribe(Events.RESEARCH_COMPLETED, ({ research }) => {
       this.render();
-      this._showResearchNotification();
+      this._showResearchNotification(research);
+    });
+
+    // Refresh when research starts or the queue changes
+    this._eventBus.subscribe(Events.RESEARCH_STARTED, () => this.render());
+    this._eventBus.subscribe(Events.RESEARCH_QUEUE_CHANGED, () => this.render());
+
+    // Progress bar
+    this._eventBus.subscribe(Events.TICK, () => {
+      if (this._initialized) {
+        this._renderQueue();
+      }
     });
 
     // Refresh on resources changed (affordability may change)
     this._eventBus.subscribe(Events.RESOURCES_CHANGED, () => {
       if (this._initialized) {
         this._updateAffordability();
+        this._updateTreeStatus();
       }
     });
 
+    // Contract rewards can discount every cost shown
+    this._eventBus.subscribe(Events.CONTRACT_COMPLETED, () => this.render());
+
     // Refresh on game reset/load
     this._eventBus.subscribe(Events.GAME_RESET, () => this.render());
     this._eventBus.subscribe(Events.STATE_LOADED, () => this.render());
@@ -59,11 +103,14 @@ export class ResearchPanelController {
 
   /**
    * Show notification when research is completed
+   * @param {Object} research - Research definition
    * @private
    */
-  _showResearchNotification() {
-    // Notification is handled by the ResearchService publishing the event
-    // The NotificationController will pick it up
+  _showResearchNotification(research) {
+    this._eventBus.publish(Events.NOTIFICATION, {
+      message: `Research completed: ${research?.name}!`,
+      type: 'success'
+    });
   }
 
   // ==========================================
@@ -76,6 +123,7 @@ export class ResearchPanelController {
   init() {
     this._initialized = true;
     this.render();
+    this._setupQueueListeners();
   }
 
   /**
@@ -133,6 +181,31 @@ export class ResearchPanelController {
       parts.push(`<span class="effect-unlock">Unlocks: ${effects.unlockBuildings.join(', ')}</span>`);
     }
 
+    if (effects.unlockProcessors?.length > 0) {
+      const names = effects.unlockProcessors.map(id => getBuildingDef(id)?.name || id);
+      parts.push(`<span class="effect-processor">Processors: ${names.join(', ')}</span>`);
+    }
+
+    if (effects.unlockRecipes?.length > 0) {
+      const recipes = effects.unlockRecipes.map(id => {
+        const found = getRecipeDef(id);
+        if (!found) return id;
+        return `${found.recipe.name} (${getBuildingDef(found.buildingType).name}: ${this._formatRecipe(found.recipe)})`;
+      });
+      parts.push(`<span class="effect-recipe">Recipes: ${recipes.join(', ')}</span>`);
+    }
+
+    if (effects.unlockSynergies?.length > 0) {
+      const synergies = effects.unlockSynergies.map(id => {
+        const synergy = getSynergyDef(id);
+        if (!synergy) return id;
+        const building = getBuildingDef(synergy.building)?.name || synergy.building;
+        const partner = getBuildingDef(synergy.partner)?.name || synergy.partner;
+        return `${building} +${Math.round(synergy.bonus * 100)}% next to ${partner}`;
+      });
+      parts.push(`<span class="effect-synergy">Synergy: ${synergies.join(', ')}</span>`);
+    }
+
     if (effects.unlockUpgradeTiers?.length > 0) {
       const upgrades = effects.unlockUpgradeTiers.map(t =>
         `${t.buildingId} Tier ${t.maxTier}`
@@ -148,15 +221,30 @@ export class ResearchPanelController {
     return parts.join('<br>');
   }
 
+  /**
+   * Format a recipe as inputs → outputs
+   * @param {Object} recipe - Recipe with inputs and outputs
+   * @returns {string} e.g. "3🌾 → 2🥣"
+   * @private
+   */
+  _formatRecipe(recipe) {
+    const side = (amounts) => Object.entries(amounts)
+      .map(([res, amt]) => `${amt}${getResourceDef(res)?.emoji || res}`)
+      .join(' + ');
+    return `${side(recipe.inputs)} → ${side(recipe.outputs)}`;
+  }
+
   /**
    * Get CSS class for research status
-   * @param {string} status - 'completed', 'available', or 'locked'
+   * @param {string} status - 'completed', 'researching', 'queued', 'available', or 'locked'
    * @returns {string}
    * @private
    */
   _getStatusClass(status) {
     switch (status) {
       case 'completed': return 'research-completed';
+      case 'researching': return 'research-researching';
+      case 'queued': return 'research-queued';
       case 'available': return 'research-available';
       case 'locked': return 'research-locked';
       default: return '';
@@ -178,6 +266,13 @@ export class ResearchPanelController {
     if (progressEl) {
       progressEl.textContent = `${stats.completed}/${stats.total}`;
     }
+    const discountEl = document.getElementById('research-discount');
+    if (discountEl) {
+      const discount = this._researchService.getDiscount();
+      discountEl.textContent = discount > 0 ? `· next research -${discount}%` : '';
+    }
+
+    this._renderQueue();
 
     // Group research by tier for better organization
     const tiers = this._groupByTier(researchIds);
@@ -198,6 +293,65 @@ export class ResearchPanelController {
 
     // Update expand button visibility
     this._updateExpandButton();
+
+    this._updateTreeStatus();
+  }
+
+  /**
+   * Render the research in progress and the queue behind it
+   * @private
+   */
+  _renderQueue() {
+    const container = document.getElementById(this._queueId);
+    if (!container) return;
+
+    const active = this._researchService.getActiveResearch();
+    const queue = this._researchService.getQueue();
+
+    if (!active && queue.length === 0) {
+      container.innerHTML = '<div class="research-queue-empty">Nothing being researched - click a research to queue it</div>';
+      return;
+    }
+
+    const speed = this._researchService.getSpeed();
+    const activeHtml = active
+      ? `
+        <div class="research-active-header">
+          <span>📖 ${active.name}</span>
+          <span class="research-active-time">${active.percent}% · ${active.remaining}s${speed > 1 ? ` · x${speed.toFixed(1)}` : ''}</span>
+          <button data-action="remove" data-research-id="${active.id}" title="Stop and refund">✕</button>
+        </div>
+        <div class="research-active-bar"><div class="research-active-fill" style="width: ${active.percent}%"></div></div>
+      `
+      : '<div class="research-queue-empty">Waiting for resources to start the next research</div>';
+
+    const queueHtml = queue.map((id, index) => `
+      <div class="research-queue-row">
+        <span>${index + 1}. ${getResearchDef(id)?.name || id}</span>
+        <button data-action="remove" data-research-id="${id}" title="Remove from queue">✕</button>
+      </div>
+    `).join('');
+
+    container.innerHTML = `
+      ${activeHtml}
+      ${queue.length > 0 ? `<div class="research-queue-list">${queueHtml}</div>` : ''}
+    `;
+  }
+
+  /**
+   * Set up click listener for the remove buttons
+   * @private
+   */
+  _setupQueueListeners() {
+    const container = document.getElementById(this._queueId);
+    if (!container) return;
+
+    // Use event delegation
+    container.onclick = (e) => {
+      const button = e.target.closest('button[data-action="remove"]');
+      if (!button) return;
+      this._researchService.removeFromQueue(button.dataset.researchId);
+    };
   }
 
   /**
@@ -221,28 +375,9 @@ export class ResearchPanelController {
    */
   _groupByTier(researchIds) {
     const tiers = [[], [], [], [], []]; // 5 tiers max
-    const depths = {};
-
-    // Calculate depth for each research
-    const getDepth = (id, visited = new Set()) => {
-      if (visited.has(id)) return 0;
-      if (depths[id] !== undefined) return depths[id];
-
-      visited.add(id);
-      const research = getResearchDef(id);
-      if (!research || research.prereqs.length === 0) {
-        depths[id] = 0;
-        return 0;
-      }
-
-      const maxPrereqDepth = Math.max(...research.prereqs.map(p => getDepth(p, visited)));
-      depths[id] = maxPrereqDepth + 1;
-      return depths[id];
-    };
 
     researchIds.forEach(id => {
-      const depth = getDepth(id);
-      const tierIndex = Math.min(depth, tiers.length - 1);
+      const tierIndex = Math.min(getResearchDepth(id), tiers.length - 1);
       tiers[tierIndex].push(id);
     });
 
@@ -261,8 +396,9 @@ export class ResearchPanelController {
 
     const status = this._researchService.getResearchStatus(id);
     const statusClass = this._getStatusClass(status);
-    const canResearch = this._researchService.canResearch(id);
-    const affordable = this._resourceService.canAfford(research.cost);
+    const queueable = this._researchService.canQueue(id).canQueue;
+    const cost = status === 'completed' ? research.cost : this._researchService.getCost(id);
+    const affordable = this._resourceService.canAfford(cost);
 
     let statusIcon = '';
     let statusText = '';
@@ -272,24 +408,32 @@ export class ResearchPanelController {
         statusIcon = '&#10003;';
         statusText = 'Researched';
         break;
+      case 'researching':
+        statusIcon = '&#128214;';
+        statusText = 'Researching';
+        break;
+      case 'queued':
+        statusIcon = '&#8987;';
+        statusText = 'Queued';
+        break;
       case 'available':
         statusIcon = affordable ? '&#9733;' : '&#9734;';
         statusText = affordable ? 'Available' : 'Need Resources';
         break;
       case 'locked':
         statusIcon = '&#128274;';
-        statusText = 'Locked';
+        statusText = queueable ? 'Queue after its requirements' : 'Locked';
         break;
     }
 
-    const costHtml = this._formatCost(research.cost);
+    const costHtml = this._formatCost(cost);
     const prereqsHtml = research.prereqs.length > 0
       ? `<div class="research-prereqs">Requires: ${this._formatPrereqs(research.prereqs)}</div>`
       : '';
     const effectsHtml = this._formatEffects(research.effects);
 
     return `
-      <div class="research-item ${statusClass}" data-research-id="${id}">
+      <div class="research-item ${statusClass} ${queueable ? 'research-queueable' : ''}" data-research-id="${id}">
         <div class="research-header">
           <span class="research-icon">${statusIcon}</span>
           <div class="research-title">
@@ -297,7 +441,7 @@ export class ResearchPanelController {
             <div class="research-desc">${research.desc}</div>
           </div>
         </div>
-        <div class="research-cost ${affordable ? 'affordable' : 'unaffordable'}">${costHtml}</div>
+        <div class="research-cost ${affordable ? 'affordable' : 'unaffordable'}">${costHtml} · ⏳ ${research.time}s</div>
         ${prereqsHtml}
         <div class="research-effects">${effectsHtml}</div>
         <div class="research-status">${statusText}</div>
@@ -313,30 +457,24 @@ export class ResearchPanelController {
     const container = document.getElementById('research-list');
     if (!container) return;
 
-    container.querySelectorAll('.research-item.research-available').forEach(item => {
+    container.querySelectorAll('.research-item.research-queueable').forEach(item => {
       item.onclick = () => {
         const id = item.dataset.researchId;
-        this._attemptResearch(id);
+        this._attemptQueue(id);
       };
     });
   }
 
   /**
-   * Attempt to complete a research
+   * Attempt to queue a research
    * @param {string} id - Research ID
    * @private
    */
-  _attemptResearch(id) {
-    const result = this._researchService.completeResearch(id);
+  _attemptQueue(id) {
+    const result = this._researchService.queueResearch(id);
 
-    if (result.success) {
-      const research = getResearchDef(id);
-      this._eventBus.publish(Events.NOTIFICATION, {
-        message: `Research completed: ${research?.name || id}!`,
-        type: 'success'
-      });
-      // render() is called by the event listener on RESEARCH_COMPLETED
-    } else if (result.error) {
+    // render() is called by the event listener on RESEARCH_QUEUE_CHANGED
+    if (!result.success && result.error) {
       this._eventBus.publish(Events.NOTIFICATION, {
         message: result.error,
         type: 'error'
@@ -344,6 +482,293 @@ export class ResearchPanelController {
     }
   }
 
+  // ==========================================
+  // TREE VIEW
+  // ==========================================
+
+  /**
+   * Open the research tree graph
+   */
+  openTree() {
+    const overlay = document.getElementById(this._treeOverlayId);
+    if (!overlay) return;
+
+    if (!this._treeLayout) {
+      this._buildTree();
+    }
+    this._treeOpen = true;
+    this._updateTreeStatus();
+    overlay.classList.add('visible');
+  }
+
+  /**
+   * Close the research tree graph
+   */
+  closeTree() {
+    const overlay = document.getElementById(this._treeOverlayId);
+    if (overlay) {
+      overlay.classList.remove('visible');
+    }
+    this._treeOpen = false;
+    this._hideTreeTooltip();
+  }
+
+  /**
+   * Zoom the research tree graph
+   * @param {number} zoom - Scale, clamped to TREE_ZOOM
+   */
+  setTreeZoom(zoom) {
+    this._treeZoom = Math.min(TREE_ZOOM.max, Math.max(TREE_ZOOM.min, Math.round(zoom * 10) / 10));
+    this._applyTreeZoom();
+  }
+
+  /**
+   * Lay out nodes by tier, draw edges and wire up the graph
+   * Research definitions don't change, so this runs once.
+   * @private
+   */
+  _buildTree() {
+    const content = document.getElementById('research-tree-content');
+    if (!content) return;
+
+    const { nodeWidth, nodeHeight, padding } = TREE_LAYOUT;
+    this._treeLayout = this._layoutTree();
+
+    let width = 0;
+    let height = 0;
+    this._treeLayout.forEach(({ x, y }) => {
+      width = Math.max(width, x + nodeWidth + padding);
+      height = Math.max(height, y + nodeHeight + padding);
+    });
+    this._treeSize = { width, height };
+
+    const edges = [];
+    this._treeLayout.forEach((to, id) => {
+      getResearchDef(id).prereqs.forEach(prereq => {
+        const from = this._treeLayout.get(prereq);
+        const x1 = from.x + nodeWidth;
+        const y1 = from.y + nodeHeight / 2;
+        const x2 = to.x;
+        const y2 = to.y + nodeHeight / 2;
+        const mid = (x1 + x2) / 2;
+        edges.push(`<path class="research-tree-edge" data-from="${prereq}" data-to="${id}" d="M ${x1} ${y1} C ${mid} ${y1}, ${mid} ${y2}, ${x2} ${y2}" />`);
+      });
+    });
+
+    const nodes = Array.from(this._treeLayout.entries()).map(([id, { x, y }]) => {
+      const research = getResearchDef(id);
+      return `
+        <div class="research-tree-node" data-research-id="${id}" style="left: ${x}px; top: ${y}px; width: ${nodeWidth}px; height: ${nodeHeight}px;">
+          <div class="research-tree-node-name">${research.name}</div>
+          <div class="research-tree-node-cost"></div>
+        </div>
+      `;
+    }).join('');
+
+    content.style.width = `${width}px`;
+    content.style.height = `${height}px`;
+    content.innerHTML = `
+      <svg class="research-tree-edges" width="${width}" height="${height}">${edges.join('')}</svg>
+      ${nodes}
+    `;
+
+    this._setupTreeListeners(content);
+    this._applyTreeZoom();
+  }
+
+  /**
+   * Place each research in its tier's column
+   * Nodes in a column are ordered by where their prereqs sit, so edges cross less.
+   * @returns {Map<string, {x: number, y: number}>}
+   * @private
+   */
+  _layoutTree() {
+    const { nodeWidth, nodeHeight, columnGap, rowGap, padding } = TREE_LAYOUT;
+    const columns = [];
+    getResearchIds().forEach(id => {
+      const depth = getResearchDepth(id);
+      (columns[depth] = columns[depth] || []).push(id);
+    });
+
+    const rows = new Map();
+    const layout = new Map();
+    columns.forEach((ids, depth) => {
+      const averageRow = (id) => {
+        const prereqRows = getResearchDef(id).prereqs.map(p => rows.get(p));
+        return prereqRows.length > 0 ? prereqRows.reduce((a, b) => a + b, 0) / prereqRows.length : 0;
+      };
+      const ordered = depth === 0 ? ids : [...ids].sort((a, b) => averageRow(a) - averageRow(b));
+
+      ordered.forEach((id, row) => {
+        rows.set(id, row);
+        layout.set(id, {
+          x: padding + depth * (nodeWidth + columnGap),
+          y: padding + row * (nodeHeight + rowGap)
+        });
+      });
+    });
+    return layout;
+  }
+
+  /**
+   * Hover highlights, tooltips, click-to-queue and zoom for the graph
+   * @param {HTMLElement} content
+   * @private
+   */
+  _setupTreeListeners(content) {
+    content.onmouseover = (e) => {
+      const node = e.target.closest('.research-tree-node');
+      if (!node) return;
+      this._highlightChain(node.dataset.researchId);
+      this._showTreeTooltip(node);
+    };
+    content.onmouseleave = () => {
+      this._highlightChain(null);
+      this._hideTreeTooltip();
+    };
+    content.onclick = (e) => {
+      const node = e.target.closest('.research-tree-node.queueable');
+      if (!node) return;
+      this._attemptQueue(node.dataset.researchId);
+    };
+
+    const viewport = document.getElementById('research-tree-viewport');
+    if (viewport) {
+      viewport.onwheel = (e) => {
+        e.preventDefault();
+        this.setTreeZoom(this._treeZoom + (e.deltaY < 0 ? TREE_ZOOM.step : -TREE_ZOOM.step));
+      };
+    }
+
+    const controls = document.getElementById('research-tree-zoom');
+    if (controls) {
+      // Use event delegation
+      controls.onclick = (e) => {
+        const button = e.target.closest('button[data-zoom]');
+        if (!button) return;
+        const zoom = button.dataset.zoom;
+        this.setTreeZoom(zoom === 'reset' ? 1 : this._treeZoom + (zoom === 'in' ? TREE_ZOOM.step : -TREE_ZOOM.step));
+      };
+    }
+  }
+
+  /**
+   * Scale the graph; the canvas takes the scaled size so the viewport scrolls
+   * @private
+   */
+  _applyTreeZoom() {
+    const canvas = document.getElementById('research-tree-canvas');
+    const content = document.getElementById('research-tree-content');
+    if (!canvas || !content || !this._treeSize) return;
+
+    content.style.transform = `scale(${this._treeZoom})`;
+    canvas.style.width = `${this._treeSize.width * this._treeZoom}px`;
+    canvas.style.height = `${this._treeSize.height * this._treeZoom}px`;
+
+    const label = document.getElementById('research-tree-zoom-level');
+    if (label) {
+      label.textContent = `${Math.round(this._treeZoom * 100)}%`;
+    }
+    this._hideTreeTooltip();
+  }
+
+  /**
+   * Color each node by status and show its current cost
+   * @private
+   */
+  _updateTreeStatus() {
+    if (!this._treeOpen) return;
+
+    const content = document.getElementById('research-tree-content');
+    if (!content) return;
+
+    content.querySelectorAll('.research-tree-node').forEach(node => {
+      const id = node.dataset.researchId;
+      const status = this._getTreeStatus(id);
+      TREE_STATUSES.forEach(s => node.classList.toggle(`tree-${s}`, s === status));
+      node.classList.toggle('queueable', this._researchService.canQueue(id).canQueue);
+
+      const costEl = node.querySelector('.research-tree-node-cost');
+      if (costEl) {
+        costEl.innerHTML = status === 'completed' ? '&#10003; Researched' : this._formatCost(this._researchService.getCost(id));
+      }
+    });
+  }
+
+  /**
+   * Get a node's graph status - available research splits into
+   * affordable and not yet affordable
+   * @param {string} id - Research ID
+   * @returns {'completed'|'researching'|'queued'|'affordable'|'available'|'locked'}
+   * @private
+   */
+  _getTreeStatus(id) {
+    const status = this._researchService.getResearchStatus(id);
+    if (status === 'available' && this._resourceService.canAfford(this._researchService.getCost(id))) {
+      return 'affordable';
+    }
+    return status;
+  }
+
+  /**
+   * Highlight a research and everything it depends on; dim the rest
+   * @param {string|null} id - Research ID, or null to clear
+   * @private
+   */
+  _highlightChain(id) {
+    const content = document.getElementById('research-tree-content');
+    if (!content) return;
+
+    const chain = id ? getResearchAncestors(id).add(id) : new Set();
+    content.classList.toggle('has-highlight', chain.size > 0);
+    content.querySelectorAll('.research-tree-node').forEach(node => {
+      node.classList.toggle('in-chain', chain.has(node.dataset.researchId));
+    });
+    content.querySelectorAll('.research-tree-edge').forEach(edge => {
+      edge.classList.toggle('in-chain', chain.has(edge.dataset.from) && chain.has(edge.dataset.to));
+    });
+  }
+
+  /**
+   * Show what a node unlocks next to it
+   * @param {HTMLElement} node
+   * @private
+   */
+  _showTreeTooltip(node) {
+    const tooltip = document.getElementById('research-tree-tooltip');
+    const viewport = document.getElementById('research-tree-viewport');
+    if (!tooltip || !viewport) return;
+
+    const id = node.dataset.researchId;
+    const research = getResearchDef(id);
+    const effectsHtml = this._formatEffects(research.effects);
+    const prereqsHtml = research.prereqs.length > 0
+      ? `<div class="research-prereqs">Requires: ${this._formatPrereqs(research.prereqs)}</div>`
+      : '';
+
+    tooltip.innerHTML = `
+      <div class="research-name">${research.name}</div>
+      <div class="research-desc">${research.desc}</div>
+      <div class="research-cost">${this._formatCost(this._researchService.getCost(id))} · ⏳ ${research.time}s</div>
+      ${prereqsHtml}
+      <div class="research-effects">${effectsHtml || 'No unlocks'}</div>
+    `;
+
+    // Position beside the node, relative to the panel
+    const nodeRect = node.getBoundingClientRect();
+    const panelRect = tooltip.offsetParent?.getBoundingClientRect() || { left: 0, top: 0 };
+    tooltip.style.left = `${nodeRect.right - panelRect.left + 8}px`;
+    tooltip.style.top = `${nodeRect.top - panelRect.top}px`;
+    tooltip.classList.add('visible');
+  }
+
+  /**
+   * @private
+   */
+  _hideTreeTooltip() {
+    document.getElementById('research-tree-tooltip')?.classList.remove('visible');
+  }
+
   /**
    * Update affordability display without full re-render
    * @private
@@ -360,7 +785,7 @@ export class ResearchPanelController {
       const status = this._researchService.getResearchStatus(id);
       if (status !== 'available') return;
 
-      const affordable = this._resourceService.canAfford(research.cost);
+      const affordable = this._resourceService.canAfford(this._researchService.getCost(id));
       const costEl = item.querySelector('.research-cost');
       if (costEl) {
         costEl.classList.toggle('affordable', affordable);
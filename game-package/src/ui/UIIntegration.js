@@ -79,7 +79,22 @@ export class UIIntegration {
       })
     );
 
-    // Merchant disabled (market built) - cleanup
+    // Merchant purchase - update panel
+    this._unsubscribers.push(
+      this._eventBus.subscribe(Events.MERCHANT_PURCHASE, () => {
+        this._merchantPanelController.onSale();
+        this._requestUIUpdate();
+      })
+    );
+
+    // Reputation changed - prices in the panel change with it
+    this._unsubscribers.push(
+      this._eventBus.subscribe(Events.MERCHANT_REPUTATION_CHANGED, () => {
+        this._merchantPanelController.onSale();
+      })
+    );
+
+    // Merchant visits switched off - cleanup
     this._unsubscribers.push(
       this._eventBus.subscribe(Events.MERCHANT_DISABLED, () => {
         this._merchantPanelController.onMerchantDisabled();
@@ -112,6 +127,13 @@ export class UIIntegration {
       })
     );
 
+    // Building moved - update UI (tiles and sprites are re-rendered by GameController)
+    this._unsubscribers.push(
+      this._eventBus.subscribe(Events.BUILDING_MOVED, () => {
+        this._requestUIUpdate();
+      })
+    );
+
     // Building removed (demolished) - update UI
     this._unsubscribers.push(
       this._eventBus.subscribe(Events.BUILDING_REMOVED, () => {
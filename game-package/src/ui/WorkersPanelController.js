@@ -0,0 +1,221 @@
+/**
+ * WorkersPanelController
+ * Updates the Workers tab - population, housing and who works where
+ * Subscribes to population and building events
+ */
+
+import { Events } from '../core/EventBus.js';
+import { POPULATION_CONFIG, RESOURCES, getBuildingDef } from '../config/index.js';
+
+export class WorkersPanelController {
+  /**
+   * @param {import('../services/PopulationService.js').PopulationService} populationService
+   * @param {import('../core/EventBus.js').EventBus} eventBus
+   */
+  constructor(populationService, eventBus) {
+    this._populationService = populationService;
+    this._eventBus = eventBus;
+
+    this._summaryId = 'workers-summary';
+    this._listId = 'workers-list';
+    this._unsubscribers = [];
+  }
+
+  /**
+   * Initialize the controller and subscribe to events
+   */
+  initialize() {
+    [
+      Events.WORKERS_CHANGED,
+      Events.HOUSING_CHANGED,
+      Events.BUILDING_PLACED,
+      Events.BUILDING_REMOVED,
+      Events.STATE_LOADED,
+      Events.GAME_RESET
+    ].forEach(event => {
+      this._unsubscribers.push(this._eventBus.subscribe(event, () => this.update()));
+    });
+
+    // Newcomers and leavers get a notification
+    this._unsubscribers.push(
+      this._eventBus.subscribe(Events.VILLAGER_ARRIVED, () => {
+        this._eventBus.publish(Events.NOTIFICATION, {
+          message: 'A new villager moved in!',
+          type: 'success'
+        });
+      })
+    );
+    this._unsubscribers.push(
+      this._eventBus.subscribe(Events.VILLAGER_LEFT, () => {
+        this._eventBus.publish(Events.NOTIFICATION, {
+          message: 'A villager moved away - there isn\'t enough housing',
+          type: 'error'
+        });
+      })
+    );
+
+    // Growth countdown
+    this._unsubscribers.push(
+      this._eventBus.subscribe(Events.TICK, () => this._updateSummary())
+    );
+
+    // Initial render
+    this.update();
+
+    // Wire up assign button clicks
+    this._setupListeners();
+  }
+
+  /**
+   * Clean up event subscriptions
+   */
+  destroy() {
+    this._unsubscribers.forEach(unsub => unsub());
+    this._unsubscribers = [];
+  }
+
+  /**
+   * Update the workers panel
+   */
+  update() {
+    this._updateSummary();
+
+    const list = document.getElementById(this._listId);
+    if (list) {
+      list.innerHTML = this._generateListHTML();
+    }
+  }
+
+  /**
+   * Give a building another worker
+   * @param {number} buildingIndex
+   */
+  addWorker(buildingIndex) {
+    this._notifyError(this._populationService.addWorker(buildingIndex));
+  }
+
+  /**
+   * Send one of a building's workers back to hauling
+   * @param {number} buildingIndex
+   */
+  removeWorker(buildingIndex) {
+    this._notifyError(this._populationService.removeWorker(buildingIndex));
+  }
+
+  /**
+   * Update the population, housing and growth summary
+   * @private
+   */
+  _updateSummary() {
+    const summary = document.getElementById(this._summaryId);
+    if (!summary) return;
+
+    const population = this._populationService.getPopulation();
+    const housing = this._populationService.getHousingCapacity();
+    const haulers = this._populationService.getHaulers().length;
+    summary.innerHTML = `
+      <div class="workers-stat"><span>👥 Villagers</span><span>${population} / ${housing} housed</span></div>
+      <div class="workers-stat"><span>${this._populationService.getJobName('hauler')}s</span><span>${haulers}</span></div>
+      <div class="workers-stat"><span>🌱 Growth</span><span>${this._getGrowthText()}</span></div>
+      ${this._getUpkeepHTML()}
+    `;
+  }
+
+  /**
+   * Describe what homes eat per tick
+   * @returns {string} Empty without homes that need upkeep
+   * @private
+   */
+  _getUpkeepHTML() {
+    const upkeep = Object.entries(this._populationService.getUpkeep());
+    if (upkeep.length === 0) return '';
+
+    const text = upkeep
+      .map(([resource, amount]) => `${Math.round(amount * 100) / 100}${RESOURCES[resource]?.emoji || resource}/s`)
+      .join(' ');
+    return `<div class="workers-stat"><span>🏡 Upkeep</span><span>${text}</span></div>`;
+  }
+
+  /**
+   * Describe when the next villager arrives
+   * @returns {string}
+   * @private
+   */
+  _getGrowthText() {
+    const blocker = this._populationService.getGrowthBlocker();
+    if (blocker) return blocker;
+
+    const { intervalTicks, food } = POPULATION_CONFIG.growth;
+    const remaining = Math.max(0, intervalTicks - this._populationService.getGrowthProgress());
+    const cost = Object.entries(food)
+      .map(([resource, amount]) => `${amount} ${RESOURCES[resource]?.emoji || resource}`)
+      .join(' ');
+    return `Next in ${remaining}s (eats ${cost})`;
+  }
+
+  /**
+   * Generate HTML for the workplace rows
+   * Uses data attributes instead of onclick for proper event handling
+   * @returns {string}
+   * @private
+   */
+  _generateListHTML() {
+    const workplaces = this._populationService.getWorkplaces();
+    if (workplaces.length === 0) {
+      return '<div class="workers-empty">No workplaces yet - farms, quarries and processors need workers</div>';
+    }
+
+    const haulers = this._populationService.getHaulers().length;
+    return workplaces.map(({ buildingIndex, building, job, slots, workers }) => {
+      const name = getBuildingDef(building.type)?.name || building.type;
+      const filled = workers.length;
+      const speed = Math.round(this._populationService.getStaffingMultiplier(building) * 100);
+      return `
+        <div class="workers-row">
+          <span class="workers-building" title="${this._populationService.getJobName(job)}">${name}</span>
+          <span class="workers-count ${filled >= slots ? 'full' : 'short'}">${filled}/${slots} · ${speed}%</span>
+          <div class="workers-btns">
+            <button data-action="remove" data-index="${buildingIndex}" ${filled === 0 ? 'disabled' : ''}>−</button>
+            <button data-action="add" data-index="${buildingIndex}" ${filled >= slots || haulers === 0 ? 'disabled' : ''}>+</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Set up click listeners for assign buttons
+   * @private
+   */
+  _setupListeners() {
+    const list = document.getElementById(this._listId);
+    if (!list) return;
+
+    // Use event delegation
+    list.onclick = (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button || button.disabled) return;
+
+      const index = parseInt(button.dataset.index, 10);
+      if (button.dataset.action === 'add') {
+        this.addWorker(index);
+      } else {
+        this.removeWorker(index);
+      }
+    };
+  }
+
+  /**
+   * Show a failed assignment as an error notification
+   * @param {{success: boolean, error: string|null}} result
+   * @private
+   */
+  _notifyError(result) {
+    if (!result.success && result.error) {
+      this._eventBus.publish(Events.NOTIFICATION, {
+        message: result.error,
+        type: 'error'
+      });
+    }
+  }
+}
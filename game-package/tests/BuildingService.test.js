@@ -0,0 +1,185 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestGame, quietConsole } from './helpers/harness.js';
+import { EventBus, Events } from '../src/core/EventBus.js';
+import { GameStateService } from '../src/services/GameStateService.js';
+import { ResourceService } from '../src/services/ResourceService.js';
+import { BuildingService } from '../src/services/BuildingService.js';
+
+quietConsole();
+
+describe('BuildingService.placeBuilding', () => {
+  let game;
+
+  beforeEach(() => {
+    // Only the services placement needs - no milestone rewards muddying the totals
+    const eventBus = new EventBus();
+    const gameState = new GameStateService(eventBus);
+    const resourceService = new ResourceService(gameState, eventBus);
+    game = {
+      eventBus,
+      gameState,
+      resourceService,
+      buildingService: new BuildingService(gameState, resourceService, eventBus)
+    };
+    gameState.setResources({ gold: 500, wheat: 50, wood: 50 });
+  });
+
+  it('places a building, spends its cost and publishes BUILDING_PLACED', () => {
+    const placed = [];
+    game.eventBus.subscribe(Events.BUILDING_PLACED, data => placed.push(data));
+
+    const result = game.buildingService.placeBuilding('mill', 2, 4);
+
+    assert.deepEqual(result, { success: true, error: null });
+    assert.deepEqual(game.buildingService.getBuildings(), [{ type: 'mill', row: 2, col: 4, level: 0 }]);
+    assert.equal(game.resourceService.getResource('gold'), 420);
+    assert.equal(game.resourceService.getResource('wood'), 25);
+    assert.equal(placed.length, 1);
+    assert.equal(placed[0].type, 'mill');
+  });
+
+  it('rejects unknown building types', () => {
+    const result = game.buildingService.placeBuilding('castle', 0, 0);
+    assert.deepEqual(result, { success: false, error: 'Unknown building type' });
+  });
+
+  it('rejects buildings the player cannot afford without spending anything', () => {
+    game.gameState.setResources({ gold: 5 });
+
+    const result = game.buildingService.placeBuilding('wheat_farm', 0, 0);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Not enough resources to build Wheat Farm!');
+    assert.equal(game.resourceService.getResource('gold'), 5);
+    assert.equal(game.buildingService.getBuildingCount(), 0);
+  });
+
+  it('rejects overlapping and out-of-bounds placements', () => {
+    game.buildingService.placeBuilding('wheat_farm', 0, 0);
+
+    assert.equal(game.buildingService.placeBuilding('wheat_farm', 1, 1).error, 'Cannot place building here!');
+    assert.equal(game.buildingService.placeBuilding('wheat_farm', -1, 0).success, false);
+    assert.equal(game.buildingService.placeBuilding('wheat_farm', 0, 2).success, true);
+    assert.equal(game.resourceService.getResource('gold'), 480);
+  });
+});
+
+describe('BuildingService.calculateRefund', () => {
+  let game;
+
+  beforeEach(() => {
+    game = createTestGame();
+  });
+
+  it('refunds half the base cost, rounded down', () => {
+    assert.deepEqual(game.buildingService.calculateRefund({ type: 'bakery', level: 0 }), { gold: 50, wheat: 10 });
+    assert.deepEqual(game.buildingService.calculateRefund({ type: 'mill', level: 0 }), { gold: 40, wood: 12 });
+  });
+
+  it('adds half of every upgrade paid for', () => {
+    // 80/2 + 200/2 + 600/2 gold, 25/2 + 30/2 + 50/2 wood
+    assert.deepEqual(game.buildingService.calculateRefund({ type: 'mill', level: 2 }), { gold: 440, wood: 52 });
+  });
+
+  it('returns an empty refund for unknown types', () => {
+    assert.deepEqual(game.buildingService.calculateRefund({ type: 'castle', level: 0 }), {});
+  });
+
+  it('matches what removeBuilding pays back', () => {
+    game.gameState.setResources({ gold: 500 });
+    game.buildingService.placeBuilding('wheat_farm', 0, 0);
+    game.buildingService.upgradeBuilding(0);
+    const gold = game.resourceService.getResource('gold');
+
+    const result = game.buildingService.removeBuilding(0);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.refund, { gold: 30 });
+    assert.equal(game.resourceService.getResource('gold'), gold + 30);
+  });
+});
+
+describe('BuildingService.moveBuilding', () => {
+  let game;
+
+  beforeEach(() => {
+    game = createTestGame({ resources: { gold: 1000, wood: 100 } });
+    game.buildingService.placeBuilding('mill', 0, 0);
+    game.buildingService.upgradeBuilding(0);
+  });
+
+  it('moves a building, keeping its level and index, and publishes BUILDING_MOVED', () => {
+    const moved = [];
+    game.eventBus.subscribe(Events.BUILDING_MOVED, data => moved.push(data));
+    const gold = game.resourceService.getResource('gold');
+
+    const result = game.buildingService.moveBuilding(0, 4, 6);
+
+    assert.deepEqual(result, { success: true, error: null });
+    assert.deepEqual(game.buildingService.getBuildingByIndex(0), { type: 'mill', row: 4, col: 6, level: 1 });
+    assert.equal(game.resourceService.getResource('gold'), gold);
+    assert.equal(moved.length, 1);
+    assert.deepEqual(
+      { index: moved[0].index, fromRow: moved[0].fromRow, fromCol: moved[0].fromCol, row: moved[0].row, col: moved[0].col },
+      { index: 0, fromRow: 0, fromCol: 0, row: 4, col: 6 }
+    );
+  });
+
+  it('allows overlapping the building\'s own old footprint', () => {
+    assert.equal(game.buildingService.canPlaceAt(1, 1), false);
+    assert.equal(game.buildingService.canPlaceAt(1, 1, 0), true);
+    assert.equal(game.buildingService.moveBuilding(0, 1, 1).success, true);
+  });
+
+  it('rejects spots taken by other buildings or off the plot', () => {
+    game.buildingService.placeBuilding('wheat_farm', 4, 4);
+
+    assert.equal(game.buildingService.moveBuilding(0, 3, 3).error, 'Cannot move building here!');
+    assert.equal(game.buildingService.moveBuilding(0, -1, 0).success, false);
+    assert.equal(game.buildingService.moveBuilding(0, 0, 0).error, 'Building is already here');
+    assert.equal(game.buildingService.moveBuilding(5, 6, 6).error, 'Building not found');
+    assert.deepEqual(game.buildingService.getBuildingByIndex(0), { type: 'mill', row: 0, col: 0, level: 1 });
+  });
+});
+
+describe('BuildingService footprints', () => {
+  let game;
+
+  beforeEach(() => {
+    game = createTestGame({ resources: { gold: 5000, stone: 200, wood: 200 } });
+  });
+
+  it('occupies every tile of a 3x3 Town Hall', () => {
+    game.buildingService.placeBuilding('townhall', 2, 2);
+
+    assert.equal(game.buildingService.getOccupiedTiles().size, 9);
+    assert.equal(game.buildingService.getBuildingIndexAt(4, 4), 0);
+    assert.equal(game.buildingService.getBuildingAt(4, 4).type, 'townhall');
+    assert.equal(game.buildingService.getBuildingAt(5, 4), null);
+    // A farm's 2x2 clears its corner but not its far edge
+    assert.equal(game.buildingService.canPlaceAt(3, 5, -1, 'wheat_farm'), true);
+    assert.equal(game.buildingService.canPlaceAt(3, 4, -1, 'wheat_farm'), false);
+  });
+
+  it('checks non-square footprints along each axis', () => {
+    // Market is 2 rows by 3 cols on a 10x10 plot
+    assert.equal(game.buildingService.canPlaceAt(8, 7, -1, 'market'), true);
+    assert.equal(game.buildingService.canPlaceAt(8, 8, -1, 'market'), false);
+    assert.equal(game.buildingService.canPlaceAt(9, 0, -1, 'market'), false);
+
+    game.buildingService.placeBuilding('market', 0, 0);
+    assert.equal(game.buildingService.isTileOccupied(1, 2), true);
+    assert.equal(game.buildingService.isTileOccupied(2, 0), false);
+  });
+
+  it('moves a building only where its own footprint fits', () => {
+    game.buildingService.placeBuilding('townhall', 0, 0);
+    game.buildingService.placeBuilding('wheat_farm', 6, 6);
+
+    // Room for a 2x2 at 4,4 - not for the Town Hall
+    assert.equal(game.buildingService.moveBuilding(0, 4, 4).error, 'Cannot move building here!');
+    assert.equal(game.buildingService.moveBuilding(0, 7, 0).success, true);
+    assert.equal(game.buildingService.getBuildingIndexAt(9, 2), 0);
+  });
+});
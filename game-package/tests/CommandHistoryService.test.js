@@ -0,0 +1,158 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestGame, quietConsole } from './helpers/harness.js';
+import { CommandHistoryService } from '../src/services/CommandHistoryService.js';
+
+quietConsole();
+
+describe('CommandHistoryService', () => {
+  let game;
+  let history;
+
+  beforeEach(() => {
+    game = createTestGame({ resources: { gold: 1000, wood: 100, wheat: 50 } });
+    history = game.commandHistoryService;
+  });
+
+  const gold = () => game.resourceService.getResource('gold');
+  const wood = () => game.resourceService.getResource('wood');
+
+  it('undoes a placement with an exact refund and redoes it at full cost', () => {
+    history.placeBuilding('mill', 0, 0);
+    const goldAfterPlace = gold();
+
+    assert.equal(history.undo().success, true);
+    assert.equal(game.buildingService.getBuildingCount(), 0);
+    assert.equal(gold(), goldAfterPlace + 80);
+    assert.equal(wood(), 100);
+
+    assert.equal(history.redo().success, true);
+    assert.deepEqual(game.buildingService.getBuildings(), [{ type: 'mill', row: 0, col: 0, level: 0 }]);
+    assert.equal(gold(), goldAfterPlace);
+    assert.equal(wood(), 75);
+  });
+
+  it('undoes an upgrade back to the previous level and cost', () => {
+    history.placeBuilding('mill', 0, 0);
+    const goldBefore = gold();
+    history.upgradeBuilding(0);
+    assert.equal(game.buildingService.getBuildingByIndex(0).level, 1);
+
+    const result = history.undo();
+    assert.equal(result.success, true);
+    assert.equal(result.label, 'Upgrade Mill');
+    assert.equal(game.buildingService.getBuildingByIndex(0).level, 0);
+    assert.equal(gold(), goldBefore);
+  });
+
+  it('brings back a demolished processor with its level, cycle progress and buffer', () => {
+    history.placeBuilding('wheat_farm', 4, 4);
+    history.placeBuilding('mill', 0, 0);
+    history.upgradeBuilding(1);
+    game.clock.runTicks(3);
+    game.processorService.restoreStateSnapshot(1, {
+      ...game.processorService.getStateSnapshot(1),
+      bufferedOutputs: { flour: 2 },
+      ready: true
+    });
+    const before = game.processorService.getStateSnapshot(1);
+    const goldBefore = gold();
+
+    history.demolishBuilding(1);
+    assert.ok(gold() > goldBefore);
+
+    assert.equal(history.undo().success, true);
+    assert.equal(gold(), goldBefore);
+    const index = game.buildingService.getBuildingCount() - 1;
+    assert.deepEqual(game.buildingService.getBuildingByIndex(index), { type: 'mill', row: 0, col: 0, level: 1 });
+    assert.deepEqual(game.processorService.getStateSnapshot(index), before);
+  });
+
+  it('refuses to undo a demolish once the refund has been spent', () => {
+    history.placeBuilding('mill', 0, 0);
+    history.demolishBuilding(0);
+    game.gameState.setResources({ gold: 10 });
+
+    const result = history.undo();
+    assert.equal(result.success, false);
+    assert.match(result.error, /gold refunded for the Mill has been spent/);
+    assert.equal(game.buildingService.getBuildingCount(), 0);
+    assert.equal(gold(), 10);
+
+    // Still in history - works once the gold is back
+    game.gameState.setResources({ gold: 100 });
+    assert.equal(history.undo().success, true);
+    assert.equal(game.buildingService.getBuildingCount(), 1);
+  });
+
+  it('refuses to undo a demolish when the spot has been built on', () => {
+    history.placeBuilding('mill', 0, 0);
+    history.demolishBuilding(0);
+    game.buildingService.placeBuilding('barn', 1, 1);
+
+    const result = history.undo();
+    assert.equal(result.success, false);
+    assert.match(result.error, /something has been built where the Mill stood/);
+  });
+
+  it('refuses to undo a placement when the refund would not fit in storage', () => {
+    history.placeBuilding('mill', 0, 0);
+    game.gameState.setResources({ wood: game.resourceService.getCap('wood') });
+
+    const result = history.undo();
+    assert.equal(result.success, false);
+    assert.match(result.error, /not enough storage space to refund wood/);
+    assert.equal(game.buildingService.getBuildingCount(), 1);
+  });
+
+  it('finds buildings by position after earlier buildings are demolished', () => {
+    history.placeBuilding('wheat_farm', 0, 0);
+    history.placeBuilding('mill', 0, 2);
+    history.upgradeBuilding(1);
+    game.buildingService.removeBuilding(0);
+
+    assert.equal(history.undo().success, true);
+    assert.deepEqual(game.buildingService.getBuildings(), [{ type: 'mill', row: 0, col: 2, level: 0 }]);
+  });
+
+  it('clears redo when a new action is recorded', () => {
+    history.placeBuilding('wheat_farm', 0, 0);
+    history.undo();
+    assert.equal(history.canRedo(), true);
+
+    history.placeBuilding('wheat_farm', 2, 2);
+    assert.equal(history.canRedo(), false);
+    assert.equal(history.redo().error, 'Nothing to redo');
+  });
+
+  it('keeps only the most recent actions', () => {
+    const bounded = new CommandHistoryService(
+      game.gameState,
+      game.buildingService,
+      game.resourceService,
+      game.processorService,
+      game.eventBus,
+      { limit: 2 }
+    );
+    bounded.placeBuilding('wheat_farm', 0, 0);
+    bounded.placeBuilding('wheat_farm', 0, 2);
+    bounded.placeBuilding('wheat_farm', 0, 4);
+
+    assert.equal(bounded.undo().success, true);
+    assert.equal(bounded.undo().success, true);
+    assert.equal(bounded.undo().error, 'Nothing to undo');
+    assert.equal(game.buildingService.getBuildingCount(), 1);
+  });
+
+  it('forgets history when a different game is loaded', () => {
+    const changes = [];
+    game.eventBus.subscribe('building:historyChanged', (data) => changes.push(data));
+
+    history.placeBuilding('wheat_farm', 0, 0);
+    assert.equal(changes.at(-1).undoLabel, 'Place Wheat Farm');
+
+    game.gameState.reset();
+    assert.equal(history.canUndo(), false);
+    assert.equal(changes.at(-1).canUndo, false);
+  });
+});
@@ -0,0 +1,198 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestGame, quietConsole } from './helpers/harness.js';
+import { MERCHANT_ARCHETYPES, CONTRACT_CONFIG } from '../src/config/index.js';
+
+quietConsole();
+
+describe('ContractService', () => {
+  let game;
+  let merchant;
+  let contracts;
+
+  /** Bring a specific archetype to town */
+  const visit = (archetype) => {
+    game.gameState.updateMerchant({ archetype });
+    merchant.arrive();
+  };
+
+  beforeEach(() => {
+    game = createTestGame({ resources: { gold: 100, wheat: 50 } });
+    merchant = game.container.get('merchantService');
+    contracts = game.container.get('contractService');
+  });
+
+  it('offers each visitor\'s contracts in turn and withdraws them when they leave', () => {
+    const offered = [];
+    game.eventBus.subscribe('contract:offered', ({ offer }) => offered.push(offer.resource));
+
+    visit('tool_collector');
+    assert.equal(contracts.getOffer().resource, 'tools');
+    merchant.depart();
+    assert.equal(contracts.getOffer(), null);
+
+    visit('tool_collector');
+    assert.deepEqual(offered, MERCHANT_ARCHETYPES.tool_collector.contracts.map(c => c.resource));
+  });
+
+  it('tracks accepted contracts in game state with a deadline', () => {
+    visit('tool_collector');
+    const { success, contract } = contracts.acceptOffer();
+
+    assert.equal(success, true);
+    assert.equal(contract.deadline, game.clock.now() + 600000);
+    assert.deepEqual(game.gameState.exportState().contracts.active, [contract]);
+    assert.equal(contracts.getOffer(), null);
+
+    // The offer was taken, but the contract outlives the visit
+    game.clock.advance(30000);
+    assert.equal(merchant.isActive(), false);
+    assert.equal(contracts.getActiveContracts().length, 1);
+  });
+
+  it('delivers as soon as storage holds enough and pays gold and a research discount', () => {
+    visit('tool_collector');
+    contracts.acceptOffer();
+
+    game.gameState.addResources({ tools: 19 });
+    assert.equal(contracts.getActiveContracts().length, 1);
+    assert.deepEqual(contracts.getProgress(contracts.getActiveContracts()[0]), { have: 19, amount: 20, percent: 95 });
+
+    game.gameState.addResources({ tools: 1 });
+    assert.equal(contracts.getActiveContracts().length, 0);
+    assert.equal(game.resourceService.getResource('tools'), 0);
+    assert.equal(game.resourceService.getResource('gold'), 700);
+    assert.deepEqual(contracts.getStats(), { completed: 1, failed: 0 });
+
+    // 25% off the next research, then used up
+    const research = game.container.get('researchService');
+    assert.deepEqual(research.getCost('stonework'), { gold: 38, wheat: 15 });
+    research.completeResearch('stonework');
+    assert.equal(game.resourceService.getResource('gold'), 662);
+    assert.equal(research.getDiscount(), 0);
+    assert.deepEqual(research.getCost('forestry'), { gold: 50, wheat: 15 });
+  });
+
+  it('delivers on acceptance when the goods are already in storage', () => {
+    game.gameState.addResources({ planks: 40 });
+    visit('peddler');
+    contracts.acceptOffer();
+
+    assert.equal(game.resourceService.getResource('planks'), 10);
+    assert.equal(contracts.getActiveContracts().length, 0);
+  });
+
+  it('fails contracts past their deadline and merchants trade worse for it', () => {
+    visit('peddler');
+    const fullPrice = merchant.getPrice('wood');
+    contracts.acceptOffer();
+
+    const failed = [];
+    game.eventBus.subscribe('contract:failed', data => failed.push(data));
+    game.clock.runTicks(300);
+
+    assert.equal(failed.length, 1);
+    assert.equal(failed[0].reputation, -1);
+    assert.equal(failed[0].pricePercent, CONTRACT_CONFIG.reputationPricePercent);
+    assert.deepEqual(contracts.getStats(), { completed: 0, failed: 1 });
+    assert.equal(contracts.getActiveContracts().length, 0);
+
+    game.gameState.updateMerchant({ reputation: -5 });
+    visit('peddler');
+    assert.ok(merchant.getPrice('wood') < fullPrice);
+    visit('exotic_trader');
+    assert.equal(merchant.getWares().find(w => w.resource === 'tools').price, 45);
+  });
+
+  it('wins reputation back with deliveries, never above spotless', () => {
+    game.gameState.updateMerchant({ reputation: -2 });
+    game.gameState.addResources({ planks: 60 });
+    visit('peddler');
+    contracts.acceptOffer();
+    assert.equal(merchant.getReputation(), -1);
+
+    merchant.changeReputation(5);
+    assert.equal(merchant.getReputation(), 0);
+    merchant.changeReputation(-10);
+    assert.equal(merchant.getReputation(), CONTRACT_CONFIG.minReputation);
+  });
+
+  it('limits how many contracts can be held at once', () => {
+    for (let i = 0; i < CONTRACT_CONFIG.maxActive; i++) {
+      visit('grain_buyer');
+      assert.equal(contracts.acceptOffer().success, true);
+      merchant.depart();
+    }
+
+    visit('grain_buyer');
+    assert.equal(contracts.acceptOffer().error, `You can only hold ${CONTRACT_CONFIG.maxActive} contracts at once`);
+  });
+
+  it('fails a contract whose goods only arrive after its deadline', () => {
+    visit('tool_collector');
+    contracts.acceptOffer();
+    const { deadline } = contracts.getActiveContracts()[0];
+    const json = game.saveLoadService.exportSaveJSON();
+
+    // Loaded an hour past the deadline - no TICK has run yet
+    const late = createTestGame({ startTime: deadline + 3600000 });
+    late.saveLoadService.importSaveJSON(json);
+    late.gameState.addResources({ tools: 20 });
+
+    const lateContracts = late.container.get('contractService');
+    assert.deepEqual(lateContracts.getStats(), { completed: 0, failed: 1 });
+    assert.equal(late.resourceService.getResource('tools'), 20);
+    assert.equal(late.container.get('merchantService').getReputation(), -1);
+  });
+
+  it('fails overdue contracts before offline catch-up can deliver them', () => {
+    visit('tool_collector');
+    contracts.acceptOffer();
+    const { deadline } = contracts.getActiveContracts()[0];
+    const json = game.saveLoadService.exportSaveJSON();
+
+    const late = createTestGame({ startTime: deadline + 3600000 });
+    late.saveLoadService.importSaveJSON(json);
+    late.container.get('offlineProgressService').simulate(3600000);
+
+    assert.deepEqual(late.container.get('contractService').getStats(), { completed: 0, failed: 1 });
+  });
+
+  it('delivers goods that turn up during offline catch-up before the deadline', () => {
+    visit('tool_collector');
+    contracts.acceptOffer();
+    const json = game.saveLoadService.exportSaveJSON();
+
+    // Away for an hour, well past the deadline
+    const away = 3600000;
+    const late = createTestGame({ startTime: game.clock.now() + away });
+    late.saveLoadService.importSaveJSON(json);
+
+    // The tools are made a minute into the time away
+    const production = late.container.get('productionService');
+    const tick = production.tick.bind(production);
+    let ticks = 0;
+    production.tick = () => {
+      tick();
+      if (++ticks === 60) late.gameState.addResources({ tools: 20 });
+    };
+    late.container.get('offlineProgressService').simulate(away);
+
+    assert.deepEqual(late.container.get('contractService').getStats(), { completed: 1, failed: 0 });
+    assert.equal(late.resourceService.getResource('tools'), 0);
+  });
+
+  it('keeps an accepted offer accepted when the visit resumes after loading', () => {
+    visit('tool_collector');
+    contracts.acceptOffer();
+    const json = game.saveLoadService.exportSaveJSON();
+
+    const loaded = createTestGame();
+    loaded.saveLoadService.importSaveJSON(json);
+    loaded.container.get('merchantService').resume(game.clock.now());
+
+    const reloaded = loaded.container.get('contractService');
+    assert.equal(reloaded.getOffer(), null);
+    assert.equal(reloaded.getActiveContracts().length, 1);
+  });
+});
@@ -0,0 +1,218 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestGame, quietConsole } from './helpers/harness.js';
+import { LOGISTICS_CONFIG } from '../src/config/index.js';
+import { CharacterState } from '../src/services/CharacterService.js';
+
+quietConsole();
+
+describe('LogisticsService deliveries', () => {
+  let game;
+
+  beforeEach(() => {
+    game = createTestGame({ resources: { gold: 1000, wood: 100, stone: 100, wheat: 50 } });
+    game.buildingService.placeBuilding('barn', 0, 0);
+    game.buildingService.placeBuilding('mill', 0, 5);
+    game.logisticsService.setEnabled(true);
+  });
+
+  it('stalls processors until their inputs are delivered', () => {
+    game.clock.runTicks(1);
+
+    const state = game.processorService.getProcessorState(1);
+    assert.equal(state.state, 'stalled');
+    assert.equal(state.stallReason, 'Waiting for delivery: Wheat');
+    assert.equal(game.resourceService.getResource('wheat'), 50);
+
+    game.gameState.setResources({ wheat: 0 });
+    game.clock.runTicks(1);
+    assert.equal(game.processorService.getProcessorState(1).stallReason, 'Need Wheat');
+  });
+
+  it('asks for enough inputs to run a few cycles', () => {
+    assert.deepEqual(game.logisticsService.getDeliveryRequests(), [
+      { buildingIndex: 1, resource: 'wheat', amount: 2 * LOGISTICS_CONFIG.bufferCycles }
+    ]);
+
+    // Claimed jobs count towards the target
+    game.logisticsService.claimDelivery('char_1');
+    assert.deepEqual(game.logisticsService.getDeliveryRequests(), []);
+  });
+
+  it('serves higher priority processors first', () => {
+    game.buildingService.placeBuilding('mill', 5, 0);
+    assert.deepEqual(game.logisticsService.getDeliveryRequests().map(r => r.buildingIndex), [1, 2]);
+
+    game.processorService.setPriority(2, 'high');
+    assert.deepEqual(game.logisticsService.getDeliveryRequests().map(r => r.buildingIndex), [2, 1]);
+    assert.equal(game.logisticsService.claimDelivery('char_1').buildingIndex, 2);
+  });
+
+  it('names the processor whose delivery went ahead when wheat runs short', () => {
+    game.buildingService.placeBuilding('mill', 5, 0);
+    game.processorService.setPriority(2, 'high');
+    game.gameState.setResources({ wheat: 4 });
+    assert.equal(game.logisticsService.claimDelivery('char_1').buildingIndex, 2);
+    game.clock.runTicks(1);
+
+    const state = game.processorService.getProcessorState(1);
+    assert.equal(state.stallReason, 'Waiting for delivery: Wheat (taken by Mill)');
+    assert.equal(state.blockedBy, 2);
+  });
+
+  it('names nobody when storage has enough for every processor', () => {
+    game.buildingService.placeBuilding('mill', 5, 0);
+    game.logisticsService.claimDelivery('char_1');
+    game.clock.runTicks(1);
+
+    assert.equal(game.processorService.getProcessorState(2).stallReason, 'Waiting for delivery: Wheat');
+    assert.equal(game.processorService.getProcessorState(2).blockedBy, null);
+  });
+
+  it('runs a processor from the inputs a delivery brings', () => {
+    const job = game.logisticsService.claimDelivery('char_1');
+    assert.deepEqual(game.logisticsService.pickUp(job.id), { success: true, error: null, carried: { wheat: 4 } });
+    assert.equal(game.resourceService.getResource('wheat'), 46);
+
+    assert.equal(game.logisticsService.deliver(job.id).success, true);
+    assert.deepEqual(game.processorService.getInputBuffer(1), { wheat: 4 });
+
+    game.clock.runTicks(11);
+    assert.equal(game.processorService.isReady(1), true);
+    assert.deepEqual(game.processorService.getInputBuffer(1), { wheat: 2 });
+    assert.equal(game.resourceService.getResource('wheat'), 46);
+  });
+
+  it('puts carried goods back in storage when a delivery is cancelled', () => {
+    const job = game.logisticsService.claimDelivery('char_1');
+    game.logisticsService.pickUp(job.id);
+    game.logisticsService.cancelDelivery(job.id);
+
+    assert.equal(game.resourceService.getResource('wheat'), 50);
+    assert.equal(game.logisticsService.getJob(job.id), null);
+    assert.equal(game.logisticsService.deliver(job.id).error, 'Delivery was cancelled');
+  });
+
+  it('calls off deliveries for the old recipe when a processor switches', () => {
+    game.gameState.setResources({ wheat: 0, planks: 20, mortar: 10 });
+    game.buildingService.placeBuilding('charcoal_kiln', 5, 0);
+    const job = game.logisticsService.claimDelivery('char_1');
+    assert.deepEqual([job.buildingIndex, job.resource], [2, 'planks']);
+    game.logisticsService.pickUp(job.id);
+    assert.equal(game.resourceService.getResource('planks'), 16);
+
+    game.processorService.setRecipe(2, 'log_burning');
+
+    assert.equal(game.logisticsService.getJob(job.id), null);
+    assert.equal(game.logisticsService.deliver(job.id).error, 'Delivery was cancelled');
+    assert.equal(game.resourceService.getResource('planks'), 20);
+    assert.deepEqual(game.processorService.getInputBuffer(2), {});
+    assert.deepEqual(
+      game.logisticsService.getDeliveryRequests().filter(r => r.buildingIndex === 2).map(r => r.resource),
+      ['wood']
+    );
+  });
+
+  it('follows processors as earlier buildings are removed', () => {
+    const job = game.logisticsService.claimDelivery('char_1');
+    game.logisticsService.pickUp(job.id);
+    game.buildingService.removeBuilding(0);
+
+    assert.equal(game.logisticsService.getJob(job.id).buildingIndex, 0);
+    game.buildingService.removeBuilding(0);
+    assert.equal(game.logisticsService.getJob(job.id), null);
+    assert.equal(game.resourceService.getResource('wheat'), 50);
+  });
+
+  it('returns every input to storage when switched off', () => {
+    const delivered = game.logisticsService.claimDelivery('char_1');
+    game.logisticsService.pickUp(delivered.id);
+    game.logisticsService.deliver(delivered.id);
+    game.clock.runTicks(1);
+
+    // One cycle's wheat is in the mill, the other is on its way
+    const carried = game.logisticsService.claimDelivery('char_2');
+    game.logisticsService.pickUp(carried.id);
+    assert.equal(game.resourceService.getResource('wheat'), 44);
+
+    game.logisticsService.setEnabled(false);
+
+    assert.equal(game.resourceService.getResource('wheat'), 48);
+    assert.deepEqual(game.processorService.getInputBuffer(1), {});
+    assert.equal(game.logisticsService.getJob(carried.id), null);
+  });
+
+  it('saves the mode, input buffers and goods in transit', () => {
+    game.clock.runTicks(1);
+    game.processorService.addToInputBuffer(1, { wheat: 1 });
+    const job = game.logisticsService.claimDelivery('char_1');
+    game.logisticsService.pickUp(job.id);
+    const json = game.saveLoadService.exportSaveJSON();
+
+    const loaded = createTestGame();
+    assert.equal(loaded.saveLoadService.importSaveJSON(json).success, true);
+    assert.equal(loaded.logisticsService.isEnabled(), true);
+    assert.deepEqual(loaded.processorService.getInputBuffer(1), { wheat: 4 });
+  });
+});
+
+describe('Villagers hauling inputs', () => {
+  it('carry inputs from the barn to a processor that needs them', () => {
+    const game = createTestGame({ resources: { gold: 1000, wood: 100, stone: 100, wheat: 50 } });
+    const characterService = game.container.get('characterService');
+    characterService.initialize();
+    game.buildingService.placeBuilding('barn', 0, 0);
+    game.buildingService.placeBuilding('mill', 0, 5);
+    game.logisticsService.setEnabled(true);
+
+    const delivered = [];
+    game.eventBus.subscribe('logistics:delivered', data => delivered.push(data));
+    const villagerId = characterService.spawnCharacter(4, 4, 'peasant');
+
+    game.clock.runTicks(1);
+    assert.equal(characterService.getCharacter(villagerId).state, CharacterState.FETCHING);
+
+    game.clock.runTicks(20);
+    assert.ok(delivered.length > 0);
+    assert.deepEqual(delivered[0], { buildingIndex: 1, resources: { wheat: 4 }, characterId: villagerId });
+
+    // The mill runs on delivered wheat
+    game.clock.runTicks(11);
+    assert.equal(game.processorService.isReady(1), true);
+  });
+
+  it('drop the job and return the goods when the processor is demolished', () => {
+    const game = createTestGame({ resources: { gold: 1000, wood: 100, stone: 100, wheat: 50 } });
+    const characterService = game.container.get('characterService');
+    characterService.initialize();
+    game.buildingService.placeBuilding('barn', 0, 0);
+    game.buildingService.placeBuilding('mill', 0, 8);
+    game.logisticsService.setEnabled(true);
+
+    const villagerId = characterService.spawnCharacter(2, 3, 'peasant');
+    // Claim, walk to the barn front and pick up
+    for (let i = 0; i < 10 && !characterService.getCharacter(villagerId).carryData; i++) {
+      game.clock.runTicks(1);
+    }
+    assert.deepEqual(characterService.getCharacter(villagerId).carryData, { wheat: 4 });
+    assert.equal(game.resourceService.getResource('wheat'), 46);
+
+    game.buildingService.removeBuilding(1);
+    game.clock.runTicks(1);
+
+    const villager = characterService.getCharacter(villagerId);
+    assert.equal(villager.carryData, null);
+    assert.equal(villager.haulJobId, null);
+    assert.equal(game.resourceService.getResource('wheat'), 50);
+  });
+
+  it('keep drawing on storage while the game catches up offline', () => {
+    const game = createTestGame({ resources: { gold: 1000, wood: 100, stone: 100, wheat: 50 } });
+    game.buildingService.placeBuilding('mill', 0, 5);
+    game.logisticsService.setEnabled(true);
+
+    game.processorService.tick({ capBuffers: true, skipHauling: true });
+    assert.equal(game.processorService.getProcessorState(0).state, 'running');
+    assert.equal(game.resourceService.getResource('wheat'), 48);
+  });
+});
@@ -0,0 +1,206 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestGame, quietConsole } from './helpers/harness.js';
+import { MARKET_CONFIG } from '../src/config/index.js';
+
+quietConsole();
+
+describe('MarketService pricing', () => {
+  let game;
+  let market;
+
+  beforeEach(() => {
+    game = createTestGame({ resources: { gold: 1000, wood: 100 } });
+    game.buildingService.placeBuilding('market', 0, 0);
+    game.gameState.setResources({ wheat: 100, bread: 20 });
+    market = game.container.get('marketService');
+  });
+
+  it('lowers the price with every unit sold', () => {
+    assert.equal(market.getPrice('wheat'), 3);
+
+    const quote = market.quoteSale('wheat', 100);
+    assert.deepEqual(
+      { amount: quote.amount, gold: quote.gold, priceAfter: quote.priceAfter },
+      { amount: 100, gold: 240, priceAfter: 1 }
+    );
+
+    const sale = market.sell('wheat', 100);
+    assert.equal(sale.gold, quote.gold);
+    assert.equal(market.getPrice('wheat'), 1);
+    assert.equal(Math.round(market.getDemand('wheat') * 100), 60);
+  });
+
+  it('pays less for a second batch sold straight after the first', () => {
+    const first = market.sell('bread', 10).gold;
+    const second = market.sell('bread', 10).gold;
+    assert.equal(first, 127);
+    assert.equal(second < first, true);
+  });
+
+  it('never drops below the price floor', () => {
+    game.gameState.setResources({ bread: 100 });
+    // 35 loaves take it to the floor, the other 65 sell at 4.2
+    assert.equal(market.sellAll('bread').gold, 596);
+    assert.equal(market.getDemand('bread'), MARKET_CONFIG.minPriceFactor);
+    assert.equal(market.getPrice('bread'), 4);
+  });
+
+  it('only quotes what the player has', () => {
+    assert.equal(market.quoteSale('bread', 50).amount, 20);
+    assert.equal(market.quoteSale('tools', 5).gold, 0);
+  });
+
+  it('recovers prices over time and remembers the dip', () => {
+    const changes = [];
+    game.eventBus.subscribe('market:pricesChanged', data => changes.push(data.resources));
+    market.sell('wheat', 100);
+
+    game.clock.runTicks(20);
+    assert.equal(Math.round(market.getDemand('wheat') * 100), 80);
+
+    game.clock.runTicks(20);
+    assert.equal(market.getDemand('wheat'), 1);
+    assert.deepEqual(game.gameState.getAllMarketDemand(), {});
+    assert.equal(changes.length, 41);
+
+    const history = market.getPriceHistory('wheat');
+    assert.equal(history.length, 9);
+    assert.equal(Math.min(...history), 1);
+    assert.equal(history[history.length - 1], 3);
+  });
+
+  it('keeps only the recent history', () => {
+    game.clock.runTicks(MARKET_CONFIG.historyInterval * 100);
+    assert.equal(market.getPriceHistory('wheat').length, MARKET_CONFIG.historyLength);
+  });
+
+  it('saves demand and recovers it while away', () => {
+    market.sell('wheat', 100);
+    const json = game.saveLoadService.exportSaveJSON();
+
+    const loaded = createTestGame();
+    assert.equal(loaded.saveLoadService.importSaveJSON(json).success, true);
+    const loadedMarket = loaded.container.get('marketService');
+    assert.equal(Math.round(loadedMarket.getDemand('wheat') * 100), 60);
+
+    loaded.container.get('offlineProgressService').simulate(60 * 1000);
+    assert.equal(loadedMarket.getDemand('wheat'), 1);
+  });
+});
+
+describe('MarketService buying', () => {
+  let game;
+  let market;
+
+  beforeEach(() => {
+    game = createTestGame({ resources: { gold: 1000, wood: 100 } });
+    game.buildingService.placeBuilding('market', 0, 0);
+    game.gameState.setResources({ gold: 200, planks: 0, wheat: 100 });
+    market = game.container.get('marketService');
+  });
+
+  it('charges a spread over the sell price', () => {
+    assert.equal(market.getPrice('planks'), 8);
+    assert.equal(market.getBuyPrice('planks'), 12);
+
+    assert.deepEqual(market.buy('planks', 5), { success: true, amount: 5, gold: 60, error: null });
+    assert.equal(game.resourceService.getResource('planks'), 5);
+    assert.equal(game.resourceService.getResource('gold'), 140);
+  });
+
+  it('only buys into free storage space', () => {
+    assert.equal(market.quoteBuy('wheat', 10).amount, 0);
+    assert.equal(market.buy('wheat', 10).error, 'No room to store Wheat!');
+
+    game.gameState.setResources({ wheat: 95 });
+    assert.equal(market.buy('wheat', 10).amount, 5);
+  });
+
+  it('refuses purchases the player cannot afford', () => {
+    assert.equal(market.buy('planks', 20).error, 'Not enough gold for 20 Planks!');
+    assert.equal(game.resourceService.getResource('gold'), 200);
+
+    assert.equal(market.getMaxBuyable('planks'), 16);
+    assert.equal(market.buy('planks', market.getMaxBuyable('planks')).gold, 192);
+  });
+
+  it('pushes demand back up, so selling and buying back loses gold', () => {
+    const sold = market.sell('wheat', 50).gold;
+    const demandAfterSale = market.getDemand('wheat');
+
+    const bought = market.buy('wheat', 50).gold;
+    assert.equal(bought > sold, true);
+    assert.equal(market.getDemand('wheat') > demandAfterSale, true);
+    assert.equal(market.getDemand('wheat'), 1);
+  });
+});
+
+describe('MarketService standing orders', () => {
+  let game;
+  let market;
+
+  beforeEach(() => {
+    game = createTestGame({ resources: { gold: 1000, wood: 100 } });
+    game.buildingService.placeBuilding('market', 0, 0);
+    game.gameState.setResources({ bread: 80, wheat: 100 });
+    market = game.container.get('marketService');
+  });
+
+  it('keeps the set amount and sells the rest each tick', () => {
+    const { rule } = market.addRule('bread', 'always', 50);
+    const expected = market.quoteSale('bread', 30).gold;
+
+    game.clock.runTicks(1);
+    assert.equal(game.resourceService.getResource('bread'), 50);
+    assert.deepEqual(market.getRules()[0], { ...rule, sold: 30, earned: expected });
+
+    game.clock.runTicks(5);
+    assert.equal(market.getRules()[0].sold, 30);
+  });
+
+  it('only sells at cap when told to', () => {
+    market.addRule('wheat', 'atCap', 80);
+    game.clock.runTicks(1);
+    assert.equal(game.resourceService.getResource('wheat'), 80);
+
+    game.gameState.setResources({ wheat: 90 });
+    game.clock.runTicks(1);
+    assert.equal(game.resourceService.getResource('wheat'), 90);
+  });
+
+  it('rejects rules it could not run', () => {
+    assert.equal(market.addRule('gold', 'always', 0).error, "gold can't be traded");
+    assert.equal(market.addRule('bread', 'sometimes', 0).error, 'Unknown trigger "sometimes"');
+    assert.equal(market.addRule('bread', 'always', -5).error, 'Keep amount must be 0 or more');
+
+    market.addRule('bread', 'always', 10);
+    assert.equal(market.addRule('bread', 'atCap', 10).error, 'There is already a rule for Bread');
+    assert.equal(market.updateRule('r9', { keep: 1 }).error, 'Unknown rule');
+    assert.equal(market.updateRule('r1', { keep: -1 }).error, 'Keep amount must be 0 or more');
+  });
+
+  it('can be paused, edited and removed', () => {
+    const { rule } = market.addRule('bread', 'always', 50);
+    market.updateRule(rule.id, { enabled: false });
+    game.clock.runTicks(1);
+    assert.equal(game.resourceService.getResource('bread'), 80);
+
+    market.updateRule(rule.id, { enabled: true, keep: 70.5 });
+    game.clock.runTicks(1);
+    assert.equal(game.resourceService.getResource('bread'), 70);
+
+    assert.deepEqual(market.removeRule(rule.id), { success: true, error: null });
+    assert.deepEqual(market.getRules(), []);
+  });
+
+  it('saves rules with what they earned', () => {
+    market.addRule('bread', 'always', 50);
+    game.clock.runTicks(1);
+    const json = game.saveLoadService.exportSaveJSON();
+
+    const loaded = createTestGame();
+    assert.equal(loaded.saveLoadService.importSaveJSON(json).success, true);
+    assert.deepEqual(loaded.container.get('marketService').getRules(), market.getRules());
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestGame, quietConsole } from './helpers/harness.js';
+import { MERCHANT_ARCHETYPES } from '../src/config/index.js';
+
+quietConsole();
+
+describe('MerchantService archetypes', () => {
+  let game;
+  let merchant;
+
+  /** Bring a specific archetype to town */
+  const visit = (archetype) => {
+    game.gameState.updateMerchant({ archetype });
+    merchant.arrive();
+  };
+
+  beforeEach(() => {
+    game = createTestGame({ resources: { gold: 1000, wood: 100, wheat: 50, stone: 20 } });
+    merchant = game.container.get('merchantService');
+  });
+
+  it('picks each next visitor from the weighted roster', () => {
+    const counts = {};
+    for (let i = 0; i < 400; i++) {
+      merchant.scheduleVisit();
+      const id = merchant.getArchetypeId();
+      counts[id] = (counts[id] || 0) + 1;
+    }
+
+    assert.deepEqual(Object.keys(counts).sort(), Object.keys(MERCHANT_ARCHETYPES).sort());
+    assert.ok(counts.peddler > counts.grain_buyer);
+    assert.ok(counts.grain_buyer > counts.exotic_trader);
+  });
+
+  it('waits the next visitor\'s own interval', () => {
+    merchant.scheduleVisit();
+    const { archetype, nextVisitTime } = game.gameState.getMerchant();
+    const delay = nextVisitTime - game.clock.now();
+    assert.ok(delay >= MERCHANT_ARCHETYPES[archetype].minInterval);
+    assert.ok(delay <= MERCHANT_ARCHETYPES[archetype].maxInterval);
+  });
+
+  it('announces who arrived and greets with their own lines', () => {
+    const arrivals = [];
+    game.eventBus.subscribe('merchant:arrived', data => arrivals.push(data));
+    visit('grain_buyer');
+    merchant.depart();
+    visit('grain_buyer');
+
+    const { name, dialogue } = MERCHANT_ARCHETYPES.grain_buyer;
+    assert.deepEqual(arrivals.map(a => [a.name, a.greeting]), [[name, dialogue[0]], [name, dialogue[1]]]);
+  });
+
+  it('buys only its own wares at its own prices and limits', () => {
+    visit('grain_buyer');
+
+    assert.deepEqual(merchant.getTradeData().map(r => r.resource), ['wheat', 'flour', 'bread']);
+    assert.equal(merchant.getPrice('wheat'), 3);
+    assert.equal(merchant.getMaxPerVisit('wheat'), 40);
+    assert.equal(merchant.sell('stone', 5).error, "The Grain Buyer doesn't buy stone!");
+    assert.deepEqual(merchant.sell('wheat', 50), { success: true, amount: 40, gold: 120, error: null });
+  });
+
+  it('sells rare goods up to its stock', () => {
+    visit('exotic_trader');
+    game.gameState.setResources({ gold: 100 });
+
+    assert.deepEqual(merchant.buy('tools', 5), { success: true, amount: 3, gold: 90, error: null });
+    assert.equal(game.resourceService.getResource('tools'), 3);
+    assert.equal(merchant.buy('tools').error, 'Tools is sold out this visit!');
+    assert.equal(merchant.getMaxBuyable('furniture'), 0);
+    assert.equal(merchant.buy('furniture').error, 'Not enough gold for 1 Furniture!');
+    assert.equal(merchant.buy('wheat').error, 'The Exotic Trader has no Wheat for sale!');
+  });
+
+  it('sends away visitors who don\'t trade in market towns', () => {
+    const rosters = [];
+    game.eventBus.subscribe('merchant:rosterChanged', data => rosters.push(data.archetypes));
+    visit('peddler');
+
+    game.buildingService.placeBuilding('market', 0, 0);
+    assert.equal(merchant.isActive(), false);
+    assert.equal(merchant.isDisabled(), false);
+    assert.deepEqual(rosters, [['tool_collector', 'exotic_trader']]);
+    assert.ok(rosters[0].includes(merchant.getArchetypeId()));
+  });
+
+  it('keeps trading with visitors who come to market towns', () => {
+    visit('tool_collector');
+    game.buildingService.placeBuilding('market', 0, 0);
+    assert.equal(merchant.isActive(), true);
+    assert.equal(merchant.getArchetypeId(), 'tool_collector');
+  });
+});
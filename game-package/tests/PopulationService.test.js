@@ -0,0 +1,254 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestGame, quietConsole } from './helpers/harness.js';
+import { POPULATION_CONFIG } from '../src/config/index.js';
+import { CharacterState } from '../src/services/CharacterService.js';
+
+quietConsole();
+
+describe('PopulationService workplaces', () => {
+  let game;
+  let population;
+
+  beforeEach(() => {
+    game = createTestGame({ workers: true, resources: { gold: 5000, wood: 200, stone: 200 } });
+    population = game.populationService;
+  });
+
+  it('starts with three haulers and houses more with a Town Hall', () => {
+    assert.equal(population.getPopulation(), 3);
+    assert.equal(population.getHaulers().length, 3);
+    assert.equal(population.getHousingCapacity(), POPULATION_CONFIG.baseHousing);
+
+    game.buildingService.placeBuilding('townhall', 0, 0);
+    assert.equal(population.getHousingCapacity(), POPULATION_CONFIG.baseHousing + 4);
+  });
+
+  it('hires haulers for a new workplace but keeps one hauling', () => {
+    game.buildingService.placeBuilding('wheat_farm', 0, 0);
+    assert.deepEqual(population.getWorkers(0).map(v => v.id), ['v2', 'v3']);
+    assert.equal(population.getJob('v2'), 'farmer');
+    assert.equal(population.getJob('v1'), 'hauler');
+
+    game.buildingService.placeBuilding('mill', 0, 4);
+    assert.deepEqual(population.getWorkers(1), []);
+    assert.deepEqual(population.addWorker(1), { success: true, error: null });
+    assert.equal(population.getJob('v1'), 'miller');
+    assert.equal(population.addWorker(1).error, 'No free villagers - everyone has a job');
+  });
+
+  it('scales production with how many slots are filled', () => {
+    game.buildingService.placeBuilding('wheat_farm', 0, 0);
+    const farm = game.gameState.getBuildings()[0];
+    const productionService = game.container.get('productionService');
+    assert.equal(productionService.getProductionMultiplier(farm), 1);
+
+    population.removeWorker(0);
+    assert.equal(productionService.getProductionMultiplier(farm), 0.625);
+    population.removeWorker(0);
+    assert.equal(productionService.getProductionMultiplier(farm), POPULATION_CONFIG.unstaffedMultiplier);
+    assert.equal(population.removeWorker(0).error, 'Nobody works there');
+  });
+
+  it('scales consumption with staffing too, so short-staffed workplaces still break even', () => {
+    game.gameState.setResources({ gold: 500, wheat: 100 });
+    game.buildingService.placeBuilding('bakery', 0, 0);
+    const bakery = game.gameState.getBuildings()[0];
+    const productionService = game.container.get('productionService');
+    assert.deepEqual(productionService.calculateBuildingProduction(bakery).consumption, { wheat: 1 });
+
+    population.removeWorker(0);
+    const { production, consumption } = productionService.calculateBuildingProduction(bakery);
+    assert.deepEqual(production, { gold: 3 * POPULATION_CONFIG.unstaffedMultiplier });
+    assert.deepEqual(consumption, { wheat: POPULATION_CONFIG.unstaffedMultiplier });
+
+    game.gameState.setResources({ wheat: 100 });
+    game.clock.runTicks(4);
+    assert.equal(game.resourceService.getResource('wheat'), 100 - 4 * POPULATION_CONFIG.unstaffedMultiplier);
+  });
+
+  it('slows processors that are short of workers', () => {
+    game.buildingService.placeBuilding('wheat_farm', 0, 0);
+    game.buildingService.placeBuilding('mill', 0, 4);
+    const mill = game.gameState.getBuildings()[1];
+    assert.equal(game.processorService.getProductionMultiplier(mill), POPULATION_CONFIG.unstaffedMultiplier);
+
+    population.removeWorker(0);
+    population.addWorker(1);
+    assert.equal(game.processorService.getProductionMultiplier(mill), 1);
+  });
+
+  it('refuses jobs at full or job-less buildings', () => {
+    game.buildingService.placeBuilding('wheat_farm', 0, 0);
+    game.buildingService.placeBuilding('barn', 0, 4);
+
+    assert.equal(population.assign('v1', 0).error, 'No free jobs at the Wheat Farm');
+    assert.equal(population.assign('v1', 1).error, 'That building has no jobs');
+    assert.equal(population.assign('v9', null).error, 'Unknown villager');
+  });
+
+  it('frees the workers of a demolished building and follows later workplaces', () => {
+    game.buildingService.placeBuilding('wheat_farm', 0, 0);
+    game.buildingService.placeBuilding('mill', 0, 4);
+    population.removeWorker(0);
+    population.addWorker(1);
+    const millWorker = population.getWorkers(1)[0].id;
+
+    game.buildingService.removeBuilding(0);
+    assert.deepEqual(population.getWorkers(0).map(v => v.id), [millWorker]);
+    assert.equal(population.getHaulers().length, 2);
+  });
+
+  it('saves who works where', () => {
+    game.buildingService.placeBuilding('wheat_farm', 0, 0);
+    population.removeWorker(0);
+    const json = game.saveLoadService.exportSaveJSON();
+
+    const loaded = createTestGame();
+    assert.equal(loaded.saveLoadService.importSaveJSON(json).success, true);
+    assert.deepEqual(loaded.populationService.getVillagers(), population.getVillagers());
+  });
+});
+
+describe('PopulationService growth', () => {
+  const { intervalTicks } = POPULATION_CONFIG.growth;
+
+  it('welcomes a villager who eats bread while there is housing', () => {
+    const game = createTestGame({ resources: { bread: 10 } });
+    const arrived = [];
+    game.eventBus.subscribe('population:arrived', data => arrived.push(data.villager));
+
+    game.clock.runTicks(intervalTicks);
+    assert.deepEqual(arrived, [{ id: 'v4', workplace: null }]);
+    assert.equal(game.resourceService.getResource('bread'), 8);
+
+    // Four villagers fill the starting housing
+    game.clock.runTicks(intervalTicks);
+    assert.equal(game.populationService.getPopulation(), 4);
+    assert.equal(game.populationService.getGrowthBlocker(), 'No free housing');
+    assert.equal(game.resourceService.getResource('bread'), 8);
+  });
+
+  it('waits for food before anyone moves in', () => {
+    const game = createTestGame({ resources: { bread: 0 } });
+    game.clock.runTicks(intervalTicks + 5);
+    assert.equal(game.populationService.getPopulation(), 3);
+    assert.equal(game.populationService.getGrowthBlocker(), 'Not enough food (bread)');
+
+    // Someone arrives as soon as there is bread
+    game.gameState.setResources({ bread: 2 });
+    game.clock.runTicks(1);
+    assert.equal(game.populationService.getPopulation(), 4);
+  });
+});
+
+describe('Villagers at work', () => {
+  it('walk to their workplace and only haul without one', () => {
+    const game = createTestGame({ workers: true, resources: { gold: 1000, wood: 100 } });
+    const characterService = game.container.get('characterService');
+    characterService.initialize();
+    game.buildingService.placeBuilding('wheat_farm', 0, 0);
+    characterService.syncVillagers();
+
+    const villagerOf = (id) => characterService.getCharacters().find(c => c.villagerId === id);
+    assert.equal(characterService.getCharacters().length, 3);
+
+    game.clock.runTicks(1);
+    assert.equal(villagerOf('v2').state, CharacterState.COMMUTING);
+
+    game.clock.runTicks(10);
+    assert.equal(villagerOf('v2').state, CharacterState.WORKING);
+    assert.equal(villagerOf('v3').state, CharacterState.WORKING);
+    assert.notEqual(villagerOf('v1').state, CharacterState.WORKING);
+
+    // Back to hauling once reassigned
+    game.populationService.assign('v2', null);
+    game.clock.runTicks(1);
+    assert.notEqual(villagerOf('v2').state, CharacterState.WORKING);
+  });
+
+  it('gives every newcomer a character', () => {
+    const game = createTestGame({ resources: { bread: 10 } });
+    const characterService = game.container.get('characterService');
+    characterService.initialize();
+    characterService.syncVillagers();
+
+    game.clock.runTicks(POPULATION_CONFIG.growth.intervalTicks);
+    assert.deepEqual(characterService.getCharacters().map(c => c.villagerId), ['v1', 'v2', 'v3', 'v4']);
+  });
+});
+
+describe('PopulationService housing', () => {
+  const { intervalTicks } = POPULATION_CONFIG.growth;
+
+  it('houses residents while their upkeep is paid', () => {
+    const game = createTestGame({ resources: { gold: 500, wood: 100, bread: 1 } });
+    game.buildingService.placeBuilding('cottage', 0, 0);
+    const housingChanges = [];
+    game.eventBus.subscribe('population:housingChanged', data => housingChanges.push(data));
+
+    assert.equal(game.populationService.getHousingCapacity(), POPULATION_CONFIG.baseHousing + 3);
+    assert.deepEqual(game.populationService.getUpkeep(), { bread: 0.1 });
+
+    game.clock.runTicks(10);
+    assert.equal(game.resourceService.getResource('bread') < 0.01, true);
+    assert.equal(game.populationService.isHomeSupplied(0), true);
+
+    // Out of bread - the cottage houses nobody
+    game.clock.runTicks(1);
+    assert.equal(game.populationService.isHomeSupplied(0), false);
+    assert.equal(game.populationService.getHousingCapacity(), POPULATION_CONFIG.baseHousing);
+    assert.deepEqual(housingChanges, [{ capacity: POPULATION_CONFIG.baseHousing, unsupplied: [0] }]);
+  });
+
+  it('loses a hauler when the village outgrows its housing', () => {
+    const game = createTestGame({ resources: { gold: 500, wood: 100 } });
+    game.buildingService.placeBuilding('wheat_farm', 0, 0);
+    game.buildingService.placeBuilding('cottage', 0, 4);
+    game.gameState.addVillager();
+    game.gameState.addVillager();
+    const left = [];
+    game.eventBus.subscribe('population:left', data => left.push(data.villager));
+
+    // No bread for the cottage - five villagers, room for four
+    game.clock.runTicks(intervalTicks);
+    assert.deepEqual(left, [{ id: 'v5', workplace: null }]);
+    assert.equal(game.populationService.getPopulation(), 4);
+
+    game.clock.runTicks(intervalTicks);
+    assert.equal(left.length, 1);
+  });
+
+  it('keeps bigger buildings locked until the village grows', () => {
+    const game = createTestGame({
+      resources: { gold: 5000, planks: 50, cut_stone: 50, furniture: 10 }
+    });
+    assert.deepEqual(game.buildingService.canBuild('manor'), { canBuild: false, reason: 'Needs 6 villagers' });
+
+    game.gameState.addVillager();
+    game.gameState.addVillager();
+    game.gameState.addVillager();
+    assert.deepEqual(game.buildingService.canBuild('manor'), { canBuild: true, reason: null });
+  });
+
+  it('eats upkeep while the game catches up offline', () => {
+    const game = createTestGame({ resources: { gold: 500, wood: 100, bread: 10 } });
+    game.buildingService.placeBuilding('cottage', 0, 0);
+
+    game.container.get('offlineProgressService').simulate(60 * 1000);
+    assert.equal(Math.round(game.resourceService.getResource('bread') * 10) / 10, 4);
+    assert.equal(game.populationService.getPopulation(), 3);
+  });
+
+  it('sends newcomers out of the home they moved into', () => {
+    const game = createTestGame({ resources: { gold: 500, wood: 100, bread: 50 } });
+    const characterService = game.container.get('characterService');
+    characterService.initialize();
+    game.buildingService.placeBuilding('cottage', 2, 2);
+
+    game.clock.runTicks(intervalTicks);
+    const newcomer = characterService.getCharacters().find(c => c.villagerId === 'v4');
+    assert.equal(newcomer.col, 2);
+    assert.equal(newcomer.row, 3);
+  });
+});
@@ -0,0 +1,251 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestGame, quietConsole } from './helpers/harness.js';
+
+quietConsole();
+
+describe('ProcessorService stall reasons', () => {
+  let game;
+
+  beforeEach(() => {
+    game = createTestGame({ resources: { gold: 1000, wood: 100 } });
+    game.buildingService.placeBuilding('mill', 0, 0);
+  });
+
+  it('stalls with the missing input named', () => {
+    game.gameState.setResources({ wheat: 1 });
+    game.clock.runTicks(1);
+
+    const state = game.processorService.getProcessorState(0);
+    assert.equal(state.state, 'stalled');
+    assert.equal(state.stallReason, 'Need Wheat');
+    assert.equal(state.progress, 0);
+  });
+
+  it('runs and clears the stall once inputs arrive', () => {
+    game.clock.runTicks(1);
+    game.gameState.setResources({ wheat: 10 });
+    game.clock.runTicks(1);
+
+    const state = game.processorService.getProcessorState(0);
+    assert.equal(state.state, 'running');
+    assert.equal(state.stallReason, null);
+    assert.equal(game.resourceService.getResource('wheat'), 8);
+  });
+
+  it('stalls with the full output named when storage is at cap', () => {
+    game.gameState.setResources({ wheat: 10, flour: 100 });
+    game.clock.runTicks(1);
+
+    const state = game.processorService.getProcessorState(0);
+    assert.equal(state.state, 'stalled');
+    assert.equal(state.stallReason, 'Storage Full: Flour');
+    assert.equal(game.resourceService.getResource('wheat'), 10);
+  });
+
+  it('formats multi-word resource names', () => {
+    assert.equal(game.processorService._getMissingInputReason({ cut_stone: 1 }), 'Need Cut stone');
+  });
+
+  it('counts buffered outputs against storage only when capping buffers', () => {
+    game.gameState.setResources({ wheat: 100, flour: 99 });
+    // One full cycle (ten 0.1 steps sum just under 1) buffers 1 flour, filling the last free slot
+    game.clock.runTicks(11);
+    assert.equal(game.processorService.isReady(0), true);
+
+    game.processorService.tick({ capBuffers: true });
+    assert.equal(game.processorService.getProcessorState(0).stallReason, 'Storage Full: Flour');
+
+    game.processorService.tick();
+    assert.equal(game.processorService.getProcessorState(0).state, 'running');
+  });
+});
+
+describe('ProcessorService building removal', () => {
+  it('keeps later processors\' progress when an earlier building is demolished', () => {
+    const game = createTestGame({ resources: { gold: 1000, wood: 100, wheat: 50 } });
+    game.buildingService.placeBuilding('wheat_farm', 4, 4);
+    game.buildingService.placeBuilding('mill', 0, 0);
+    game.clock.runTicks(3);
+    const progress = game.processorService.getProcessorState(1).progress;
+    assert.ok(progress > 0);
+
+    game.buildingService.removeBuilding(0);
+
+    // The mill moved to index 0 and its cycle carried over
+    const state = game.processorService.getProcessorState(0);
+    assert.equal(state.state, 'running');
+    assert.equal(state.progress, progress);
+    assert.equal(game.processorService.getStateSnapshot(1), null);
+  });
+});
+
+describe('ProcessorService recipes', () => {
+  let game;
+
+  beforeEach(() => {
+    game = createTestGame({ resources: { gold: 1000, mortar: 10, wood: 100, planks: 10, wheat: 50 } });
+    game.buildingService.placeBuilding('charcoal_kiln', 0, 0);
+  });
+
+  it('runs the recipe the player picks', () => {
+    const kiln = game.gameState.getBuildings()[0];
+    assert.deepEqual(game.processorService.getRecipes(kiln).map(r => r.id), [undefined, 'log_burning']);
+
+    const changed = [];
+    game.eventBus.subscribe('processor:recipeChanged', data => changed.push(data.recipeId));
+    assert.equal(game.processorService.setRecipe(0, 'log_burning').success, true);
+    game.clock.runTicks(1);
+
+    assert.deepEqual(changed, ['log_burning']);
+    assert.equal(game.resourceService.getResource('wood'), 95);
+    assert.equal(game.resourceService.getResource('planks'), 10);
+  });
+
+  it('refuses recipes that are unknown or still need research', () => {
+    assert.equal(game.processorService.setRecipe(0, 'millstone_grinding').error, 'Unknown recipe');
+
+    game.buildingService.placeBuilding('mill', 4, 4);
+    assert.equal(game.processorService.setRecipe(1, 'millstone_grinding').error, 'Requires research: Masonry');
+    assert.equal(game.processorService.setRecipe(1, null).success, true);
+  });
+
+  it('keeps each recipe\'s cycle for when it is picked again', () => {
+    game.clock.runTicks(3);
+    const planksCycle = game.processorService.getProcessorState(0).progress;
+    assert.ok(planksCycle > 0);
+
+    game.processorService.setRecipe(0, 'log_burning');
+    assert.equal(game.processorService.getProcessorState(0).progress, 0);
+    game.clock.runTicks(3);
+
+    game.processorService.setRecipe(0, null);
+    const state = game.processorService.getProcessorState(0);
+    assert.equal(state.progress, planksCycle);
+    assert.equal(state.inputsConsumed, true);
+    assert.equal(state.state, 'running');
+    assert.ok(state.pausedRecipes.log_burning.progress > 0);
+  });
+
+  it('saves the picked recipe with the processor', () => {
+    game.processorService.setRecipe(0, 'log_burning');
+    game.clock.runTicks(2);
+    const json = game.saveLoadService.exportSaveJSON();
+
+    const loaded = createTestGame();
+    assert.equal(loaded.saveLoadService.importSaveJSON(json).success, true);
+    const kiln = loaded.gameState.getBuildings()[0];
+    assert.equal(loaded.processorService.getRecipe(kiln).id, 'log_burning');
+    assert.deepEqual(Object.keys(loaded.processorService.getProcessorState(0).pausedRecipes), ['base']);
+  });
+
+  it('hands back delivered inputs of paused recipes with the rest', () => {
+    game.processorService.addToInputBuffer(0, { planks: 4 });
+    game.processorService.setRecipe(0, 'log_burning');
+    game.processorService.addToInputBuffer(0, { wood: 5 });
+
+    assert.deepEqual(game.processorService.clearInputBuffer(0), { wood: 5, planks: 4 });
+    assert.deepEqual(game.processorService.getInputBuffer(0), {});
+  });
+});
+
+describe('ProcessorService input allocation', () => {
+  let game;
+
+  /** Leave exactly one mill cycle of wheat in storage and run a tick */
+  const tickWithOneCycle = () => {
+    game.gameState.setResources({ wheat: 2 });
+    game.clock.runTicks(1);
+  };
+
+  beforeEach(() => {
+    game = createTestGame({ resources: { gold: 1000, wood: 100 } });
+    game.buildingService.placeBuilding('mill', 0, 0);
+    game.buildingService.placeBuilding('mill', 4, 4);
+  });
+
+  it('takes turns instead of always feeding the first-placed processor', () => {
+    const starts = [];
+    for (let cycle = 0; cycle < 4; cycle++) {
+      tickWithOneCycle();
+      starts.push([0, 1].find(i => game.processorService.getProcessorState(i).state === 'running'));
+
+      // Let the cycle finish with nothing left to share
+      game.gameState.setResources({ wheat: 0 });
+      game.clock.runTicks(10);
+    }
+    assert.deepEqual(starts, [0, 1, 0, 1]);
+  });
+
+  it('feeds higher priority processors first', () => {
+    assert.equal(game.processorService.getPriority(1), 'normal');
+    assert.equal(game.processorService.setPriority(1, 'high').success, true);
+
+    tickWithOneCycle();
+    assert.equal(game.processorService.getProcessorState(1).state, 'running');
+    assert.equal(game.processorService.getProcessorState(0).state, 'stalled');
+  });
+
+  it('names the competitor that took the input', () => {
+    tickWithOneCycle();
+
+    const state = game.processorService.getProcessorState(1);
+    assert.equal(state.stallReason, 'Need Wheat (taken by Mill)');
+    assert.equal(state.blockedBy, 0);
+
+    // Still the one to blame while mill 1 waits, even after the cycle ends
+    game.clock.runTicks(10);
+    assert.equal(game.processorService.getProcessorState(1).stallReason, 'Need Wheat (taken by Mill)');
+
+    // Mill 1 has waited longer, so it gets the next batch and stops blaming anyone
+    tickWithOneCycle();
+    assert.equal(game.processorService.getProcessorState(1).state, 'running');
+    assert.equal(game.processorService.getProcessorState(1).blockedBy, null);
+  });
+
+  it('shares out what is left when there is not enough for every cycle', () => {
+    game.gameState.setResources({ wheat: 3 });
+    game.clock.runTicks(1);
+
+    // Mill 0 starts, mill 1 sets the last one aside
+    assert.equal(game.processorService.getProcessorState(0).state, 'running');
+    assert.deepEqual(game.processorService.getInputBuffer(1), { wheat: 1 });
+    assert.equal(game.resourceService.getResource('wheat'), 0);
+    assert.equal(game.processorService.getProcessorState(1).stallReason, 'Need Wheat (taken by Mill)');
+
+    // One more is enough to start it
+    game.gameState.setResources({ wheat: 1 });
+    game.clock.runTicks(1);
+    assert.equal(game.processorService.getProcessorState(1).state, 'running');
+    assert.deepEqual(game.processorService.getInputBuffer(1), {});
+    assert.equal(game.resourceService.getResource('wheat'), 0);
+  });
+
+  it('does not name a competitor that took its input before the shortage', () => {
+    game = createTestGame({ resources: { gold: 1000, wood: 100 } });
+    game.buildingService.placeBuilding('mill', 0, 0);
+    tickWithOneCycle();
+    assert.equal(game.processorService.getProcessorState(0).state, 'running');
+
+    // Mill 0 is mid-cycle on wheat it took before mill 1 existed
+    game.buildingService.placeBuilding('mill', 4, 4);
+    game.clock.runTicks(1);
+
+    const state = game.processorService.getProcessorState(1);
+    assert.equal(state.stallReason, 'Need Wheat');
+    assert.equal(state.blockedBy, null);
+  });
+
+  it('refuses unknown priorities and saves the chosen one', () => {
+    assert.equal(game.processorService.setPriority(0, 'urgent').error, 'Unknown priority: urgent');
+
+    const changed = [];
+    game.eventBus.subscribe('processor:priorityChanged', data => changed.push(data));
+    game.processorService.setPriority(0, 'low');
+    assert.deepEqual(changed, [{ buildingIndex: 0, buildingType: 'mill', priority: 'low' }]);
+
+    const loaded = createTestGame();
+    loaded.saveLoadService.importSaveJSON(game.saveLoadService.exportSaveJSON());
+    assert.equal(loaded.processorService.getPriority(0), 'low');
+  });
+});
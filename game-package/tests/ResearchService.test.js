@@ -0,0 +1,214 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestGame, quietConsole } from './helpers/harness.js';
+import { getResearchDepth, getResearchAncestors } from '../src/config/index.js';
+
+quietConsole();
+
+describe('ResearchService.canResearch', () => {
+  let game;
+
+  beforeEach(() => {
+    game = createTestGame({ resources: { gold: 500, wheat: 100 } });
+  });
+
+  it('allows research with no prereqs when affordable', () => {
+    assert.deepEqual(game.researchService.canResearch('basic_construction'), { canResearch: true, reason: null });
+  });
+
+  it('rejects unknown research', () => {
+    assert.deepEqual(game.researchService.canResearch('alchemy'), { canResearch: false, reason: 'Unknown research' });
+  });
+
+  it('names missing prerequisites', () => {
+    assert.deepEqual(game.researchService.canResearch('baking'), {
+      canResearch: false,
+      reason: 'Requires: Basic Construction'
+    });
+  });
+
+  it('rejects research the player cannot afford', () => {
+    game.researchService.completeResearch('basic_construction');
+    game.gameState.setResources({ gold: 100 });
+
+    assert.deepEqual(game.researchService.canResearch('baking'), {
+      canResearch: false,
+      reason: 'Not enough resources'
+    });
+  });
+
+  it('rejects research that is already complete', () => {
+    game.researchService.completeResearch('basic_construction');
+
+    assert.deepEqual(game.researchService.canResearch('basic_construction'), {
+      canResearch: false,
+      reason: 'Already researched'
+    });
+    assert.equal(game.researchService.canResearch('baking').canResearch, true);
+  });
+});
+
+describe('ResearchService queue', () => {
+  let game;
+  let research;
+
+  beforeEach(() => {
+    game = createTestGame({ resources: { gold: 500, wheat: 100 } });
+    research = game.researchService;
+  });
+
+  it('starts the head of the queue at once and queues research behind its prerequisites', () => {
+    assert.deepEqual(research.queueResearch('basic_construction'), { success: true, error: null });
+    assert.deepEqual(research.queueResearch('baking'), { success: true, error: null });
+
+    assert.equal(game.resourceService.getResource('gold'), 475);
+    assert.equal(research.getResearchStatus('basic_construction'), 'researching');
+    assert.equal(research.getResearchStatus('baking'), 'queued');
+    assert.deepEqual(research.getQueue(), ['baking']);
+
+    assert.equal(research.queueResearch('baking').error, 'Already in the research queue');
+    assert.equal(research.queueResearch('masonry').error, 'Requires: Stonework');
+  });
+
+  it('finishes after its research time and moves on to the next', () => {
+    research.queueResearch('basic_construction');
+    research.queueResearch('baking');
+
+    game.clock.runTicks(14);
+    assert.equal(research.isCompleted('basic_construction'), false);
+    assert.deepEqual(research.getActiveResearch(), {
+      id: 'basic_construction',
+      name: 'Basic Construction',
+      progress: 14,
+      time: 15,
+      percent: 93,
+      remaining: 1
+    });
+
+    game.clock.runTicks(1);
+    assert.equal(research.isCompleted('basic_construction'), true);
+    assert.equal(research.getActiveResearch().id, 'baking');
+    assert.deepEqual(research.getQueue(), []);
+  });
+
+  it('waits until the next research can be paid for', () => {
+    game.gameState.setResources({ gold: 20 });
+    research.queueResearch('basic_construction');
+    assert.equal(research.getActiveResearch(), null);
+
+    game.gameState.addResources({ gold: 5 });
+    game.clock.runTicks(1);
+    assert.equal(research.getActiveResearch().id, 'basic_construction');
+  });
+
+  it('goes faster with a library', () => {
+    game.gameState.setResources({ gold: 500, wood: 100, stone: 100 });
+    game.buildingService.placeBuilding('library', 0, 0);
+    assert.equal(research.getSpeed(), 1.5);
+
+    research.queueResearch('basic_construction');
+    game.clock.runTicks(10);
+    assert.equal(research.isCompleted('basic_construction'), true);
+  });
+
+  it('refunds stopped research and drops the research queued behind it', () => {
+    research.queueResearch('basic_construction');
+    research.queueResearch('baking');
+    research.queueResearch('stonework');
+
+    assert.deepEqual(research.removeFromQueue('basic_construction'), {
+      success: true,
+      removed: ['basic_construction', 'baking'],
+      error: null
+    });
+    assert.equal(research.getActiveResearch().id, 'stonework');
+    assert.equal(game.resourceService.getResource('gold'), 450);
+    assert.equal(research.removeFromQueue('baking').error, 'Not in the research queue');
+  });
+
+  it('carries research in progress across saves', () => {
+    research.queueResearch('basic_construction');
+    research.queueResearch('baking');
+    game.clock.runTicks(5);
+
+    const loaded = createTestGame();
+    loaded.saveLoadService.importSaveJSON(game.saveLoadService.exportSaveJSON());
+    assert.equal(loaded.researchService.getActiveResearch().progress, 5);
+    assert.deepEqual(loaded.researchService.getQueue(), ['baking']);
+
+    loaded.clock.runTicks(10);
+    assert.equal(loaded.researchService.isCompleted('basic_construction'), true);
+  });
+
+  it('keeps researching while the game catches up offline', () => {
+    research.queueResearch('basic_construction');
+    research.queueResearch('baking');
+
+    const report = game.container.get('offlineProgressService').simulate(60 * 1000);
+    assert.deepEqual(report.researched.map(r => r.id), ['basic_construction', 'baking']);
+  });
+});
+
+describe('ResearchService effects', () => {
+  let game;
+  let research;
+
+  beforeEach(() => {
+    game = createTestGame({ resources: { gold: 2000, wheat: 200, wood: 200, stone: 200 } });
+    research = game.researchService;
+  });
+
+  it('unlocks processor buildings', () => {
+    assert.equal(research.isBuildingUnlocked('sawmill'), false);
+    research.completeResearch('forestry');
+    research.completeResearch('wood_processing');
+    assert.equal(research.isBuildingUnlocked('sawmill'), true);
+    assert.equal(research.getBuildingUnlockResearch('sawmill'), 'wood_processing');
+  });
+
+  it('lets processors run the alternative recipe research unlocks', () => {
+    game.buildingService.placeBuilding('mill', 0, 0);
+    assert.equal(research.isRecipeUnlocked('millstone_grinding'), false);
+    assert.deepEqual(research.getAvailableRecipes('mill').map(r => r.id), [undefined]);
+
+    research.completeResearch('stonework');
+    research.completeResearch('masonry');
+    assert.equal(research.isRecipeUnlocked('millstone_grinding'), true);
+    assert.deepEqual(research.getAvailableRecipes('mill').map(r => r.id), [undefined, 'millstone_grinding']);
+
+    assert.equal(game.processorService.setRecipe(0, 'millstone_grinding').success, true);
+    assert.equal(game.processorService.getRecipe(game.gameState.getBuildings()[0]).id, 'millstone_grinding');
+
+    const wheat = game.resourceService.getResource('wheat');
+    game.clock.runTicks(1);
+    assert.equal(game.resourceService.getResource('wheat'), wheat - 3);
+  });
+
+  it('boosts buildings next to their synergy partner once researched', () => {
+    game.buildingService.placeBuilding('mill', 0, 0);
+    game.buildingService.placeBuilding('wheat_farm', 0, 2);
+    game.buildingService.placeBuilding('mill', 6, 6);
+    const [mill, , farAway] = game.gameState.getBuildings();
+    assert.equal(research.getSynergyBonus(mill), 0);
+
+    research.completeResearch('basic_construction');
+    research.completeResearch('advanced_farming');
+
+    assert.deepEqual(research.getSynergies(mill).map(s => s.id), ['mill_wheat_fields']);
+    assert.equal(game.processorService.getProductionMultiplier(mill), 1.2);
+    assert.equal(game.processorService.getProductionMultiplier(farAway), 1);
+  });
+});
+
+describe('research tree helpers', () => {
+  it('puts research one tier after its deepest prerequisite', () => {
+    assert.equal(getResearchDepth('basic_construction'), 0);
+    assert.equal(getResearchDepth('metallurgy'), 2);
+    assert.equal(getResearchDepth('expansion_3'), 5);
+  });
+
+  it('collects the whole dependency chain of a research', () => {
+    assert.deepEqual([...getResearchAncestors('metallurgy')].sort(), ['forestry', 'masonry', 'stonework', 'woodworking']);
+    assert.equal(getResearchAncestors('stonework').size, 0);
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestGame, quietConsole } from './helpers/harness.js';
+import { ROAD_CONFIG } from '../src/config/index.js';
+
+quietConsole();
+
+/**
+ * Lay a straight road along a row
+ * @returns {boolean} True if every tile was laid
+ */
+function layRoad(game, row, fromCol, toCol) {
+  let ok = true;
+  for (let col = fromCol; col <= toCol; col++) {
+    ok = game.roadService.buildRoad(row, col).success && ok;
+  }
+  return ok;
+}
+
+describe('RoadService road tiles', () => {
+  let game;
+
+  beforeEach(() => {
+    game = createTestGame({
+      terrain: ['0000000000', '0000500000'],
+      resources: { gold: 1000, wood: 100, stone: 100 }
+    });
+  });
+
+  it('lays a road for its cost', () => {
+    assert.deepEqual(game.roadService.buildRoad(0, 0), { success: true, error: null });
+    assert.equal(game.roadService.isRoad(0, 0), true);
+    assert.equal(game.resourceService.getResource('gold'), 1000 - ROAD_CONFIG.cost.gold);
+    assert.equal(game.resourceService.getResource('stone'), 100 - ROAD_CONFIG.cost.stone);
+  });
+
+  it('refuses tiles it cannot build on', () => {
+    game.buildingService.placeBuilding('wheat_farm', 4, 4);
+    game.roadService.buildRoad(0, 0);
+
+    assert.equal(game.roadService.buildRoad(0, 0).error, 'There is already a road here');
+    assert.equal(game.roadService.buildRoad(1, 4).error, 'Cannot build a road on water!');
+    assert.equal(game.roadService.buildRoad(5, 5).error, 'Cannot build a road under a building!');
+    assert.equal(game.roadService.buildRoad(10, 0).error, 'Tile is outside the plot');
+
+    game.gameState.setResources({ stone: 0 });
+    assert.equal(game.roadService.buildRoad(0, 1).error, 'Not enough resources to build a road!');
+  });
+
+  it('keeps buildings off roads', () => {
+    game.roadService.buildRoad(3, 3);
+    assert.equal(game.buildingService.placeBuilding('wheat_farm', 2, 2).error, 'Cannot build on road!');
+  });
+
+  it('leaves dirt when a road is dug up', () => {
+    game.roadService.buildRoad(0, 0);
+    assert.equal(game.roadService.removeRoad(0, 0).success, true);
+    assert.equal(game.terrainService.getTerrainAt(0, 0), 'dirt');
+    assert.equal(game.roadService.removeRoad(0, 0).error, 'There is no road here');
+  });
+});
+
+describe('RoadService connectivity', () => {
+  let game;
+
+  beforeEach(() => {
+    game = createTestGame({ roads: true, resources: { gold: 1000, wood: 100, stone: 100, wheat: 50 } });
+    game.buildingService.placeBuilding('barn', 0, 0);
+    game.buildingService.placeBuilding('mill', 0, 5);
+  });
+
+  it('connects a processor whose road leads to storage', () => {
+    const mill = game.buildingService.getBuildingByIndex(1);
+    assert.equal(game.roadService.isConnected(mill), false);
+    assert.equal(game.roadService.hasRoadAccess(mill), false);
+
+    layRoad(game, 2, 0, 5);
+
+    assert.equal(game.roadService.isConnected(mill), true);
+    assert.equal(game.roadService.getAccessMultiplier(mill), 1);
+  });
+
+  it('disconnects a processor when its road is broken', () => {
+    layRoad(game, 2, 0, 5);
+    game.roadService.removeRoad(2, 3);
+
+    const mill = game.buildingService.getBuildingByIndex(1);
+    assert.equal(game.roadService.isConnected(mill), false);
+    assert.equal(game.roadService.hasRoadAccess(mill), true);
+    assert.equal(game.roadService.getAccessMultiplier(mill), ROAD_CONFIG.disconnectedMultiplier);
+  });
+
+  it('follows buildings as they move', () => {
+    layRoad(game, 2, 0, 5);
+    game.buildingService.moveBuilding(1, 6, 6);
+    assert.equal(game.roadService.isConnected(game.buildingService.getBuildingByIndex(1)), false);
+  });
+
+  it('counts storage as connected and leaves non-processors alone', () => {
+    game.buildingService.placeBuilding('market', 6, 0);
+    assert.equal(game.roadService.isConnected(game.buildingService.getBuildingByIndex(0)), true);
+    assert.equal(game.roadService.getAccessMultiplier(game.buildingService.getBuildingByIndex(2)), 1);
+  });
+
+  it('slows processors that are not connected', () => {
+    game.clock.runTicks(11);
+    assert.equal(game.processorService.isReady(1), false);
+
+    const connected = createTestGame({ roads: true, resources: { gold: 1000, wood: 100, stone: 100, wheat: 50 } });
+    connected.buildingService.placeBuilding('barn', 0, 0);
+    connected.buildingService.placeBuilding('mill', 0, 5);
+    layRoad(connected, 2, 0, 5);
+    connected.clock.runTicks(11);
+    assert.equal(connected.processorService.isReady(1), true);
+  });
+});
+
+describe('Villagers on roads', () => {
+  it('prefer a road over a shorter walk on grass', () => {
+    const game = createTestGame({ resources: { gold: 1000, stone: 100 } });
+    const characterService = game.container.get('characterService');
+    layRoad(game, 1, 0, 9);
+
+    const id = characterService.spawnCharacter(0, 0, 'peasant');
+    assert.equal(characterService.moveTo(id, 10, 0), true);
+
+    // Down onto the road, along it, and back up: 12 edges, 10 of them at half cost
+    const path = characterService.getCharacter(id).path;
+    assert.equal(path.length, 12);
+    assert.ok(path.slice(1, -1).every(point => point.row === 1));
+  });
+
+  it('walk road edges faster', () => {
+    const game = createTestGame({ resources: { gold: 1000, stone: 100 } });
+    const characterService = game.container.get('characterService');
+    layRoad(game, 0, 0, 0);
+
+    assert.equal(characterService.getEdgeCost(0, 0, 1, 0), 1 / ROAD_CONFIG.speedMultiplier);
+    assert.equal(characterService.getEdgeCost(0, 1, 1, 1), 1 / ROAD_CONFIG.speedMultiplier);
+    assert.equal(characterService.getEdgeCost(0, 2, 1, 2), 1);
+  });
+});
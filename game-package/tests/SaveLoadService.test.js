@@ -0,0 +1,288 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestGame, quietConsole } from './helpers/harness.js';
+import { SCHEMA_VERSION } from '../src/services/SaveLoadService.js';
+
+quietConsole();
+
+describe('SaveLoadService._migrateSchema', () => {
+  let game;
+
+  beforeEach(() => {
+    game = createTestGame();
+  });
+
+  it('adds research, plot size and camera to pre-versioned saves', () => {
+    const { state, error } = game.saveLoadService._migrateSchema({
+      state: { resources: { gold: 10 }, buildings: [] }
+    });
+
+    assert.equal(error, undefined);
+    assert.deepEqual(state.completedResearch, []);
+    assert.deepEqual(state.plotSize, { rows: 10, cols: 10 });
+    assert.deepEqual(state.camera, { offsetX: 0, offsetY: 0, zoom: 1.0 });
+  });
+
+  it('keeps fields the save already has', () => {
+    const { state } = game.saveLoadService._migrateSchema({
+      schemaVersion: 3,
+      state: { completedResearch: ['baking'], plotSize: { rows: 12, cols: 12 } }
+    });
+
+    assert.deepEqual(state.completedResearch, ['baking']);
+    assert.deepEqual(state.plotSize, { rows: 12, cols: 12 });
+    assert.deepEqual(state.camera, { offsetX: 0, offsetY: 0, zoom: 1.0 });
+  });
+
+  it('passes current saves through untouched', () => {
+    const saved = { completedResearch: [], plotSize: { rows: 10, cols: 10 }, camera: { offsetX: 5, offsetY: 5, zoom: 2 } };
+    const { state } = game.saveLoadService._migrateSchema({ schemaVersion: SCHEMA_VERSION, state: saved });
+
+    assert.deepEqual(state, saved);
+  });
+
+  it('refuses saves from a newer version', () => {
+    const result = game.saveLoadService._migrateSchema({ schemaVersion: SCHEMA_VERSION + 1, state: {} });
+
+    assert.equal(result.state, null);
+    assert.match(result.error, /newer version/);
+  });
+});
+
+describe('SaveLoadService round trip', () => {
+  it('restores buildings, resources and processor progress', () => {
+    const game = createTestGame({ resources: { gold: 200 } });
+    game.buildingService.placeBuilding('wheat_farm', 0, 0);
+    game.clock.runTicks(3);
+    assert.equal(game.saveLoadService.save().success, true);
+
+    const loaded = createTestGame({ storage: game.storage });
+    const result = loaded.saveLoadService.load();
+
+    assert.equal(result.success, true);
+    assert.deepEqual(loaded.buildingService.getBuildings(), game.buildingService.getBuildings());
+    assert.deepEqual(loaded.resourceService.getResources(), game.resourceService.getResources());
+    assert.equal(loaded.processorService.getProcessorState(0).progress, game.processorService.getProcessorState(0).progress);
+  });
+
+  it('reports a missing save', () => {
+    const game = createTestGame();
+    assert.equal(game.saveLoadService.hasSave(), false);
+    assert.deepEqual(game.saveLoadService.load(), { success: false, error: 'No save data found' });
+  });
+});
+
+describe('SaveLoadService slots', () => {
+  let game;
+
+  beforeEach(() => {
+    game = createTestGame({ resources: { gold: 200 } });
+  });
+
+  it('creates a slot on first save and keeps saving into it', () => {
+    const first = game.saveLoadService.save();
+    game.buildingService.placeBuilding('wheat_farm', 0, 0);
+    const second = game.saveLoadService.save();
+
+    assert.equal(first.slotId, second.slotId);
+    assert.equal(game.saveLoadService.getSlots().length, 1);
+    assert.equal(game.saveLoadService.getActiveSlotId(), first.slotId);
+  });
+
+  it('records metadata and a building thumbnail', () => {
+    game.buildingService.placeBuilding('wheat_farm', 0, 0);
+    game.researchService.completeResearch('basic_construction');
+    game.clock.runTicks(30);
+    const { slotId } = game.saveLoadService.save();
+
+    const slot = game.saveLoadService.getSlot(slotId);
+
+    assert.equal(slot.buildingCount, 1);
+    assert.equal(slot.researchCompleted, 1);
+    assert.equal(slot.gold, Math.floor(game.resourceService.getResource('gold')));
+    assert.equal(slot.playTime, 30000);
+    assert.deepEqual(slot.thumbnail.types, ['wheat_farm']);
+    assert.equal(slot.thumbnail.tiles.length, 100);
+    assert.equal(slot.thumbnail.tiles.slice(0, 3), '00.');
+    assert.equal(slot.thumbnail.tiles.slice(10, 13), '00.');
+  });
+
+  it('keeps separate games in separate slots', () => {
+    const { slotId: first } = game.saveLoadService.createSlot('Alice');
+    game.buildingService.placeBuilding('wheat_farm', 0, 0);
+    const { slotId: second } = game.saveLoadService.createSlot('Bob');
+
+    assert.equal(game.saveLoadService.getActiveSlotId(), second);
+    assert.equal(game.saveLoadService.loadSlot(first).success, true);
+    assert.equal(game.buildingService.getBuildingCount(), 0);
+    assert.equal(game.saveLoadService.getActiveSlotId(), first);
+    assert.deepEqual(game.saveLoadService.getSlots().map(s => s.name), ['Alice', 'Bob']);
+  });
+
+  it('renames, duplicates and deletes slots', () => {
+    const { slotId } = game.saveLoadService.createSlot('Run');
+
+    assert.equal(game.saveLoadService.renameSlot(slotId, '  Speedrun  ').success, true);
+    assert.equal(game.saveLoadService.getSlot(slotId).name, 'Speedrun');
+    assert.equal(game.saveLoadService.renameSlot(slotId, '   ').error, 'Slot name cannot be empty');
+
+    const copy = game.saveLoadService.duplicateSlot(slotId);
+    assert.equal(copy.success, true);
+    assert.equal(game.saveLoadService.getSlot(copy.slotId).name, 'Speedrun (copy)');
+    assert.equal(game.saveLoadService.getActiveSlotId(), slotId);
+
+    assert.equal(game.saveLoadService.deleteSlot(slotId).success, true);
+    assert.equal(game.saveLoadService.getActiveSlotId(), null);
+    assert.equal(game.saveLoadService.hasSave(), false);
+    assert.equal(game.saveLoadService.loadSlot(copy.slotId).success, true);
+    assert.equal(game.saveLoadService.deleteSlot('missing').error, 'Save slot not found');
+  });
+
+  it('carries play time across a load', () => {
+    game.clock.runTicks(10);
+    game.saveLoadService.save();
+
+    const loaded = createTestGame({ storage: game.storage });
+    loaded.saveLoadService.load();
+    loaded.clock.runTicks(5);
+
+    assert.equal(loaded.saveLoadService.getPlayTime(), 15000);
+  });
+
+  it('moves a save from before slots into slot 1', () => {
+    const storage = game.storage;
+    storage.setItem('medieval_tycoon_save', JSON.stringify({
+      schemaVersion: 4,
+      timestamp: 1000,
+      state: { ...game.gameState.exportState(), buildings: [{ type: 'barn', row: 2, col: 2, level: 0 }] }
+    }));
+
+    const loaded = createTestGame({ storage });
+
+    assert.equal(loaded.saveLoadService.hasSave(), true);
+    assert.equal(loaded.saveLoadService.getSlots()[0].name, 'Slot 1');
+    assert.equal(loaded.saveLoadService.load().success, true);
+    assert.equal(loaded.buildingService.countBuildings('barn'), 1);
+    assert.equal(storage.getItem('medieval_tycoon_save'), null);
+  });
+});
+
+describe('SaveLoadService integrity', () => {
+  let game;
+
+  beforeEach(() => {
+    game = createTestGame({ resources: { gold: 200 } });
+  });
+
+  it('rejects hand-edited saves by checksum without touching state', () => {
+    const saveData = JSON.parse(game.saveLoadService.exportSaveJSON());
+    saveData.state.resources.gold = 999999;
+
+    const result = game.saveLoadService.importSaveJSON(JSON.stringify(saveData));
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /checksum/);
+    assert.equal(game.resourceService.getResource('gold'), 200);
+  });
+
+  it('rejects truncated saves', () => {
+    const json = game.saveLoadService.exportSaveJSON();
+    const result = game.saveLoadService.importSaveJSON(json.slice(0, json.length / 2));
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /not valid JSON/);
+  });
+
+  it('rejects invalid unchecksummed saves with every problem listed', () => {
+    const saveData = JSON.parse(game.saveLoadService.exportSaveJSON());
+    delete saveData.checksum;
+    saveData.state.resources.wood = 'lots';
+    saveData.state.buildings.push({ type: 'barn', row: 20, col: 0, level: 0 });
+
+    const result = game.saveLoadService.importSaveJSON(JSON.stringify(saveData));
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /^Invalid save: .*\(\+1 more\)$/);
+    assert.equal(result.errors.length, 2);
+    assert.equal(game.buildingService.getBuildingCount(), 0);
+  });
+
+  it('round-trips a compressed export', async () => {
+    game.buildingService.placeBuilding('wheat_farm', 0, 0);
+    const text = await game.saveLoadService.exportSaveCompressed();
+    assert.match(text, /^MTZ1:/);
+    assert.ok(text.length < game.saveLoadService.exportSaveJSON().length);
+
+    const other = createTestGame();
+    const result = await other.saveLoadService.importSaveString(text);
+
+    assert.equal(result.success, true);
+    assert.equal(other.buildingService.countBuildings('wheat_farm'), 1);
+  });
+
+  it('reports a damaged compressed export', async () => {
+    const text = await game.saveLoadService.exportSaveCompressed();
+    const result = await game.saveLoadService.importSaveString(text.slice(0, 40));
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Compressed save is damaged or incomplete');
+  });
+
+  it('falls back to the newest good backup when the latest save is corrupt', (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+
+    const { slotId } = game.saveLoadService.save();
+    game.buildingService.placeBuilding('wheat_farm', 0, 0);
+    now += 120000;
+    game.saveLoadService.save();
+    assert.ok(game.storage.getItem(`medieval_tycoon_slot_${slotId}_backup_1`));
+
+    game.storage.setItem(`medieval_tycoon_slot_${slotId}`, '{"schemaVersion": 5, "state": {"resou');
+
+    const loaded = createTestGame({ storage: game.storage });
+    const notices = [];
+    loaded.eventBus.subscribe('ui:notification', data => notices.push(data));
+    const result = loaded.saveLoadService.load();
+
+    assert.equal(result.success, true);
+    assert.equal(result.recoveredFrom, 1);
+    assert.equal(loaded.buildingService.getBuildingCount(), 0);
+    assert.equal(notices.length, 1);
+  });
+
+  it('rotates backups at most once per interval and keeps three', (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const { slotId } = game.saveLoadService.save();
+    const backup = n => game.storage.getItem(`medieval_tycoon_slot_${slotId}_backup_${n}`);
+
+    game.saveLoadService.save();
+    assert.ok(backup(1));
+    now += 5000;
+    const first = backup(1);
+    game.saveLoadService.save();
+    assert.equal(backup(1), first);
+
+    for (let i = 0; i < 4; i++) {
+      now += 60000;
+      game.saveLoadService.save();
+    }
+    assert.ok(backup(3));
+    assert.equal(backup(4), null);
+
+    game.saveLoadService.deleteSlot(slotId);
+    assert.equal(backup(1), null);
+  });
+
+  it('rebuilds a corrupt slot index from the saved slots', () => {
+    const { slotId } = game.saveLoadService.createSlot('Mine');
+    game.storage.setItem('medieval_tycoon_slots', '{oops');
+
+    const slots = game.saveLoadService.getSlots();
+
+    assert.equal(slots.length, 1);
+    assert.equal(slots[0].id, slotId);
+    assert.equal(game.saveLoadService.createSlot('Next').slotId === slotId, false);
+  });
+});
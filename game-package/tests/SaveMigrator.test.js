@@ -0,0 +1,213 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createTestGame, quietConsole } from './helpers/harness.js';
+import { SaveMigrator } from '../src/services/SaveMigrator.js';
+import { SaveValidator } from '../src/services/SaveValidator.js';
+import { SAVE_MIGRATIONS, SCHEMA_VERSION } from '../src/services/SaveMigrations.js';
+
+quietConsole();
+
+/**
+ * Golden saves: the same game saved at every schema version.
+ * Migrating v(N-1) with migrator N must give exactly vN.
+ */
+const fixture = (version) => JSON.parse(
+  readFileSync(new URL(`./fixtures/saves/v${version}.json`, import.meta.url), 'utf8')
+);
+
+/** Versions of the migrations a save at the given version goes through */
+const stepsFrom = (version) => SAVE_MIGRATIONS.filter(m => m.version > version).map(m => m.version);
+
+describe('Save migrators', () => {
+  SAVE_MIGRATIONS.forEach(migration => {
+    it(`v${migration.version - 1} → v${migration.version}: ${migration.description}`, () => {
+      const input = fixture(migration.version - 1);
+      const result = migration.migrate(structuredClone(input));
+      result.schemaVersion = migration.version;
+
+      assert.deepEqual(result, fixture(migration.version));
+    });
+  });
+
+  it('has a golden save for the current schema version', () => {
+    assert.equal(fixture(SCHEMA_VERSION).schemaVersion, SCHEMA_VERSION);
+  });
+});
+
+describe('v7 footprint migration', () => {
+  const migrate = SAVE_MIGRATIONS.find(m => m.version === 7).migrate;
+  const saveWith = (buildings) => ({ state: { buildings, plotSize: { rows: 10, cols: 10 } } });
+
+  it('moves a Town Hall that no longer fits to the nearest free spot', () => {
+    const { state } = migrate(saveWith([
+      { type: 'wheat_farm', row: 0, col: 0, level: 0 },
+      { type: 'townhall', row: 8, col: 8, level: 1 },
+      { type: 'barn', row: 6, col: 8, level: 0 }
+    ]));
+
+    assert.deepEqual(state.buildings, [
+      { type: 'wheat_farm', row: 0, col: 0, level: 0 },
+      { type: 'townhall', row: 7, col: 5, level: 1 },
+      { type: 'barn', row: 6, col: 8, level: 0 }
+    ]);
+    // The golden save's miller works at index 1, where the Town Hall is here
+    const current = fixture(SCHEMA_VERSION).state;
+    const population = { ...current.population, villagers: current.population.villagers.filter(v => v.workplace !== 1) };
+    assert.deepEqual(new SaveValidator().validate({ state: { ...current, buildings: state.buildings, population } }).errors, []);
+  });
+
+  it('leaves buildings that still fit where they are', () => {
+    const buildings = [
+      { type: 'market', row: 0, col: 0, level: 0 },
+      { type: 'townhall', row: 4, col: 4, level: 0 }
+    ];
+    assert.deepEqual(migrate(saveWith(structuredClone(buildings))).state.buildings, buildings);
+  });
+});
+
+describe('v11 population migration', () => {
+  const migrate = SAVE_MIGRATIONS.find(m => m.version === 11).migrate;
+
+  it('staffs every workplace the save already has and adds three haulers', () => {
+    const { state } = migrate({ state: { buildings: [
+      { type: 'bakery', row: 0, col: 0, level: 0 },
+      { type: 'barn', row: 2, col: 0, level: 0 },
+      { type: 'blacksmith', row: 4, col: 0, level: 0 }
+    ] } });
+
+    assert.deepEqual(state.population.villagers.map(v => v.workplace), [null, null, null, 0, 2, 2]);
+    assert.equal(state.population.nextId, 7);
+    assert.equal(state.population.housingAllowance, 2);
+  });
+
+  it('keeps the workplaces staffed after loading, with nowhere else to live', () => {
+    const save = fixture(10);
+    save.state.buildings = [
+      { type: 'wheat_farm', row: 0, col: 0, level: 0 },
+      { type: 'wheat_farm', row: 0, col: 2, level: 0 },
+      { type: 'wheat_farm', row: 4, col: 0, level: 0 },
+      { type: 'wheat_farm', row: 4, col: 2, level: 0 },
+      { type: 'barn', row: 2, col: 0, level: 0 }
+    ];
+
+    const game = createTestGame({ workers: true });
+    assert.equal(game.saveLoadService.importSaveJSON(JSON.stringify(save)).success, true);
+    assert.equal(game.populationService.getPopulation(), 11);
+
+    game.clock.runTicks(400);
+
+    assert.equal(game.populationService.getPopulation(), 11);
+    assert.equal(game.populationService.getHaulers().length, 3);
+    game.buildingService.getBuildings().slice(0, 4).forEach(building => {
+      assert.equal(game.populationService.getStaffingMultiplier(building), 1);
+    });
+  });
+});
+
+describe('v14 merchant archetype migration', () => {
+  const migrate = SAVE_MIGRATIONS.find(m => m.version === 14).migrate;
+
+  it('lets merchants visit towns a Market had closed to them', () => {
+    const merchant = { ...fixture(13).state.merchant, active: true, disabled: true, nextVisitTime: 5 };
+    const { state } = migrate({ state: { merchant } });
+
+    assert.equal(state.merchant.disabled, false);
+    assert.equal(state.merchant.active, false);
+    assert.equal(state.merchant.nextVisitTime, null);
+    assert.equal(state.merchant.archetype, 'peddler');
+  });
+});
+
+describe('SaveMigrator pipeline', () => {
+  const migrator = new SaveMigrator();
+  const validator = new SaveValidator();
+
+  for (let version = 0; version <= SCHEMA_VERSION; version++) {
+    it(`migrates the v${version} golden save to a valid current save`, () => {
+      const { saveData, error } = migrator.migrate(fixture(version));
+
+      assert.equal(error, undefined);
+      assert.deepEqual(saveData, fixture(SCHEMA_VERSION));
+      assert.deepEqual(validator.validate(saveData).errors, []);
+    });
+  }
+
+  it('loads every golden save into a game', () => {
+    for (let version = 0; version <= SCHEMA_VERSION; version++) {
+      const game = createTestGame();
+      const result = game.saveLoadService.importSaveJSON(JSON.stringify(fixture(version)));
+
+      assert.equal(result.success, true, `v${version}: ${result.error}`);
+      assert.equal(game.buildingService.getBuildingCount(), 3);
+      assert.equal(game.resourceService.getResource('gold'), 184);
+    }
+  });
+
+  it('never modifies the save it is given', () => {
+    const input = fixture(0);
+    migrator.migrate(input);
+    migrator.dryRun(input);
+    assert.deepEqual(input, fixture(0));
+  });
+
+  it('refuses saves from newer versions', () => {
+    const result = migrator.migrate({ schemaVersion: SCHEMA_VERSION + 1, state: {} });
+    assert.equal(result.saveData, null);
+    assert.match(result.error, /newer version/);
+  });
+
+  it('reports a migrator that throws', () => {
+    const broken = new SaveMigrator([
+      { version: 1, description: 'ok', migrate: s => s },
+      { version: 2, description: 'broken', migrate: () => { throw new Error('boom'); } }
+    ]);
+    assert.equal(broken.migrate({ state: {} }).error, 'Migration to v2 failed: boom');
+  });
+
+  it('rejects registries with gaps or out-of-order versions', () => {
+    assert.throws(() => new SaveMigrator([{ version: 2, description: '', migrate: s => s }]), /expected v1/);
+  });
+});
+
+describe('SaveMigrator dry run', () => {
+  const migrator = new SaveMigrator();
+
+  it('lists each step and the fields it changes', () => {
+    const report = migrator.dryRun(fixture(2));
+
+    assert.equal(report.fromVersion, 2);
+    assert.equal(report.toVersion, SCHEMA_VERSION);
+    assert.equal(report.upToDate, false);
+    assert.deepEqual(report.steps.map(s => s.version), stepsFrom(2));
+    assert.deepEqual(report.steps[0].changes.map(c => `${c.type} ${c.path}`), [
+      'added state.completedResearch',
+      'added state.plotSize'
+    ]);
+    assert.deepEqual(report.steps[1].changes, [
+      { path: 'state.camera', type: 'added', to: { offsetX: 0, offsetY: 0, zoom: 1 } }
+    ]);
+  });
+
+  it('reports current saves as up to date', () => {
+    const report = migrator.dryRun(fixture(SCHEMA_VERSION));
+    assert.equal(report.upToDate, true);
+    assert.deepEqual(report.steps, []);
+    assert.equal(migrator.formatReport(report), `Save is up to date (v${SCHEMA_VERSION})`);
+  });
+
+  it('formats a readable report', () => {
+    const text = migrator.formatReport(migrator.dryRun(fixture(3)));
+    assert.equal(text.split('\n')[0], `Migrate v3 → v${SCHEMA_VERSION}`);
+    assert.match(text, /\+ state\.camera = \{"offsetX":0,"offsetY":0,"zoom":1\}/);
+  });
+
+  it('is available from SaveLoadService before loading', () => {
+    const game = createTestGame();
+    const { report, text } = game.saveLoadService.previewMigration(JSON.stringify(fixture(4)));
+
+    assert.deepEqual(report.steps.map(s => s.version), stepsFrom(4));
+    assert.match(text, /v5: Save processor states/);
+    assert.equal(game.buildingService.getBuildingCount(), 0);
+  });
+});
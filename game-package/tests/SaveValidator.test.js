@@ -0,0 +1,169 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestGame, quietConsole } from './helpers/harness.js';
+import { SaveValidator } from '../src/services/SaveValidator.js';
+import { resizeTerrain } from '../src/config/index.js';
+
+quietConsole();
+
+describe('SaveValidator', () => {
+  let validator;
+  let saveData;
+
+  beforeEach(() => {
+    validator = new SaveValidator();
+    const game = createTestGame({ resources: { gold: 500, wood: 50 } });
+    game.buildingService.placeBuilding('wheat_farm', 0, 0);
+    game.buildingService.placeBuilding('mill', 4, 4);
+    game.clock.runTicks(3);
+    saveData = JSON.parse(game.saveLoadService.exportSaveJSON());
+  });
+
+  const errorsFor = (mutate) => {
+    mutate(saveData.state, saveData);
+    return validator.validate(saveData).errors;
+  };
+
+  it('accepts a save straight from the game', () => {
+    assert.deepEqual(validator.validate(saveData), { valid: true, errors: [] });
+  });
+
+  it('rejects unknown resources and non-numeric amounts', () => {
+    const errors = errorsFor(state => {
+      state.resources.gold = NaN;
+      state.resources.unobtainium = 5;
+      state.resources.wheat = -1;
+    });
+
+    assert.equal(errors.length, 3);
+    assert.match(errors.join('\n'), /resources.gold/);
+    assert.match(errors.join('\n'), /unknown resource "unobtainium"/);
+    assert.match(errors.join('\n'), /resources.wheat/);
+  });
+
+  it('rejects unknown building types', () => {
+    const errors = errorsFor(state => { state.buildings[0].type = 'castle'; });
+    assert.deepEqual(errors, [
+      'buildings[0]: unknown building type "castle"',
+      // The farm's workers and its processor state no longer belong to it
+      'population.villagers[1].workplace: no workplace building at index 0',
+      'population.villagers[2].workplace: no workplace building at index 0',
+      'processors[0]: no processor building at index 0'
+    ]);
+  });
+
+  it('rejects buildings outside plotSize', () => {
+    const errors = errorsFor(state => { state.buildings[1].row = 9; });
+    assert.match(errors[0], /outside the 10x10 plot/);
+
+    const grown = errorsFor(state => {
+      state.plotSize = { rows: 12, cols: 12 };
+      state.terrain = resizeTerrain(state.terrain, 12, 12);
+    });
+    assert.deepEqual(grown, []);
+  });
+
+  it('rejects overlapping buildings', () => {
+    const errors = errorsFor(state => { state.buildings[1].row = 1; state.buildings[1].col = 1; });
+    assert.match(errors[0], /overlaps buildings\[0\]/);
+  });
+
+  it('checks bounds against each building\'s own footprint', () => {
+    // A 2x2 would fit at col 8; the 3x3 Town Hall runs off the plot
+    const errors = errorsFor(state => {
+      state.buildings.push({ type: 'townhall', row: 6, col: 8, level: 0 });
+    });
+    assert.match(errors[0], /buildings\[2\] \(townhall\): position 6,8 is outside/);
+  });
+
+  it('checks overlaps against each building\'s own footprint', () => {
+    // The mill's top corner is two rows below the Town Hall's, inside its third row
+    const errors = errorsFor(state => {
+      state.buildings.push({ type: 'townhall', row: 2, col: 4, level: 0 });
+    });
+    assert.match(errors[0], /buildings\[2\] \(townhall\): overlaps buildings\[1\] at 4,4/);
+  });
+
+  it('rejects levels beyond the upgrade list', () => {
+    assert.match(errorsFor(state => { state.buildings[1].level = 3; })[0], /level must be an integer from 0 to 2/);
+  });
+
+  it('accepts the top upgrade level', () => {
+    assert.deepEqual(errorsFor(state => { state.buildings[1].level = 2; }), []);
+  });
+
+  it('rejects unknown research and milestone ids', () => {
+    const errors = errorsFor(state => {
+      state.completedResearch = ['alchemy'];
+      state.completedMilestones = ['first_castle'];
+    });
+    assert.equal(errors.length, 2);
+  });
+
+  it('rejects processor states for buildings that are not processors', () => {
+    const errors = errorsFor((state, envelope) => {
+      envelope.processors[5] = { progress: 0.5, state: 'running' };
+    });
+    assert.deepEqual(errors, ['processors[5]: no processor building at index 5']);
+  });
+
+  it('rejects out-of-range processor progress', () => {
+    assert.match(errorsFor((state, envelope) => { envelope.processors[0].progress = 7; })[0], /progress/);
+  });
+
+  it('rejects villagers working at buildings without jobs', () => {
+    const errors = errorsFor(state => {
+      state.population.villagers[0].workplace = 7;
+      state.population.villagers.push({ id: 'v2', workplace: null });
+    });
+    assert.deepEqual(errors, [
+      'population.villagers[0].workplace: no workplace building at index 7',
+      'population.villagers[3]: duplicate id "v2"'
+    ]);
+  });
+
+  it('rejects market demand for unknown resources or out of range', () => {
+    const errors = errorsFor(state => {
+      state.market.demand = { unobtainium: 0.5, wheat: 1.5 };
+    });
+    assert.deepEqual(errors, [
+      'market.demand: unknown resource "unobtainium"',
+      'market.demand.wheat must be a number above 0 and at most 1'
+    ]);
+  });
+
+  it('rejects malformed standing orders', () => {
+    const errors = errorsFor(state => {
+      state.market.rules = [
+        { id: 'r1', resource: 'bread', trigger: 'sometimes', keep: 5, enabled: true, sold: 0, earned: 0 },
+        { id: 'r1', resource: 'bread', trigger: 'always', keep: -1, enabled: 'yes', sold: 0, earned: 0 }
+      ];
+    });
+    assert.deepEqual(errors, [
+      'market.rules[0]: unknown trigger "sometimes"',
+      'market.rules[1]: duplicate id "r1"',
+      'market.rules[1].enabled must be a boolean',
+      'market.rules[1].keep must be a non-negative number'
+    ]);
+  });
+
+  it('reports a missing state', () => {
+    assert.deepEqual(validator.validate({ schemaVersion: 5 }).errors, ['state must be an object']);
+  });
+});
+
+describe('SaveValidator checksum', () => {
+  it('changes when any field changes', () => {
+    const validator = new SaveValidator();
+    const saveData = { schemaVersion: 5, timestamp: 1, state: { resources: { gold: 10 } } };
+    saveData.checksum = validator.computeChecksum(saveData);
+
+    assert.equal(validator.verifyChecksum(saveData), true);
+    saveData.state.resources.gold = 11;
+    assert.equal(validator.verifyChecksum(saveData), false);
+  });
+
+  it('accepts saves written before checksums existed', () => {
+    assert.equal(new SaveValidator().verifyChecksum({ schemaVersion: 4, state: {} }), true);
+  });
+});
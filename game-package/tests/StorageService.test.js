@@ -0,0 +1,48 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestGame, quietConsole } from './helpers/harness.js';
+import { RESOURCES } from '../src/config/index.js';
+
+quietConsole();
+
+describe('StorageService._computeCaps', () => {
+  let game;
+
+  beforeEach(() => {
+    game = createTestGame();
+  });
+
+  it('uses base storage with no barns', () => {
+    const caps = game.storageService._computeCaps();
+
+    Object.entries(RESOURCES).forEach(([id, def]) => {
+      assert.equal(caps[id], def.baseStorage, id);
+    });
+    assert.equal(game.storageService.getCap('gold'), Infinity);
+  });
+
+  it('adds the barn bonus to every storable resource', () => {
+    game.gameState.addBuilding({ type: 'barn', row: 0, col: 0, level: 0 });
+
+    const caps = game.storageService._computeCaps();
+
+    assert.equal(caps.wheat, 200);
+    assert.equal(caps.charcoal, 150);
+    assert.equal(caps.tools, 130);
+    assert.equal(caps.gold, Infinity);
+  });
+
+  it('scales each barn by its upgrade multiplier', () => {
+    game.gameState.addBuilding({ type: 'barn', row: 0, col: 0, level: 0 });
+    game.gameState.addBuilding({ type: 'barn', row: 0, col: 2, level: 2 });
+
+    // 100 base + 100 x1 + 100 x3
+    assert.equal(game.storageService._computeCaps().wheat, 500);
+  });
+
+  it('recomputes cached caps when a barn is added', () => {
+    assert.equal(game.storageService.getCap('stone'), 100);
+    game.gameState.addBuilding({ type: 'barn', row: 0, col: 0, level: 0 });
+    assert.equal(game.storageService.getCap('stone'), 200);
+  });
+});
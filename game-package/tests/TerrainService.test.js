@@ -0,0 +1,216 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestGame, quietConsole } from './helpers/harness.js';
+import { DEFAULT_MAP_SEED, MAP_GENERATION, resizeTerrain } from '../src/config/index.js';
+import { generateTerrain } from '../src/services/MapGenerator.js';
+
+quietConsole();
+
+// 0=grass 3=forest 4=rock 5=water 6=fertile 7=road
+const MAP = [
+  '6600000000',
+  '6600000000',
+  '0000000000',
+  '4000000003',
+  '0000000000',
+  '0000055000',
+  '0000055000',
+  '0000000000',
+  '7770000000',
+  '0000000000'
+];
+
+describe('TerrainService placement rules', () => {
+  let game;
+
+  beforeEach(() => {
+    game = createTestGame({ terrain: MAP, resources: { gold: 5000, wood: 200, wheat: 100, stone: 200 } });
+  });
+
+  it('keeps buildings off unbuildable terrain', () => {
+    const result = game.buildingService.placeBuilding('wheat_farm', 4, 4);
+    assert.deepEqual(result, { success: false, error: 'Cannot build on water!' });
+    assert.equal(game.buildingService.canPlaceAt(7, 0, -1, 'wheat_farm'), false);
+    assert.equal(game.resourceService.getResource('gold'), 5000);
+  });
+
+  it('requires quarries to touch rock', () => {
+    assert.equal(
+      game.buildingService.placeBuilding('quarry', 7, 7).error,
+      'Stone Quarry must be built next to rock!'
+    );
+    assert.equal(game.buildingService.placeBuilding('quarry', 3, 1).success, true);
+  });
+
+  it('requires lumber camps within two tiles of forest', () => {
+    assert.equal(
+      game.buildingService.placeBuilding('lumber', 3, 5).error,
+      'Lumber Camp must be built within 2 tiles of forest!'
+    );
+    assert.equal(game.buildingService.placeBuilding('lumber', 3, 6).success, true);
+  });
+
+  it('checks terrain rules when moving a building', () => {
+    game.buildingService.placeBuilding('quarry', 3, 1);
+    assert.equal(game.buildingService.moveBuilding(0, 7, 7).error, 'Stone Quarry must be built next to rock!');
+    assert.equal(game.buildingService.moveBuilding(0, 2, 1).success, true);
+  });
+
+  it('reports terrain changes and rejects tiles off the plot', () => {
+    const changes = [];
+    game.eventBus.subscribe('terrain:changed', data => changes.push(data));
+
+    assert.equal(game.terrainService.setTerrainAt(2, 2, 'road').success, true);
+    assert.equal(game.terrainService.getTerrainAt(2, 2), 'road');
+    assert.deepEqual(changes, [{ row: 2, col: 2, from: 'grass', terrain: 'road' }]);
+
+    assert.equal(game.terrainService.setTerrainAt(10, 0, 'road').error, 'Tile is outside the plot');
+    assert.equal(game.terrainService.setTerrainAt(0, 0, 'lava').error, 'Unknown terrain "lava"');
+  });
+});
+
+describe('TerrainService yield modifiers', () => {
+  let game;
+
+  beforeEach(() => {
+    game = createTestGame({ terrain: MAP, resources: { gold: 5000, wood: 200, wheat: 100, stone: 200 } });
+  });
+
+  it('doubles a wheat farm standing fully on fertile soil', () => {
+    game.gameState.setResources({ wheat: 0 });
+    game.buildingService.placeBuilding('wheat_farm', 0, 0);
+    game.buildingService.placeBuilding('wheat_farm', 2, 2);
+    const [fertile, plain] = game.buildingService.getBuildings();
+
+    assert.equal(game.terrainService.getYieldBonus(fertile), 1);
+    assert.equal(game.terrainService.getYieldBonus(plain), 0);
+
+    // 5s cycle halves to 2.5s - done after 3 ticks while the plain farm is not
+    game.clock.runTicks(3);
+    assert.equal(game.processorService.isReady(0), true);
+    assert.equal(game.processorService.isReady(1), false);
+  });
+
+  it('speeds a mill for each water tile beside it', () => {
+    game.buildingService.placeBuilding('mill', 5, 3);
+    const mill = game.buildingService.getBuildingByIndex(0);
+
+    // Water at 5,5 and 6,5 is inside the ring around the mill
+    assert.equal(game.terrainService.getYieldBonus(mill), 0.3);
+    assert.equal(game.processorService.getProductionMultiplier(mill), 1.3);
+  });
+
+  it('caps the bonus however much terrain is in range', () => {
+    const game2 = createTestGame({ terrain: ['3333333333', '3333333333', '3333333333', '3333333333', '3300333333', '3300333333'] });
+    game2.gameState.setResources({ gold: 500, stone: 10 });
+    game2.buildingService.placeBuilding('lumber', 4, 2);
+
+    // 32 forest tiles within 2 at +5% each, capped at +100%
+    assert.equal(game2.terrainService.getYieldBonus(game2.buildingService.getBuildingByIndex(0)), 1);
+  });
+
+  it('applies road bonuses to continuous producers', () => {
+    game.buildingService.placeBuilding('market', 6, 0);
+    const market = game.buildingService.getBuildingByIndex(0);
+    const productionService = game.container.get('productionService');
+
+    // Road at 8,0 8,1 and 8,2 runs along the market's front
+    assert.equal(Math.round(game.terrainService.getYieldBonus(market) * 100), 30);
+    assert.equal(Math.round(productionService.getProductionMultiplier(market) * 100), 130);
+  });
+});
+
+describe('Terrain in game state', () => {
+  it('starts new games on the default seed\'s map', () => {
+    const game = createTestGame();
+    game.gameState.reset();
+    assert.equal(game.terrainService.getMapSeed(), DEFAULT_MAP_SEED);
+    assert.deepEqual(game.gameState.getTerrain(), resizeTerrain(generateTerrain(DEFAULT_MAP_SEED), 10, 10));
+  });
+
+  it('keeps existing terrain when the plot grows', () => {
+    const game = createTestGame({ terrain: MAP });
+    game.gameState.setPlotSize({ rows: 12, cols: 11 });
+
+    const terrain = game.gameState.getTerrain();
+    assert.equal(terrain.length, 12);
+    assert.equal(terrain[0], '66000000000');
+    assert.equal(terrain[11], '00000000000');
+  });
+
+  it('survives a save round trip', () => {
+    const game = createTestGame({ terrain: MAP });
+    game.terrainService.setTerrainAt(4, 4, 'road');
+    const json = game.saveLoadService.exportSaveJSON();
+
+    const loaded = createTestGame();
+    assert.equal(loaded.saveLoadService.importSaveJSON(json).success, true);
+    assert.equal(loaded.terrainService.getTerrainAt(4, 4), 'road');
+    assert.equal(loaded.terrainService.getTerrainAt(3, 0), 'rock');
+  });
+});
+
+describe('Map generation', () => {
+  const { size, start, clearing } = MAP_GENERATION;
+
+  it('generates the same world for the same seed', () => {
+    assert.deepEqual(generateTerrain(12345), generateTerrain(12345));
+    assert.notDeepEqual(generateTerrain(12345), generateTerrain(54321));
+
+    const world = generateTerrain(12345);
+    assert.equal(world.length, size.rows);
+    assert.ok(world.every(row => row.length === size.cols));
+  });
+
+  it('gives every starting plot a clearing and each kind of terrain', () => {
+    for (let seed = 0; seed < 50; seed++) {
+      const startPlot = resizeTerrain(generateTerrain(seed), start.rows, start.cols).join('');
+      ['3', '4', '5', '6'].forEach(code => {
+        assert.ok(startPlot.includes(code), `seed ${seed} has no tile ${code} in the starting plot`);
+      });
+
+      const world = generateTerrain(seed);
+      for (let r = clearing.row; r < clearing.row + clearing.rows; r++) {
+        assert.equal(world[r].slice(clearing.col, clearing.col + clearing.cols), '0'.repeat(clearing.cols));
+      }
+    }
+  });
+
+  it('replaces the plot terrain with the seed\'s map', () => {
+    const game = createTestGame();
+    const events = [];
+    game.eventBus.subscribe('terrain:generated', data => events.push(data));
+
+    game.terrainService.generateMap(777);
+
+    assert.equal(game.terrainService.getMapSeed(), 777);
+    assert.deepEqual(game.gameState.getTerrain(), resizeTerrain(generateTerrain(777), 10, 10));
+    assert.deepEqual(events, [{ seed: 777 }]);
+  });
+
+  it('reveals generated land when the plot expands', () => {
+    const game = createTestGame();
+    game.terrainService.generateMap(777);
+    game.terrainService.setTerrainAt(0, 0, 'road');
+    game.gameState.completeResearch('expansion_1');
+
+    assert.equal(game.container.get('plotService').expandTo(12, 12).success, true);
+
+    const world = generateTerrain(777);
+    const terrain = game.gameState.getTerrain();
+    assert.equal(terrain[11], world[11].slice(0, 12));
+    assert.equal(terrain[3].slice(10), world[3].slice(10, 12));
+    // Land already in the plot keeps its changes
+    assert.equal(game.terrainService.getTerrainAt(0, 0), 'road');
+  });
+
+  it('saves the seed with the game', () => {
+    const game = createTestGame();
+    game.terrainService.generateMap(777);
+    const json = game.saveLoadService.exportSaveJSON();
+
+    const loaded = createTestGame();
+    assert.equal(loaded.saveLoadService.importSaveJSON(json).success, true);
+    assert.equal(loaded.terrainService.getMapSeed(), 777);
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestGame, quietConsole } from './helpers/harness.js';
+
+quietConsole();
+
+/**
+ * Play a game tick by tick, collecting outputs and running the plan's steps in order
+ * @param {Object} game - From createTestGame()
+ * @param {Array<function(Object): boolean>} steps - Each returns true once done
+ * @param {number} maxTicks - Give up after this many ticks
+ * @returns {number|null} Ticks taken to finish every step, or null if out of time
+ */
+function play(game, steps, maxTicks) {
+  let next = 0;
+  while (game.clock.getTickCount() < maxTicks) {
+    game.collectAll();
+    while (next < steps.length && steps[next](game)) {
+      next++;
+    }
+    if (next === steps.length) return game.clock.getTickCount();
+    game.clock.runTicks(1);
+  }
+  return null;
+}
+
+/** Queue a research the way players do, then wait for it to finish */
+const research = (id) => (game) => {
+  const researchService = game.researchService;
+  const planned = researchService.getActiveResearch()?.id === id || researchService.getQueue().includes(id);
+  if (!planned && !researchService.isCompleted(id)) {
+    researchService.queueResearch(id);
+  }
+  return researchService.isCompleted(id);
+};
+const build = (type, row, col) => (game) => {
+  if (!game.buildingService.canBuild(type).canBuild) return false;
+  return game.buildingService.placeBuilding(type, row, col).success;
+};
+
+const BAKERY_PLAN = [
+  build('wheat_farm', 0, 0),
+  build('wheat_farm', 0, 2),
+  research('basic_construction'),
+  research('baking'),
+  build('bakery', 2, 0)
+];
+
+describe('Scenarios', () => {
+  it('reaches a bakery from a new game in under 360 ticks', () => {
+    const game = createTestGame();
+
+    // Both researches are done by about tick 130; gold for the bakery comes
+    // from the stipend alone - about 300 ticks
+    const ticks = play(game, BAKERY_PLAN, 360);
+
+    assert.notEqual(ticks, null, 'bakery was not built in time');
+    assert.equal(game.buildingService.countBuildings('bakery'), 1);
+    assert.equal(game.researchService.isCompleted('baking'), true);
+  });
+
+  it('bakery turns wheat into gold once built', () => {
+    const game = createTestGame();
+    play(game, BAKERY_PLAN, 360);
+    const gold = game.resourceService.getResource('gold');
+
+    game.clock.runTicks(10);
+
+    assert.ok(game.resourceService.getResource('gold') > gold);
+  });
+
+  it('runs the bakery plan at a profit with staffing and roads on', () => {
+    // What players get - the other scenarios turn these systems off
+    const game = createTestGame({ workers: true, roads: true });
+    const ticks = play(game, BAKERY_PLAN, 360);
+    assert.notEqual(ticks, null, 'bakery was not built in time');
+
+    // However short-staffed, a bakery pays more for its wheat than the market does
+    const productionService = game.container.get('productionService');
+    const bakery = game.gameState.getBuildings().find(b => b.type === 'bakery');
+    const { production, consumption } = productionService.calculateBuildingProduction(bakery);
+    assert.ok(production.gold / consumption.wheat >= game.container.get('marketService').getPrice('wheat'));
+
+    const gold = game.resourceService.getResource('gold');
+    game.clock.runTicks(10);
+    assert.ok(game.resourceService.getResource('gold') > gold);
+  });
+
+  it('replays identically from the same seed', () => {
+    const run = (seed) => {
+      const game = createTestGame({ seed });
+      play(game, BAKERY_PLAN, 360);
+      game.clock.runTicks(200);
+      return {
+        resources: game.resourceService.getResources(),
+        merchant: game.gameState.getMerchant(),
+        tick: game.clock.getTickCount()
+      };
+    };
+
+    assert.deepEqual(run(7), run(7));
+  });
+
+  it('stalls a mill with no wheat supply and recovers when a farm feeds it', () => {
+    const game = createTestGame({ resources: { gold: 500, wood: 50 } });
+    game.buildingService.placeBuilding('mill', 0, 0);
+    game.clock.runTicks(5);
+    assert.equal(game.processorService.getProcessorState(0).stallReason, 'Need Wheat');
+
+    game.buildingService.placeBuilding('wheat_farm', 0, 2);
+    for (let i = 0; i < 40; i++) {
+      game.clock.runTicks(1);
+      game.collectAll();
+    }
+
+    assert.ok(game.resourceService.getResource('flour') > 0);
+  });
+
+  it('moves a working mill without losing its cycle, drops or the villager sent for them', () => {
+    const game = createTestGame({ resources: { gold: 500, wood: 50, wheat: 50 } });
+    const characterService = game.container.get('characterService');
+    characterService.initialize();
+
+    game.buildingService.placeBuilding('mill', 0, 0);
+    game.clock.runTicks(11);
+    game.dropService.spawnFromBuilding(0);
+    const drop = { ...game.dropService.getDrops()[0] };
+
+    // The villager reserves the drop on its next tick
+    const villagerId = characterService.spawnCharacter(8, 8, 'peasant');
+    game.clock.runTicks(3);
+    assert.equal(characterService.getCharacter(villagerId).targetDropId, drop.id);
+    const progress = game.processorService.getProcessorState(0).progress;
+    assert.ok(progress > 0);
+
+    assert.equal(game.commandHistoryService.moveBuilding(0, 5, 4).success, true);
+
+    assert.equal(game.processorService.getProcessorState(0).progress, progress);
+    const movedDrop = game.dropService.getDrop(drop.id);
+    assert.equal(movedDrop.gridX, drop.gridX + 4);
+    assert.equal(movedDrop.gridY, drop.gridY + 5);
+
+    const villager = characterService.getCharacter(villagerId);
+    assert.equal(villager.targetDropId, drop.id);
+    assert.deepEqual(villager.path.at(-1), { col: Math.round(movedDrop.gridX), row: Math.round(movedDrop.gridY) });
+
+    // Undo puts the mill and its drop back
+    assert.equal(game.commandHistoryService.undo().success, true);
+    assert.deepEqual(game.buildingService.getBuildingByIndex(0), { type: 'mill', row: 0, col: 0, level: 0 });
+    assert.ok(Math.abs(game.dropService.getDrop(drop.id).gridX - drop.gridX) < 1e-9);
+  });
+});